@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Detection" ADD COLUMN "userId" TEXT;
+ALTER TABLE "Detection" ADD COLUMN "aiType" TEXT NOT NULL DEFAULT 'FIRE';
+ALTER TABLE "Detection" ADD COLUMN "verdict" TEXT NOT NULL DEFAULT 'confirmed';
+ALTER TABLE "Detection" ADD COLUMN "reason" TEXT;
+ALTER TABLE "Detection" ADD COLUMN "iouJson" TEXT;
+ALTER TABLE "Detection" ADD COLUMN "livenessJson" TEXT;
+ALTER TABLE "Detection" ADD COLUMN "imageUrl" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Detection_userId_ts_idx" ON "Detection"("userId", "ts");
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "User" (
+    "userId" TEXT NOT NULL PRIMARY KEY,
+    "samplingRate" INTEGER NOT NULL DEFAULT 30000,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- AlterTable
+ALTER TABLE "Camera" ADD COLUMN "aiType" TEXT NOT NULL DEFAULT 'FIRE';
+ALTER TABLE "Camera" ADD COLUMN "extraJson" TEXT;
+
+-- AlterTable
+ALTER TABLE "Detection" ADD COLUMN "cameraName" TEXT;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "Alert" (
+    "alertId" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "cameraId" INTEGER NOT NULL,
+    "cameraName" TEXT,
+    "aiType" TEXT NOT NULL DEFAULT 'FIRE',
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "tier" INTEGER NOT NULL DEFAULT 1,
+    "detailsJson" TEXT,
+    "historyJson" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "Alert_userId_status_idx" ON "Alert"("userId", "status");
+
+-- CreateIndex
+CREATE INDEX "Alert_userId_createdAt_idx" ON "Alert"("userId", "createdAt");
@@ -1,9 +1,7 @@
-
-import { S3Client, GetObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
+import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { Readable } from "stream";
 import { pipeline } from "stream/promises";
 import dotenv from "dotenv";
 
@@ -13,6 +11,11 @@ const BACKEND_ROOT = path.resolve(__dirname, "../");
 // Load .env from backend root
 dotenv.config({ path: path.join(BACKEND_ROOT, ".env") });
 
+// After dotenv, so MODELS_DIR_OVERRIDE from .env applies
+const { MODELS_DIR, MANIFEST_FILE, readManifest, writeManifest, sha256File } = await import(
+    "../src/services/modelManifest.js"
+);
+
 const s3 = new S3Client({
     region: process.env.AWS_REGION || "us-east-1",
     credentials: {
@@ -22,14 +25,14 @@ const s3 = new S3Client({
 });
 
 const BUCKET_NAME = process.env.S3_BUCKET_MODELS;
-const MODELS_DIR = path.join(BACKEND_ROOT, "models");
 
 if (!fs.existsSync(MODELS_DIR)) {
     fs.mkdirSync(MODELS_DIR, { recursive: true });
 }
 
-async function downloadFile(fileName) {
+async function downloadFile(fileName, expectedSha256) {
     const filePath = path.join(MODELS_DIR, fileName);
+    const tmpPath = `${filePath}.download`;
 
     console.log(`⬇️  Downloading ${fileName}...`);
 
@@ -40,10 +43,30 @@ async function downloadFile(fileName) {
 
     try {
         const response = await s3.send(command);
-        await pipeline(response.Body, fs.createWriteStream(filePath));
+        await pipeline(response.Body, fs.createWriteStream(tmpPath));
+
+        if (expectedSha256 && (await sha256File(tmpPath)) !== expectedSha256) {
+            throw new Error("checksum does not match the manifest");
+        }
+
+        fs.renameSync(tmpPath, filePath);
         console.log(`✅ Downloaded ${fileName}`);
     } catch (err) {
-        console.error(`❌ Failed to download ${fileName}:`, err);
+        fs.rmSync(tmpPath, { force: true });
+        console.error(`❌ Failed to download ${fileName}:`, err.message);
+        throw err;
+    }
+}
+
+/**
+ * The bucket's manifest, or null if it has none yet
+ */
+async function fetchManifest() {
+    try {
+        const response = await s3.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: MANIFEST_FILE }));
+        return JSON.parse(await response.Body.transformToString());
+    } catch (err) {
+        if (err.name === "NoSuchKey") return null;
         throw err;
     }
 }
@@ -57,31 +80,36 @@ async function main() {
     console.log(`🚀 Checking models in ${MODELS_DIR} against S3 bucket: ${BUCKET_NAME}`);
 
     try {
-        const listCmd = new ListObjectsV2Command({ Bucket: BUCKET_NAME });
-        const data = await s3.send(listCmd);
-
-        if (!data.Contents || data.Contents.length === 0) {
-            console.log("⚠️ Bucket is empty.");
-            return;
+        const remote = await fetchManifest();
+        if (!remote) {
+            console.log(`⚠️ No ${MANIFEST_FILE} in bucket - syncing the built-in models only.`);
         }
-
-        for (const item of data.Contents) {
-            const fileName = item.Key;
-            if (!fileName.endsWith(".onnx")) continue;
-
-            const filePath = path.join(MODELS_DIR, fileName);
-
-            if (fs.existsSync(filePath)) {
-                const stats = fs.statSync(filePath);
-                if (stats.size === item.Size) {
-                    console.log(`✅ ${fileName} already exists and matches size. Skipping.`);
-                    continue;
-                } else {
-                    console.log(`🔄 ${fileName} size mismatch (Local: ${stats.size}, Remote: ${item.Size}). Re-downloading.`);
+        const manifest = remote || readManifest();
+
+        // Every version, so rollback works offline
+        for (const [modelId, model] of Object.entries(manifest.models)) {
+            for (const entry of model.versions) {
+                const filePath = path.join(MODELS_DIR, entry.file);
+
+                if (fs.existsSync(filePath)) {
+                    if (!entry.sha256) {
+                        console.log(`✅ ${entry.file} already exists (no checksum in manifest). Skipping.`);
+                        continue;
+                    }
+                    if ((await sha256File(filePath)) === entry.sha256) {
+                        console.log(`✅ ${entry.file} already exists and matches checksum. Skipping.`);
+                        continue;
+                    }
+                    console.log(`🔄 ${entry.file} checksum mismatch (${modelId} ${entry.version}). Re-downloading.`);
                 }
+
+                await downloadFile(entry.file, entry.sha256);
             }
+        }
 
-            await downloadFile(fileName);
+        // Files first, then the manifest that points at them
+        if (remote) {
+            writeManifest(remote);
         }
 
         console.log("✨ Model sync complete!");
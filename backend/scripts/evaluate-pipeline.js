@@ -0,0 +1,487 @@
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+
+// -------------------------------------------------------------------
+// 🧪 Offline Pipeline Evaluation
+// -------------------------------------------------------------------
+// Runs the detection pipeline (frame sampling, motion gate, detectors,
+// validation, confirmation, incidents) over recorded clips and scores it against labelled time ranges.
+// Each turn is decided by decideDetectorTurn(), the same code as the queue.
+//
+//   node scripts/evaluate-pipeline.js ../vids/labels.json [options]
+//
+//   --ai-types FIRE,WEAPON   AI types to evaluate (default: every class in the labels, else FIRE)
+//   --settings file.json     detection settings for every clip (same shape as a camera's)
+//   --window-ms 30000        user sampling window (default 30000)
+//   --cameras 1              cameras sharing the window (default 1)
+//   --out report.json        JSON report (default evaluation-report.json)
+//
+// Compare model versions with MODEL_VERSIONS, e.g. MODEL_VERSIONS=fire=2.1.0.
+//
+// Label file (clip paths relative to it, times in seconds):
+//   {
+//     "clips": [
+//       { "file": "no-fire.mp4", "labels": [] },
+//       { "file": "kitchen-fire.mp4", "labels": [{ "class": "FIRE", "start": 4, "end": 37.5 }] }
+//     ]
+//   }
+// vids/labels.json ships with the negative clip only; recall and latency
+// need positive clips added next to it.
+//
+// Turns are simulated on the clip's timeline as the queue would run them,
+// ignoring inference time: a turn's frames are frameSpacing() apart, and the
+// camera's next turn starts after every camera in the window has had its slot,
+// or after cfg.detectors.suspectedRecheckMs while a detection is suspected.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BACKEND_ROOT = path.resolve(__dirname, "../");
+
+// Load .env from backend root
+dotenv.config({ path: path.join(BACKEND_ROOT, ".env") });
+
+// After dotenv, so config and MODEL_VERSIONS from .env apply
+const { cfg } = await import("../src/config.js");
+const { AI_TYPES, DEFAULT_AI_TYPE, getDetector, isKnownAiType } = await import(
+  "../src/services/detectors/index.js"
+);
+const {
+  DEFAULT_SAMPLING_WINDOW,
+  calculateCameraInterval,
+  calculateFrameInterval,
+  frameSpacing,
+  selectDetectors,
+  detectFrame,
+  decideDetectorTurn,
+} = await import("../src/services/detectionPipeline.js");
+const { validateDetectionSettings, resolveDetectionSettings, resolveFramesPerCheck } = await import(
+  "../src/services/detectionSettings.js"
+);
+const { forgetIncidents } = await import("../src/services/incidentTracker.js");
+const { getConfirmationState, forgetConfirmation } = await import(
+  "../src/services/confirmationTracker.js"
+);
+const { forgetMotion } = await import("../src/services/motionGate.js");
+const { stopInferencePool } = await import("../src/services/inferencePool.js");
+const { readManifest } = await import("../src/services/modelManifest.js");
+
+// -------------------------------------------------------------------
+// 🎞️ Clip Frames
+// -------------------------------------------------------------------
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const ff = spawn(cfg.ffmpeg, args, { stdio: ["ignore", "pipe", "pipe"] });
+    const chunks = [];
+    let stderr = "";
+    ff.stdout.on("data", (chunk) => chunks.push(chunk));
+    ff.stderr.on("data", (d) => {
+      stderr += d.toString();
+    });
+    ff.on("error", reject);
+    ff.on("close", (code) => resolve({ code, stdout: Buffer.concat(chunks), stderr }));
+  });
+}
+
+async function getClipDuration(file) {
+  // ffmpeg with no output prints the input's duration and exits non-zero
+  const { stderr } = await runFfmpeg(["-hide_banner", "-i", file]);
+  const match = stderr.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+  if (!match) {
+    throw new Error(`Could not read the duration of ${file}`);
+  }
+  const [, h, m, s] = match;
+  return (Number(h) * 3600 + Number(m) * 60 + Number(s)) * 1000;
+}
+
+async function grabFrameAt(file, timeMs) {
+  const { code, stdout, stderr } = await runFfmpeg([
+    "-hide_banner", "-loglevel", "error",
+    "-ss", (timeMs / 1000).toFixed(3),
+    "-i", file,
+    "-frames:v", "1",
+    "-q:v", "2",
+    "-f", "image2pipe",
+    "-c:v", "mjpeg",
+    "-",
+  ]);
+  if (code !== 0 || stdout.length === 0) {
+    throw new Error(`No frame at ${(timeMs / 1000).toFixed(1)}s: ${stderr.trim().split("\n").pop() || `ffmpeg exit ${code}`}`);
+  }
+  return stdout;
+}
+
+// -------------------------------------------------------------------
+// 🔍 Simulated Detection Turns
+// -------------------------------------------------------------------
+/**
+ * Run every turn the queue would run on a clip.
+ * @returns {Object[]} turns: { start, end, frameTimes, types: { aiType -> { skipped, framesWithDetection, isReal, reason, confirmation, action } } }
+ */
+async function evaluateClip(clip, camera, detectors, { windowMs, cameras }) {
+  const framesPerCheck = resolveFramesPerCheck(camera);
+  const settingsByType = Object.fromEntries(
+    detectors.map((d) => [d.aiType, resolveDetectionSettings(camera, d.aiType)])
+  );
+
+  const cameraInterval = calculateCameraInterval(windowMs, cameras);
+  const spacing = frameSpacing(calculateFrameInterval(cameraInterval, framesPerCheck), framesPerCheck);
+  const turnLength = (framesPerCheck - 1) * spacing;
+  const period = cameras * (cameraInterval + turnLength);
+
+  const turns = [];
+  let start = 0;
+  while (start + turnLength <= clip.durationMs) {
+    const frameTimes = Array.from({ length: framesPerCheck }, (_, i) => start + i * spacing);
+    const framesByType = Object.fromEntries(detectors.map((d) => [d.aiType, []]));
+    let ran = null;
+
+    for (const [i, time] of frameTimes.entries()) {
+      try {
+        const frameBuffer = await grabFrameAt(clip.path, time);
+        ran ??= await selectDetectors(frameBuffer, camera, detectors, settingsByType, time);
+        if (ran.length === 0) break;
+
+        await detectFrame(frameBuffer, camera, ran, settingsByType, framesByType, {
+          frameNumber: i + 1,
+          framesPerCheck,
+        });
+      } catch (error) {
+        console.warn(`⚠️ ${clip.file}: ${error.message} - skipping frame`);
+      }
+    }
+
+    const end = frameTimes[frameTimes.length - 1];
+    const types = {};
+    for (const detector of detectors) {
+      // Gated off by the motion gate: no cycle, state unchanged
+      if (ran && !ran.includes(detector)) {
+        types[detector.aiType] = {
+          skipped: true,
+          framesWithDetection: 0,
+          isReal: false,
+          reason: "no_motion",
+          confirmation: getConfirmationState(camera.id, detector.aiType),
+          action: null,
+        };
+        continue;
+      }
+
+      // The queue's own decision, on a simulated clock so confirmation and
+      // incidents move as they would live
+      const frames = framesByType[detector.aiType];
+      const { isReal, reason, confirmation, action } = await decideDetectorTurn(
+        camera,
+        detector,
+        frames,
+        settingsByType[detector.aiType],
+        end
+      );
+      types[detector.aiType] = {
+        skipped: false,
+        framesWithDetection: frames.length,
+        isReal,
+        reason,
+        confirmation,
+        action,
+      };
+    }
+
+    turns.push({ start, end, frameTimes, types });
+
+    const suspected = Object.values(types).some((outcome) => outcome.confirmation === "suspected");
+    start = suspected
+      ? Math.min(start + period, end + cfg.detectors.suspectedRecheckMs)
+      : start + period;
+  }
+
+  forgetIncidents(camera.id);
+  forgetConfirmation(camera.id);
+  forgetMotion(camera.id);
+  return turns;
+}
+
+// -------------------------------------------------------------------
+// 📊 Scoring
+// -------------------------------------------------------------------
+function inRange(time, range) {
+  return time >= range.start && time <= range.end;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+function latencyStats(latencies) {
+  if (latencies.length === 0) {
+    return { mean: null, median: null, max: null };
+  }
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    mean: sorted.reduce((sum, l) => sum + l, 0) / sorted.length,
+    median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    max: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * Counts for one AI type on one clip (ranges and times in ms).
+ * A turn is labelled positive when any of its frames falls in a range.
+ * Turns the motion gate skipped count as negative turns (and in `skipped`).
+ * An alert is a turn that opened or reopened an incident (both notify); it
+ * is false when none of the turn's frames is in a range. Latency runs from
+ * a range's start to the last frame of the first confirmed turn inside it
+ * (passing validation alone doesn't alert until confirmation).
+ */
+function scoreClip(turns, ranges, aiType, durationMs) {
+  const counts = { tp: 0, fp: 0, fn: 0, tn: 0, skipped: 0, alerts: 0, falseAlerts: 0 };
+
+  for (const turn of turns) {
+    const labelled = turn.frameTimes.some((t) => ranges.some((r) => inRange(t, r)));
+    const { skipped, isReal, action } = turn.types[aiType];
+    if (skipped) counts.skipped++;
+
+    if (isReal && labelled) counts.tp++;
+    else if (isReal) counts.fp++;
+    else if (labelled) counts.fn++;
+    else counts.tn++;
+
+    if (action === "opened" || action === "reopened") {
+      counts.alerts++;
+      if (!labelled) counts.falseAlerts++;
+    }
+  }
+
+  const events = ranges.map((range) => {
+    const hit = turns.find((turn) => {
+      // Skipped turns keep the "confirmed" state but decided nothing
+      const { confirmation, action } = turn.types[aiType];
+      return confirmation === "confirmed" && action !== null && turn.frameTimes.some((t) => inRange(t, range));
+    });
+    return {
+      start: range.start / 1000,
+      end: range.end / 1000,
+      detected: Boolean(hit),
+      latencySeconds: hit ? (hit.end - range.start) / 1000 : null,
+    };
+  });
+
+  return { ...counts, durationMs, events };
+}
+
+function summarize({ tp, fp, fn, tn, skipped, alerts, falseAlerts, durationMs, events }) {
+  const hours = durationMs / 3600000;
+  const detected = events.filter((e) => e.detected);
+  return {
+    turns: { tp, fp, fn, tn },
+    skippedTurns: skipped,
+    precision: ratio(tp, tp + fp),
+    recall: ratio(tp, tp + fn),
+    alerts,
+    falseAlerts,
+    falseAlertsPerHour: ratio(falseAlerts, hours),
+    events: events.length,
+    eventsDetected: detected.length,
+    eventRecall: ratio(detected.length, events.length),
+    latencySeconds: latencyStats(detected.map((e) => e.latencySeconds)),
+  };
+}
+
+function addScores(total, score) {
+  for (const key of ["tp", "fp", "fn", "tn", "skipped", "alerts", "falseAlerts", "durationMs"]) {
+    total[key] += score[key];
+  }
+  total.events.push(...score.events);
+  return total;
+}
+
+// -------------------------------------------------------------------
+// 📋 Input
+// -------------------------------------------------------------------
+function parseCli() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      "ai-types": { type: "string" },
+      settings: { type: "string" },
+      "window-ms": { type: "string", default: String(DEFAULT_SAMPLING_WINDOW) },
+      cameras: { type: "string", default: "1" },
+      out: { type: "string", default: "evaluation-report.json" },
+    },
+  });
+
+  if (positionals.length !== 1) {
+    throw new Error("Usage: node scripts/evaluate-pipeline.js <labels.json> [--ai-types FIRE] [--settings file.json] [--window-ms 30000] [--cameras 1] [--out report.json]");
+  }
+
+  const windowMs = Number(values["window-ms"]);
+  const cameras = Number(values.cameras);
+  if (!(windowMs > 0) || !Number.isInteger(cameras) || cameras < 1) {
+    throw new Error("--window-ms must be positive and --cameras a whole number of at least 1");
+  }
+
+  return {
+    labelsPath: path.resolve(positionals[0]),
+    aiTypes: values["ai-types"]?.split(",").map((t) => t.trim().toUpperCase()).filter(Boolean),
+    settingsPath: values.settings ? path.resolve(values.settings) : null,
+    windowMs,
+    cameras,
+    out: path.resolve(values.out),
+  };
+}
+
+function loadLabels(labelsPath) {
+  const { clips } = JSON.parse(fs.readFileSync(labelsPath, "utf8"));
+  if (!Array.isArray(clips) || clips.length === 0) {
+    throw new Error(`${labelsPath}: "clips" must be a non-empty array`);
+  }
+
+  return clips.map((clip, i) => {
+    if (typeof clip.file !== "string") {
+      throw new Error(`${labelsPath}: clip ${i + 1} has no "file"`);
+    }
+    const labels = (clip.labels || []).map((label) => {
+      const aiType = String(label.class || "").toUpperCase();
+      if (!isKnownAiType(aiType)) {
+        throw new Error(`${clip.file}: unknown class "${label.class}". Must be one of: ${AI_TYPES.join(", ")}`);
+      }
+      if (!(label.start >= 0) || !(label.end > label.start)) {
+        throw new Error(`${clip.file}: label ${aiType} needs 0 <= start < end (seconds)`);
+      }
+      return { aiType, start: label.start * 1000, end: label.end * 1000 };
+    });
+    return { file: clip.file, path: path.resolve(path.dirname(labelsPath), clip.file), labels };
+  });
+}
+
+// -------------------------------------------------------------------
+// 📝 Report
+// -------------------------------------------------------------------
+function formatNumber(value, digits = 2) {
+  return value === null ? "-" : value.toFixed(digits);
+}
+
+function printSummary(report, out) {
+  console.log("\n📊 Pipeline evaluation");
+  console.log(`   Window ${report.options.windowMs}ms / ${report.options.cameras} camera(s), models: ${JSON.stringify(report.models)}`);
+
+  for (const clip of report.clips) {
+    console.log(`\n🎞️  ${clip.file} (${formatNumber(clip.durationSeconds, 1)}s, ${clip.turns.length} turns)`);
+    if (clip.error) {
+      console.log(`   ❌ ${clip.error}`);
+      continue;
+    }
+    for (const [aiType, m] of Object.entries(clip.metrics)) {
+      console.log(
+        `   ${aiType.padEnd(14)} precision ${formatNumber(m.precision)}  recall ${formatNumber(m.recall)}  ` +
+        `alerts ${m.alerts} (${m.falseAlerts} false)  events ${m.eventsDetected}/${m.events}  ` +
+        `latency ${formatNumber(m.latencySeconds.mean, 1)}s`
+      );
+    }
+  }
+
+  console.log("\n📈 Aggregate");
+  for (const [aiType, m] of Object.entries(report.aggregate)) {
+    console.log(
+      `   ${aiType.padEnd(14)} precision ${formatNumber(m.precision)}  recall ${formatNumber(m.recall)}  ` +
+      `false alerts/h ${formatNumber(m.falseAlertsPerHour)}  events ${m.eventsDetected}/${m.events}  ` +
+      `latency mean ${formatNumber(m.latencySeconds.mean, 1)}s / median ${formatNumber(m.latencySeconds.median, 1)}s / max ${formatNumber(m.latencySeconds.max, 1)}s`
+    );
+  }
+  console.log(`\n💾 Report written to ${out}\n`);
+}
+
+// -------------------------------------------------------------------
+// 🚀 Main
+// -------------------------------------------------------------------
+async function main() {
+  const options = parseCli();
+  const clips = loadLabels(options.labelsPath);
+
+  const labelledTypes = [...new Set(clips.flatMap((clip) => clip.labels.map((l) => l.aiType)))];
+  const aiTypes = options.aiTypes || (labelledTypes.length > 0 ? labelledTypes : [DEFAULT_AI_TYPE]);
+  const unknown = aiTypes.filter((t) => !isKnownAiType(t));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown AI type(s): ${unknown.join(", ")}. Must be one of: ${AI_TYPES.join(", ")}`);
+  }
+  const detectors = aiTypes.map(getDetector);
+
+  const detectionSettings = options.settingsPath
+    ? validateDetectionSettings(JSON.parse(fs.readFileSync(options.settingsPath, "utf8")))
+    : null;
+
+  const manifest = readManifest();
+  const report = {
+    generatedAt: new Date().toISOString(),
+    labels: options.labelsPath,
+    options: { aiTypes, windowMs: options.windowMs, cameras: options.cameras, detectionSettings },
+    models: {
+      active: Object.fromEntries(Object.entries(manifest.models).map(([id, m]) => [id, m.active])),
+      pinned: process.env.MODEL_VERSIONS || null,
+    },
+    clips: [],
+    aggregate: {},
+  };
+
+  const totals = Object.fromEntries(
+    aiTypes.map((t) => [t, { tp: 0, fp: 0, fn: 0, tn: 0, skipped: 0, alerts: 0, falseAlerts: 0, durationMs: 0, events: [] }])
+  );
+
+  for (const [i, clip] of clips.entries()) {
+    const entry = { file: clip.file, durationSeconds: null, turns: [], metrics: {} };
+    report.clips.push(entry);
+
+    try {
+      clip.durationMs = await getClipDuration(clip.path);
+      entry.durationSeconds = clip.durationMs / 1000;
+      console.log(`▶️  ${clip.file} (${i + 1}/${clips.length})`);
+
+      const camera = {
+        id: `evaluation-${i + 1}`,
+        name: path.basename(clip.file),
+        userId: "evaluation",
+        aiTypes,
+        zones: [],
+        detectionSettings,
+      };
+      const turns = await evaluateClip(clip, camera, detectors, options);
+
+      entry.turns = turns.map((turn) => ({
+        start: turn.start / 1000,
+        end: turn.end / 1000,
+        types: turn.types,
+      }));
+
+      for (const aiType of aiTypes) {
+        const ranges = clip.labels.filter((l) => l.aiType === aiType);
+        const score = scoreClip(turns, ranges, aiType, clip.durationMs);
+        entry.metrics[aiType] = { ...summarize(score), eventDetails: score.events };
+        addScores(totals[aiType], score);
+      }
+    } catch (error) {
+      entry.error = error.message;
+      console.error(`❌ ${clip.file}: ${error.message}`);
+    }
+  }
+
+  for (const aiType of aiTypes) {
+    report.aggregate[aiType] = summarize(totals[aiType]);
+  }
+
+  fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+  printSummary(report, options.out);
+}
+
+main()
+  .then(() => {
+    stopInferencePool();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("❌ Evaluation failed:", err.message);
+    stopInferencePool();
+    process.exit(1);
+  });
@@ -0,0 +1,241 @@
+import http from "node:http";
+import net from "node:net";
+import crypto from "node:crypto";
+import pino from "pino";
+
+const log = pino({ name: "notification-standins" });
+
+// Local stand-ins for testing notification channels without real services.
+//
+// Usage: node scripts/notification-standins.js [webhookSecret]
+//
+//   webhook channel -> http://localhost:9090/webhook (HMAC checked when a secret is given)
+//   chat channel    -> http://localhost:9090/chat
+//   smtp channel    -> host localhost, port 2525, secure false
+//   mqtt channel    -> mqtt://localhost:1883 (any topic, qos 0-2)
+//
+// Start the backend with NOTIFY_ALLOWED_HOSTS=localhost, otherwise these
+// local destinations are refused.
+//
+// Ports: STANDIN_HTTP_PORT (9090), STANDIN_SMTP_PORT (2525), STANDIN_MQTT_PORT (1883)
+// POST /fail?status=503 returns that status so retry/backoff can be observed.
+
+const HTTP_PORT = Number(process.env.STANDIN_HTTP_PORT || 9090);
+const SMTP_PORT = Number(process.env.STANDIN_SMTP_PORT || 2525);
+const MQTT_PORT = Number(process.env.STANDIN_MQTT_PORT || 1883);
+const webhookSecret = process.argv[2] || null;
+
+// -------------------------------------------------------------------
+// 🔗 HTTP: generic webhook + chat webhook
+// -------------------------------------------------------------------
+function verifySignature(req, body) {
+  if (!webhookSecret) return "not checked";
+
+  const timestamp = req.headers["x-firewatch-timestamp"];
+  const signature = req.headers["x-firewatch-signature"] || "";
+  const expected =
+    "sha256=" +
+    crypto.createHmac("sha256", webhookSecret).update(`${timestamp}.${body}`).digest("hex");
+
+  const valid =
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  return valid ? "valid" : "INVALID";
+}
+
+http
+  .createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+
+      if (req.method !== "POST") {
+        res.writeHead(405).end();
+        return;
+      }
+
+      if (url.pathname === "/fail") {
+        const status = Number(url.searchParams.get("status") || 503);
+        log.warn({ status }, "💥 Simulated failure");
+        res.writeHead(status).end();
+        return;
+      }
+
+      const signature = url.pathname === "/webhook" ? verifySignature(req, body) : undefined;
+      let payload = body;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        // keep raw body
+      }
+
+      log.info({ path: url.pathname, signature, payload }, "📨 HTTP notification received");
+
+      if (signature === "INVALID") {
+        res.writeHead(401).end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: true }));
+    });
+  })
+  .listen(HTTP_PORT, () => log.info(`🔗 Webhook/chat stand-in on http://localhost:${HTTP_PORT}`));
+
+// -------------------------------------------------------------------
+// 📧 SMTP sink (accepts every message, prints it)
+// -------------------------------------------------------------------
+net
+  .createServer((socket) => {
+    let inData = false;
+    let message = "";
+    let buffer = "";
+    const envelope = { from: null, to: [] };
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply("220 firewatch-standin ESMTP");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            log.info({ ...envelope, message }, "📧 SMTP message received");
+            message = "";
+            reply("250 OK: queued");
+          } else {
+            message += `${line.startsWith("..") ? line.slice(1) : line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "EHLO" || command === "HELO") {
+          reply("250 firewatch-standin");
+        } else if (command === "MAIL") {
+          envelope.from = line.slice(10).trim();
+          envelope.to = [];
+          reply("250 OK");
+        } else if (command === "RCPT") {
+          envelope.to.push(line.slice(8).trim());
+          reply("250 OK");
+        } else if (command === "DATA") {
+          inData = true;
+          reply("354 End data with <CR><LF>.<CR><LF>");
+        } else if (command === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+        } else {
+          reply("250 OK");
+        }
+      }
+    });
+
+    socket.on("error", (error) => log.warn({ error: error.message }, "SMTP socket error"));
+  })
+  .listen(SMTP_PORT, () => log.info(`📧 SMTP stand-in on localhost:${SMTP_PORT}`));
+
+// -------------------------------------------------------------------
+// 📡 MQTT sink (MQTT 3.1.1 subset: accepts every publish, prints it)
+// -------------------------------------------------------------------
+const MQTT = {
+  CONNECT: 1,
+  PUBLISH: 3,
+  PUBREL: 6,
+  SUBSCRIBE: 8,
+  PINGREQ: 12,
+  DISCONNECT: 14,
+};
+
+// Remaining length is a 1-4 byte varint after the fixed header byte
+function readPacket(buffer) {
+  let length = 0;
+  let multiplier = 1;
+  let offset = 1;
+  while (offset < buffer.length && offset <= 4) {
+    const byte = buffer[offset++];
+    length += (byte & 0x7f) * multiplier;
+    if (!(byte & 0x80)) {
+      if (buffer.length < offset + length) return null;
+      return {
+        type: buffer[0] >> 4,
+        flags: buffer[0] & 0x0f,
+        body: buffer.subarray(offset, offset + length),
+        size: offset + length,
+      };
+    }
+    multiplier *= 128;
+  }
+  return null;
+}
+
+function handlePublish(socket, flags, body) {
+  const qos = (flags >> 1) & 0x03;
+  const topicLength = body.readUInt16BE(0);
+  const topic = body.subarray(2, 2 + topicLength).toString();
+  let offset = 2 + topicLength;
+
+  let packetId = null;
+  if (qos > 0) {
+    packetId = body.readUInt16BE(offset);
+    offset += 2;
+  }
+
+  const raw = body.subarray(offset).toString();
+  let payload = raw;
+  try {
+    payload = JSON.parse(raw);
+  } catch {
+    // keep raw payload
+  }
+  log.info({ topic, qos, payload }, "📡 MQTT message received");
+
+  // PUBACK for QoS 1, PUBREC for QoS 2 (PUBCOMP follows the client's PUBREL)
+  if (qos === 1) socket.write(Buffer.from([0x40, 2, packetId >> 8, packetId & 0xff]));
+  if (qos === 2) socket.write(Buffer.from([0x50, 2, packetId >> 8, packetId & 0xff]));
+}
+
+net
+  .createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      let packet;
+      while ((packet = readPacket(buffer))) {
+        buffer = buffer.subarray(packet.size);
+        const { type, flags, body } = packet;
+
+        if (type === MQTT.CONNECT) {
+          socket.write(Buffer.from([0x20, 2, 0, 0]));
+        } else if (type === MQTT.PUBLISH) {
+          handlePublish(socket, flags, body);
+        } else if (type === MQTT.PUBREL) {
+          socket.write(Buffer.from([0x70, 2, body[0], body[1]]));
+        } else if (type === MQTT.SUBSCRIBE) {
+          // Grant QoS 0 for every requested topic; nothing is ever delivered
+          let offset = 2;
+          const granted = [];
+          while (offset < body.length) {
+            offset += 2 + body.readUInt16BE(offset) + 1;
+            granted.push(0);
+          }
+          socket.write(Buffer.from([0x90, 2 + granted.length, body[0], body[1], ...granted]));
+        } else if (type === MQTT.PINGREQ) {
+          socket.write(Buffer.from([0xd0, 0]));
+        } else if (type === MQTT.DISCONNECT) {
+          socket.end();
+        }
+      }
+    });
+
+    socket.on("error", (error) => log.warn({ error: error.message }, "MQTT socket error"));
+  })
+  .listen(MQTT_PORT, () => log.info(`📡 MQTT stand-in on mqtt://localhost:${MQTT_PORT}`));
@@ -0,0 +1,304 @@
+import http from "node:http";
+import dgram from "node:dgram";
+import crypto from "node:crypto";
+import pino from "pino";
+import { escapeXml, xmlElements, xmlText } from "../src/services/onvif.js";
+
+const log = pino({ name: "onvif-simulator" });
+
+// -------------------------------------------------------------------
+// 📡 Simulated ONVIF Cameras
+// -------------------------------------------------------------------
+// Answers WS-Discovery probes and the ONVIF calls FireWatch makes, so
+// discovery, auto-configuration and PTZ can be tried without hardware.
+// PTZ moves only change a logged position - the video doesn't move.
+//
+// Usage: node scripts/onvif-simulator.js [username] [password]   (default admin / admin)
+//
+//   Run the backend with ONVIF_DISCOVERY_ADDRESS=127.0.0.1 (multicast often
+//   doesn't loop back), then POST /api/cameras/discover with the credentials.
+//
+// Env: ONVIF_SIM_DEVICES (1) devices, on HTTP ports ONVIF_SIM_HTTP_PORT (8000) and up
+//      ONVIF_SIM_HOST (127.0.0.1) address the device advertises
+//      ONVIF_SIM_RTSP_PORT (8554) port in the stream URIs
+//
+// The stream URIs point at rtsp://<host>:<rtsp port>/sim<N>_main and _sub.
+// To have video there, publish a test pattern to MediaMTX:
+//   ffmpeg -re -f lavfi -i testsrc=size=1920x1080:rate=10 -c:v libx264 -f rtsp rtsp://localhost:8554/sim1_main
+
+const USERNAME = process.argv[2] || "admin";
+const PASSWORD = process.argv[3] || "admin";
+const DEVICES = Number(process.env.ONVIF_SIM_DEVICES || 1);
+const HTTP_PORT = Number(process.env.ONVIF_SIM_HTTP_PORT || 8000);
+const HOST = process.env.ONVIF_SIM_HOST || "127.0.0.1";
+const RTSP_PORT = Number(process.env.ONVIF_SIM_RTSP_PORT || 8554);
+const DISCOVERY_GROUP = "239.255.255.250";
+const DISCOVERY_PORT = 3702;
+
+const devices = Array.from({ length: DEVICES }, (_, i) => ({
+  index: i + 1,
+  uuid: crypto.randomUUID(),
+  name: `Simulated Camera ${i + 1}`,
+  httpPort: HTTP_PORT + i,
+  position: { pan: 0, tilt: 0, zoom: 0 },
+  presets: new Map([["1", { name: "Home", position: { pan: 0, tilt: 0, zoom: 0 } }]]),
+  nextPreset: 2,
+}));
+
+const SOAP_NS = "http://www.w3.org/2003/05/soap-envelope";
+
+function envelope(body, header = "") {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<s:Envelope xmlns:s="${SOAP_NS}" xmlns:a="http://schemas.xmlsoap.org/ws/2004/08/addressing" xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:dn="http://www.onvif.org/ver10/network/wsdl" xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:trt="http://www.onvif.org/ver10/media/wsdl" xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
+<s:Header>${header}</s:Header>
+<s:Body>${body}</s:Body>
+</s:Envelope>`;
+}
+
+function fault(reason) {
+  return envelope(`<s:Fault>
+<s:Code><s:Value>s:Sender</s:Value></s:Code>
+<s:Reason><s:Text xml:lang="en">${escapeXml(reason)}</s:Text></s:Reason>
+</s:Fault>`);
+}
+
+// -------------------------------------------------------------------
+// 🔎 WS-Discovery
+// -------------------------------------------------------------------
+function probeMatches(device, relatesTo) {
+  const scopes = [
+    `onvif://www.onvif.org/name/${encodeURIComponent(device.name)}`,
+    "onvif://www.onvif.org/hardware/FW-SIM",
+    "onvif://www.onvif.org/location/Simulator",
+    "onvif://www.onvif.org/type/video_encoder",
+  ].join(" ");
+
+  return envelope(
+    `<d:ProbeMatches><d:ProbeMatch>
+<a:EndpointReference><a:Address>urn:uuid:${device.uuid}</a:Address></a:EndpointReference>
+<d:Types>dn:NetworkVideoTransmitter</d:Types>
+<d:Scopes>${escapeXml(scopes)}</d:Scopes>
+<d:XAddrs>http://${HOST}:${device.httpPort}/onvif/device_service</d:XAddrs>
+<d:MetadataVersion>1</d:MetadataVersion>
+</d:ProbeMatch></d:ProbeMatches>`,
+    `<a:Action>http://schemas.xmlsoap.org/ws/2005/04/discovery/ProbeMatches</a:Action>
+<a:MessageID>uuid:${crypto.randomUUID()}</a:MessageID>
+<a:RelatesTo>${escapeXml(relatesTo)}</a:RelatesTo>`
+  );
+}
+
+const discovery = dgram.createSocket({ type: "udp4", reuseAddr: true });
+
+discovery.on("message", (message, rinfo) => {
+  const xml = message.toString("utf8");
+  if (!/<(\w+:)?Probe[\s>]/.test(xml)) return;
+
+  const messageId = xmlText(xml, "MessageID");
+  log.info({ from: `${rinfo.address}:${rinfo.port}`, messageId }, "🔎 Probe received");
+
+  for (const device of devices) {
+    discovery.send(Buffer.from(probeMatches(device, messageId)), rinfo.port, rinfo.address);
+  }
+});
+
+discovery.bind(DISCOVERY_PORT, () => {
+  try {
+    discovery.addMembership(DISCOVERY_GROUP);
+  } catch (error) {
+    log.warn({ error: error.message }, "⚠️ Multicast unavailable - answering unicast probes only");
+  }
+  log.info(`📡 WS-Discovery on udp/${DISCOVERY_PORT}`);
+});
+
+// -------------------------------------------------------------------
+// 🔐 UsernameToken Check
+// -------------------------------------------------------------------
+function authorized(xml) {
+  const username = xmlText(xml, "Username");
+  const digest = xmlText(xml, "Password");
+  const nonce = xmlText(xml, "Nonce");
+  const created = xmlText(xml, "Created");
+  if (username !== USERNAME || !digest || !nonce || !created) return false;
+
+  const expected = crypto
+    .createHash("sha1")
+    .update(Buffer.concat([Buffer.from(nonce, "base64"), Buffer.from(created + PASSWORD, "utf8")]))
+    .digest("base64");
+  return expected === digest;
+}
+
+// -------------------------------------------------------------------
+// 🎞️ Device + Media Services
+// -------------------------------------------------------------------
+const PROFILES = [
+  { token: "main", name: "MainStream", width: 1920, height: 1080, path: "main" },
+  { token: "sub", name: "SubStream", width: 640, height: 360, path: "sub" },
+];
+
+function profileXml({ token, name, width, height }) {
+  return `<trt:Profiles token="${token}" fixed="true">
+<tt:Name>${name}</tt:Name>
+<tt:VideoSourceConfiguration token="vsc"><tt:Name>VideoSource</tt:Name><tt:SourceToken>vs</tt:SourceToken><tt:Bounds x="0" y="0" width="1920" height="1080"/></tt:VideoSourceConfiguration>
+<tt:VideoEncoderConfiguration token="vec_${token}">
+<tt:Name>${name}Encoder</tt:Name>
+<tt:Encoding>H264</tt:Encoding>
+<tt:Resolution><tt:Width>${width}</tt:Width><tt:Height>${height}</tt:Height></tt:Resolution>
+<tt:RateControl><tt:FrameRateLimit>10</tt:FrameRateLimit></tt:RateControl>
+</tt:VideoEncoderConfiguration>
+</trt:Profiles>`;
+}
+
+function handle(device, xml) {
+  const base = `http://${HOST}:${device.httpPort}/onvif`;
+  const action = xml.match(/<(?:\w+:)?Body[^>]*>\s*<(?:\w+:)?(\w+)/)?.[1];
+
+  // The only call allowed without credentials, as on real cameras
+  if (action === "GetSystemDateAndTime") {
+    const now = new Date();
+    return envelope(`<tds:GetSystemDateAndTimeResponse><tds:SystemDateAndTime>
+<tt:DateTimeType>NTP</tt:DateTimeType>
+<tt:UTCDateTime>
+<tt:Time><tt:Hour>${now.getUTCHours()}</tt:Hour><tt:Minute>${now.getUTCMinutes()}</tt:Minute><tt:Second>${now.getUTCSeconds()}</tt:Second></tt:Time>
+<tt:Date><tt:Year>${now.getUTCFullYear()}</tt:Year><tt:Month>${now.getUTCMonth() + 1}</tt:Month><tt:Day>${now.getUTCDate()}</tt:Day></tt:Date>
+</tt:UTCDateTime>
+</tds:SystemDateAndTime></tds:GetSystemDateAndTimeResponse>`);
+  }
+
+  if (!authorized(xml)) {
+    return { status: 401, body: fault("Sender not authorized") };
+  }
+
+  switch (action) {
+    case "GetCapabilities":
+      return envelope(`<tds:GetCapabilitiesResponse><tds:Capabilities>
+<tt:Device><tt:XAddr>${base}/device_service</tt:XAddr></tt:Device>
+<tt:Media><tt:XAddr>${base}/media_service</tt:XAddr></tt:Media>
+<tt:PTZ><tt:XAddr>${base}/ptz_service</tt:XAddr></tt:PTZ>
+</tds:Capabilities></tds:GetCapabilitiesResponse>`);
+
+    case "GetDeviceInformation":
+      return envelope(`<tds:GetDeviceInformationResponse>
+<tds:Manufacturer>FireWatch</tds:Manufacturer>
+<tds:Model>FW-SIM</tds:Model>
+<tds:FirmwareVersion>1.0.0</tds:FirmwareVersion>
+<tds:SerialNumber>SIM-${device.index}</tds:SerialNumber>
+<tds:HardwareId>FW-SIM</tds:HardwareId>
+</tds:GetDeviceInformationResponse>`);
+
+    case "GetProfiles":
+      return envelope(`<trt:GetProfilesResponse>${PROFILES.map(profileXml).join("")}</trt:GetProfilesResponse>`);
+
+    case "GetStreamUri": {
+      const profile = PROFILES.find((p) => p.token === xmlText(xml, "ProfileToken"));
+      if (!profile) return { status: 400, body: fault("No such profile") };
+      return envelope(`<trt:GetStreamUriResponse><trt:MediaUri>
+<tt:Uri>rtsp://${HOST}:${RTSP_PORT}/sim${device.index}_${profile.path}</tt:Uri>
+<tt:InvalidAfterConnect>false</tt:InvalidAfterConnect>
+<tt:InvalidAfterReboot>false</tt:InvalidAfterReboot>
+<tt:Timeout>PT0S</tt:Timeout>
+</trt:MediaUri></trt:GetStreamUriResponse>`);
+    }
+
+    case "ContinuousMove":
+    case "RelativeMove":
+    case "Stop":
+    case "GetPresets":
+    case "SetPreset":
+    case "GotoPreset":
+    case "RemovePreset":
+      return handlePtz(device, action, xml);
+
+    default:
+      return { status: 400, body: fault(`Action ${action} not supported by the simulator`) };
+  }
+}
+
+// -------------------------------------------------------------------
+// 🎯 PTZ Service
+// -------------------------------------------------------------------
+const clampAxis = (value, min = -1) => Math.max(min, Math.min(1, value));
+
+function axes(xml, tag) {
+  const [element] = xmlElements(xml, tag);
+  if (!element) return { pan: 0, tilt: 0, zoom: 0 };
+  const [panTilt] = xmlElements(element.inner, "PanTilt");
+  const [zoom] = xmlElements(element.inner, "Zoom");
+  return {
+    pan: Number(panTilt?.attrs.x || 0),
+    tilt: Number(panTilt?.attrs.y || 0),
+    zoom: Number(zoom?.attrs.x || 0),
+  };
+}
+
+function moveBy(device, delta) {
+  const { position } = device;
+  device.position = {
+    pan: clampAxis(position.pan + delta.pan),
+    tilt: clampAxis(position.tilt + delta.tilt),
+    zoom: clampAxis(position.zoom + delta.zoom, 0),
+  };
+}
+
+function handlePtz(device, action, xml) {
+  switch (action) {
+    case "ContinuousMove": {
+      // Applied at once: velocity x timeout
+      const seconds = Number(xmlText(xml, "Timeout")?.match(/PT([\d.]+)S/)?.[1] || 1);
+      const velocity = axes(xml, "Velocity");
+      moveBy(device, { pan: velocity.pan * seconds * 0.1, tilt: velocity.tilt * seconds * 0.1, zoom: velocity.zoom * seconds * 0.1 });
+      break;
+    }
+    case "RelativeMove":
+      moveBy(device, axes(xml, "Translation"));
+      break;
+    case "Stop":
+      break;
+
+    case "GetPresets":
+      return envelope(`<tptz:GetPresetsResponse>${[...device.presets]
+        .map(([token, { name }]) => `<tptz:Preset token="${token}"><tt:Name>${escapeXml(name)}</tt:Name></tptz:Preset>`)
+        .join("")}</tptz:GetPresetsResponse>`);
+
+    case "SetPreset": {
+      const token = String(device.nextPreset++);
+      device.presets.set(token, { name: xmlText(xml, "PresetName") || `Preset ${token}`, position: { ...device.position } });
+      return envelope(`<tptz:SetPresetResponse><tptz:PresetToken>${token}</tptz:PresetToken></tptz:SetPresetResponse>`);
+    }
+    case "GotoPreset":
+    case "RemovePreset": {
+      const token = xmlText(xml, "PresetToken");
+      const preset = device.presets.get(token);
+      if (!preset) return { status: 400, body: fault(`No such preset ${token}`) };
+      if (action === "GotoPreset") device.position = { ...preset.position };
+      else device.presets.delete(token);
+      break;
+    }
+  }
+
+  log.info({ device: device.index, action, position: device.position }, "🎯 PTZ");
+  return envelope(`<tptz:${action}Response/>`);
+}
+
+for (const device of devices) {
+  http
+    .createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        if (req.method !== "POST") {
+          res.writeHead(405).end();
+          return;
+        }
+
+        const result = handle(device, body);
+        const { status, body: xml } = typeof result === "string" ? { status: 200, body: result } : result;
+        log.info({ device: device.index, path: req.url, status }, "📨 SOAP request");
+
+        res.writeHead(status, { "Content-Type": "application/soap+xml; charset=utf-8" });
+        res.end(xml);
+      });
+    })
+    .listen(device.httpPort, () =>
+      log.info(`🎥 ${device.name} on http://${HOST}:${device.httpPort}/onvif/device_service (${USERNAME} / ${PASSWORD})`)
+    );
+}
@@ -1,4 +1,3 @@
-
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 import fs from "fs";
 import path from "path";
@@ -11,6 +10,11 @@ const BACKEND_ROOT = path.resolve(__dirname, "../");
 // Load .env from backend root
 dotenv.config({ path: path.join(BACKEND_ROOT, ".env") });
 
+// After dotenv, so MODELS_DIR_OVERRIDE from .env applies
+const { MODELS_DIR, MANIFEST_FILE, readManifest, writeManifest, sha256File } = await import(
+    "../src/services/modelManifest.js"
+);
+
 const s3 = new S3Client({
     region: process.env.AWS_REGION || "us-east-1",
     credentials: {
@@ -20,7 +24,6 @@ const s3 = new S3Client({
 });
 
 const BUCKET_NAME = process.env.S3_BUCKET_MODELS;
-const MODELS_DIR = path.join(BACKEND_ROOT, "models");
 
 async function uploadFile(fileName) {
     const filePath = path.join(MODELS_DIR, fileName);
@@ -32,12 +35,8 @@ async function uploadFile(fileName) {
         Body: fileContent,
     });
 
-    try {
-        await s3.send(command);
-        console.log(`✅ Uploaded ${fileName} to ${BUCKET_NAME}`);
-    } catch (err) {
-        console.error(`❌ Failed to upload ${fileName}:`, err);
-    }
+    await s3.send(command);
+    console.log(`✅ Uploaded ${fileName} to ${BUCKET_NAME}`);
 }
 
 async function main() {
@@ -53,17 +52,45 @@ async function main() {
         process.exit(1);
     }
 
-    const files = fs.readdirSync(MODELS_DIR).filter(f => f.endsWith(".onnx"));
-
-    if (files.length === 0) {
-        console.log("⚠️ No .onnx files found to upload.");
-        return;
+    // Every version in the manifest; checksums are filled in for files
+    // that don't have one yet (e.g. the built-in models)
+    const manifest = readManifest();
+    let failed = 0;
+
+    for (const [modelId, model] of Object.entries(manifest.models)) {
+        for (const entry of model.versions) {
+            const filePath = path.join(MODELS_DIR, entry.file);
+            if (!fs.existsSync(filePath)) {
+                console.log(`⚠️ ${modelId} ${entry.version}: ${entry.file} not found locally. Skipping.`);
+                continue;
+            }
+
+            const sha256 = await sha256File(filePath);
+            if (entry.sha256 && entry.sha256 !== sha256) {
+                console.error(`❌ ${modelId} ${entry.version}: ${entry.file} does not match its manifest checksum. Not uploading.`);
+                failed++;
+                continue;
+            }
+            entry.sha256 = sha256;
+
+            try {
+                await uploadFile(entry.file);
+            } catch (err) {
+                console.error(`❌ Failed to upload ${entry.file}:`, err);
+                failed++;
+            }
+        }
     }
 
-    for (const file of files) {
-        await uploadFile(file);
+    if (failed > 0) {
+        console.error(`❌ ${failed} model file(s) failed - manifest not uploaded`);
+        process.exit(1);
     }
 
+    // Manifest last, so a download never sees versions whose files aren't there yet
+    writeManifest(manifest);
+    await uploadFile(MANIFEST_FILE);
+
     console.log("✨ All uploads complete!");
 }
 
@@ -1,21 +1,66 @@
+import { timingSafeEqual } from "node:crypto";
 import { cfg } from "../config.js";
 import { CognitoJwtVerifier } from "aws-jwt-verify";
 
-const verifier = CognitoJwtVerifier.create({
-  userPoolId: cfg.cognito.poolId,
-  tokenUse: "id",           // use "access" if your frontend sends access tokens
-  clientId: cfg.cognito.clientId
-});
+// Created on first use: without Cognito env (offline / service mode) the
+// server still starts, and only Bearer tokens are rejected
+let verifier = null;
+
+/**
+ * Verify a Cognito ID token (HTTP Bearer and WebSocket auth)
+ * @returns {Promise<Object>} token payload
+ * @throws {Error} when the token is invalid or Cognito is not configured
+ */
+export async function verifyIdToken(token) {
+  if (!verifier) {
+    if (!cfg.cognito.poolId || !cfg.cognito.clientId) {
+      throw new Error("Cognito is not configured (COGNITO_USER_POOL_ID, COGNITO_CLIENT_ID)");
+    }
+    verifier = CognitoJwtVerifier.create({
+      userPoolId: cfg.cognito.poolId,
+      tokenUse: "id",           // use "access" if your frontend sends access tokens
+      clientId: cfg.cognito.clientId
+    });
+  }
+  return verifier.verify(token);
+}
+
+// Constant-time comparison so the key can't be guessed byte by byte
+function isServiceApiKey(key) {
+  if (!cfg.service.apiKey || !key) return false;
+  const expected = Buffer.from(cfg.service.apiKey);
+  const given = Buffer.from(String(key));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
 
 export async function requireAuth(req, res, next) {
+  // Service identity: unattended clients authenticate with x-api-key
+  const apiKey = req.headers["x-api-key"];
+  if (apiKey) {
+    if (!isServiceApiKey(apiKey)) {
+      return res.status(401).json({ error: "Invalid API key" });
+    }
+    req.user = { sub: cfg.service.userId, email: null, service: true };
+    return next();
+  }
+
   try {
     const auth = req.headers.authorization || "";
     const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
     if (!token) return res.status(401).json({ error: "Missing Bearer token" });
-    const payload = await verifier.verify(token);
+    const payload = await verifyIdToken(token);
     req.user = { sub: payload.sub, email: payload.email };
     next();
   } catch (e) {
     res.status(401).json({ error: "Invalid token", detail: String(e) });
   }
 }
+
+// After requireAuth: routes that change shared state (e.g. the global models)
+// are for the service identity only, not for any signed-in tenant
+export function requireService(req, res, next) {
+  if (!req.user?.service) {
+    return res.status(403).json({ error: "Only the service identity (x-api-key) can do this" });
+  }
+  next();
+}
@@ -2,6 +2,7 @@ import "dotenv/config";
 import path from "path";
 import { fileURLToPath } from "url";
 import os from "os";
+import { STORAGE_BACKENDS } from "./db/repository.js";
 
 // ✅ Import bundled ffmpeg
 let ffmpegStatic;
@@ -53,13 +54,180 @@ export const cfg = {
     FIRE: process.env.FIRE_ENDPOINT,
     INTRUSION: process.env.INTRUSION_ENDPOINT,
     CROWD_DENSITY: process.env.CROWD_DENSITY_ENDPOINT,
-    ANONYMIZATION: process.env.ANONYMIZATION_ENDPOINT,
     WEAPON: process.env.WEAPON_ENDPOINT,
   },
 
+  // Storage backend: "dynamodb" (default) or "sqlite" (Prisma, fully offline)
+  storage: {
+    backend: (process.env.STORAGE_BACKEND || "dynamodb").toLowerCase(),
+  },
+
+  // Alert workflow: unacknowledged alerts escalate to a second notification tier
+  alerts: {
+    escalationDelayMs: Number(process.env.ALERT_ESCALATION_DELAY_MS || 300000),
+    escalationTopicArn: process.env.SNS_ESCALATION_TOPIC_ARN || null,
+  },
+
+  // Incidents: consecutive positive cycles on a camera are one incident.
+  // Renotify 0 = never remind while an incident is ongoing.
+  incidents: {
+    cooldownMs: Number(process.env.INCIDENT_COOLDOWN_MS || 300000),
+    renotifyIntervalMs: Number(process.env.INCIDENT_RENOTIFY_INTERVAL_MS ?? 900000),
+    clearAfterCycles: Number(process.env.INCIDENT_CLEAR_CYCLES || 3),
+  },
+
+  // Detector tuning (see services/detectors/). framesPerCheck to
+  // forcedCheckSeconds are global defaults for per-camera detection settings
+  // (services/detectionSettings.js); confidence defaults live with each detector.
+  // A detection alerts once confirmCycles of the last confirmWindow cycles were
+  // real (services/confirmationTracker.js); until then the camera is re-checked
+  // every suspectedRecheckMs, ahead of its turn.
+  detectors: {
+    crowdDensityThreshold: Number(process.env.CROWD_DENSITY_THRESHOLD || 10),
+    framesPerCheck: Number(process.env.FRAMES_PER_CHECK || 3),
+    iouThreshold: Number(process.env.BOX_IOU_THRESHOLD || 0.8),
+    flickerMinMotion: Number(process.env.FLICKER_MIN_MOTION || 0.005),
+    depthMinStdDev: Number(process.env.DEPTH_MIN_STDDEV || 0.001),
+    confirmCycles: Number(process.env.CONFIRM_CYCLES || 2),
+    confirmWindow: Number(process.env.CONFIRM_WINDOW || 3),
+    motionThreshold: Number(process.env.MOTION_THRESHOLD ?? 0.01),
+    forcedCheckSeconds: Number(process.env.FORCED_CHECK_SECONDS || 300),
+    suspectedRecheckMs: Number(process.env.SUSPECTED_RECHECK_MS || 5000),
+  },
+
+  // Motion gate (services/motionGate.js): frames are compared to a running
+  // average background at width x height; a pixel has changed when it is
+  // more than pixelDelta (0-255) off the background.
+  motion: {
+    width: Number(process.env.MOTION_WIDTH || 64),
+    height: Number(process.env.MOTION_HEIGHT || 36),
+    pixelDelta: Number(process.env.MOTION_PIXEL_DELTA || 25),
+    backgroundAlpha: Number(process.env.MOTION_BACKGROUND_ALPHA || 0.1),
+  },
+
+  // Camera health (services/cameraHealth.js). A camera is offline after
+  // offlineAfterFailures failed grabs in a row, frozen after frozenFrames
+  // identical frames, obstructed (covered / out of focus) after
+  // obstructedTurns turns below minStdDev contrast or minSharpness, and moved
+  // after sceneChangeTurns turns differing from its usual view by more than
+  // sceneChangeThreshold (mean 0-255). alerts raises CAMERA_HEALTH alerts.
+  health: {
+    offlineAfterFailures: Number(process.env.HEALTH_OFFLINE_FAILURES || 3),
+    frozenFrames: Number(process.env.HEALTH_FROZEN_FRAMES || 6),
+    minStdDev: Number(process.env.HEALTH_MIN_STDDEV || 6),
+    minSharpness: Number(process.env.HEALTH_MIN_SHARPNESS || 2),
+    obstructedTurns: Number(process.env.HEALTH_OBSTRUCTED_TURNS || 2),
+    sceneChangeThreshold: Number(process.env.HEALTH_SCENE_CHANGE || 35),
+    sceneChangeTurns: Number(process.env.HEALTH_SCENE_CHANGE_TURNS || 2),
+    movedHoldMs: Number(process.env.HEALTH_MOVED_HOLD_MS || 600000),
+    alerts: process.env.HEALTH_ALERTS === "true",
+  },
+
+  // ONNX inference runs in a pool of child processes (services/inferencePool.js).
+  // Jobs beyond maxQueue are dropped; a job past timeoutMs kills its worker.
+  inference: {
+    workers: Math.max(1, Number(process.env.INFERENCE_WORKERS || 2)),
+    maxQueue: Number(process.env.INFERENCE_MAX_QUEUE || 32),
+    timeoutMs: Number(process.env.INFERENCE_TIMEOUT_MS || 30000),
+  },
+
+  // Camera zones: share of a box's area that must fall inside a zone for it to count
+  zones: {
+    minOverlap: Number(process.env.ZONE_MIN_OVERLAP || 0.5),
+  },
+
+  // Shared frame grabber: one persistent decoder per source, emitting
+  // JPEG frames at `fps`. Decoders nobody asked for in `idleTimeoutMs` stop.
+  frames: {
+    fps: Number(process.env.FRAME_SOURCE_FPS || 2),
+    idleTimeoutMs: Number(process.env.FRAME_SOURCE_IDLE_MS || 120000),
+  },
+
+  // Pre/post-event clips: each monitored camera's MediaMTX path is recorded
+  // into a rolling buffer of short segments, stitched into an MP4 on a
+  // confirmed detection.
+  clips: {
+    enabled: process.env.CLIPS_ENABLED !== "false",
+    preSeconds: Number(process.env.CLIP_PRE_SECONDS || 15),
+    postSeconds: Number(process.env.CLIP_POST_SECONDS || 15),
+    segmentSeconds: Number(process.env.CLIP_SEGMENT_SECONDS || 2),
+    bufferDir: process.env.CLIP_BUFFER_DIR || path.join(os.tmpdir(), "firewatch-clips"),
+    rtspBase: process.env.CLIP_RTSP_BASE || "rtsp://localhost:8554",
+  },
+
+  // Where clips are stored: "s3" or "local" (served from /api/media).
+  // Defaults to local disk when running fully offline on SQLite.
+  media: {
+    storage: (
+      process.env.MEDIA_STORAGE ||
+      (process.env.STORAGE_BACKEND?.toLowerCase() === "sqlite" ? "local" : "s3")
+    ).toLowerCase(),
+    localDir: path.resolve(process.env.MEDIA_LOCAL_DIR || "./media"),
+    s3Bucket: process.env.S3_CLIP_BUCKET || process.env.S3_BUCKET || "fire-alert-frames",
+  },
+
+  // Headless service mode: start detection at boot without a browser login.
+  // SERVICE_API_KEY lets unattended clients call /api as SERVICE_USER_ID.
+  service: {
+    enabled: process.env.SERVICE_MODE === "true",
+    userId: process.env.SERVICE_USER_ID || null,
+    apiKey: process.env.SERVICE_API_KEY || null,
+  },
+
+  // Notification channels may not point at loopback / private / link-local
+  // addresses unless the host is listed here or private networks are allowed
+  notifications: {
+    allowedHosts: (process.env.NOTIFY_ALLOWED_HOSTS || "")
+      .split(",")
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean),
+    allowPrivateNetworks: process.env.NOTIFY_ALLOW_PRIVATE_NETWORKS === "true",
+  },
+
+  // ONVIF camera discovery. The probe goes to the WS-Discovery multicast
+  // group; ONVIF_DISCOVERY_ADDRESS=127.0.0.1 probes scripts/onvif-simulator.js
+  onvif: {
+    discoveryAddress: process.env.ONVIF_DISCOVERY_ADDRESS || "239.255.255.250",
+    discoveryPort: Number(process.env.ONVIF_DISCOVERY_PORT || 3702),
+    discoveryTimeoutMs: Number(process.env.ONVIF_DISCOVERY_TIMEOUT_MS || 3000),
+    requestTimeoutMs: Number(process.env.ONVIF_REQUEST_TIMEOUT_MS || 5000),
+  },
+
+  // PTZ (ONVIF). After a move the camera-health check relearns the view for
+  // settleMs instead of reporting it as moved. A zoom toward a detection box
+  // pans / tilts by the box's offset from centre times boxPanScale /
+  // boxTiltScale (share of the camera's range) and zooms in by boxZoomStep.
+  // The alert for a new incident waits for its move (at most settleMs) and
+  // then alertFrameDelayMs before grabbing its frame from the new view.
+  ptz: {
+    settleMs: Number(process.env.PTZ_SETTLE_MS || 15000),
+    alertFrameDelayMs: Number(process.env.PTZ_ALERT_FRAME_DELAY_MS || 2000),
+    moveTimeoutMs: Number(process.env.PTZ_MOVE_TIMEOUT_MS || 1000),
+    boxPanScale: Number(process.env.PTZ_BOX_PAN_SCALE || 0.3),
+    boxTiltScale: Number(process.env.PTZ_BOX_TILT_SCALE || 0.3),
+    boxZoomStep: Number(process.env.PTZ_BOX_ZOOM_STEP || 0.3),
+  },
+
   port: Number(process.env.PORT || 4000),
   isElectron,
 };
 
-console.log("✅ Config loaded - DynamoDB mode (no local database)");
+if (!STORAGE_BACKENDS.includes(cfg.storage.backend)) {
+  throw new Error(
+    `Invalid STORAGE_BACKEND "${cfg.storage.backend}". Must be one of: ${STORAGE_BACKENDS.join(", ")}`
+  );
+}
+
+if (!["s3", "local"].includes(cfg.media.storage)) {
+  throw new Error(`Invalid MEDIA_STORAGE "${cfg.media.storage}". Must be one of: s3, local`);
+}
+
+if (cfg.service.apiKey && !cfg.service.userId) {
+  throw new Error("SERVICE_API_KEY requires SERVICE_USER_ID (the identity API key requests act as)");
+}
+
+console.log(`✅ Config loaded - ${cfg.storage.backend} storage`);
 console.log("🔥 Fire Endpoint:", cfg.fireEndpoint);
+if (cfg.service.enabled) {
+  console.log("🤖 Service mode enabled - detection starts at boot");
+}
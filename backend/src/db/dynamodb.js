@@ -1,6 +1,8 @@
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
 import { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand, DeleteCommand, QueryCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
 import pino from "pino";
+import { cfg } from "../config.js";
+import { assertRepository } from "./repository.js";
 
 const log = pino({ name: "dynamodb" });
 
@@ -18,6 +20,8 @@ const docClient = DynamoDBDocumentClient.from(client);
 
 const CAMERAS_TABLE = process.env.DYNAMODB_CAMERAS_TABLE || "FireWatch-Cameras";
 const USERS_TABLE = process.env.DYNAMODB_USERS_TABLE || "FireWatch-Users";
+const EVENTS_TABLE = process.env.DYNAMODB_EVENTS_TABLE || "FireWatch-DetectionEvents";
+const ALERTS_TABLE = process.env.DYNAMODB_ALERTS_TABLE || "FireWatch-Alerts";
 
 // ===================================================================
 // USERS OPERATIONS
@@ -123,6 +127,80 @@ export async function getUserSamplingRate(userId, defaultSamplingRate = 30000) {
   }
 }
 
+/**
+ * Get user's notification channels (webhook, chat, smtp, mqtt)
+ */
+export async function getNotificationChannels(userId) {
+  try {
+    const user = await getUser(userId);
+    return user?.notificationChannels || [];
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get notification channels");
+    throw error;
+  }
+}
+
+/**
+ * Replace user's notification channels
+ */
+export async function updateNotificationChannels(userId, channels) {
+  try {
+    const result = await docClient.send(new UpdateCommand({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      UpdateExpression: "SET notificationChannels = :channels, updatedAt = :updatedAt",
+      ExpressionAttributeValues: {
+        ":channels": channels,
+        ":updatedAt": new Date().toISOString(),
+      },
+      ReturnValues: "ALL_NEW",
+    }));
+
+    log.info({ userId, count: channels.length }, "Notification channels updated");
+    return result.Attributes.notificationChannels || [];
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to update notification channels");
+    throw error;
+  }
+}
+
+/**
+ * Get user's location hierarchy (sites, buildings, floors, zones)
+ */
+export async function getLocations(userId) {
+  try {
+    const user = await getUser(userId);
+    return user?.locations || [];
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get locations");
+    throw error;
+  }
+}
+
+/**
+ * Replace user's location hierarchy
+ */
+export async function updateLocations(userId, locations) {
+  try {
+    const result = await docClient.send(new UpdateCommand({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      UpdateExpression: "SET locations = :locations, updatedAt = :updatedAt",
+      ExpressionAttributeValues: {
+        ":locations": locations,
+        ":updatedAt": new Date().toISOString(),
+      },
+      ReturnValues: "ALL_NEW",
+    }));
+
+    log.info({ userId, count: locations.length }, "Locations updated");
+    return result.Attributes.locations || [];
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to update locations");
+    throw error;
+  }
+}
+
 // ===================================================================
 // ID COUNTER - Get next numeric ID
 // ===================================================================
@@ -290,6 +368,31 @@ export async function getActiveCameras(userId) {
   }
 }
 
+/**
+ * Get every camera across all users (MediaMTX paths, service startup)
+ */
+export async function getAllCameras() {
+  try {
+    const cameras = [];
+    let lastKey;
+
+    do {
+      const result = await docClient.send(new ScanCommand({
+        TableName: CAMERAS_TABLE,
+        ExclusiveStartKey: lastKey,
+      }));
+      cameras.push(...(result.Items || []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    log.info({ count: cameras.length }, "All cameras retrieved");
+    return cameras;
+  } catch (error) {
+    log.error({ error: error.message }, "Failed to get all cameras");
+    throw error;
+  }
+}
+
 /**
  * Get cameras by IDs
  */
@@ -322,13 +425,350 @@ export async function getCamerasByIds(userId, cameraIds) {
   }
 }
 
-export const dynamodb = {
+// ===================================================================
+// DETECTION EVENT OPERATIONS
+// ===================================================================
+
+function encodePageToken(key) {
+  return key ? Buffer.from(JSON.stringify(key)).toString("base64url") : null;
+}
+
+function decodePageToken(token) {
+  if (!token) return undefined;
+  try {
+    return JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid nextToken");
+  }
+}
+
+/**
+ * Store a detection event (confirmed or suppressed)
+ * Sort key is `<ISO timestamp>#<cameraId>#<suffix>` so time ranges map to key ranges
+ */
+export async function createDetectionEvent(userId, eventData) {
+  const timestamp = eventData.timestamp || new Date().toISOString();
+  const suffix = Math.random().toString(36).slice(2, 8);
+
+  const item = {
+    userId,
+    eventId: `${timestamp}#${eventData.cameraId}#${suffix}`,
+    ...eventData,
+    timestamp,
+  };
+
+  try {
+    await docClient.send(new PutCommand({
+      TableName: EVENTS_TABLE,
+      Item: item,
+    }));
+
+    log.info({ userId, eventId: item.eventId, verdict: item.verdict }, "Detection event stored");
+    return item;
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to store detection event");
+    throw error;
+  }
+}
+
+/**
+ * Query detection events for a user, newest first.
+ * Filters on camera/type/verdict are applied after the key range, so a page
+ * can hold fewer than `limit` items while `nextToken` is still set.
+ */
+export async function getDetectionEvents(userId, filters = {}) {
+  const { cameraId, aiType, verdict, from, to, limit = 50, nextToken } = filters;
+
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = { ":userId": userId };
+  let keyCondition = "userId = :userId";
+
+  if (from || to) {
+    expressionAttributeValues[":from"] = from || "0000";
+    // "~" sorts after every character used in the event id suffix
+    expressionAttributeValues[":to"] = `${to || "9999"}~`;
+    keyCondition += " AND eventId BETWEEN :from AND :to";
+  }
+
+  const filterExpressions = [];
+  if (cameraId !== undefined) {
+    filterExpressions.push("cameraId = :cameraId");
+    expressionAttributeValues[":cameraId"] = Number(cameraId);
+  }
+  if (aiType) {
+    filterExpressions.push("aiType = :aiType");
+    expressionAttributeValues[":aiType"] = aiType;
+  }
+  if (verdict) {
+    filterExpressions.push("#verdict = :verdict");
+    expressionAttributeNames["#verdict"] = "verdict";
+    expressionAttributeValues[":verdict"] = verdict;
+  }
+
+  try {
+    const result = await docClient.send(new QueryCommand({
+      TableName: EVENTS_TABLE,
+      KeyConditionExpression: keyCondition,
+      FilterExpression: filterExpressions.length ? filterExpressions.join(" AND ") : undefined,
+      ExpressionAttributeNames: Object.keys(expressionAttributeNames).length ? expressionAttributeNames : undefined,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey: decodePageToken(nextToken),
+    }));
+
+    log.info({ userId, count: result.Items?.length || 0 }, "Detection events retrieved");
+    return {
+      items: result.Items || [],
+      nextToken: encodePageToken(result.LastEvaluatedKey),
+    };
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get detection events");
+    throw error;
+  }
+}
+
+/**
+ * Get single detection event
+ */
+export async function getDetectionEvent(userId, eventId) {
+  try {
+    const result = await docClient.send(new GetCommand({
+      TableName: EVENTS_TABLE,
+      Key: { userId, eventId },
+    }));
+
+    if (!result.Item) {
+      throw new Error("Event not found");
+    }
+
+    return result.Item;
+  } catch (error) {
+    log.error({ error: error.message, userId, eventId }, "Failed to get detection event");
+    throw error;
+  }
+}
+
+/**
+ * Update fields of a detection event (e.g. link its clip once stitched)
+ */
+export async function updateDetectionEvent(userId, eventId, updates) {
+  const updateExpressions = [];
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = {};
+
+  Object.keys(updates).forEach((key) => {
+    updateExpressions.push(`#${key} = :${key}`);
+    expressionAttributeNames[`#${key}`] = key;
+    expressionAttributeValues[`:${key}`] = updates[key];
+  });
+
+  try {
+    const result = await docClient.send(new UpdateCommand({
+      TableName: EVENTS_TABLE,
+      Key: { userId, eventId },
+      UpdateExpression: `SET ${updateExpressions.join(", ")}`,
+      ConditionExpression: "attribute_exists(eventId)",
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: "ALL_NEW",
+    }));
+
+    log.info({ userId, eventId }, "Detection event updated");
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      throw new Error("Event not found");
+    }
+    log.error({ error: error.message, userId, eventId }, "Failed to update detection event");
+    throw error;
+  }
+}
+
+// ===================================================================
+// ALERT OPERATIONS
+// ===================================================================
+
+/**
+ * Store a new alert. alertId starts with the ISO creation time so the
+ * sort key keeps alerts in chronological order.
+ */
+export async function createAlert(userId, alertData) {
+  const item = { userId, ...alertData };
+
+  try {
+    await docClient.send(new PutCommand({
+      TableName: ALERTS_TABLE,
+      Item: item,
+    }));
+
+    log.info({ userId, alertId: item.alertId }, "Alert created");
+    return item;
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to create alert");
+    throw error;
+  }
+}
+
+/**
+ * Get single alert
+ */
+export async function getAlert(userId, alertId) {
+  try {
+    const result = await docClient.send(new GetCommand({
+      TableName: ALERTS_TABLE,
+      Key: { userId, alertId },
+    }));
+
+    if (!result.Item) {
+      throw new Error("Alert not found");
+    }
+
+    return result.Item;
+  } catch (error) {
+    log.error({ error: error.message, userId, alertId }, "Failed to get alert");
+    throw error;
+  }
+}
+
+/**
+ * Update alert attributes
+ */
+export async function updateAlert(userId, alertId, updates) {
+  const updateExpressions = [];
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = {};
+
+  Object.keys(updates).forEach((key) => {
+    updateExpressions.push(`#${key} = :${key}`);
+    expressionAttributeNames[`#${key}`] = key;
+    expressionAttributeValues[`:${key}`] = updates[key];
+  });
+
+  try {
+    const result = await docClient.send(new UpdateCommand({
+      TableName: ALERTS_TABLE,
+      Key: { userId, alertId },
+      UpdateExpression: `SET ${updateExpressions.join(", ")}`,
+      ConditionExpression: "attribute_exists(alertId)",
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: "ALL_NEW",
+    }));
+
+    log.info({ userId, alertId }, "Alert updated");
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      throw new Error("Alert not found");
+    }
+    log.error({ error: error.message, userId, alertId }, "Failed to update alert");
+    throw error;
+  }
+}
+
+/**
+ * List a user's alerts, newest first
+ * @param {Object} filters - { statuses: string[], cameraId, aiType, limit }
+ */
+export async function getAlerts(userId, filters = {}) {
+  const { statuses, cameraId, cameraIds, aiType, limit = 50 } = filters;
+
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = { ":userId": userId };
+  const filterExpressions = [];
+
+  if (statuses?.length) {
+    const keys = statuses.map((status, i) => {
+      expressionAttributeValues[`:status${i}`] = status;
+      return `:status${i}`;
+    });
+    expressionAttributeNames["#status"] = "status";
+    filterExpressions.push(`#status IN (${keys.join(", ")})`);
+  }
+  if (cameraId !== undefined) {
+    filterExpressions.push("cameraId = :cameraId");
+    expressionAttributeValues[":cameraId"] = Number(cameraId);
+  } else if (cameraIds) {
+    // No cameras at a location matches nothing
+    if (cameraIds.length === 0) return [];
+    const keys = cameraIds.map((id, i) => {
+      expressionAttributeValues[`:cameraId${i}`] = Number(id);
+      return `:cameraId${i}`;
+    });
+    filterExpressions.push(`cameraId IN (${keys.join(", ")})`);
+  }
+  if (aiType) {
+    filterExpressions.push("aiType = :aiType");
+    expressionAttributeValues[":aiType"] = aiType;
+  }
+
+  try {
+    const alerts = [];
+    let lastKey;
+
+    // Filters apply after the key range, so keep paging until we have enough
+    do {
+      const result = await docClient.send(new QueryCommand({
+        TableName: ALERTS_TABLE,
+        KeyConditionExpression: "userId = :userId",
+        FilterExpression: filterExpressions.length ? filterExpressions.join(" AND ") : undefined,
+        ExpressionAttributeNames: Object.keys(expressionAttributeNames).length ? expressionAttributeNames : undefined,
+        ExpressionAttributeValues: expressionAttributeValues,
+        ScanIndexForward: false,
+        ExclusiveStartKey: lastKey,
+      }));
+      alerts.push(...(result.Items || []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey && alerts.length < limit);
+
+    log.info({ userId, count: Math.min(alerts.length, limit) }, "Alerts retrieved");
+    return alerts.slice(0, limit);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get alerts");
+    throw error;
+  }
+}
+
+/**
+ * Open alerts of every user (escalation timers are re-armed from these at startup)
+ */
+export async function getOpenAlerts() {
+  try {
+    const alerts = [];
+    let lastKey;
+
+    do {
+      const result = await docClient.send(new ScanCommand({
+        TableName: ALERTS_TABLE,
+        FilterExpression: "#status = :open",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: { ":open": "open" },
+        ExclusiveStartKey: lastKey,
+      }));
+      alerts.push(...(result.Items || []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    log.info({ count: alerts.length }, "Open alerts retrieved");
+    return alerts;
+  } catch (error) {
+    log.error({ error: error.message }, "Failed to get open alerts");
+    throw error;
+  }
+}
+
+const dynamoRepository = {
   // User operations
   getUser,
   createUser,
   ensureUser,
   updateUserSamplingRate,
   getUserSamplingRate,
+  getNotificationChannels,
+  updateNotificationChannels,
+  getLocations,
+  updateLocations,
 
   // Camera operations
   createCamera,
@@ -338,4 +778,37 @@ export const dynamodb = {
   deleteCamera,
   getActiveCameras,
   getCamerasByIds,
-};
\ No newline at end of file
+  getAllCameras,
+
+  // Detection event operations
+  createDetectionEvent,
+  getDetectionEvents,
+  getDetectionEvent,
+  updateDetectionEvent,
+
+  // Alert operations
+  createAlert,
+  getAlert,
+  updateAlert,
+  getAlerts,
+  getOpenAlerts,
+};
+
+// ===================================================================
+// BACKEND SELECTION
+// ===================================================================
+// STORAGE_BACKEND=sqlite swaps every operation for the Prisma/SQLite
+// implementation so the backend can run without AWS. Callers keep using
+// the `dynamodb` export either way.
+async function loadRepository() {
+  if (cfg.storage.backend === "sqlite") {
+    const { sqliteRepository } = await import("./sqlite.js");
+    log.info("💾 Using SQLite storage backend");
+    return assertRepository("sqlite", sqliteRepository);
+  }
+
+  log.info("💾 Using DynamoDB storage backend");
+  return assertRepository("dynamodb", dynamoRepository);
+}
+
+export const dynamodb = await loadRepository();
@@ -1,2 +1,14 @@
 import { PrismaClient } from "@prisma/client";
-export const prisma = new PrismaClient();
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default to the bundled SQLite file so offline installs work without DATABASE_URL
+const DEFAULT_DATABASE_URL = `file:${path.resolve(__dirname, "../../prisma/firewatch.db")}`;
+
+export const prisma = new PrismaClient({
+  datasources: {
+    db: { url: process.env.DATABASE_URL || DEFAULT_DATABASE_URL },
+  },
+});
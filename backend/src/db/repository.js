@@ -0,0 +1,65 @@
+// ===================================================================
+// STORAGE REPOSITORY CONTRACT
+// ===================================================================
+// Every storage backend (DynamoDB, SQLite) exposes an object with these
+// async operations. Callers never talk to a backend directly; they use the
+// `dynamodb` export from ./dynamodb.js, which is whichever backend
+// STORAGE_BACKEND selected.
+
+export const STORAGE_BACKENDS = ["dynamodb", "sqlite"];
+
+export const REPOSITORY_METHODS = [
+  // User operations
+  "getUser",
+  "createUser",
+  "ensureUser",
+  "updateUserSamplingRate",
+  "getUserSamplingRate",
+  "getNotificationChannels",
+  "updateNotificationChannels",
+  "getLocations",
+  "updateLocations",
+
+  // Camera operations
+  "createCamera",
+  "getCamerasByUserId",
+  "getCamera",
+  "updateCamera",
+  "deleteCamera",
+  "getActiveCameras",
+  "getCamerasByIds",
+  "getAllCameras",
+
+  // Detection event operations
+  "createDetectionEvent",
+  "getDetectionEvents",
+  "getDetectionEvent",
+  "updateDetectionEvent",
+
+  // Alert operations
+  "createAlert",
+  "getAlert",
+  "updateAlert",
+  "getAlerts",
+  "getOpenAlerts",
+];
+
+/**
+ * Verify a backend implements the whole contract
+ * @param {string} name - Backend name (for the error message)
+ * @param {Object} repository - Backend operations object
+ * @returns {Object} The same repository
+ */
+export function assertRepository(name, repository) {
+  const missing = REPOSITORY_METHODS.filter(
+    (method) => typeof repository[method] !== "function"
+  );
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Storage backend "${name}" is missing operations: ${missing.join(", ")}`
+    );
+  }
+
+  return repository;
+}
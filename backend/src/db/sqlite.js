@@ -0,0 +1,680 @@
+import pino from "pino";
+import { prisma } from "./prisma.js";
+
+const log = pino({ name: "sqlite" });
+
+// Camera columns defined in prisma/schema.prisma. Any other attribute the API
+// stores on a camera goes into `extraJson`, so the SQLite backend stays as
+// schemaless as DynamoDB for fields that are added later.
+const CAMERA_COLUMNS = new Set([
+  "name",
+  "location",
+  "ip",
+  "port",
+  "username",
+  "password",
+  "detection",
+  "aiType",
+  "streamType",
+  "streamName",
+  "streamPath",
+  "hlsUrl",
+  "webrtcBase",
+  "isActive",
+]);
+
+// Fields the API never lets a caller overwrite
+const PROTECTED_FIELDS = new Set(["id", "userId", "createdAt", "updatedAt"]);
+
+// ===================================================================
+// ROW MAPPING
+// ===================================================================
+
+function parseJson(value, fallback = null) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function toUser(row) {
+  if (!row) return null;
+  return {
+    userId: row.userId,
+    samplingRate: row.samplingRate,
+    createdAt: row.createdAt.toISOString(),
+    updatedAt: row.updatedAt.toISOString(),
+  };
+}
+
+function toCamera(row) {
+  const { extraJson, createdAt, updatedAt, ...columns } = row;
+  return {
+    ...parseJson(extraJson, {}),
+    ...columns,
+    createdAt: createdAt.toISOString(),
+    updatedAt: updatedAt.toISOString(),
+  };
+}
+
+/**
+ * Split camera attributes into Prisma columns and the extraJson overflow
+ */
+function splitCameraData(data, existingExtra = {}) {
+  const columns = {};
+  const extra = { ...existingExtra };
+
+  for (const [key, value] of Object.entries(data)) {
+    if (PROTECTED_FIELDS.has(key)) continue;
+    if (CAMERA_COLUMNS.has(key)) {
+      columns[key] = key === "port" && value !== null && value !== undefined
+        ? String(value)
+        : value;
+    } else {
+      extra[key] = value;
+    }
+  }
+
+  return { columns, extra };
+}
+
+function toEvent(row) {
+  return {
+    userId: row.userId,
+    eventId: String(row.id),
+    cameraId: row.cameraId,
+    cameraName: row.cameraName,
+    aiType: row.aiType,
+    verdict: row.verdict,
+    reason: row.reason,
+    boxes: parseJson(row.boxesJson, []),
+    confidence: row.score,
+    iouAnalysis: parseJson(row.iouJson),
+    liveness: parseJson(row.livenessJson),
+    imageUrl: row.imageUrl,
+    clipUrl: row.clipUrl,
+    timestamp: row.ts.toISOString(),
+  };
+}
+
+function toAlert(row) {
+  const { detailsJson, historyJson, createdAt, updatedAt, ...columns } = row;
+  return {
+    ...parseJson(detailsJson, {}),
+    ...columns,
+    history: parseJson(historyJson, []),
+    createdAt: createdAt.toISOString(),
+    updatedAt: updatedAt.toISOString(),
+  };
+}
+
+// Alert fields with their own column; everything else lives in detailsJson
+const ALERT_COLUMNS = new Set(["cameraId", "cameraName", "aiType", "status", "tier"]);
+
+function splitAlertData(data, existingDetails = {}) {
+  const columns = {};
+  const details = { ...existingDetails };
+
+  for (const [key, value] of Object.entries(data)) {
+    if (["alertId", "userId", "createdAt", "updatedAt"].includes(key)) continue;
+    if (key === "history") {
+      columns.historyJson = JSON.stringify(value || []);
+    } else if (ALERT_COLUMNS.has(key)) {
+      columns[key] = value;
+    } else {
+      details[key] = value;
+    }
+  }
+
+  return { columns, details };
+}
+
+function encodePageToken(id) {
+  return Buffer.from(String(id)).toString("base64url");
+}
+
+function decodePageToken(token) {
+  const id = Number(Buffer.from(token, "base64url").toString("utf8"));
+  if (!Number.isInteger(id)) {
+    throw new Error("Invalid nextToken");
+  }
+  return id;
+}
+
+// ===================================================================
+// USERS OPERATIONS
+// ===================================================================
+
+export async function getUser(userId) {
+  try {
+    const row = await prisma.user.findUnique({ where: { userId } });
+    return toUser(row);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get user");
+    throw error;
+  }
+}
+
+export async function createUser(userId, defaultSamplingRate = 30000) {
+  try {
+    const row = await prisma.user.create({
+      data: { userId, samplingRate: defaultSamplingRate },
+    });
+
+    log.info({ userId, samplingRate: defaultSamplingRate }, "User created with default settings");
+    return toUser(row);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to create user");
+    throw error;
+  }
+}
+
+export async function ensureUser(userId, defaultSamplingRate = 30000) {
+  try {
+    const row = await prisma.user.upsert({
+      where: { userId },
+      create: { userId, samplingRate: defaultSamplingRate },
+      update: {},
+    });
+
+    log.info({ userId, samplingRate: row.samplingRate }, "User ensured");
+    return toUser(row);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to ensure user");
+    throw error;
+  }
+}
+
+export async function updateUserSamplingRate(userId, samplingRate) {
+  try {
+    const row = await prisma.user.update({
+      where: { userId },
+      data: { samplingRate },
+    });
+
+    log.info({ userId, samplingRate }, "User sampling rate updated");
+    return toUser(row);
+  } catch (error) {
+    log.error({ error: error.message, userId, samplingRate }, "Failed to update sampling rate");
+    throw error;
+  }
+}
+
+export async function getUserSamplingRate(userId, defaultSamplingRate = 30000) {
+  try {
+    const user = await getUser(userId);
+    return user?.samplingRate || defaultSamplingRate;
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get user sampling rate");
+    return defaultSamplingRate;
+  }
+}
+
+export async function getNotificationChannels(userId) {
+  try {
+    const row = await prisma.user.findUnique({ where: { userId } });
+    return parseJson(row?.notificationChannelsJson, []);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get notification channels");
+    throw error;
+  }
+}
+
+export async function updateNotificationChannels(userId, channels) {
+  try {
+    const row = await prisma.user.upsert({
+      where: { userId },
+      create: { userId, notificationChannelsJson: JSON.stringify(channels) },
+      update: { notificationChannelsJson: JSON.stringify(channels) },
+    });
+
+    log.info({ userId, count: channels.length }, "Notification channels updated");
+    return parseJson(row.notificationChannelsJson, []);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to update notification channels");
+    throw error;
+  }
+}
+
+export async function getLocations(userId) {
+  try {
+    const row = await prisma.user.findUnique({ where: { userId } });
+    return parseJson(row?.locationsJson, []);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get locations");
+    throw error;
+  }
+}
+
+export async function updateLocations(userId, locations) {
+  try {
+    const row = await prisma.user.upsert({
+      where: { userId },
+      create: { userId, locationsJson: JSON.stringify(locations) },
+      update: { locationsJson: JSON.stringify(locations) },
+    });
+
+    log.info({ userId, count: locations.length }, "Locations updated");
+    return parseJson(row.locationsJson, []);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to update locations");
+    throw error;
+  }
+}
+
+// ===================================================================
+// CAMERA OPERATIONS
+// ===================================================================
+
+export async function createCamera(userId, cameraData) {
+  const { columns, extra } = splitCameraData(cameraData);
+
+  try {
+    const row = await prisma.camera.create({
+      data: {
+        ...columns,
+        userId,
+        extraJson: JSON.stringify(extra),
+      },
+    });
+
+    log.info({ userId, id: row.id }, "Camera created");
+    return toCamera(row);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to create camera");
+    throw error;
+  }
+}
+
+export async function getCamerasByUserId(userId) {
+  try {
+    const rows = await prisma.camera.findMany({
+      where: { userId },
+      orderBy: { id: "asc" },
+    });
+
+    log.info({ userId, count: rows.length }, "Cameras retrieved");
+    return rows.map(toCamera);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get cameras");
+    throw error;
+  }
+}
+
+export async function getCamera(userId, id) {
+  try {
+    const row = await prisma.camera.findFirst({
+      where: { userId, id: Number(id) },
+    });
+
+    if (!row) {
+      throw new Error("Camera not found");
+    }
+
+    return toCamera(row);
+  } catch (error) {
+    log.error({ error: error.message, userId, id }, "Failed to get camera");
+    throw error;
+  }
+}
+
+export async function updateCamera(userId, id, updates) {
+  try {
+    const existing = await prisma.camera.findFirst({
+      where: { userId, id: Number(id) },
+    });
+
+    if (!existing) {
+      throw new Error("Camera not found");
+    }
+
+    const { columns, extra } = splitCameraData(
+      updates,
+      parseJson(existing.extraJson, {})
+    );
+
+    const row = await prisma.camera.update({
+      where: { id: existing.id },
+      data: {
+        ...columns,
+        extraJson: JSON.stringify(extra),
+      },
+    });
+
+    log.info({ userId, id }, "Camera updated");
+    return toCamera(row);
+  } catch (error) {
+    log.error({ error: error.message, userId, id }, "Failed to update camera");
+    throw error;
+  }
+}
+
+export async function deleteCamera(userId, id) {
+  try {
+    await prisma.camera.deleteMany({
+      where: { userId, id: Number(id) },
+    });
+
+    log.info({ userId, id }, "Camera deleted");
+    return true;
+  } catch (error) {
+    log.error({ error: error.message, userId, id }, "Failed to delete camera");
+    throw error;
+  }
+}
+
+export async function getActiveCameras(userId) {
+  try {
+    const rows = await prisma.camera.findMany({
+      where: { userId, isActive: true },
+      orderBy: { id: "asc" },
+    });
+
+    log.info({ userId, count: rows.length }, "Active cameras retrieved");
+    return rows.map(toCamera);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get active cameras");
+    throw error;
+  }
+}
+
+export async function getCamerasByIds(userId, cameraIds) {
+  const validIds = cameraIds
+    .filter((id) => id !== null && id !== undefined && !isNaN(id))
+    .map(Number);
+
+  if (validIds.length === 0) {
+    log.warn({ userId }, "No valid camera IDs provided");
+    return [];
+  }
+
+  try {
+    const rows = await prisma.camera.findMany({
+      where: { userId, id: { in: validIds } },
+      orderBy: { id: "asc" },
+    });
+
+    log.info({ userId, count: rows.length }, "Cameras retrieved by IDs");
+    return rows.map(toCamera);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get cameras by IDs");
+    throw error;
+  }
+}
+
+export async function getAllCameras() {
+  try {
+    const rows = await prisma.camera.findMany({
+      orderBy: { id: "asc" },
+    });
+
+    log.info({ count: rows.length }, "All cameras retrieved");
+    return rows.map(toCamera);
+  } catch (error) {
+    log.error({ error: error.message }, "Failed to get all cameras");
+    throw error;
+  }
+}
+
+// ===================================================================
+// DETECTION EVENT OPERATIONS
+// ===================================================================
+
+export async function createDetectionEvent(userId, eventData) {
+  try {
+    const row = await prisma.detection.create({
+      data: {
+        userId,
+        cameraId: Number(eventData.cameraId),
+        cameraName: eventData.cameraName || null,
+        ts: eventData.timestamp ? new Date(eventData.timestamp) : new Date(),
+        aiType: eventData.aiType || "FIRE",
+        verdict: eventData.verdict,
+        reason: eventData.reason || null,
+        isFire: eventData.verdict === "confirmed",
+        score: eventData.confidence ?? null,
+        boxesJson: JSON.stringify(eventData.boxes || []),
+        iouJson: eventData.iouAnalysis ? JSON.stringify(eventData.iouAnalysis) : null,
+        livenessJson: eventData.liveness ? JSON.stringify(eventData.liveness) : null,
+        imageUrl: eventData.imageUrl || null,
+        clipUrl: eventData.clipUrl || null,
+      },
+    });
+
+    log.info({ userId, eventId: row.id, verdict: row.verdict }, "Detection event stored");
+    return toEvent(row);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to store detection event");
+    throw error;
+  }
+}
+
+export async function getDetectionEvents(userId, filters = {}) {
+  const { cameraId, aiType, verdict, from, to, limit = 50, nextToken } = filters;
+
+  const where = { userId };
+  if (cameraId !== undefined) where.cameraId = Number(cameraId);
+  if (aiType) where.aiType = aiType;
+  if (verdict) where.verdict = verdict;
+  if (from || to) {
+    where.ts = {};
+    if (from) where.ts.gte = new Date(from);
+    if (to) where.ts.lte = new Date(to);
+  }
+
+  const cursor = nextToken ? decodePageToken(nextToken) : null;
+
+  try {
+    const rows = await prisma.detection.findMany({
+      where,
+      orderBy: [{ ts: "desc" }, { id: "desc" }],
+      take: limit + 1,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+
+    const hasMore = rows.length > limit;
+    const items = rows.slice(0, limit).map(toEvent);
+
+    log.info({ userId, count: items.length }, "Detection events retrieved");
+    return {
+      items,
+      nextToken: hasMore ? encodePageToken(rows[limit - 1].id) : null,
+    };
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get detection events");
+    throw error;
+  }
+}
+
+export async function getDetectionEvent(userId, eventId) {
+  try {
+    const row = await prisma.detection.findFirst({
+      where: { userId, id: Number(eventId) || -1 },
+    });
+
+    if (!row) {
+      throw new Error("Event not found");
+    }
+
+    return toEvent(row);
+  } catch (error) {
+    log.error({ error: error.message, userId, eventId }, "Failed to get detection event");
+    throw error;
+  }
+}
+
+// Event fields that may change after the event is stored
+const EVENT_UPDATE_COLUMNS = new Set(["imageUrl", "clipUrl"]);
+
+export async function updateDetectionEvent(userId, eventId, updates) {
+  const invalid = Object.keys(updates).filter((key) => !EVENT_UPDATE_COLUMNS.has(key));
+  if (invalid.length > 0) {
+    throw new Error(`Cannot update detection event fields: ${invalid.join(", ")}`);
+  }
+
+  try {
+    const existing = await prisma.detection.findFirst({
+      where: { userId, id: Number(eventId) || -1 },
+    });
+
+    if (!existing) {
+      throw new Error("Event not found");
+    }
+
+    const row = await prisma.detection.update({
+      where: { id: existing.id },
+      data: updates,
+    });
+
+    log.info({ userId, eventId }, "Detection event updated");
+    return toEvent(row);
+  } catch (error) {
+    log.error({ error: error.message, userId, eventId }, "Failed to update detection event");
+    throw error;
+  }
+}
+
+// ===================================================================
+// ALERT OPERATIONS
+// ===================================================================
+
+export async function createAlert(userId, alertData) {
+  const { columns, details } = splitAlertData(alertData);
+
+  try {
+    const row = await prisma.alert.create({
+      data: {
+        ...columns,
+        alertId: alertData.alertId,
+        userId,
+        cameraId: Number(alertData.cameraId),
+        detailsJson: JSON.stringify(details),
+        createdAt: alertData.createdAt ? new Date(alertData.createdAt) : undefined,
+      },
+    });
+
+    log.info({ userId, alertId: row.alertId }, "Alert created");
+    return toAlert(row);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to create alert");
+    throw error;
+  }
+}
+
+export async function getAlert(userId, alertId) {
+  try {
+    const row = await prisma.alert.findFirst({ where: { userId, alertId } });
+
+    if (!row) {
+      throw new Error("Alert not found");
+    }
+
+    return toAlert(row);
+  } catch (error) {
+    log.error({ error: error.message, userId, alertId }, "Failed to get alert");
+    throw error;
+  }
+}
+
+export async function updateAlert(userId, alertId, updates) {
+  try {
+    const existing = await prisma.alert.findFirst({ where: { userId, alertId } });
+
+    if (!existing) {
+      throw new Error("Alert not found");
+    }
+
+    const { columns, details } = splitAlertData(
+      updates,
+      parseJson(existing.detailsJson, {})
+    );
+
+    const row = await prisma.alert.update({
+      where: { alertId },
+      data: { ...columns, detailsJson: JSON.stringify(details) },
+    });
+
+    log.info({ userId, alertId }, "Alert updated");
+    return toAlert(row);
+  } catch (error) {
+    log.error({ error: error.message, userId, alertId }, "Failed to update alert");
+    throw error;
+  }
+}
+
+export async function getAlerts(userId, filters = {}) {
+  const { statuses, cameraId, cameraIds, aiType, limit = 50 } = filters;
+
+  const where = { userId };
+  if (statuses?.length) where.status = { in: statuses };
+  if (cameraId !== undefined) where.cameraId = Number(cameraId);
+  else if (cameraIds) where.cameraId = { in: cameraIds.map(Number) };
+  if (aiType) where.aiType = aiType;
+
+  try {
+    const rows = await prisma.alert.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      take: limit,
+    });
+
+    log.info({ userId, count: rows.length }, "Alerts retrieved");
+    return rows.map(toAlert);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get alerts");
+    throw error;
+  }
+}
+
+/**
+ * Open alerts of every user (escalation timers are re-armed from these at startup)
+ */
+export async function getOpenAlerts() {
+  try {
+    const rows = await prisma.alert.findMany({ where: { status: "open" } });
+
+    log.info({ count: rows.length }, "Open alerts retrieved");
+    return rows.map(toAlert);
+  } catch (error) {
+    log.error({ error: error.message }, "Failed to get open alerts");
+    throw error;
+  }
+}
+
+export const sqliteRepository = {
+  // User operations
+  getUser,
+  createUser,
+  ensureUser,
+  updateUserSamplingRate,
+  getUserSamplingRate,
+  getNotificationChannels,
+  updateNotificationChannels,
+  getLocations,
+  updateLocations,
+
+  // Camera operations
+  createCamera,
+  getCamerasByUserId,
+  getCamera,
+  updateCamera,
+  deleteCamera,
+  getActiveCameras,
+  getCamerasByIds,
+  getAllCameras,
+
+  // Detection event operations
+  createDetectionEvent,
+  getDetectionEvents,
+  getDetectionEvent,
+  updateDetectionEvent,
+
+  // Alert operations
+  createAlert,
+  getAlert,
+  updateAlert,
+  getAlerts,
+  getOpenAlerts,
+};
@@ -0,0 +1,117 @@
+import { Router } from "express";
+import pino from "pino";
+import { dynamodb } from "../db/dynamodb.js";
+import {
+  ALERT_STATUSES,
+  ACTIVE_STATUSES,
+  transitionAlert,
+} from "../services/alertService.js";
+import { loadCamerasAtLocation } from "../services/locationService.js";
+
+const log = pino({ name: "alert-routes" });
+
+export const alerts = Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// List alerts
+// Query: status (comma separated, or "active" for open + acknowledged), cameraId,
+// locationId (cameras at that site / building / floor / zone and below), aiType, limit
+alerts.get("/", async (req, res) => {
+  const userId = req.user.sub;
+
+  let filters;
+  try {
+    const { status, cameraId, aiType } = req.query;
+
+    let statuses;
+    if (status === "active") {
+      statuses = ACTIVE_STATUSES;
+    } else if (status) {
+      statuses = String(status).split(",");
+      const invalid = statuses.filter((s) => !ALERT_STATUSES.includes(s));
+      if (invalid.length > 0) {
+        throw new Error(`status must be "active" or one of: ${ALERT_STATUSES.join(", ")}`);
+      }
+    }
+
+    if (cameraId !== undefined && isNaN(Number(cameraId))) {
+      throw new Error("cameraId must be a number");
+    }
+
+    const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new Error(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    filters = {
+      statuses,
+      cameraId: cameraId !== undefined ? Number(cameraId) : undefined,
+      aiType: aiType ? String(aiType).toUpperCase() : undefined,
+      limit,
+    };
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    if (req.query.locationId && filters.cameraId === undefined) {
+      const { cameras } = await loadCamerasAtLocation(userId, String(req.query.locationId));
+      filters.cameraIds = cameras.map((cam) => cam.id);
+    }
+
+    res.json(await dynamodb.getAlerts(userId, filters));
+  } catch (error) {
+    if (error.message === "Location not found") {
+      return res.status(404).json({ error: "Location not found" });
+    }
+    log.error({ error: error.message, userId }, "Failed to list alerts");
+    res.status(500).json({ error: "Failed to retrieve alerts" });
+  }
+});
+
+// Get single alert (including its history)
+alerts.get("/:alertId", async (req, res) => {
+  const userId = req.user.sub;
+
+  try {
+    res.json(await dynamodb.getAlert(userId, req.params.alertId));
+  } catch (error) {
+    if (error.message === "Alert not found") {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+    log.error({ error: error.message, userId }, "Failed to get alert");
+    res.status(500).json({ error: "Failed to retrieve alert" });
+  }
+});
+
+// Status changes - body: { note? }
+const ACTIONS = {
+  acknowledge: "acknowledged",
+  resolve: "resolved",
+  "false-positive": "false_positive",
+};
+
+for (const [action, status] of Object.entries(ACTIONS)) {
+  alerts.post(`/:alertId/${action}`, async (req, res) => {
+    const userId = req.user.sub;
+
+    try {
+      const alert = await transitionAlert(userId, req.params.alertId, status, {
+        by: req.user.email || userId,
+        note: req.body?.note || null,
+      });
+      res.json(alert);
+    } catch (error) {
+      if (error.message === "Alert not found") {
+        return res.status(404).json({ error: "Alert not found" });
+      }
+      if (error.message.startsWith("Cannot change alert")) {
+        return res.status(409).json({ error: error.message });
+      }
+      log.error({ error: error.message, userId, action }, "Failed to update alert");
+      res.status(500).json({ error: "Failed to update alert" });
+    }
+  });
+}
@@ -5,16 +5,87 @@ import {
   removeCameraFromQueue,
   getQueueStatus,
   updateCameraInQueue, // ⬅️ IMPORTANT: import this
+  getCameraSourceUrl,
 } from "../services/detectionQueue.js";
+import { grabFrame } from "../services/frameSource.js";
+import { validateZones } from "../services/zoneService.js";
+import { describeHealth } from "../services/cameraHealth.js";
+import {
+  loadCamerasAtLocation,
+  validateCameraLocationId,
+  locationPath,
+  formatLocationPath,
+} from "../services/locationService.js";
+import { validateMapPlacement } from "../services/floorPlanService.js";
+import {
+  scanCameras,
+  getDeviceProfiles,
+  toCameraBody,
+  isDiscoveredXaddr,
+  validateOnvifSettings,
+} from "../services/onvif.js";
+import {
+  PTZ_MOVE_MODES,
+  validatePtzSettings,
+  ptzConfigError,
+  continuousMove,
+  relativeMove,
+  stopMove,
+  listPresets,
+  gotoPreset,
+  setPreset,
+  removePreset,
+} from "../services/ptzService.js";
+import {
+  validateDetectionSettings,
+  resolveDetectionSettings,
+  resolveFramesPerCheck,
+  describeDetectionSettings,
+} from "../services/detectionSettings.js";
 
 import {
   detectServerIP,
-  sanitizePathName,
+  cameraPathName,
 } from "../services/mediamtxConfigGenerator.js";
-import { startMediaMTX, stopMediaMTX } from "../services/mediamtx.js";
+import { refreshMediaMTXConfig } from "../services/mediamtx.js";
+import {
+  validateSchedule,
+  validateOverride,
+  evaluateSchedule,
+} from "../services/scheduleService.js";
+import {
+  AI_TYPES,
+  DEFAULT_AI_TYPE,
+  listDetectors,
+  resolveAiTypes,
+  validateAiTypes,
+} from "../services/detectors/index.js";
 
 export const cameras = Router();
 
+// List endpoints take `?locationId=` (a site, building, floor or zone) and
+// return the cameras at that node and everything under it
+async function listCameras(req) {
+  const locationId = req.query.locationId ? String(req.query.locationId) : null;
+  return loadCamerasAtLocation(req.user.sub, locationId);
+}
+
+function sendListError(res, error) {
+  if (error.message === "Location not found") {
+    return res.status(404).json({ error: "Location not found" });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+// Playback path is always the owner-namespaced MediaMTX path, whatever an
+// older record stored as streamName
+const withStreamName = (userId, cam) => ({
+  ...cam,
+  streamName: cameraPathName({ userId, id: cam.id }),
+});
+
+const describeLocation = (nodes, cam) => formatLocationPath(locationPath(nodes, cam.locationId)) || null;
+
 // Create camera
 cameras.post("/", async (req, res) => {
   try {
@@ -22,18 +93,29 @@ cameras.post("/", async (req, res) => {
 
     const serverIP = detectServerIP();
 
+    // Site / building / floor / zone the camera belongs to (GET /api/locations)
+    const locationId = validateCameraLocationId(
+      req.body.locationId ?? null,
+      await dynamodb.getLocations(userId)
+    );
+
     const cameraData = {
       name: req.body.name,
       location: req.body.location || null,
+      locationId,
       ip: req.body.ip || null,
       port: req.body.port || null,
       username: req.body.username || null,
       password: req.body.password || null,
       detection: "LOCAL", // Force local detection
-      aiType: "FIRE", // Default AI type - user can change later in UI
+      aiType: DEFAULT_AI_TYPE, // Default AI type - user can change later in UI
+      aiTypes: [DEFAULT_AI_TYPE],
       streamType: req.body.streamType || "WEBRTC",
-      streamName: req.body.streamName || sanitizePathName(req.body.name),
       streamPath: req.body.streamPath || "/live",
+      // From ONVIF discovery (POST /discover); optional for hand-entered cameras
+      subStreamPath: req.body.subStreamPath || null,
+      resolution: req.body.resolution || null,
+      onvif: validateOnvifSettings(req.body.onvif ?? null, req.body.ip || null),
       hlsUrl: req.body.hlsUrl || null,
       webrtcBase: req.body.webrtcBase || `http://${serverIP}:8889`,
       isActive: true,
@@ -41,13 +123,13 @@ cameras.post("/", async (req, res) => {
 
     const cam = await dynamodb.createCamera(userId, cameraData);
 
+    // Adds the camera's path without a restart, so no one else's streams drop
     try {
       console.log("🔄 Regenerating MediaMTX config after camera creation...");
-      await stopMediaMTX();
-      await startMediaMTX(userId);
-      console.log("✅ MediaMTX restarted with new camera");
+      await refreshMediaMTXConfig();
+      console.log("✅ MediaMTX config updated with new camera");
     } catch (err) {
-      console.error("❌ Failed to restart MediaMTX:", err.message);
+      console.error("❌ Failed to update MediaMTX config:", err.message);
     }
 
     if (cam.isActive) {
@@ -56,66 +138,142 @@ cameras.post("/", async (req, res) => {
       console.log(`✅ Added ${cam.name} to detection queue`);
     }
 
-    res.json(cam);
+    res.json(withStreamName(userId, cam));
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// Get all cameras
+// Get all cameras (?locationId= to narrow)
 cameras.get("/", async (req, res) => {
   try {
-    const userId = req.user.sub;
-    const list = await dynamodb.getCamerasByUserId(userId);
-    res.json(list);
+    const { cameras: list } = await listCameras(req);
+    res.json(list.map((cam) => withStreamName(req.user.sub, cam)));
+  } catch (error) {
+    sendListError(res, error);
+  }
+});
+
+// Supported AI types (detector registry) for the camera settings UI
+cameras.get("/ai-types", (req, res) => {
+  res.json(listDetectors());
+});
+
+// Tunable detection settings and their global defaults, for the settings UI
+cameras.get("/detection-settings", (req, res) => {
+  res.json(describeDetectionSettings());
+});
+
+// Scan the LAN for ONVIF cameras. With credentials, each camera's media
+// profiles are queried too; every result's `camera` can go straight to POST /.
+cameras.post("/discover", async (req, res) => {
+  const { username = null, password = null, timeoutMs } = req.body || {};
+  if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs >= 500 && timeoutMs <= 15000)) {
+    return res.status(400).json({ error: "timeoutMs must be a whole number between 500 and 15000" });
+  }
+
+  try {
+    res.json(await scanCameras(req.user.sub, { username, password, timeoutMs }));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get detection status
+// Query one ONVIF device (e.g. a discovered camera with its own password)
+cameras.post("/discover/profiles", async (req, res) => {
+  const { xaddr, username = null, password = null } = req.body || {};
+  let device;
+  try {
+    const url = new URL(xaddr);
+    if (!["http:", "https:"].includes(url.protocol)) throw new Error();
+    device = { xaddr, ip: url.hostname };
+  } catch {
+    return res.status(400).json({ error: "xaddr must be the device service URL" });
+  }
+  // The camera credentials are sent to it, so only devices this user's scan found
+  if (!isDiscoveredXaddr(req.user.sub, xaddr)) {
+    return res.status(400).json({ error: "xaddr must be a device found by a recent scan (POST /discover)" });
+  }
+
+  try {
+    const details = await getDeviceProfiles(xaddr, { username, password });
+    res.json({
+      device,
+      configured: details.profiles.length > 0,
+      profiles: details.profiles,
+      camera: toCameraBody(device, details, { username, password }),
+    });
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+});
+
+// Get detection status (?locationId= to narrow)
 cameras.get("/detection-status", async (req, res) => {
   try {
     const userId = req.user.sub;
-    const cameraList = await dynamodb.getCamerasByUserId(userId);
+    const { nodes, cameras: cameraList } = await listCameras(req);
 
-    const queueStatus = getQueueStatus();
+    const queueStatus = getQueueStatus(userId);
 
     const status = cameraList.map((cam) => ({
       id: cam.id,
       name: cam.name,
       location: cam.location,
+      locationId: cam.locationId || null,
+      locationPath: describeLocation(nodes, cam),
       isRunning: queueStatus.cameras.some((c) => c.id === cam.id),
       isFire: queueStatus.fireDetections[cam.id] || false,
       lastChecked: queueStatus.lastChecked[cam.id] || null,
+      // Per AI type: idle / suspected / confirmed / cooling_down, with the
+      // recent cycles and transitions behind it
+      confirmation: queueStatus.confirmation[cam.id] || {},
+      // Per AI type: turns the detector ran vs was skipped by the motion gate
+      motionGate: queueStatus.motionGate[cam.id] || {},
+      health: queueStatus.health[cam.id] || describeHealth(cam.id),
     }));
 
     res.json(status);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendListError(res, error);
   }
 });
 
-// Get status/all
+// Get status/all (?locationId= to narrow)
 cameras.get("/status/all", async (req, res) => {
   try {
     const userId = req.user.sub;
-    const cams = await dynamodb.getCamerasByUserId(userId);
+    const { nodes, cameras: cams } = await listCameras(req);
 
-    const queueStatus = getQueueStatus();
+    const queueStatus = getQueueStatus(userId);
 
     res.json(
-      cams.map((c) => ({
-        id: c.id,
-        name: c.name,
-        location: c.location,
-        isStreaming: queueStatus.streamingCameras.has(c.id),
-        isFire: queueStatus.fireDetections[c.id] || false,
-        isView: c.isActive,
-      }))
+      cams.map((c) => {
+        const incidents = queueStatus.incidents[c.id] || [];
+        return {
+          id: c.id,
+          name: c.name,
+          location: c.location,
+          locationId: c.locationId || null,
+          locationPath: describeLocation(nodes, c),
+          isStreaming: queueStatus.streamingCameras.has(c.id),
+          isFire: queueStatus.fireDetections[c.id] || false,
+          isView: c.isActive,
+          isArmed: evaluateSchedule(c.schedule).armed,
+          // ok / offline / frozen / obstructed / moved ("unknown" until checked)
+          health: queueStatus.health[c.id] || describeHealth(c.id),
+          // Ongoing incidents (consecutive positive cycles), one per AI type at most
+          incidents: incidents.map((incident) => ({
+            aiType: incident.aiType,
+            incidentId: incident.incidentId,
+            startedAt: new Date(incident.startedAt).toISOString(),
+            positiveCycles: incident.positiveCycles,
+          })),
+        };
+      })
     );
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendListError(res, error);
   }
 });
 
@@ -221,6 +379,413 @@ cameras.post("/stop-detection", async (req, res) => {
   }
 });
 
+// -------------------------------------------------------------
+// 📅 DETECTION SCHEDULE
+// -------------------------------------------------------------
+async function saveSchedule(userId, id, schedule) {
+  const cam = await dynamodb.updateCamera(userId, id, { schedule });
+  updateCameraInQueue(id, { schedule });
+  return cam;
+}
+
+function scheduleResponse(schedule) {
+  return { schedule, ...evaluateSchedule(schedule) };
+}
+
+function sendCameraError(res, error) {
+  if (error.message === "Camera not found") {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+// Get schedule (plus whether the camera is armed right now)
+cameras.get("/:id/schedule", async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const cam = await dynamodb.getCamera(userId, Number(req.params.id));
+    res.json(scheduleResponse(cam.schedule || null));
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// Replace schedule
+cameras.put("/:id/schedule", async (req, res) => {
+  const userId = req.user.sub;
+  const id = Number(req.params.id);
+
+  let schedule;
+  try {
+    schedule = validateSchedule(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await dynamodb.getCamera(userId, id);
+    await saveSchedule(userId, id, schedule);
+    res.json(scheduleResponse(schedule));
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// Remove schedule (camera is armed whenever detection is on)
+cameras.delete("/:id/schedule", async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const id = Number(req.params.id);
+
+    await dynamodb.getCamera(userId, id);
+    await saveSchedule(userId, id, null);
+    res.json(scheduleResponse(null));
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// Add holiday / one-off override
+cameras.post("/:id/schedule/overrides", async (req, res) => {
+  const userId = req.user.sub;
+  const id = Number(req.params.id);
+
+  let override;
+  try {
+    override = validateOverride({ ...req.body, id: undefined });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const cam = await dynamodb.getCamera(userId, id);
+    if (!cam.schedule) {
+      return res
+        .status(400)
+        .json({ error: "Camera has no schedule - create one first" });
+    }
+
+    const schedule = {
+      ...cam.schedule,
+      overrides: [...(cam.schedule.overrides || []), override],
+    };
+    await saveSchedule(userId, id, schedule);
+    res.json(scheduleResponse(schedule));
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// Remove override
+cameras.delete("/:id/schedule/overrides/:overrideId", async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const id = Number(req.params.id);
+
+    const cam = await dynamodb.getCamera(userId, id);
+    const overrides = cam.schedule?.overrides || [];
+    const remaining = overrides.filter((o) => o.id !== req.params.overrideId);
+
+    if (remaining.length === overrides.length) {
+      return res.status(404).json({ error: "Override not found" });
+    }
+
+    const schedule = { ...cam.schedule, overrides: remaining };
+    await saveSchedule(userId, id, schedule);
+    res.json(scheduleResponse(schedule));
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// -------------------------------------------------------------
+// 🔷 DETECTION ZONES
+// -------------------------------------------------------------
+async function saveZones(userId, id, zones) {
+  const cam = await dynamodb.updateCamera(userId, id, { zones });
+  updateCameraInQueue(id, { zones });
+  return cam;
+}
+
+// Get zones
+cameras.get("/:id/zones", async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const cam = await dynamodb.getCamera(userId, Number(req.params.id));
+    res.json({ zones: cam.zones || [] });
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// Replace zones ([] = whole frame)
+cameras.put("/:id/zones", async (req, res) => {
+  const userId = req.user.sub;
+  const id = Number(req.params.id);
+
+  let zones;
+  try {
+    zones = validateZones(req.body.zones);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await dynamodb.getCamera(userId, id);
+    await saveZones(userId, id, zones);
+    res.json({ zones });
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// -------------------------------------------------------------
+// 🎚️ DETECTION SETTINGS
+// -------------------------------------------------------------
+async function saveDetectionSettings(userId, id, detectionSettings) {
+  const cam = await dynamodb.updateCamera(userId, id, { detectionSettings });
+  updateCameraInQueue(id, { detectionSettings });
+  return cam;
+}
+
+// Stored overrides plus what the camera's enabled AI types actually run with
+function detectionSettingsResponse(cam) {
+  return {
+    detectionSettings: cam.detectionSettings || null,
+    effective: {
+      framesPerCheck: resolveFramesPerCheck(cam),
+      types: Object.fromEntries(
+        resolveAiTypes(cam).map((aiType) => [aiType, resolveDetectionSettings(cam, aiType)])
+      ),
+    },
+  };
+}
+
+// Get detection settings
+cameras.get("/:id/detection-settings", async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const cam = await dynamodb.getCamera(userId, Number(req.params.id));
+    res.json(detectionSettingsResponse(cam));
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// Replace detection settings (applies from the camera's next detection turn)
+cameras.put("/:id/detection-settings", async (req, res) => {
+  const userId = req.user.sub;
+  const id = Number(req.params.id);
+
+  let detectionSettings;
+  try {
+    detectionSettings = validateDetectionSettings(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const cam = await dynamodb.getCamera(userId, id);
+    await saveDetectionSettings(userId, id, detectionSettings);
+    res.json(detectionSettingsResponse({ ...cam, detectionSettings }));
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// Reset to the global defaults
+cameras.delete("/:id/detection-settings", async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const id = Number(req.params.id);
+
+    const cam = await dynamodb.getCamera(userId, id);
+    await saveDetectionSettings(userId, id, null);
+    res.json(detectionSettingsResponse({ ...cam, detectionSettings: null }));
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// -------------------------------------------------------------
+// 🎯 PTZ
+// -------------------------------------------------------------
+// Runs `action(cam)` on the user's camera. Missing ONVIF profile -> 400,
+// errors from the camera itself -> 502.
+async function withPtzCamera(req, res, action) {
+  let cam;
+  try {
+    cam = await dynamodb.getCamera(req.user.sub, Number(req.params.id));
+  } catch (error) {
+    return sendCameraError(res, error);
+  }
+
+  const configError = ptzConfigError(cam);
+  if (configError) {
+    return res.status(400).json({ error: configError });
+  }
+
+  try {
+    res.json(await action(cam));
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+}
+
+function validateAxes(body) {
+  const axes = {};
+  for (const axis of ["pan", "tilt", "zoom"]) {
+    const value = body[axis] ?? 0;
+    if (typeof value !== "number" || !Number.isFinite(value) || value < -1 || value > 1) {
+      throw new Error(`${axis} must be a number between -1 and 1`);
+    }
+    axes[axis] = value;
+  }
+  return axes;
+}
+
+// Presets and automatic-move settings. `available: false` (with the reason)
+// for cameras without PTZ, so the UI can hide the controls.
+cameras.get("/:id/ptz", async (req, res) => {
+  try {
+    const cam = await dynamodb.getCamera(req.user.sub, Number(req.params.id));
+    const response = { available: false, error: ptzConfigError(cam), presets: [], ptzSettings: cam.ptzSettings || null };
+    if (!response.error) {
+      try {
+        response.presets = await listPresets(cam);
+        response.available = true;
+      } catch (error) {
+        response.error = error.message;
+      }
+    }
+    res.json(response);
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// Move: { mode: "continuous" | "relative", pan, tilt, zoom (-1..1), timeoutMs }
+// Continuous moves run until /ptz/stop or timeoutMs (default PTZ_MOVE_TIMEOUT_MS)
+cameras.post("/:id/ptz/move", async (req, res) => {
+  const { mode = "continuous", timeoutMs } = req.body || {};
+  let axes;
+  try {
+    if (!PTZ_MOVE_MODES.includes(mode)) {
+      throw new Error(`mode must be one of: ${PTZ_MOVE_MODES.join(", ")}`);
+    }
+    if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs >= 100 && timeoutMs <= 10000)) {
+      throw new Error("timeoutMs must be a whole number between 100 and 10000");
+    }
+    axes = validateAxes(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  await withPtzCamera(req, res, async (cam) => {
+    if (mode === "relative") await relativeMove(cam, axes);
+    else await continuousMove(cam, axes, timeoutMs);
+    return { ok: true };
+  });
+});
+
+cameras.post("/:id/ptz/stop", (req, res) =>
+  withPtzCamera(req, res, async (cam) => {
+    await stopMove(cam);
+    return { ok: true };
+  })
+);
+
+// Save the current position as a preset: { name }
+cameras.post("/:id/ptz/presets", async (req, res) => {
+  const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
+  if (!name || name.length > 64) {
+    return res.status(400).json({ error: "name must be 1-64 characters" });
+  }
+
+  await withPtzCamera(req, res, async (cam) => ({ token: await setPreset(cam, name), name }));
+});
+
+cameras.post("/:id/ptz/presets/:token/goto", (req, res) =>
+  withPtzCamera(req, res, async (cam) => {
+    await gotoPreset(cam, req.params.token);
+    return { ok: true };
+  })
+);
+
+cameras.delete("/:id/ptz/presets/:token", (req, res) =>
+  withPtzCamera(req, res, async (cam) => {
+    await removePreset(cam, req.params.token);
+    return { ok: true };
+  })
+);
+
+// Automatic moves on detection: { onDetection, presetToken, homePresetToken } or null
+cameras.put("/:id/ptz/settings", async (req, res) => {
+  const userId = req.user.sub;
+  const id = Number(req.params.id);
+
+  let ptzSettings;
+  try {
+    ptzSettings = validatePtzSettings(req.body.ptzSettings ?? null);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await dynamodb.getCamera(userId, id); // update alone would create a DynamoDB item
+    await dynamodb.updateCamera(userId, id, { ptzSettings });
+    updateCameraInQueue(id, { ptzSettings });
+    res.json({ ptzSettings });
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// -------------------------------------------------------------
+// 🗺️ MAP PLACEMENT
+// -------------------------------------------------------------
+// Pin on a location's floor plan: { mapPlacement: { locationId, x, y,
+// direction, fov, range } } or { mapPlacement: null } to take it off
+cameras.put("/:id/map-placement", async (req, res) => {
+  const userId = req.user.sub;
+  const id = Number(req.params.id);
+
+  try {
+    let mapPlacement;
+    try {
+      mapPlacement = validateMapPlacement(
+        req.body.mapPlacement ?? null,
+        await dynamodb.getLocations(userId)
+      );
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await dynamodb.getCamera(userId, id); // update alone would create a DynamoDB item
+    await dynamodb.updateCamera(userId, id, { mapPlacement });
+    updateCameraInQueue(id, { mapPlacement });
+    res.json({ mapPlacement });
+  } catch (error) {
+    sendCameraError(res, error);
+  }
+});
+
+// Current frame as JPEG (for drawing zones), from the camera's detection source
+cameras.get("/:id/snapshot", async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const cam = await dynamodb.getCamera(userId, Number(req.params.id));
+
+    const frame = await grabFrame(getCameraSourceUrl(cam).url, { fresh: false });
+    res.set("Cache-Control", "no-store").type("image/jpeg").send(frame);
+  } catch (error) {
+    if (error.message === "Camera not found") {
+      return res.status(404).json({ error: "Camera not found" });
+    }
+    res.status(502).json({ error: `Could not get a frame: ${error.message}` });
+  }
+});
+
 // Get single camera
 cameras.get("/:id", async (req, res) => {
   try {
@@ -228,7 +793,7 @@ cameras.get("/:id", async (req, res) => {
     const id = Number(req.params.id);
 
     const cam = await dynamodb.getCamera(userId, id);
-    res.json(cam);
+    res.json(withStreamName(userId, cam));
   } catch (error) {
     if (error.message === "Camera not found") {
       return res.status(404).json({ error: "Camera not found" });
@@ -245,25 +810,99 @@ cameras.put("/:id", async (req, res) => {
     const userId = req.user.sub;
     const id = Number(req.params.id);
 
-    // Validate aiType if provided
-    if (req.body.aiType) {
-      const validAiTypes = [
-        "FIRE",
-        "INTRUSION",
-        "CROWD_DENSITY",
-        "ANONYMIZATION",
-        "WEAPON",
-        "THEFT",
-      ];
-      if (!validAiTypes.includes(req.body.aiType)) {
+    // Validate aiType / aiTypes if provided. A single aiType replaces the
+    // list; aiType is kept as the first entry for older clients.
+    if (req.body.aiTypes !== undefined) {
+      try {
+        req.body.aiTypes = validateAiTypes(req.body.aiTypes);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      req.body.aiType = req.body.aiTypes[0];
+    } else if (req.body.aiType) {
+      if (!AI_TYPES.includes(req.body.aiType)) {
         return res.status(400).json({
-          error: `Invalid aiType. Must be one of: ${validAiTypes.join(", ")}`,
+          error: `Invalid aiType. Must be one of: ${AI_TYPES.join(", ")}`,
         });
       }
+      req.body.aiTypes = [req.body.aiType];
+    }
+
+    // Schedules must go through the same validation as /:id/schedule
+    if (req.body.schedule) {
+      try {
+        req.body.schedule = validateSchedule(req.body.schedule);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    // ...and zones the same as /:id/zones
+    if (req.body.zones !== undefined) {
+      try {
+        req.body.zones = validateZones(req.body.zones);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    // ...and detection settings the same as /:id/detection-settings
+    if (req.body.detectionSettings !== undefined) {
+      try {
+        req.body.detectionSettings = validateDetectionSettings(req.body.detectionSettings);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    // ...and PTZ settings the same as /:id/ptz/settings
+    if (req.body.ptzSettings !== undefined) {
+      try {
+        req.body.ptzSettings = validatePtzSettings(req.body.ptzSettings);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    // ...and map placement the same as /:id/map-placement
+    if (req.body.mapPlacement !== undefined) {
+      try {
+        req.body.mapPlacement = validateMapPlacement(
+          req.body.mapPlacement,
+          await dynamodb.getLocations(userId)
+        );
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    // ...and the location must be one of the user's nodes
+    if (req.body.locationId !== undefined) {
+      try {
+        req.body.locationId = validateCameraLocationId(
+          req.body.locationId,
+          await dynamodb.getLocations(userId)
+        );
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
     }
 
     // Get current camera state before update
     const currentCam = await dynamodb.getCamera(userId, id);
+
+    // ...and ONVIF addresses must stay on the camera's ip
+    if (req.body.onvif !== undefined || req.body.ip !== undefined) {
+      try {
+        req.body.onvif = validateOnvifSettings(
+          req.body.onvif !== undefined ? req.body.onvif : currentCam.onvif,
+          req.body.ip !== undefined ? req.body.ip : currentCam.ip
+        );
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
     const cam = await dynamodb.updateCamera(userId, id, req.body);
 
     // 🔥 KEY FIX: UPDATE CAMERA INSIDE detectionQueue
@@ -279,21 +918,22 @@ cameras.put("/:id", async (req, res) => {
       }
     }
 
-    // If aiType changed and camera is active, restart detection
+    // If the AI types changed and camera is active, restart detection
+    const previousTypes = resolveAiTypes(currentCam).join(",");
     if (
-      req.body.aiType &&
-      req.body.aiType !== currentCam.aiType &&
+      req.body.aiTypes &&
+      resolveAiTypes(cam).join(",") !== previousTypes &&
       cam.isActive
     ) {
       removeCameraFromQueue(cam.id);
       cam.userId = userId;
       addCameraToQueue(cam);
       console.log(
-        `✅ Restarted ${cam.name} - aiType changed from ${currentCam.aiType} to ${cam.aiType}`
+        `✅ Restarted ${cam.name} - AI types changed from ${previousTypes} to ${resolveAiTypes(cam).join(",")}`
       );
     }
 
-    res.json(cam);
+    res.json(withStreamName(userId, cam));
   } catch (error) {
     if (error.message === "Camera not found") {
       return res.status(404).json({ error: "Camera not found" });
@@ -0,0 +1,87 @@
+import { Router } from "express";
+import pino from "pino";
+import { dynamodb } from "../db/dynamodb.js";
+
+const log = pino({ name: "event-routes" });
+
+export const events = Router();
+
+const VALID_VERDICTS = ["confirmed", "suppressed"];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function parseTimestamp(value, field) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${field} must be an ISO date or timestamp`);
+  }
+  return date.toISOString();
+}
+
+// List detection events
+// Query: cameraId, aiType, verdict, from, to, limit, nextToken
+events.get("/", async (req, res) => {
+  const userId = req.user.sub;
+  const { cameraId, aiType, verdict, nextToken } = req.query;
+
+  let filters;
+  try {
+    if (cameraId !== undefined && isNaN(Number(cameraId))) {
+      throw new Error("cameraId must be a number");
+    }
+    if (verdict && !VALID_VERDICTS.includes(verdict)) {
+      throw new Error(`verdict must be one of: ${VALID_VERDICTS.join(", ")}`);
+    }
+
+    const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new Error(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const from = parseTimestamp(req.query.from, "from");
+    const to = parseTimestamp(req.query.to, "to");
+    if (from && to && from > to) {
+      throw new Error("from must be before to");
+    }
+
+    filters = {
+      cameraId: cameraId !== undefined ? Number(cameraId) : undefined,
+      aiType: aiType ? String(aiType).toUpperCase() : undefined,
+      verdict,
+      from,
+      to,
+      limit,
+      nextToken,
+    };
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const page = await dynamodb.getDetectionEvents(userId, filters);
+    res.json(page);
+  } catch (error) {
+    if (error.message === "Invalid nextToken") {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error({ error: error.message, userId }, "Failed to list detection events");
+    res.status(500).json({ error: "Failed to retrieve detection events" });
+  }
+});
+
+// Get single detection event
+events.get("/:eventId", async (req, res) => {
+  const userId = req.user.sub;
+
+  try {
+    const event = await dynamodb.getDetectionEvent(userId, req.params.eventId);
+    res.json(event);
+  } catch (error) {
+    if (error.message === "Event not found") {
+      return res.status(404).json({ error: "Event not found" });
+    }
+    log.error({ error: error.message, userId }, "Failed to get detection event");
+    res.status(500).json({ error: "Failed to retrieve detection event" });
+  }
+});
@@ -0,0 +1,225 @@
+import express, { Router } from "express";
+import pino from "pino";
+import { dynamodb } from "../db/dynamodb.js";
+import { getQueueStatus } from "../services/detectionQueue.js";
+import {
+  LOCATION_TYPES,
+  validateLocation,
+  locationPath,
+  formatLocationPath,
+  buildLocationTree,
+  loadCamerasAtLocation,
+} from "../services/locationService.js";
+import {
+  FLOOR_PLAN_TYPES,
+  MAX_FLOOR_PLAN_SIZE,
+  saveFloorPlan,
+  deleteFloorPlanImage,
+} from "../services/floorPlanService.js";
+
+const log = pino({ name: "location-routes" });
+
+export const locations = Router();
+
+// Hierarchy with camera counts and fire status rolled up to every node
+locations.get("/", async (req, res) => {
+  const userId = req.user.sub;
+
+  try {
+    const { nodes, cameras: cams } = await loadCamerasAtLocation(userId);
+    const { fireDetections } = getQueueStatus(userId);
+
+    res.json({
+      types: LOCATION_TYPES,
+      nodes: nodes.map((node) => ({ ...node, path: formatLocationPath(locationPath(nodes, node.id)) })),
+      ...buildLocationTree(nodes, cams, fireDetections),
+    });
+  } catch (error) {
+    log.error({ error: error.message, userId }, "Failed to get locations");
+    res.status(500).json({ error: "Failed to retrieve locations" });
+  }
+});
+
+// Add node - body: { name, type, parentId }
+locations.post("/", async (req, res) => {
+  const userId = req.user.sub;
+
+  try {
+    const nodes = await dynamodb.getLocations(userId);
+
+    let node;
+    try {
+      node = validateLocation(req.body, nodes);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await dynamodb.updateLocations(userId, [...nodes, node]);
+
+    log.info({ userId, locationId: node.id, type: node.type }, "✅ Location added");
+    res.status(201).json(node);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "❌ Failed to add location");
+    res.status(500).json({ error: "Failed to add location" });
+  }
+});
+
+// Rename / move / retype node - body: any of { name, type, parentId }
+locations.put("/:locationId", async (req, res) => {
+  const userId = req.user.sub;
+
+  try {
+    const nodes = await dynamodb.getLocations(userId);
+    const existing = nodes.find((node) => node.id === req.params.locationId);
+
+    if (!existing) {
+      return res.status(404).json({ error: "Location not found" });
+    }
+
+    let node;
+    try {
+      node = validateLocation(req.body, nodes, existing);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await dynamodb.updateLocations(
+      userId,
+      nodes.map((n) => (n.id === node.id ? node : n))
+    );
+
+    log.info({ userId, locationId: node.id }, "✅ Location updated");
+    res.json(node);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "❌ Failed to update location");
+    res.status(500).json({ error: "Failed to update location" });
+  }
+});
+
+// Delete node - only once nothing is under it and no camera points at it
+locations.delete("/:locationId", async (req, res) => {
+  const userId = req.user.sub;
+  const { locationId } = req.params;
+
+  try {
+    const nodes = await dynamodb.getLocations(userId);
+    const existing = nodes.find((node) => node.id === locationId);
+
+    if (!existing) {
+      return res.status(404).json({ error: "Location not found" });
+    }
+
+    const children = nodes.filter((node) => node.parentId === locationId).length;
+    const assigned = (await dynamodb.getCamerasByUserId(userId)).filter(
+      (cam) => cam.locationId === locationId || cam.mapPlacement?.locationId === locationId
+    ).length;
+
+    if (children > 0 || assigned > 0) {
+      return res.status(409).json({
+        error: `Location still has ${children} location(s) and ${assigned} camera(s) under it - move or remove them first`,
+      });
+    }
+
+    await dynamodb.updateLocations(
+      userId,
+      nodes.filter((node) => node.id !== locationId)
+    );
+    await deleteFloorPlanImage(existing.floorPlan);
+
+    log.info({ userId, locationId }, "🗑️ Location deleted");
+    res.json({ ok: true });
+  } catch (error) {
+    log.error({ error: error.message, userId }, "❌ Failed to delete location");
+    res.status(500).json({ error: "Failed to delete location" });
+  }
+});
+
+// -------------------------------------------------------------------
+// 🗺️ Floor plans
+// -------------------------------------------------------------------
+
+// Upload / replace a node's floor plan or site map (raw image body).
+// Camera pins are stored 0-1 of the image, so they stay put on a new upload.
+locations.put(
+  "/:locationId/floor-plan",
+  express.raw({ type: Object.keys(FLOOR_PLAN_TYPES), limit: MAX_FLOOR_PLAN_SIZE }),
+  async (req, res) => {
+    const userId = req.user.sub;
+    const { locationId } = req.params;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: `Send the image as the request body (${Object.keys(FLOOR_PLAN_TYPES).join(", ")})`,
+      });
+    }
+
+    try {
+      const nodes = await dynamodb.getLocations(userId);
+      const existing = nodes.find((node) => node.id === locationId);
+
+      if (!existing) {
+        return res.status(404).json({ error: "Location not found" });
+      }
+
+      const node = {
+        ...existing,
+        floorPlan: await saveFloorPlan(
+          userId,
+          locationId,
+          req.body,
+          req.get("Content-Type").split(";")[0].trim()
+        ),
+      };
+      await dynamodb.updateLocations(
+        userId,
+        nodes.map((n) => (n.id === locationId ? node : n))
+      );
+      // Only once the node points at the new image
+      await deleteFloorPlanImage(existing.floorPlan);
+
+      log.info({ userId, locationId, bytes: req.body.length }, "🗺️ Floor plan uploaded");
+      res.json(node);
+    } catch (error) {
+      log.error({ error: error.message, userId }, "❌ Failed to upload floor plan");
+      res.status(500).json({ error: "Failed to upload floor plan" });
+    }
+  }
+);
+
+// Remove a floor plan - only once no camera is placed on it
+locations.delete("/:locationId/floor-plan", async (req, res) => {
+  const userId = req.user.sub;
+  const { locationId } = req.params;
+
+  try {
+    const nodes = await dynamodb.getLocations(userId);
+    const existing = nodes.find((node) => node.id === locationId);
+
+    if (!existing) {
+      return res.status(404).json({ error: "Location not found" });
+    }
+
+    const placed = (await dynamodb.getCamerasByUserId(userId)).filter(
+      (cam) => cam.mapPlacement?.locationId === locationId
+    ).length;
+
+    if (placed > 0) {
+      return res.status(409).json({
+        error: `${placed} camera(s) are placed on this floor plan - take them off the map first`,
+      });
+    }
+
+    const { floorPlan, ...node } = existing;
+    await dynamodb.updateLocations(
+      userId,
+      nodes.map((n) => (n.id === locationId ? node : n))
+    );
+    await deleteFloorPlanImage(floorPlan);
+
+    log.info({ userId, locationId }, "🗑️ Floor plan removed");
+    res.json(node);
+  } catch (error) {
+    log.error({ error: error.message, userId }, "❌ Failed to remove floor plan");
+    res.status(500).json({ error: "Failed to remove floor plan" });
+  }
+});
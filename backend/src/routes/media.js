@@ -0,0 +1,27 @@
+import { Router } from "express";
+import path from "node:path";
+import pino from "pino";
+import { cfg } from "../config.js";
+
+const log = pino({ name: "media-routes" });
+
+export const media = Router();
+
+// Locally stored clips and floor plans (MEDIA_STORAGE=local). Keys are
+// "<kind>/<userId>/...", so a user only gets files under their own id.
+media.get("/*", (req, res) => {
+  const key = path.posix.normalize(req.params[0] || "");
+  const [, owner] = key.split("/");
+
+  if (key.startsWith("..") || path.posix.isAbsolute(key) || owner !== req.user.sub) {
+    return res.status(404).json({ error: "Media not found" });
+  }
+
+  res.sendFile(key, { root: cfg.media.localDir, dotfiles: "deny" }, (error) => {
+    if (!error || res.headersSent) return;
+    if (error.status !== 404) {
+      log.error({ key, error: error.message }, "❌ Failed to send media file");
+    }
+    res.status(error.status || 500).json({ error: "Media not found" });
+  });
+});
@@ -0,0 +1,134 @@
+import { Router } from "express";
+import pino from "pino";
+import { requireService } from "../auth/cognitoVerify.js";
+import {
+  listModels,
+  getModelInfo,
+  newVersionEntry,
+  receiveModelFile,
+  addModelVersion,
+  activateModel,
+  rollbackModel,
+} from "../services/modelRegistry.js";
+
+const log = pino({ name: "model-routes" });
+
+export const models = Router();
+
+const MAX_MODEL_SIZE = 1024 ** 3; // 1 GB
+
+function sendModelError(res, error, action) {
+  if (error.message === "Model not found" || error.message === "Model version not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  if (
+    error.message === "Model version already exists" ||
+    error.message === "No previous version to roll back to"
+  ) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.message === "Model file too large") {
+    return res.status(413).json({ error: `Model files are limited to ${MAX_MODEL_SIZE / 1024 ** 3} GB` });
+  }
+  if (error.message === "Model file is empty") {
+    return res.status(400).json({ error: "Send the .onnx file as an application/octet-stream body" });
+  }
+  if (error.message.startsWith("Checksum mismatch") || error.message.startsWith("Not a valid ONNX model")) {
+    return res.status(400).json({ error: error.message });
+  }
+  log.error({ error: error.message, action }, "Model operation failed");
+  res.status(500).json({ error: `Failed to ${action}: ${error.message}` });
+}
+
+function parseList(value, field, parse = (v) => v) {
+  if (value === undefined) return undefined;
+  const items = String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean)
+    .map(parse);
+  if (items.some((v) => v === null || Number.isNaN(v))) {
+    throw new Error(`${field} must be a comma-separated list`);
+  }
+  return items;
+}
+
+// List model slots, their versions and which is active
+models.get("/", (req, res) => {
+  res.json(listModels());
+});
+
+// Get one model slot
+models.get("/:modelId", (req, res) => {
+  try {
+    res.json(getModelInfo(req.params.modelId));
+  } catch (error) {
+    sendModelError(res, error, "get model");
+  }
+});
+
+// Upload a new version (raw .onnx body, not activated). Service identity
+// only: the models are shared by every tenant.
+// Query: version (required), sha256, classes (comma-separated),
+// inputShape (e.g. 1,3,640,640), outputFormat, numQueries.
+// Fields not given are copied from the active version.
+// The body is streamed to disk, never buffered in memory.
+models.post("/:modelId/versions", requireService, async (req, res) => {
+  const { modelId } = req.params;
+
+  if (!req.is("application/octet-stream")) {
+    return res.status(400).json({ error: "Send the .onnx file as an application/octet-stream body" });
+  }
+  if (Number(req.headers["content-length"]) > MAX_MODEL_SIZE) {
+    return sendModelError(res, new Error("Model file too large"), "upload model");
+  }
+
+  let entry;
+  try {
+    entry = newVersionEntry(modelId, {
+      version: req.query.version,
+      classes: parseList(req.query.classes, "classes"),
+      inputShape: parseList(req.query.inputShape, "inputShape", Number),
+      outputFormat: req.query.outputFormat,
+      numQueries: req.query.numQueries !== undefined ? Number(req.query.numQueries) : undefined,
+    });
+  } catch (error) {
+    if (error.message === "Model not found") {
+      return res.status(404).json({ error: error.message });
+    }
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const upload = await receiveModelFile(req, MAX_MODEL_SIZE);
+    const model = await addModelVersion(modelId, entry, upload, req.query.sha256 || null);
+    res.status(201).json(model);
+  } catch (error) {
+    sendModelError(res, error, "upload model");
+  }
+});
+
+// Switch to a version (hot reload - no restart)
+models.post("/:modelId/activate", requireService, async (req, res) => {
+  const { version } = req.body || {};
+  if (!version) {
+    return res.status(400).json({ error: "version is required" });
+  }
+
+  try {
+    const model = await activateModel(req.params.modelId, String(version));
+    res.json(model);
+  } catch (error) {
+    sendModelError(res, error, "activate model");
+  }
+});
+
+// Back to the previously active version
+models.post("/:modelId/rollback", requireService, async (req, res) => {
+  try {
+    const model = await rollbackModel(req.params.modelId);
+    res.json(model);
+  } catch (error) {
+    sendModelError(res, error, "roll back model");
+  }
+});
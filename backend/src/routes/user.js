@@ -1,6 +1,13 @@
 import { Router } from "express";
 import { dynamodb } from "../db/dynamodb.js";
 import { updateSamplingRate } from "../services/detectionQueue.js";
+import {
+  CHANNEL_TYPES,
+  validateChannel,
+  maskChannel,
+  sendToChannel,
+  buildTestMessage,
+} from "../services/notifications/index.js";
 import pino from "pino";
 
 const log = pino({ name: "user-routes" });
@@ -87,3 +94,120 @@ user.put("/settings/sampling-rate", async (req, res) => {
     res.status(500).json({ error: "Failed to update sampling rate" });
   }
 });
+
+// -------------------------------------------------------------------
+// 🔔 Notification channels (webhook, chat, smtp, mqtt)
+// -------------------------------------------------------------------
+
+// List channels (secrets masked)
+user.get("/settings/notifications", async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const channels = await dynamodb.getNotificationChannels(userId);
+    res.json({ types: CHANNEL_TYPES, channels: channels.map(maskChannel) });
+  } catch (error) {
+    log.error({ error: error.message, userId: req.user.sub }, "Failed to get notification channels");
+    res.status(500).json({ error: "Failed to retrieve notification channels" });
+  }
+});
+
+// Add channel
+user.post("/settings/notifications", async (req, res) => {
+  const userId = req.user.sub;
+
+  let channel;
+  try {
+    channel = validateChannel(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const channels = await dynamodb.getNotificationChannels(userId);
+    await dynamodb.updateNotificationChannels(userId, [...channels, channel]);
+
+    log.info({ userId, channelId: channel.id, type: channel.type }, "✅ Notification channel added");
+    res.status(201).json(maskChannel(channel));
+  } catch (error) {
+    log.error({ error: error.message, userId }, "❌ Failed to add notification channel");
+    res.status(500).json({ error: "Failed to add notification channel" });
+  }
+});
+
+// Update channel
+user.put("/settings/notifications/:channelId", async (req, res) => {
+  const userId = req.user.sub;
+
+  try {
+    const channels = await dynamodb.getNotificationChannels(userId);
+    const existing = channels.find((c) => c.id === req.params.channelId);
+
+    if (!existing) {
+      return res.status(404).json({ error: "Channel not found" });
+    }
+
+    let channel;
+    try {
+      channel = validateChannel(req.body, existing);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await dynamodb.updateNotificationChannels(
+      userId,
+      channels.map((c) => (c.id === channel.id ? channel : c))
+    );
+
+    log.info({ userId, channelId: channel.id }, "✅ Notification channel updated");
+    res.json(maskChannel(channel));
+  } catch (error) {
+    log.error({ error: error.message, userId }, "❌ Failed to update notification channel");
+    res.status(500).json({ error: "Failed to update notification channel" });
+  }
+});
+
+// Delete channel
+user.delete("/settings/notifications/:channelId", async (req, res) => {
+  const userId = req.user.sub;
+
+  try {
+    const channels = await dynamodb.getNotificationChannels(userId);
+    const remaining = channels.filter((c) => c.id !== req.params.channelId);
+
+    if (remaining.length === channels.length) {
+      return res.status(404).json({ error: "Channel not found" });
+    }
+
+    await dynamodb.updateNotificationChannels(userId, remaining);
+
+    log.info({ userId, channelId: req.params.channelId }, "🗑️ Notification channel deleted");
+    res.json({ ok: true });
+  } catch (error) {
+    log.error({ error: error.message, userId }, "❌ Failed to delete notification channel");
+    res.status(500).json({ error: "Failed to delete notification channel" });
+  }
+});
+
+// Send a test message through one channel (single attempt, error returned)
+user.post("/settings/notifications/:channelId/test", async (req, res) => {
+  const userId = req.user.sub;
+
+  try {
+    const channels = await dynamodb.getNotificationChannels(userId);
+    const channel = channels.find((c) => c.id === req.params.channelId);
+
+    if (!channel) {
+      return res.status(404).json({ error: "Channel not found" });
+    }
+
+    try {
+      const result = await sendToChannel(channel, buildTestMessage(channel), { retries: 0 });
+      res.json({ ok: true, result });
+    } catch (error) {
+      res.status(502).json({ ok: false, error: error.message });
+    }
+  } catch (error) {
+    log.error({ error: error.message, userId }, "❌ Failed to test notification channel");
+    res.status(500).json({ error: "Failed to test notification channel" });
+  }
+});
@@ -6,7 +6,7 @@ import pino from "pino";
 import path from "path";
 import { fileURLToPath } from "url";
 import { cfg } from "./config.js";
-import { requireAuth } from "./auth/cognitoVerify.js";
+import { requireAuth, verifyIdToken } from "./auth/cognitoVerify.js";
 import {
   startMediaMTX,
   stopMediaMTX,
@@ -14,12 +14,32 @@ import {
 } from "./services/mediamtx.js";
 import { cameras as camerasRouter } from "./routes/cameras.js";
 import { user as userRouter } from "./routes/user.js";
-import { CognitoJwtVerifier } from "aws-jwt-verify";
+import { events as eventsRouter } from "./routes/events.js";
+import { alerts as alertsRouter } from "./routes/alerts.js";
+import { models as modelsRouter } from "./routes/models.js";
+import { locations as locationsRouter } from "./routes/locations.js";
+import { media as mediaRouter } from "./routes/media.js";
 import {
   startDetectionQueue,
   stopDetectionQueue,
   setBroadcastFunction,
+  isUserQueueRunning,
 } from "./services/detectionQueue.js";
+import {
+  setAlertBroadcastFunction,
+  resumeAlertEscalations,
+  stopAlertTimers,
+} from "./services/alertService.js";
+import { setHealthBroadcastFunction } from "./services/cameraHealth.js";
+import { MEDIA_URL_PREFIX } from "./services/mediaStorage.js";
+import {
+  stopAllFrameSources,
+  getActiveFrameSourceCount,
+} from "./services/frameSource.js";
+import {
+  stopInferencePool,
+  getInferencePoolStats,
+} from "./services/inferencePool.js";
 import { dynamodb } from "./db/dynamodb.js";
 
 const log = pino({ name: "server" });
@@ -35,21 +55,12 @@ const __dirname = path.dirname(__filename);
 // ===================================================================
 const DEFAULT_SAMPLING_RATE = 30000; // 30 seconds default sampling window
 
-// ✅ Track current user (starts as null, set dynamically on login)
-let currentUserId = null;
-
 // -------------------------------------------------------------------
 // 🧠 WebSocket setup with JWT authentication
 // -------------------------------------------------------------------
 const wss = new WebSocketServer({ server: httpServer });
 const wsClients = new Map(); // userId -> Set<WebSocket>
 
-const verifier = CognitoJwtVerifier.create({
-  userPoolId: cfg.cognito.poolId,
-  tokenUse: "id",
-  clientId: cfg.cognito.clientId,
-});
-
 wss.on("connection", async (ws, req) => {
   log.info("🔗 WebSocket connection attempt");
 
@@ -63,7 +74,7 @@ wss.on("connection", async (ws, req) => {
   }
 
   try {
-    const payload = await verifier.verify(token);
+    const payload = await verifyIdToken(token);
     const userId = payload.sub;
 
     log.info(
@@ -86,37 +97,18 @@ wss.on("connection", async (ws, req) => {
       // Continue anyway - don't block connection on settings failure
     }
 
-    // ✅ DYNAMIC USER DETECTION: Switch detection queue for new user
-    if (!currentUserId || currentUserId !== userId) {
-      log.info(
-        { oldUser: currentUserId, newUser: userId },
-        "🔄 New user detected, switching detection queue"
-      );
-
-      currentUserId = userId;
-
-      // Stop existing queue (if any)
-      await stopDetectionQueue();
-
-      // ✅ ONLY CHANGE: Load ALL cameras for this user (not just active)
+    // ✅ PER-USER DETECTION: Start this user's queue alongside any others.
+    // Other users' queues keep running - a login never interrupts them.
+    if (!isUserQueueRunning(userId)) {
+      // Load ALL cameras for this user (not just active)
       const userCameras = await dynamodb.getCamerasByUserId(userId);
 
       if (userCameras.length > 0) {
         log.info(
           { userId, count: userCameras.length },
-          "🎥 Starting detection for new user's cameras"
+          "🎥 Starting detection for user's cameras"
         );
 
-        // ✅ Regenerate MediaMTX config for this user
-        try {
-          log.info("🔄 Regenerating MediaMTX config for logged-in user...");
-          await stopMediaMTX();
-          await startMediaMTX(userId);
-          log.info("✅ MediaMTX restarted with user's cameras");
-        } catch (err) {
-          log.error({ error: err.message }, "❌ Failed to restart MediaMTX");
-        }
-
         // ✅ Attach userId to each camera before passing to queue
         const camerasWithUserId = userCameras.map(cam => ({
           ...cam,
@@ -128,7 +120,7 @@ wss.on("connection", async (ws, req) => {
         log.warn({ userId }, "⚠️ No cameras found for this user");
       }
     } else {
-      log.info({ userId }, "♻️ Same user reconnected, keeping existing queue");
+      log.info({ userId }, "♻️ User reconnected, keeping existing queue");
     }
 
     // Register WebSocket client
@@ -220,6 +212,33 @@ export function broadcastFireDetection(userId, id, cameraName, isFire, metadata
   );
 }
 
+// -------------------------------------------------------------------
+// 🚨 Broadcast helper for alert updates (opened, escalated, acknowledged...)
+// -------------------------------------------------------------------
+export function broadcastAlert(userId, alert) {
+  const clients = wsClients.get(userId);
+
+  if (!clients || clients.size === 0) {
+    log.warn({ userId, alertId: alert.alertId }, "⚠️ No WebSocket clients for alert update");
+    return;
+  }
+
+  const payload = JSON.stringify({ type: "alert", alert });
+
+  let sentCount = 0;
+  for (const client of clients) {
+    if (client.readyState === 1) {
+      client.send(payload);
+      sentCount++;
+    }
+  }
+
+  log.info(
+    { userId, alertId: alert.alertId, status: alert.status, sentCount },
+    "📢 Alert update broadcasted"
+  );
+}
+
 // -------------------------------------------------------------------
 // 🌐 Express configuration
 // -------------------------------------------------------------------
@@ -227,7 +246,7 @@ app.use(
   cors({
     origin: true,
     credentials: true,
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "x-api-key"],
   })
 );
 app.use(express.json({ limit: "5mb" }));
@@ -256,12 +275,26 @@ if (isElectronProduction) {
 app.use(express.static(frontendDistPath));
 
 app.get("/healthz", async (_req, res) => {
-  res.json({ ok: true, mediamtx: await isMediaMTXRunning() });
+  res.json({
+    ok: true,
+    mediamtx: await isMediaMTXRunning(),
+    frameDecoders: getActiveFrameSourceCount(),
+    inference: getInferencePoolStats(),
+  });
 });
 
 app.use("/api", requireAuth);
 app.use("/api/cameras", camerasRouter);
 app.use("/api/user", userRouter);
+app.use("/api/events", eventsRouter);
+app.use("/api/alerts", alertsRouter);
+app.use("/api/models", modelsRouter);
+app.use("/api/locations", locationsRouter);
+
+// Locally stored clips and floor plans (MEDIA_STORAGE=local)
+if (cfg.media.storage === "local") {
+  app.use(MEDIA_URL_PREFIX, mediaRouter);
+}
 
 // Handle React Router (catch all handler for SPA)
 app.get("*", (req, res) => {
@@ -271,25 +304,87 @@ app.get("*", (req, res) => {
   res.sendFile(indexPath);
 });
 
+// -------------------------------------------------------------------
+// 🤖 Service Mode (headless, no browser login required)
+// -------------------------------------------------------------------
+async function startServiceMode() {
+  log.info("🤖 Service mode - starting detection for all active cameras");
+
+  if (cfg.service.userId) {
+    try {
+      await dynamodb.ensureUser(cfg.service.userId, DEFAULT_SAMPLING_RATE);
+    } catch (error) {
+      log.error(
+        { error: error.message, userId: cfg.service.userId },
+        "❌ Failed to initialize service user settings"
+      );
+    }
+  }
+
+  try {
+    const allCameras = await dynamodb.getAllCameras();
+    const activeCameras = allCameras.filter((cam) => cam.isActive);
+
+    if (activeCameras.length === 0) {
+      log.warn("⚠️ Service mode: no active cameras found");
+      return;
+    }
+
+    await startDetectionQueue(activeCameras);
+
+    log.info(
+      { count: activeCameras.length },
+      "✅ Service mode: detection running for all active cameras"
+    );
+  } catch (error) {
+    // Keep serving the API so the cameras can be fixed remotely
+    log.error({ error: error.message }, "❌ Service mode: failed to start detection");
+  }
+}
+
+// -------------------------------------------------------------------
+// 📷 Broadcast helper for camera health changes (offline, frozen...)
+// -------------------------------------------------------------------
+export function broadcastCameraHealth(userId, cameraId, health) {
+  const clients = wsClients.get(userId);
+  if (!clients || clients.size === 0) return;
+
+  const payload = JSON.stringify({ type: "camera-health", cameraId, health });
+  for (const client of clients) {
+    if (client.readyState === 1) {
+      client.send(payload);
+    }
+  }
+
+  log.info({ userId, cameraId, status: health.status }, "📢 Camera health broadcasted");
+}
+
 // -------------------------------------------------------------------
 // 🚀 Main Entrypoint
 // -------------------------------------------------------------------
 async function main() {
   setBroadcastFunction(broadcastFireDetection);
   log.info("🔌 WebSocket broadcast function registered with detection queue");
+  setAlertBroadcastFunction(broadcastAlert);
+  setHealthBroadcastFunction(broadcastCameraHealth);
+  await resumeAlertEscalations();
 
-  // ✅ Start MediaMTX with EMPTY config (will be populated on login)
+  // ✅ Start MediaMTX with paths for every user's cameras
   try {
-    log.info("Starting MediaMTX with empty configuration...");
+    log.info("Starting MediaMTX with all users' camera paths...");
     await startMediaMTX();
-    log.info("✅ MediaMTX started (waiting for user login to add camera paths)");
+    log.info("✅ MediaMTX started");
   } catch (err) {
     log.error({ error: err.message }, "Failed to start MediaMTX");
   }
 
-  // ✅ NO detection queue at startup - will start when user logs in
-  log.info("⏳ Waiting for user to login via WebSocket...");
-  log.info("💡 Cameras and detection will load automatically after authentication");
+  if (cfg.service.enabled) {
+    await startServiceMode();
+  } else {
+    // ✅ Detection queues start per user when they log in via WebSocket
+    log.info("⏳ Waiting for users to login via WebSocket...");
+    log.info("💡 Each user's cameras and detection load automatically after authentication");
+  }
 
   httpServer.listen(cfg.port, () =>
     log.info(`🚀 API & WebSocket listening on port ${cfg.port}`)
@@ -300,6 +395,9 @@ async function main() {
 process.on("SIGTERM", async () => {
   log.info("SIGTERM received, shutting down...");
   await stopDetectionQueue();
+  stopAllFrameSources();
+  stopInferencePool();
+  stopAlertTimers();
   await stopMediaMTX();
   process.exit(0);
 });
@@ -307,6 +405,9 @@ process.on("SIGTERM", async () => {
 process.on("SIGINT", async () => {
   log.info("SIGINT received, shutting down...");
   await stopDetectionQueue();
+  stopAllFrameSources();
+  stopInferencePool();
+  stopAlertTimers();
   await stopMediaMTX();
   process.exit(0);
 });
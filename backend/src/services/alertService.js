@@ -0,0 +1,432 @@
+import pino from "pino";
+import { cfg } from "../config.js";
+import { dynamodb } from "../db/dynamodb.js";
+import { sendFireAlert, sendEscalationAlert, sendIncidentNotice } from "./snsService.js";
+import { notifyUser, buildAlertMessage } from "./notifications/index.js";
+import { describeCameraLocation } from "./locationService.js";
+
+const log = pino({ name: "alert-service" });
+
+// -------------------------------------------------------------------
+// 📋 Alert States
+// -------------------------------------------------------------------
+export const ALERT_STATUSES = ["open", "acknowledged", "resolved", "false_positive"];
+
+// Alerts still needing attention; a camera has at most one per AI type at a time
+export const ACTIVE_STATUSES = ["open", "acknowledged"];
+
+// Allowed status changes. resolved / false_positive are final.
+const TRANSITIONS = {
+  open: ["acknowledged", "resolved", "false_positive"],
+  acknowledged: ["resolved", "false_positive"],
+  resolved: [],
+  false_positive: [],
+};
+
+// -------------------------------------------------------------------
+// 📋 State
+// -------------------------------------------------------------------
+// alertId -> escalation timeout
+const escalationTimers = new Map();
+let broadcastAlert = null;
+
+export function setAlertBroadcastFunction(fn) {
+  broadcastAlert = fn;
+  log.info("✅ Alert broadcast function registered");
+}
+
+function publish(alert) {
+  if (broadcastAlert) {
+    broadcastAlert(alert.userId, alert);
+  }
+}
+
+function historyEntry(status, action, by, note = null) {
+  return { status, action, by, at: new Date().toISOString(), note };
+}
+
+// -------------------------------------------------------------------
+// ⏫ Escalation
+// -------------------------------------------------------------------
+function clearEscalation(alertId) {
+  const timer = escalationTimers.get(alertId);
+  if (timer) {
+    clearTimeout(timer);
+    escalationTimers.delete(alertId);
+  }
+}
+
+function scheduleEscalation(alert) {
+  if (alert.status !== "open" || alert.tier >= 2) return;
+
+  clearEscalation(alert.alertId);
+
+  const elapsed = Date.now() - new Date(alert.createdAt).getTime();
+  const delay = Math.max(cfg.alerts.escalationDelayMs - elapsed, 0);
+
+  escalationTimers.set(
+    alert.alertId,
+    setTimeout(() => escalate(alert.userId, alert.alertId), delay)
+  );
+
+  log.info({ alertId: alert.alertId, delay }, "⏱️ Escalation scheduled");
+}
+
+async function escalate(userId, alertId) {
+  escalationTimers.delete(alertId);
+
+  try {
+    const alert = await dynamodb.getAlert(userId, alertId);
+
+    // Acknowledged (or closed) in the meantime - nothing to do
+    if (alert.status !== "open" || alert.tier >= 2) return;
+
+    try {
+      await sendEscalationAlert(userId, alert, cfg.alerts.escalationTopicArn);
+    } catch (error) {
+      // Still mark it escalated so the dashboard shows it needs attention
+      log.error({ alertId, error: error.message }, "❌ Escalation notification failed");
+    }
+
+    await notifyUser(userId, buildAlertMessage({ ...alert, tier: 2 }, "escalated"), 2);
+
+    const updated = await dynamodb.updateAlert(userId, alertId, {
+      tier: 2,
+      escalatedAt: new Date().toISOString(),
+      history: [...(alert.history || []), historyEntry("open", "escalated", "system")],
+    });
+
+    log.warn({ userId, alertId, cameraId: alert.cameraId }, "🚨 Alert escalated to tier 2");
+    publish(updated);
+  } catch (error) {
+    log.error({ userId, alertId, error: error.message }, "❌ Failed to escalate alert");
+  }
+}
+
+// -------------------------------------------------------------------
+// 🚨 Raise Alert (from the detection queue)
+// -------------------------------------------------------------------
+async function getActiveAlert(camera, aiType) {
+  const [active] = await dynamodb.getAlerts(camera.userId, {
+    statuses: ACTIVE_STATUSES,
+    cameraId: camera.id,
+    aiType,
+    limit: 1,
+  });
+  return active || null;
+}
+
+async function bumpAlert(alert, imageUrl = null) {
+  const updates = {
+    occurrences: (alert.occurrences || 1) + 1,
+    lastSeenAt: new Date().toISOString(),
+  };
+  if (imageUrl) updates.imageUrl = imageUrl;
+
+  const updated = await dynamodb.updateAlert(alert.userId, alert.alertId, updates);
+
+  // Normally re-armed at startup; covers an alert that resume missed
+  if (!escalationTimers.has(updated.alertId)) {
+    scheduleEscalation(updated);
+  }
+
+  publish(updated);
+  return updated;
+}
+
+// Detected again after the "cleared" notice: note it on the alert and
+// send the tier 1 notification again, as for a new alert
+async function reopenAlert(camera, active, { detectionResult, imageUrl }) {
+  const bumped = await bumpAlert(active, imageUrl);
+  const updated = await dynamodb.updateAlert(camera.userId, bumped.alertId, {
+    clearedAt: null,
+    history: [...(bumped.history || []), historyEntry(bumped.status, "reopened", "system")],
+  });
+
+  log.warn(
+    { userId: camera.userId, alertId: updated.alertId, cameraId: camera.id },
+    "🚨 Alert reopened"
+  );
+
+  try {
+    await sendFireAlert(
+      camera.userId,
+      camera.id,
+      camera.name,
+      detectionResult,
+      imageUrl,
+      updated.location
+    );
+  } catch (error) {
+    log.error({ alertId: updated.alertId, error: error.message }, "❌ Tier 1 notification failed");
+  }
+  notifyUser(camera.userId, buildAlertMessage(updated, "reopened"), 1);
+
+  publish(updated);
+  return updated;
+}
+
+/**
+ * Open an alert for a confirmed detection and send the tier 1 notification.
+ * If the camera already has an open or acknowledged alert for this AI type
+ * it is updated instead; `reminder: true` then sends a "still active"
+ * notification (incident re-notify interval), `reopened: true` sends the
+ * tier 1 notification again (its "cleared" notice already went out),
+ * otherwise nothing is sent.
+ * `issue` describes a problem that isn't a detection (camera health).
+ *
+ * Never throws: the detection loop must keep running.
+ */
+export async function raiseAlert(camera, details) {
+  const {
+    aiType,
+    detectionResult,
+    imageUrl = null,
+    eventId = null,
+    incidentId = null,
+    reminder = false,
+    reopened = false,
+    issue = null,
+  } = details;
+  const now = new Date().toISOString();
+
+  try {
+    const active = await getActiveAlert(camera, aiType);
+
+    if (active) {
+      if (reopened) {
+        return await reopenAlert(camera, active, { detectionResult, imageUrl });
+      }
+
+      const updated = await bumpAlert(active, imageUrl);
+
+      if (reminder) {
+        log.warn(
+          { userId: camera.userId, alertId: updated.alertId, cameraId: camera.id },
+          "🔁 Incident still active - re-notifying"
+        );
+        try {
+          await sendIncidentNotice(camera.userId, updated, "ongoing");
+        } catch (error) {
+          log.error({ alertId: updated.alertId, error: error.message }, "❌ Reminder notification failed");
+        }
+        notifyUser(camera.userId, buildAlertMessage(updated, "ongoing"), 1);
+      }
+
+      return updated;
+    }
+
+    const location = await describeCameraLocation(camera);
+    const alert = await dynamodb.createAlert(camera.userId, {
+      alertId: `${now}_${camera.id}_${aiType}`,
+      cameraId: camera.id,
+      cameraName: camera.name,
+      // Full path ("Site › Building › Floor › Zone") as of when it opened
+      location,
+      aiType,
+      status: "open",
+      tier: 1,
+      confidence: detectionResult?.confidence ?? null,
+      imageUrl,
+      eventId,
+      incidentId,
+      ...(issue && { issue }),
+      occurrences: 1,
+      createdAt: now,
+      lastSeenAt: now,
+      history: [historyEntry("open", "opened", "system")],
+    });
+
+    log.warn(
+      { userId: camera.userId, alertId: alert.alertId, cameraId: camera.id, aiType },
+      "🚨 Alert opened"
+    );
+
+    try {
+      await sendFireAlert(
+        camera.userId,
+        camera.id,
+        camera.name,
+        detectionResult,
+        imageUrl,
+        location
+      );
+    } catch (error) {
+      log.error({ alertId: alert.alertId, error: error.message }, "❌ Tier 1 notification failed");
+    }
+
+    // Not awaited: channel retries/backoff must not stall the detection loop
+    notifyUser(camera.userId, buildAlertMessage(alert, "opened"), 1);
+
+    scheduleEscalation(alert);
+    publish(alert);
+    return alert;
+  } catch (error) {
+    log.error(
+      { userId: camera.userId, cameraId: camera.id, error: error.message },
+      "❌ Failed to raise alert"
+    );
+    return null;
+  }
+}
+
+/**
+ * Count another detection cycle of an ongoing incident on the camera's
+ * active alert for `aiType`. Sends nothing, and opens nothing if the alert
+ * was already closed by a user. Never throws.
+ */
+export async function recordAlertOccurrence(camera, aiType) {
+  try {
+    const active = await getActiveAlert(camera, aiType);
+    return active ? await bumpAlert(active) : null;
+  } catch (error) {
+    log.error(
+      { userId: camera.userId, cameraId: camera.id, error: error.message },
+      "❌ Failed to update alert occurrence"
+    );
+    return null;
+  }
+}
+
+/**
+ * Link the pre/post-event clip to an alert once it has been stitched.
+ * The first clip (start of the incident) is kept; later ones stay on
+ * their detection events. Never throws.
+ */
+export async function attachAlertClip(userId, alertId, clipUrl) {
+  try {
+    const alert = await dynamodb.getAlert(userId, alertId);
+    if (alert.clipUrl) return alert;
+
+    const updated = await dynamodb.updateAlert(userId, alertId, { clipUrl });
+    publish(updated);
+    return updated;
+  } catch (error) {
+    log.error({ userId, alertId, error: error.message }, "❌ Failed to link clip to alert");
+    return null;
+  }
+}
+
+// -------------------------------------------------------------------
+// ✅ Incident Cleared (camera back to no detection)
+// -------------------------------------------------------------------
+/**
+ * Send the "cleared" notification for an incident. The alert itself stays
+ * open/acknowledged - clearing is noted in its history, but closing it is
+ * still up to a person. Never throws.
+ *
+ * @param {Object} incident - From incidentTracker.recordNegativeCycle
+ */
+export async function clearIncidentAlert(camera, incident) {
+  try {
+    let alert = await getActiveAlert(camera, incident.aiType);
+
+    if (alert) {
+      alert = await dynamodb.updateAlert(camera.userId, alert.alertId, {
+        clearedAt: new Date().toISOString(),
+        history: [...(alert.history || []), historyEntry(alert.status, "cleared", "system")],
+      });
+      publish(alert);
+    } else {
+      // Alert already closed by a user - still tell everyone it's over
+      alert = {
+        alertId: null,
+        cameraId: camera.id,
+        cameraName: camera.name,
+        location: await describeCameraLocation(camera),
+        aiType: incident.aiType,
+        status: null,
+        tier: 1,
+        occurrences: incident.positiveCycles,
+        createdAt: new Date(incident.startedAt).toISOString(),
+      };
+    }
+
+    const summary = {
+      ...alert,
+      lastSeenAt: new Date(incident.lastPositiveAt).toISOString(),
+    };
+
+    try {
+      await sendIncidentNotice(camera.userId, summary, "cleared");
+    } catch (error) {
+      log.error({ cameraId: camera.id, error: error.message }, "❌ Cleared notification failed");
+    }
+    notifyUser(camera.userId, buildAlertMessage(summary, "cleared"), 1);
+
+    return alert;
+  } catch (error) {
+    log.error(
+      { userId: camera.userId, cameraId: camera.id, error: error.message },
+      "❌ Failed to clear incident alert"
+    );
+    return null;
+  }
+}
+
+// -------------------------------------------------------------------
+// ✅ Change Alert Status (acknowledge / resolve / false positive)
+// -------------------------------------------------------------------
+/**
+ * @param {string} by - Who made the change (email or user id)
+ */
+export async function transitionAlert(userId, alertId, status, { by, note = null }) {
+  if (!ALERT_STATUSES.includes(status)) {
+    throw new Error(`status must be one of: ${ALERT_STATUSES.join(", ")}`);
+  }
+
+  const alert = await dynamodb.getAlert(userId, alertId);
+
+  if (!TRANSITIONS[alert.status].includes(status)) {
+    throw new Error(`Cannot change alert from ${alert.status} to ${status}`);
+  }
+
+  const now = new Date().toISOString();
+  const updates = {
+    status,
+    history: [...(alert.history || []), historyEntry(status, status, by, note)],
+  };
+
+  if (status === "acknowledged") {
+    updates.acknowledgedBy = by;
+    updates.acknowledgedAt = now;
+  } else {
+    updates.closedBy = by;
+    updates.closedAt = now;
+  }
+
+  clearEscalation(alertId);
+
+  const updated = await dynamodb.updateAlert(userId, alertId, updates);
+  log.info({ userId, alertId, status, by }, "✅ Alert status changed");
+
+  publish(updated);
+  return updated;
+}
+
+// -------------------------------------------------------------------
+// 🔁 Resume Escalation Timers (startup)
+// -------------------------------------------------------------------
+/**
+ * Timers live in memory only: re-arm them for every open alert so alerts
+ * raised before a restart still escalate without another detection.
+ * Overdue ones escalate right away.
+ */
+export async function resumeAlertEscalations() {
+  try {
+    const alerts = await dynamodb.getOpenAlerts();
+    alerts.forEach(scheduleEscalation);
+    log.info({ count: alerts.length }, "⏱️ Escalation timers resumed for open alerts");
+  } catch (error) {
+    log.error({ error: error.message }, "❌ Failed to resume escalation timers");
+  }
+}
+
+// -------------------------------------------------------------------
+// 🛑 Stop Escalation Timers (shutdown)
+// -------------------------------------------------------------------
+export function stopAlertTimers() {
+  for (const alertId of escalationTimers.keys()) {
+    clearEscalation(alertId);
+  }
+}
@@ -0,0 +1,287 @@
+import crypto from "crypto";
+import pino from "pino";
+import { cfg } from "../config.js";
+import { frameHealthStats } from "./inferencePool.js";
+import { raiseAlert, clearIncidentAlert } from "./alertService.js";
+
+const log = pino({ name: "camera-health" });
+
+// -------------------------------------------------------------------
+// 📋 State
+// -------------------------------------------------------------------
+// A camera that can't be read must not look like a safe one. Each turn's
+// grabs are checked for:
+//
+//   offline    - consecutive grab failures
+//   frozen     - identical frames (the feed stopped updating)
+//   obstructed - very low contrast or sharpness (covered / defocused lens)
+//   moved      - the view differs from the camera's usual one (it was moved)
+//
+// Worst first; "ok" when none apply, "unknown" before the first turn.
+//
+// id -> { status, issue, since, checkedAt, failures, identicalFrames, lastHash, lowDetailTurns,
+//         sceneChangeTurns, reference, movedAt, settleUntil, problemSince, stats, lastError }
+const cameraHealth = new Map();
+let broadcastHealth = null;
+
+export const HEALTH_STATUSES = ["unknown", "ok", "offline", "frozen", "obstructed", "moved"];
+
+// Alerts for health problems go through the normal alert path under this type
+export const HEALTH_AI_TYPE = "CAMERA_HEALTH";
+
+// Thumbnail compared against the usual view, and how fast the usual view
+// follows slow changes (daylight)
+const THUMB_WIDTH = 32;
+const THUMB_HEIGHT = 18;
+const REFERENCE_ALPHA = 0.05;
+
+export function setHealthBroadcastFunction(fn) {
+  broadcastHealth = fn;
+  log.info("✅ Camera health broadcast function registered");
+}
+
+function getHealth(cameraId) {
+  if (!cameraHealth.has(cameraId)) {
+    cameraHealth.set(cameraId, {
+      status: "unknown",
+      issue: null,
+      since: Date.now(),
+      checkedAt: null,
+      failures: 0,
+      identicalFrames: 0,
+      lastHash: null,
+      lowDetailTurns: 0,
+      sceneChangeTurns: 0,
+      reference: null,
+      movedAt: null,
+      settleUntil: 0,
+      problemSince: null,
+      stats: null,
+      lastError: null,
+    });
+  }
+  return cameraHealth.get(cameraId);
+}
+
+// -------------------------------------------------------------------
+// 🧮 Checks
+// -------------------------------------------------------------------
+// Mean absolute difference (0-255) after removing each thumbnail's mean
+// brightness, so lights going on or off don't look like a moved camera
+function sceneDifference(thumbnail, reference) {
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const offset = mean(thumbnail) - mean(reference);
+
+  let total = 0;
+  for (let i = 0; i < thumbnail.length; i++) {
+    total += Math.abs(thumbnail[i] - reference[i] - offset);
+  }
+  return total / thumbnail.length;
+}
+
+function updateReference(health, thumbnail, { reset = false } = {}) {
+  if (reset || !health.reference || health.reference.length !== thumbnail.length) {
+    health.reference = Float32Array.from(thumbnail);
+    return;
+  }
+  for (let i = 0; i < thumbnail.length; i++) {
+    health.reference[i] += (thumbnail[i] - health.reference[i]) * REFERENCE_ALPHA;
+  }
+}
+
+async function checkImage(camera, health, frameBuffer, now) {
+  let stats;
+  try {
+    stats = await frameHealthStats(frameBuffer, THUMB_WIDTH, THUMB_HEIGHT);
+  } catch (error) {
+    // Can't tell - keep the previous counts rather than guess
+    log.warn({ cameraId: camera.id, error: error.message }, "⚠️ Frame health check failed");
+    return;
+  }
+
+  const { stdDev, sharpness, thumbnail } = stats;
+  const {
+    minStdDev,
+    minSharpness,
+    sceneChangeThreshold,
+    sceneChangeTurns,
+  } = cfg.health;
+
+  const lowDetail = stdDev < minStdDev || sharpness < minSharpness;
+  health.lowDetailTurns = lowDetail ? health.lowDetailTurns + 1 : 0;
+
+  // A covered lens isn't a new view - don't learn it
+  let sceneDiff = null;
+  if (!lowDetail && now < health.settleUntil) {
+    // Moved on purpose (PTZ): the new view becomes the usual one
+    health.sceneChangeTurns = 0;
+    updateReference(health, thumbnail, { reset: true });
+  } else if (!lowDetail) {
+    sceneDiff = health.reference ? sceneDifference(thumbnail, health.reference) : 0;
+
+    if (sceneDiff > sceneChangeThreshold) {
+      health.sceneChangeTurns++;
+      // Someone walking past lasts a turn; a moved camera stays moved
+      if (health.sceneChangeTurns >= sceneChangeTurns) {
+        health.movedAt = now;
+        health.sceneChangeTurns = 0;
+        updateReference(health, thumbnail, { reset: true });
+      }
+    } else {
+      health.sceneChangeTurns = 0;
+      updateReference(health, thumbnail);
+    }
+  }
+
+  health.stats = {
+    stdDev: Number(stdDev.toFixed(2)),
+    sharpness: Number(sharpness.toFixed(2)),
+    sceneDiff: sceneDiff === null ? null : Number(sceneDiff.toFixed(2)),
+  };
+}
+
+function assess(health, now) {
+  const { offlineAfterFailures, frozenFrames, obstructedTurns, movedHoldMs } = cfg.health;
+
+  if (health.failures >= offlineAfterFailures) {
+    return { status: "offline", issue: `${health.failures} frame grabs failed in a row (${health.lastError})` };
+  }
+  if (health.identicalFrames >= frozenFrames) {
+    return { status: "frozen", issue: `${health.identicalFrames} identical frames in a row` };
+  }
+  if (health.lowDetailTurns >= obstructedTurns) {
+    return {
+      status: "obstructed",
+      issue: `Lens covered or out of focus (contrast ${health.stats.stdDev}, sharpness ${health.stats.sharpness})`,
+    };
+  }
+  if (health.movedAt !== null && now - health.movedAt < movedHoldMs) {
+    return { status: "moved", issue: `Scene changed at ${new Date(health.movedAt).toISOString()} - camera moved?` };
+  }
+  return { status: "ok", issue: null };
+}
+
+// -------------------------------------------------------------------
+// 🚨 Status Changes
+// -------------------------------------------------------------------
+async function onStatusChange(camera, health, previous, now) {
+  if (health.status !== "ok") {
+    log.warn(
+      { userId: camera.userId, cameraId: camera.id, from: previous, issue: health.issue },
+      `📷 Camera ${health.status}`
+    );
+  } else if (previous !== "unknown") {
+    log.info({ userId: camera.userId, cameraId: camera.id, from: previous }, "✅ Camera healthy again");
+  }
+
+  if (broadcastHealth) {
+    broadcastHealth(camera.userId, camera.id, describeHealth(camera.id));
+  }
+
+  if (!cfg.health.alerts) return;
+
+  if (health.status === "ok") {
+    if (health.problemSince !== null) {
+      await clearIncidentAlert(camera, {
+        aiType: HEALTH_AI_TYPE,
+        positiveCycles: 1,
+        startedAt: health.problemSince,
+        lastPositiveAt: now,
+      });
+      health.problemSince = null;
+    }
+    return;
+  }
+
+  health.problemSince ??= now;
+  // A second problem while one is open bumps the same alert
+  await raiseAlert(camera, {
+    aiType: HEALTH_AI_TYPE,
+    detectionResult: {
+      detectionType: HEALTH_AI_TYPE,
+      confidence: null,
+      boxes: [],
+      issue: health.issue,
+    },
+    issue: health.issue,
+  });
+}
+
+// -------------------------------------------------------------------
+// 🔁 Record a Turn
+// -------------------------------------------------------------------
+/**
+ * Update a camera's health from one detection turn's grabs. Never throws.
+ * @param {Buffer[]} frames - JPEGs grabbed this turn, in order
+ * @param {Error[]} failures - grab errors this turn
+ */
+export async function recordHealthTurn(camera, { frames, failures }, now = Date.now()) {
+  const health = getHealth(camera.id);
+
+  try {
+    if (frames.length === 0) {
+      health.failures += failures.length;
+      health.lastError = failures[failures.length - 1]?.message || null;
+    } else {
+      health.failures = 0;
+      health.lastError = null;
+
+      for (const frame of frames) {
+        const hash = crypto.createHash("sha1").update(frame).digest("hex");
+        health.identicalFrames = hash === health.lastHash ? health.identicalFrames + 1 : 0;
+        health.lastHash = hash;
+      }
+
+      await checkImage(camera, health, frames[0], now);
+    }
+
+    health.checkedAt = now;
+    const previous = health.status;
+    const { status, issue } = assess(health, now);
+    health.status = status;
+    health.issue = issue;
+
+    if (status !== previous) {
+      health.since = now;
+      await onStatusChange(camera, health, previous, now);
+    }
+  } catch (error) {
+    log.error({ cameraId: camera.id, error: error.message }, "❌ Camera health update failed");
+  }
+
+  return describeHealth(camera.id);
+}
+
+// -------------------------------------------------------------------
+// 🔍 Lookup / Cleanup
+// -------------------------------------------------------------------
+/**
+ * For /status/all and the tiles: { status, issue, since, checkedAt, stats }
+ */
+export function describeHealth(cameraId) {
+  const health = cameraHealth.get(cameraId);
+  if (!health) {
+    return { status: "unknown", issue: null, since: null, checkedAt: null, stats: null };
+  }
+  return {
+    status: health.status,
+    issue: health.issue,
+    since: new Date(health.since).toISOString(),
+    checkedAt: health.checkedAt === null ? null : new Date(health.checkedAt).toISOString(),
+    stats: health.stats,
+  };
+}
+
+/**
+ * The view is about to change on purpose (PTZ move) - relearn it instead of
+ * reporting the camera as moved, for `settleMs` from now
+ */
+export function expectViewChange(cameraId, settleMs = cfg.ptz.settleMs) {
+  const health = getHealth(cameraId);
+  health.settleUntil = Date.now() + settleMs;
+  health.movedAt = null;
+}
+
+export function forgetHealth(cameraId) {
+  cameraHealth.delete(cameraId);
+}
@@ -0,0 +1,326 @@
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import pino from "pino";
+import { cfg } from "../config.js";
+import { cameraPathName } from "./mediamtxConfigGenerator.js";
+import { saveMediaFile } from "./mediaStorage.js";
+
+const log = pino({ name: "clip-recorder" });
+
+// -------------------------------------------------------------------
+// 📋 Configuration Constants
+// -------------------------------------------------------------------
+const RESTART_DELAY = 5000; // Wait before restarting a crashed segmenter
+const STITCH_TIMEOUT = 60000; // Kill a hung concat after 1 minute
+
+// -------------------------------------------------------------------
+// 📋 State
+// -------------------------------------------------------------------
+// cameraId -> { camera, dir, process, restartTimer, pruneTimer, stopping }
+const recorders = new Map();
+
+// Leftovers from a previous run are removed once; every start waits for it
+let bufferCleanup = null;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * How long segments are kept. A clip stitches post + one segment after the
+ * event and still needs the pre-event segments at that point.
+ */
+function retentionMs() {
+  const { preSeconds, postSeconds, segmentSeconds } = cfg.clips;
+  return (preSeconds + postSeconds + segmentSeconds * 3) * 1000;
+}
+
+function sourceUrl(camera) {
+  return `${cfg.clips.rtspBase}/${cameraPathName(camera)}`;
+}
+
+// -------------------------------------------------------------------
+// 🎞️ Segment Ring Buffer
+// -------------------------------------------------------------------
+function spawnSegmenter(recorder) {
+  const { camera, dir } = recorder;
+
+  // New prefix per run so a restart never overwrites segments still needed
+  const pattern = path.join(dir, `seg_${Date.now()}_%06d.ts`);
+
+  const args = [
+    "-hide_banner",
+    "-loglevel",
+    "error",
+    "-rtsp_transport",
+    "tcp",
+    "-i",
+    sourceUrl(camera),
+    "-c:v",
+    "copy",
+    "-an", // Drop audio, same as the detection streams
+    "-f",
+    "segment",
+    "-segment_time",
+    String(cfg.clips.segmentSeconds),
+    "-segment_format",
+    "mpegts",
+    "-reset_timestamps",
+    "1",
+    pattern,
+  ];
+
+  const proc = spawn(cfg.ffmpeg, args, { stdio: ["ignore", "ignore", "pipe"] });
+  recorder.process = proc;
+
+  let stderr = "";
+  proc.stderr.on("data", (data) => {
+    stderr = (stderr + data.toString()).slice(-2000);
+  });
+
+  proc.on("error", (error) => {
+    log.error({ cameraId: camera.id, error: error.message }, "❌ Clip segmenter failed to start");
+  });
+
+  proc.on("close", (code) => {
+    recorder.process = null;
+
+    if (recorder.stopping) {
+      fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+      return;
+    }
+
+    log.warn(
+      {
+        cameraId: camera.id,
+        code,
+        stderr: stderr.split("\n").slice(-3).join("\n"),
+      },
+      `⚠️ Clip segmenter exited - restarting in ${RESTART_DELAY / 1000}s`
+    );
+
+    recorder.restartTimer = setTimeout(() => {
+      recorder.restartTimer = null;
+      if (!recorder.stopping) spawnSegmenter(recorder);
+    }, RESTART_DELAY);
+  });
+
+  log.info(
+    { cameraId: camera.id, name: camera.name, source: sourceUrl(camera) },
+    "🎞️ Clip ring buffer recording"
+  );
+}
+
+/**
+ * Segments in a buffer dir, oldest first. mtime is when ffmpeg finished
+ * writing the segment, i.e. its end time.
+ */
+async function listSegments(dir) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const segments = [];
+  for (const file of files) {
+    if (!file.endsWith(".ts")) continue;
+    try {
+      const stat = await fs.stat(path.join(dir, file));
+      segments.push({ file: path.join(dir, file), endMs: stat.mtimeMs });
+    } catch {
+      // Pruned between readdir and stat
+    }
+  }
+
+  return segments.sort((a, b) => a.endMs - b.endMs);
+}
+
+async function pruneSegments(recorder) {
+  const cutoff = Date.now() - retentionMs();
+  const segments = await listSegments(recorder.dir);
+
+  for (const segment of segments) {
+    if (segment.endMs < cutoff) {
+      await fs.rm(segment.file, { force: true });
+    }
+  }
+}
+
+// -------------------------------------------------------------------
+// ▶️ Start / ⏹️ Stop Recording
+// -------------------------------------------------------------------
+/**
+ * Start the rolling buffer for a monitored camera (no-op when clips are
+ * disabled or it's already recording).
+ */
+export async function startClipRecorder(camera) {
+  if (!cfg.clips.enabled || recorders.has(camera.id)) return;
+
+  // Unique dir per run: a restarted recorder must not share it with the
+  // old segmenter, which deletes its dir once it has exited
+  const recorder = {
+    camera,
+    dir: path.join(cfg.clips.bufferDir, `${camera.id}-${randomUUID().slice(0, 8)}`),
+    process: null,
+    restartTimer: null,
+    pruneTimer: null,
+    stopping: false,
+  };
+  recorders.set(camera.id, recorder);
+
+  try {
+    bufferCleanup ??= fs.rm(cfg.clips.bufferDir, { recursive: true, force: true });
+    await bufferCleanup;
+    await fs.mkdir(recorder.dir, { recursive: true });
+  } catch (error) {
+    log.error({ cameraId: camera.id, error: error.message }, "❌ Failed to prepare clip buffer");
+    recorders.delete(camera.id);
+    return;
+  }
+
+  // Stopped while the directory was being prepared
+  if (recorder.stopping) return;
+
+  spawnSegmenter(recorder);
+  recorder.pruneTimer = setInterval(
+    () => pruneSegments(recorder).catch(() => {}),
+    cfg.clips.segmentSeconds * 2000
+  );
+}
+
+export function stopClipRecorder(cameraId) {
+  const recorder = recorders.get(cameraId);
+  if (!recorder) return;
+
+  recorder.stopping = true;
+  recorders.delete(cameraId);
+
+  clearInterval(recorder.pruneTimer);
+  clearTimeout(recorder.restartTimer);
+
+  if (recorder.process) {
+    recorder.process.kill("SIGTERM");
+  } else {
+    fs.rm(recorder.dir, { recursive: true, force: true }).catch(() => {});
+  }
+
+  log.info({ cameraId }, "⏹️ Clip ring buffer stopped");
+}
+
+// -------------------------------------------------------------------
+// ✂️ Capture Clip Around an Event
+// -------------------------------------------------------------------
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(cfg.ffmpeg, args, { stdio: ["ignore", "ignore", "pipe"] });
+
+    let stderr = "";
+    proc.stderr.on("data", (data) => {
+      stderr = (stderr + data.toString()).slice(-2000);
+    });
+
+    const timer = setTimeout(() => proc.kill("SIGKILL"), STITCH_TIMEOUT);
+
+    proc.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    proc.on("close", (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim().split("\n").pop()}`));
+      }
+    });
+  });
+}
+
+/**
+ * Build an MP4 covering `preSeconds` before to `postSeconds` after the
+ * event from the camera's ring buffer and store it.
+ *
+ * Resolves after the post-event window has been recorded (so don't await
+ * it in the detection loop). Never throws.
+ *
+ * @param {Object} camera
+ * @param {number} eventTime - Epoch ms of the detection
+ * @returns {Promise<string|null>} Clip URL, or null if nothing was recorded
+ */
+export async function captureClip(camera, eventTime = Date.now()) {
+  const recorder = recorders.get(camera.id);
+  if (!recorder) return null;
+
+  const { preSeconds, postSeconds, segmentSeconds } = cfg.clips;
+
+  // Let the post-event window, plus the segment being written, finish
+  await sleep((postSeconds + segmentSeconds) * 1000 + 500);
+
+  const from = eventTime - preSeconds * 1000;
+  const to = eventTime + postSeconds * 1000;
+
+  // A segment covers [end - segmentSeconds, end]; keep those overlapping the window
+  const segments = (await listSegments(recorder.dir)).filter(
+    (s) => s.endMs >= from && s.endMs - segmentSeconds * 1000 <= to
+  );
+
+  if (segments.length === 0) {
+    log.warn({ cameraId: camera.id }, "⚠️ No buffered video for clip - is the stream up?");
+    return null;
+  }
+
+  const id = randomUUID();
+  const workDir = path.join(cfg.clips.bufferDir, "_stitch");
+  const listFile = path.join(workDir, `${id}.txt`);
+  const outFile = path.join(workDir, `${id}.mp4`);
+
+  try {
+    await fs.mkdir(workDir, { recursive: true });
+    await fs.writeFile(
+      listFile,
+      segments.map((s) => `file '${s.file.replace(/'/g, "'\\''")}'`).join("\n")
+    );
+
+    await runFfmpeg([
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-y",
+      "-f",
+      "concat",
+      "-safe",
+      "0",
+      "-i",
+      listFile,
+      "-c",
+      "copy",
+      "-movflags",
+      "+faststart",
+      outFile,
+    ]);
+
+    const eventDate = new Date(eventTime).toISOString();
+    const key = `clips/${camera.userId}/${camera.id}/${eventDate.split("T")[0]}/clip_${eventDate
+      .split("T")[1]
+      .replace(/[:.]/g, "-")
+      .slice(0, 8)}_${id.slice(0, 8)}.mp4`;
+
+    const clipUrl = await saveMediaFile(key, outFile, "video/mp4");
+
+    log.info(
+      { cameraId: camera.id, segments: segments.length, clipUrl },
+      "🎬 Event clip saved"
+    );
+    return clipUrl;
+  } catch (error) {
+    log.error({ cameraId: camera.id, error: error.message }, "❌ Failed to build event clip");
+    return null;
+  } finally {
+    await fs.rm(listFile, { force: true }).catch(() => {});
+    await fs.rm(outFile, { force: true }).catch(() => {});
+  }
+}
@@ -1,43 +1,10 @@
 import { cfg } from "../config.js";
-import { spawn } from "node:child_process";
+import { grabFrame } from "./frameSource.js";
 import fetch from "node-fetch";
 import pino from "pino";
 
 const log = pino({ name: "cloud-detector" });
 
-// ===================================================================
-// 🖼️ Frame Extraction via ffmpeg (Same as localDetector.js)
-// ===================================================================
-function grabFrameOnce(srcUrl) {
-  return new Promise((resolve, reject) => {
-    const isRtsp = srcUrl.startsWith("rtsp://");
-    const args = ["-y"];
-    
-    if (isRtsp) {
-      args.push(
-        "-rtsp_transport", "tcp",
-        "-timeout", "5000000",
-        "-analyzeduration", "1000000",
-        "-probesize", "1000000"
-      );
-    }
-
-    args.push("-i", srcUrl, "-frames:v", "1", "-q:v", "2", "-f", "image2", "-");
-
-    const ff = spawn(cfg.ffmpeg, args, { stdio: ["ignore", "pipe", "pipe"] });
-    const chunks = [];
-    let err = "";
-
-    ff.stdout.on("data", (d) => chunks.push(d));
-    ff.stderr.on("data", (d) => (err += d.toString()));
-    ff.on("error", reject);
-    ff.on("close", (code) => {
-      if (code === 0 && chunks.length) resolve(Buffer.concat(chunks));
-      else reject(new Error(`ffmpeg exit ${code}: ${err.split("\n").slice(-3).join(" ")}`));
-    });
-  });
-}
-
 // ===================================================================
 // 🎥 Build Camera Input URL (Same as localDetector.js)
 // ===================================================================
@@ -149,7 +116,7 @@ export async function detectFireCloud(cameraUrl, cameraName) {
 
     for (let i = 0; i < FRAME_COUNT; i++) {
       try {
-        const jpegBuffer = await grabFrameOnce(cameraUrl);
+        const jpegBuffer = await grabFrame(cameraUrl);
         frames.push(jpegBuffer);
         
         log.debug({ camera: cameraName, frame: i + 1 }, "Frame captured");
@@ -0,0 +1,176 @@
+import pino from "pino";
+import { cfg } from "../config.js";
+
+const log = pino({ name: "confirmation-tracker" });
+
+// -------------------------------------------------------------------
+// 📋 State
+// -------------------------------------------------------------------
+// Whether a detection on a camera alerts is decided over several cycles,
+// not one burst. Per camera and AI type:
+//
+//   idle         - nothing real in the last `confirmWindow` cycles
+//   suspected    - some real cycles, fewer than `confirmCycles`; the
+//                  camera is re-checked ahead of its turn
+//   confirmed    - `confirmCycles` of the last `confirmWindow` cycles were
+//                  real; alerts go through the incident tracker
+//   cooling_down - confirmed, now clear; back to confirmed on the next real
+//                  cycle, idle after cfg.incidents.clearAfterCycles clear ones
+//
+// A cycle is "real" (passed validation), "suppressed" (failed it) or
+// "none" (nothing detected); only real cycles count towards confirmation.
+//
+// "cameraId:aiType" -> { cameraId, aiType, state, since, window, clearCycles, cycles, transitions }
+const trackers = new Map();
+
+export const CONFIRMATION_STATES = ["idle", "suspected", "confirmed", "cooling_down"];
+
+// Kept per tracker for /detection-status
+const MAX_CYCLES = 20;
+const MAX_TRANSITIONS = 20;
+
+function trackerKey(cameraId, aiType) {
+  return `${cameraId}:${aiType}`;
+}
+
+function getTracker(cameraId, aiType, now) {
+  const key = trackerKey(cameraId, aiType);
+  if (!trackers.has(key)) {
+    trackers.set(key, {
+      cameraId,
+      aiType,
+      state: "idle",
+      since: now,
+      window: [], // last confirmWindow outcomes, oldest first
+      clearCycles: 0,
+      cycles: [],
+      transitions: [],
+    });
+  }
+  return trackers.get(key);
+}
+
+function pushCapped(list, item, max) {
+  list.push(item);
+  if (list.length > max) list.shift();
+}
+
+function nextState(tracker, real, { confirmCycles }) {
+  const positives = tracker.window.filter((outcome) => outcome === "real").length;
+
+  switch (tracker.state) {
+    case "idle":
+    case "suspected":
+      if (positives >= confirmCycles) return { state: "confirmed", reason: `${positives} of ${tracker.window.length} cycles real` };
+      if (positives > 0) return { state: "suspected", reason: "real detection, awaiting confirmation" };
+      return { state: "idle", reason: "not confirmed within window" };
+
+    case "confirmed":
+      return real ? { state: "confirmed" } : { state: "cooling_down", reason: "first clear cycle" };
+
+    case "cooling_down":
+      if (real) return { state: "confirmed", reason: "real detection while cooling down" };
+      if (tracker.clearCycles >= cfg.incidents.clearAfterCycles) {
+        return { state: "idle", reason: `${tracker.clearCycles} clear cycles` };
+      }
+      return { state: "cooling_down" };
+  }
+}
+
+// -------------------------------------------------------------------
+// 🔁 Record a Cycle
+// -------------------------------------------------------------------
+/**
+ * Record one detection cycle's outcome for an AI type on a camera and move
+ * its state machine.
+ * @param {"real"|"suppressed"|"none"} outcome
+ * @param {Object} settings - resolveDetectionSettings() ({ confirmCycles, confirmWindow })
+ * @param {{ reason?: string, now?: number }} [options] - reason: why a cycle wasn't real
+ * @returns {{ state: string, previous: string }}
+ */
+export function recordCycle(camera, aiType, outcome, settings, { reason = null, now = Date.now() } = {}) {
+  const { confirmCycles, confirmWindow } = settings;
+  const tracker = getTracker(camera.id, aiType, now);
+  const real = outcome === "real";
+
+  // Trim to the window (it may also have been shrunk by a settings change)
+  tracker.window.push(outcome);
+  tracker.window.splice(0, Math.max(0, tracker.window.length - confirmWindow));
+  tracker.clearCycles = real ? 0 : tracker.clearCycles + 1;
+
+  const previous = tracker.state;
+  const next = nextState(tracker, real, { confirmCycles });
+
+  pushCapped(tracker.cycles, { at: new Date(now).toISOString(), outcome, reason, state: next.state }, MAX_CYCLES);
+
+  if (next.state !== previous) {
+    tracker.state = next.state;
+    tracker.since = now;
+    if (next.state === "idle") {
+      tracker.window = [];
+    }
+    pushCapped(
+      tracker.transitions,
+      { at: new Date(now).toISOString(), from: previous, to: next.state, reason: next.reason },
+      MAX_TRANSITIONS
+    );
+
+    log.info(
+      { userId: camera.userId, cameraId: camera.id, aiType, from: previous, to: next.state, reason: next.reason },
+      `🔀 ${aiType} ${previous} → ${next.state}`
+    );
+  }
+
+  return { state: tracker.state, previous };
+}
+
+// -------------------------------------------------------------------
+// 🔍 Lookup / Cleanup
+// -------------------------------------------------------------------
+export function getConfirmationState(cameraId, aiType) {
+  return trackers.get(trackerKey(cameraId, aiType))?.state || "idle";
+}
+
+/**
+ * When a suspected camera is next due a re-check (ms timestamp), or null
+ * when none of its AI types is suspected
+ * @param {number} lastCheckedAt - end of the camera's last turn
+ */
+export function suspectedRecheckAt(cameraId, lastCheckedAt) {
+  for (const tracker of trackers.values()) {
+    if (tracker.cameraId === cameraId && tracker.state === "suspected") {
+      return lastCheckedAt + cfg.detectors.suspectedRecheckMs;
+    }
+  }
+  return null;
+}
+
+/**
+ * For /detection-status: each AI type's state, when it was entered, the
+ * recent cycles that drove it and its recent transitions
+ */
+export function describeConfirmation(cameraId) {
+  const out = {};
+  for (const tracker of trackers.values()) {
+    if (tracker.cameraId !== cameraId) continue;
+    out[tracker.aiType] = {
+      state: tracker.state,
+      since: new Date(tracker.since).toISOString(),
+      window: [...tracker.window],
+      cycles: [...tracker.cycles],
+      transitions: [...tracker.transitions],
+    };
+  }
+  return out;
+}
+
+/**
+ * Drop a camera's state machines - every AI type, or just `aiType`
+ */
+export function forgetConfirmation(cameraId, aiType = null) {
+  for (const [key, tracker] of trackers) {
+    if (tracker.cameraId === cameraId && (!aiType || tracker.aiType === aiType)) {
+      trackers.delete(key);
+    }
+  }
+}
@@ -0,0 +1,207 @@
+import pino from "pino";
+import { measureMotion, shouldRunDetector } from "./motionGate.js";
+import { runValidation } from "./detectors/validation.js";
+import { recordCycle } from "./confirmationTracker.js";
+import { recordPositiveCycle, recordNegativeCycle } from "./incidentTracker.js";
+
+const log = pino({ name: "detection-pipeline" });
+
+// -------------------------------------------------------------------
+// 🔬 Detection Pipeline
+// -------------------------------------------------------------------
+// The steps of a detection turn that don't depend on live cameras or
+// storage, shared by the queue (detectionQueue.js) and the offline
+// evaluation script (scripts/evaluate-pipeline.js) so both sample, detect
+// and decide the same way. Validation is runValidation() in
+// detectors/validation.js.
+
+// -------------------------------------------------------------------
+// 📋 Configuration Constants
+// -------------------------------------------------------------------
+export const DEFAULT_SAMPLING_WINDOW = 30000; // 30 seconds default
+const MIN_CAMERA_INTERVAL = 1000; // Minimum 1 second between cameras
+const MIN_FRAME_INTERVAL = 500; // Minimum 500ms between frames
+
+// -------------------------------------------------------------------
+// 🧮 Dynamic Sampling Rate Calculation
+// -------------------------------------------------------------------
+
+/**
+ * Calculate the interval between camera checks based on sampling
+ * window and queue size by distributing cameras evenly.
+ *
+ * Example:
+ *   window = 30000ms, 3 cameras → 10000ms per camera
+ */
+export function calculateCameraInterval(windowDuration, numCameras) {
+  if (numCameras === 0) {
+    return windowDuration;
+  }
+
+  const interval = Math.floor(windowDuration / numCameras);
+  return Math.max(MIN_CAMERA_INTERVAL, interval);
+}
+
+/**
+ * Calculate the interval between frame extractions for a camera.
+ * Example:
+ *   Camera gets 10s, 3 frames → 3.33s per frame
+ */
+export function calculateFrameInterval(cameraInterval, framesPerCheck) {
+  const interval = Math.floor(cameraInterval / framesPerCheck);
+  return Math.max(MIN_FRAME_INTERVAL, interval);
+}
+
+/**
+ * Wait between the frames of one turn. Note the frame interval is divided
+ * by framesPerCheck again, so a turn's frames are closer together than
+ * calculateFrameInterval() suggests (10s camera, 3 frames → 1.11s apart).
+ */
+export function frameSpacing(frameInterval, framesPerCheck) {
+  return Math.floor(frameInterval / framesPerCheck);
+}
+
+// -------------------------------------------------------------------
+// 🚦 Motion Gate
+// -------------------------------------------------------------------
+/**
+ * The detectors to run this turn, decided on its first frame: idle
+ * detectors are skipped while the scene is still, unless their forced
+ * check is due (motionGate.js).
+ * @param {Object} settingsByType - aiType -> resolveDetectionSettings()
+ */
+export async function selectDetectors(frameBuffer, camera, detectors, settingsByType, now = Date.now()) {
+  const motion = await measureMotion(camera.id, frameBuffer);
+
+  const selected = [];
+  const skipped = [];
+  for (const detector of detectors) {
+    const { run } = shouldRunDetector(camera, detector.aiType, motion, settingsByType[detector.aiType], now);
+    (run ? selected : skipped).push(detector);
+  }
+
+  if (skipped.length > 0) {
+    log.info(
+      {
+        id: camera.id,
+        name: camera.name,
+        motion: motion.toFixed(4),
+        skipped: skipped.map((d) => d.aiType),
+      },
+      "💤 No motion - skipping idle detectors"
+    );
+  }
+  return selected;
+}
+
+// -------------------------------------------------------------------
+// 🎯 Run Detectors on One Frame
+// -------------------------------------------------------------------
+/**
+ * Run every detector on a frame, adding it to `framesByType[aiType]` for
+ * each detector that found something. A failing detector is logged and
+ * skipped so it can't blind the others.
+ * @param {Object} settingsByType - aiType -> resolveDetectionSettings()
+ * @param {Object} framesByType - aiType -> frames with a detection (mutated)
+ * @param {{ frameNumber: number, framesPerCheck: number, timestamp?: string }} frameInfo
+ */
+export async function detectFrame(frameBuffer, camera, detectors, settingsByType, framesByType, frameInfo) {
+  const { frameNumber, framesPerCheck, timestamp = new Date().toISOString() } = frameInfo;
+
+  for (const detector of detectors) {
+    const detectionType = detector.aiType;
+
+    try {
+      const result = await detector.detect(frameBuffer, camera, settingsByType[detectionType]);
+
+      if (result.detected) {
+        framesByType[detectionType].push({
+          timestamp,
+          boxes: result.boxes,
+          frameSize: result.frameSize,
+          confidence: result.confidence,
+          frameBuffer: result.frameBuffer,
+          details: result.details, // Detector-specific counts (fire/smoke, people)
+          detectionType // Store type for later
+        });
+
+        const detectedLabel = result.boxes.length > 0 ? result.boxes[0].label : "Object";
+        const prefix = `${detector.emoji} ${detectionType}`;
+
+        log.info(
+          {
+            id: camera.id,
+            name: camera.name,
+            frameNumber,
+            boxes: result.boxes.length,
+            firstBox: result.boxes.length > 0 ? result.boxes[0] : null,
+          },
+          `${prefix} Frame ${frameNumber}/${framesPerCheck}: ${detectedLabel} detected`
+        );
+      } else {
+        const prefix = `✅ ${detectionType}`;
+        log.info(
+          {
+            id: camera.id,
+            name: camera.name,
+            frameNumber,
+          },
+          `${prefix} Frame ${frameNumber}/${framesPerCheck}: No detection`
+        );
+      }
+    } catch (error) {
+      // One failing detector must not blind the others on this frame
+      log.error(
+        {
+          id: camera.id,
+          name: camera.name,
+          error: error.message,
+        },
+        `❌ ${detectionType} Detection error - skipping frame`
+      );
+    }
+  }
+}
+
+// -------------------------------------------------------------------
+// ⚖️ Decide a Detector's Turn
+// -------------------------------------------------------------------
+/**
+ * Validate one detector's frames and move its confirmation state and
+ * incident. The caller only acts on the result (alerts, events, PTZ).
+ *
+ * verdict:
+ *   "none"        - nothing detected in any frame
+ *   "suppressed"  - detected but failed validation
+ *   "unconfirmed" - real this turn, not yet confirmed
+ *   "confirmed"   - real and confirmed; `action` / `incident` from
+ *                   recordPositiveCycle()
+ * `cleared` is the incident that cleared this turn and `held` whether one
+ * would have but `holdOpen` kept it open (recordNegativeCycle()).
+ *
+ * @param {Object} settings - resolveDetectionSettings() for the detector
+ * @param {number} now - turn time; the evaluation runs on the clip's clock
+ * @param {{ holdOpen?: boolean }} options - keep incidents open (PTZ has
+ *   the camera away from home)
+ */
+export async function decideDetectorTurn(camera, detector, frames, settings, now = Date.now(), { holdOpen = false } = {}) {
+  const { aiType } = detector;
+
+  const validation =
+    frames.length > 0
+      ? await runValidation(detector, frames, settings)
+      : { isReal: false, reason: "no_detection", iouAnalysis: null, liveness: null };
+  const { isReal, reason } = validation;
+
+  const cycle = isReal ? "real" : frames.length > 0 ? "suppressed" : "none";
+  const { state: confirmation } = recordCycle(camera, aiType, cycle, settings, { reason, now });
+
+  if (isReal && confirmation === "confirmed") {
+    const { action, incident } = recordPositiveCycle(camera, aiType, now);
+    return { ...validation, verdict: "confirmed", confirmation, action, incident, cleared: null, held: false };
+  }
+
+  const verdict = frames.length === 0 ? "none" : isReal ? "unconfirmed" : "suppressed";
+  const { cleared, held } = recordNegativeCycle(camera, aiType, now, { holdOpen });
+  return { ...validation, verdict, confirmation, action: null, incident: null, cleared, held };
+}
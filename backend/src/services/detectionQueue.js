@@ -1,266 +1,185 @@
 import pino from "pino";
-import { detectFire, buildCameraUrl } from "./localDetector.js";
-import { detectWeapon } from "./localWeaponDetector.js";
-import { detectTheft } from "./localTheftDetector.js";
-import livenessValidator from "./livenessValidator.js";
+import { buildCameraUrl } from "./localDetector.js";
+import { getDetector, isKnownAiType, resolveAiTypes, AI_TYPES } from "./detectors/index.js";
+import {
+  DEFAULT_SAMPLING_WINDOW,
+  calculateCameraInterval,
+  calculateFrameInterval,
+  frameSpacing,
+  selectDetectors,
+  detectFrame,
+  decideDetectorTurn,
+} from "./detectionPipeline.js";
+import { resolveDetectionSettings, resolveFramesPerCheck } from "./detectionSettings.js";
+import { grabFrame } from "./frameSource.js";
 import {
   startCameraStream,
   stopCameraStream,
   isStreamActive,
 } from "./streamManager.js";
-import { sanitizePathName } from "./mediamtxConfigGenerator.js";
+import { cameraPathName } from "./mediamtxConfigGenerator.js";
 
-import { sendFireAlert } from "./snsService.js";
+import {
+  raiseAlert,
+  recordAlertOccurrence,
+  clearIncidentAlert,
+  attachAlertClip,
+} from "./alertService.js";
+import { getActiveIncidents, forgetIncidents } from "./incidentTracker.js";
+import {
+  suspectedRecheckAt,
+  describeConfirmation,
+  forgetConfirmation,
+} from "./confirmationTracker.js";
+import { describeMotionGate, forgetMotion } from "./motionGate.js";
+import { recordHealthTurn, describeHealth, forgetHealth } from "./cameraHealth.js";
+import { moveForDetection, returnHome, isAutoMoved, forgetPtz } from "./ptzService.js";
 import { uploadFireFrame } from "./s3Service.js";
-import { getUserSamplingRate } from "../db/dynamodb.js";
+import {
+  startClipRecorder,
+  stopClipRecorder,
+  captureClip,
+} from "./clipRecorder.js";
+import { recordDetectionEvent } from "./eventHistory.js";
+import { evaluateSchedule } from "./scheduleService.js";
+import { dynamodb } from "../db/dynamodb.js";
+import { cfg } from "../config.js";
 
 const log = pino({ name: "detection-queue" });
 
-// -------------------------------------------------------------------
-// 📋 Configuration Constants
-// -------------------------------------------------------------------
-const DEFAULT_SAMPLING_WINDOW = 30000; // 30 seconds default
-
 // -------------------------------------------------------------------
 // 📋 Queue State
 // -------------------------------------------------------------------
-let cameraQueue = [];
-let currentIndex = 0;
-let isRunning = false;
-let loopInterval = null;
+// Each user gets an independent queue so one user's login or camera
+// changes never interrupt detection for another user's cameras.
+// userId -> { userId, cameraQueue, currentIndex, isRunning, loopInterval, samplingWindow }
+const userQueues = new Map();
 let broadcastFireDetection = null;
-let currentUserId = null; // Track current user for sampling rate
-let samplingWindow = DEFAULT_SAMPLING_WINDOW; // User's sampling window (will be fetched from user settings)
 
-// Track detection state per camera
-// id -> { isFire, lastChecked, consecutiveStatic }
+// Track detection state per camera (camera ids are unique across users)
+// id -> { isFire, lastChecked, lastAttemptAt, armed, types: { aiType -> { detected } } }
+// isFire: any of the camera's detectors is currently confirmed (confirmationTracker.js)
 const cameraStates = new Map();
 
 // -------------------------------------------------------------------
 // 🔧 Configuration - Multi-Frame Detection (Drone Method)
 // -------------------------------------------------------------------
-const FRAMES_PER_CHECK = 3; // Extract 3 frames per camera turn
-const BOX_IOU_THRESHOLD = 0.8; // 80% overlap = static (drone method)
-const STATIC_THRESHOLD = 2; // currently not used to short-circuit, but we track it
-const MIN_CAMERA_INTERVAL = 1000; // Minimum 1 second between cameras
-const MIN_FRAME_INTERVAL = 500; // Minimum 500ms between frames
-
-// -------------------------------------------------------------------
-// 🧮 Dynamic Sampling Rate Calculation
-// -------------------------------------------------------------------
+// Frames per turn and the validation thresholds are per-camera detection
+// settings (detectionSettings.js), defaulting to cfg.detectors.
 
-/**
- * Calculate the interval between camera checks based on sampling
- * window and queue size by distributing cameras evenly.
- *
- * Example:
- *   window = 30000ms, 3 cameras → 10000ms per camera
- */
-function calculateCameraInterval(windowDuration, numCameras) {
-  if (numCameras === 0) {
-    return windowDuration;
-  }
-
-  const interval = Math.floor(windowDuration / numCameras);
-  return Math.max(MIN_CAMERA_INTERVAL, interval);
-}
-
-/**
- * Calculate the interval between frame extractions for a camera.
- * Example:
- *   Camera gets 10s, 3 frames → 3.33s per frame
- */
-function calculateFrameInterval(cameraInterval) {
-  const interval = Math.floor(cameraInterval / FRAMES_PER_CHECK);
-  return Math.max(MIN_FRAME_INTERVAL, interval);
-}
+// How often to re-check schedules when every camera in a queue is disarmed
+const SCHEDULE_CHECK_INTERVAL = 60000;
 
 // -------------------------------------------------------------------
-// 📊 IoU Calculation (Drone Method)
+// 🧠 SMART SOURCE SELECTION (Fix for Stream Freeze)
 // -------------------------------------------------------------------
-
-function computeIoU(box1, box2) {
-  const [x1, y1, x2, y2] = box1;
-  const [x1b, y1b, x2b, y2b] = box2;
-
-  // Intersection
-  const xi1 = Math.max(x1, x1b);
-  const yi1 = Math.max(y1, y1b);
-  const xi2 = Math.min(x2, x2b);
-  const yi2 = Math.min(y2, y2b);
-
-  const inter = Math.max(0, xi2 - xi1) * Math.max(0, yi2 - yi1);
-
-  // Union
-  const area1 = (x2 - x1) * (y2 - y1);
-  const area2 = (x2b - x1b) * (y2b - y1b);
-  const union = area1 + area2 - inter;
-
-  return union > 0 ? inter / union : 0;
-}
-
 /**
- * Analyze multiple frames using IoU method.
- * Returns whether detection is static (false positive) or moving (real).
+ * Where detection reads a camera's frames from. Also used for zone-editor
+ * snapshots, so both share the camera's one frame decoder.
+ * @returns {{ url: string, source: "DIRECT_RTSP" | "LOCAL_PROXY" }}
  */
-function analyzeBoxes(frames) {
-  if (frames.length < 2) {
-    return {
-      isStatic: false,
-      reason: "insufficient_frames",
-      framesAnalyzed: frames.length,
-    };
-  }
-
-  // Get the largest box from each frame
-  const boxes = frames
-    .map((frame) => {
-      if (!frame.boxes || frame.boxes.length === 0) {
-        return null;
-      }
-      return frame.boxes[0]; // Highest confidence box
-    })
-    .filter((box) => box !== null);
-
-  if (boxes.length < 2) {
-    return {
-      isStatic: false,
-      reason: "insufficient_boxes",
-      framesAnalyzed: frames.length,
-    };
-  }
-
-  // Compare consecutive pairs
-  const ious = [];
-  for (let i = 1; i < boxes.length; i++) {
-    const iou = computeIoU(boxes[i - 1], boxes[i]);
-    ious.push(iou);
-  }
-
-  const avgIoU = ious.reduce((sum, iou) => sum + iou, 0) / ious.length;
-  const isStatic = avgIoU > BOX_IOU_THRESHOLD;
-
-  return {
-    isStatic,
-    avgIoU: avgIoU.toFixed(3),
-    ious: ious.map((iou) => iou.toFixed(3)),
-    reason: isStatic ? "static_box" : "moving_box",
-    framesAnalyzed: frames.length,
-    boxesCompared: boxes.length,
-  };
-}
-
-// -------------------------------------------------------------------
-// 🎬 Extract Multiple Frames from Camera (Local / Smart Source)
-// -------------------------------------------------------------------
-async function extractMultipleFramesLocal(camera, currentFrameInterval) {
-  const frames = [];
-  const frameInterval = Math.floor(currentFrameInterval / FRAMES_PER_CHECK);
-
-  // -----------------------------------------------------------------
-  // 🧠 SMART SOURCE SELECTION (Fix for Stream Freeze)
-  // -----------------------------------------------------------------
+export function getCameraSourceUrl(camera) {
   // Default: Direct Connection (Background Mode)
-  let cameraUrl = buildCameraUrl(camera);
-  let sourceLog = "DIRECT_RTSP";
+  let url = buildCameraUrl(camera);
+  let source = "DIRECT_RTSP";
 
   // Smart Switch: If streaming, use Local Stream (Active Mode)
   // This prevents opening a 2nd connection to the camera, avoiding overload/freeze.
   if (isStreamActive(camera.id)) {
     try {
-      const streamName = sanitizePathName(camera.streamName || camera.name);
+      const streamName = cameraPathName(camera);
       // Use the SAME stream the user is watching (via MediaMTX)
       // Append -fire to avoid conflict if needed, or just use the base stream
       // Using the base stream name as defined in mediamtx.yml
-      cameraUrl = `rtsp://localhost:8554/${streamName}-fire`;
-      sourceLog = "LOCAL_PROXY";
+      url = `rtsp://localhost:8554/${streamName}-fire`;
+      source = "LOCAL_PROXY";
     } catch (err) {
       log.warn({ err: err.message }, "Failed to build proxy URL, falling back to direct");
     }
   }
 
-  const detectionType = (camera.aiType || camera.detection || "LOCAL").toUpperCase();
+  return { url, source };
+}
+
+/**
+ * The camera as its detectors should see it. Zones are drawn on the home
+ * view: while a detection has the PTZ camera moved they don't line up, so
+ * the whole frame counts until it's back.
+ */
+function detectionView(camera) {
+  return isAutoMoved(camera.id) ? { ...camera, zones: [] } : camera;
+}
+
+// -------------------------------------------------------------------
+// 🎬 Extract Multiple Frames from Camera (Local / Smart Source)
+// -------------------------------------------------------------------
+/**
+ * Grab the camera's framesPerCheck frames and run every detector on each
+ * one, so the camera is decoded once however many AI types it has enabled.
+ * The first frame goes through the motion gate; once every detector is
+ * gated off, no more frames are grabbed. The grabs feed the camera's health.
+ * @param {Object} settingsByType - aiType -> resolveDetectionSettings()
+ * @returns {{ framesByType: Object, ran: Object[] }} aiType -> frames where
+ *   that detector found something, and the detectors that ran
+ */
+async function extractMultipleFramesLocal(camera, detectors, settingsByType, framesPerCheck, currentFrameInterval) {
+  const framesByType = Object.fromEntries(detectors.map((d) => [d.aiType, []]));
+  let ran = null; // decided on the first frame grabbed
+  const grabbed = [];
+  const failures = [];
+  const frameInterval = frameSpacing(currentFrameInterval, framesPerCheck);
+  const { url: cameraUrl, source: sourceLog } = getCameraSourceUrl(camera);
+  const view = detectionView(camera);
+
+  const aiTypes = detectors.map((d) => d.aiType);
 
   log.info(
     {
       id: camera.id,
       name: camera.name,
-      frameCount: FRAMES_PER_CHECK,
+      frameCount: framesPerCheck,
       intervalMs: frameInterval,
-      detectionType,
+      aiTypes,
       source: sourceLog,
       url: cameraUrl
     },
-    `📸 Extracting ${FRAMES_PER_CHECK} frames for LOCAL IoU analysis...`
+    `📸 Extracting ${framesPerCheck} frames for LOCAL IoU analysis...`
   );
 
-  for (let i = 0; i < FRAMES_PER_CHECK; i++) {
+  for (let i = 0; i < framesPerCheck; i++) {
     try {
-      let result;
-      if (detectionType === "WEAPON") {
-        result = await detectWeapon(cameraUrl, camera.name);
-      } else if (detectionType === "THEFT") {
-        result = await detectTheft(cameraUrl, camera.name);
-      } else {
-        // Default to FIRE (LOCAL)
-        result = await detectFire(cameraUrl, camera.name);
-      }
+      const frameBuffer = await grabFrame(cameraUrl);
+      grabbed.push(frameBuffer);
 
-      // Normalize result structure
-      const isDetected = result.isFire || result.isWeapon || result.isTheft;
-
-      if (isDetected) {
-        frames.push({
-          timestamp: new Date().toISOString(),
-          boxes: result.boxes.map((b) => [b[0], b[1], b[2], b[3], b[4], b[5]]),
-          fireCount: result.fireCount || 0,
-          smokeCount: result.smokeCount || 0,
-          confidence: result.confidence,
-          frameBuffer: result.frameBuffer,
-          detectionType // Store type for later
-        });
-
-        const detectedLabel = result.boxes.length > 0 ? result.boxes[0][4] : "Object";
-        const prefix = detectionType === "WEAPON" ? "🔫 WEAPON" : detectionType === "THEFT" ? "🕵️ THEFT" : "🔥 LOCAL";
-
-        log.info(
-          {
-            id: camera.id,
-            name: camera.name,
-            frameNumber: i + 1,
-            boxes: result.boxes.length,
-            firstBox: result.boxes.length > 0 ? result.boxes[0] : null,
-          },
-          `${prefix} Frame ${i + 1}/${FRAMES_PER_CHECK}: ${detectedLabel} detected`
-        );
-      } else {
-        const prefix = detectionType === "WEAPON" ? "✅ WEAPON" : detectionType === "THEFT" ? "✅ THEFT" : "✅ LOCAL";
-        log.info(
-          {
-            id: camera.id,
-            name: camera.name,
-            frameNumber: i + 1,
-          },
-          `${prefix} Frame ${i + 1}/${FRAMES_PER_CHECK}: No detection`
-        );
-      }
+      ran ??= await selectDetectors(frameBuffer, view, detectors, settingsByType);
+      if (ran.length === 0) break;
 
-      if (i < FRAMES_PER_CHECK - 1) {
+      await detectFrame(frameBuffer, view, ran, settingsByType, framesByType, {
+        frameNumber: i + 1,
+        framesPerCheck,
+      });
+
+      if (i < framesPerCheck - 1) {
         await new Promise((r) => setTimeout(r, frameInterval));
       }
     } catch (error) {
+      failures.push(error);
       log.error(
         {
           id: camera.id,
           name: camera.name,
           error: error.message,
         },
-        `❌ ${detectionType} Detection error - skipping frame`
+        "❌ Frame grab error - skipping frame"
       );
     }
   }
 
-  return frames;
+  await recordHealthTurn(camera, { frames: grabbed, failures });
+
+  // No frame could be grabbed: that says nothing about the scene, so no
+  // detector counts the turn (the camera's health shows it instead)
+  return { framesByType, ran: ran ?? [] };
 }
 
 // -------------------------------------------------------------------
@@ -271,45 +190,96 @@ export function setBroadcastFunction(fn) {
   log.info("✅ Broadcast function registered");
 }
 
+// -------------------------------------------------------------------
+// 👥 Per-User Queue Helpers
+// -------------------------------------------------------------------
+function getOrCreateUserQueue(userId) {
+  let queue = userQueues.get(userId);
+  if (queue) {
+    return queue;
+  }
+
+  queue = {
+    userId,
+    cameraQueue: [],
+    currentIndex: 0,
+    isRunning: false,
+    loopInterval: null,
+    samplingWindow: DEFAULT_SAMPLING_WINDOW,
+  };
+  userQueues.set(userId, queue);
+
+  log.info({ userId, totalUsers: userQueues.size }, "👤 Created detection queue for user");
+  return queue;
+}
+
+function findQueueForCamera(id) {
+  for (const queue of userQueues.values()) {
+    if (queue.cameraQueue.some((c) => c.id === id)) {
+      return queue;
+    }
+  }
+  return null;
+}
+
+async function loadSamplingWindow(queue) {
+  try {
+    queue.samplingWindow = await dynamodb.getUserSamplingRate(
+      queue.userId,
+      DEFAULT_SAMPLING_WINDOW
+    );
+    log.info(
+      { userId: queue.userId, samplingWindow: queue.samplingWindow },
+      "✅ User sampling rate loaded"
+    );
+  } catch (error) {
+    log.error(
+      { userId: queue.userId, error: error.message },
+      `❌ Failed to fetch sampling rate, using default ${DEFAULT_SAMPLING_WINDOW}ms`
+    );
+    queue.samplingWindow = DEFAULT_SAMPLING_WINDOW;
+  }
+}
+
+/**
+ * Whether a user already has a running detection queue
+ */
+export function isUserQueueRunning(userId) {
+  return userQueues.get(userId)?.isRunning || false;
+}
+
 // -------------------------------------------------------------------
 // 🔄 Update Sampling Rate
 // -------------------------------------------------------------------
 export async function updateSamplingRate(userId) {
-  if (!userId || userId !== currentUserId) {
+  const queue = userQueues.get(userId);
+
+  if (!userId || !queue) {
     log.warn(
-      { userId, currentUserId },
-      "⚠️ Cannot update sampling rate - user mismatch or no active user"
+      { userId },
+      "⚠️ Cannot update sampling rate - no active queue for user"
     );
     return;
   }
 
-  try {
-    const newSamplingWindow = await getUserSamplingRate(userId, DEFAULT_SAMPLING_WINDOW);
+  const oldWindow = queue.samplingWindow;
+  await loadSamplingWindow(queue);
 
-    if (newSamplingWindow !== samplingWindow) {
-      const oldWindow = samplingWindow;
-      samplingWindow = newSamplingWindow;
-
-      const newInterval = calculateCameraInterval(
-        samplingWindow,
-        cameraQueue.length
-      );
+  if (queue.samplingWindow !== oldWindow) {
+    const newInterval = calculateCameraInterval(
+      queue.samplingWindow,
+      queue.cameraQueue.length
+    );
 
-      log.info(
-        {
-          userId,
-          oldWindow,
-          newWindow: samplingWindow,
-          queueSize: cameraQueue.length,
-          newInterval,
-        },
-        "✅ Sampling rate updated - intervals will adjust on next cycle"
-      );
-    }
-  } catch (error) {
-    log.error(
-      { userId, error: error.message },
-      "❌ Failed to update sampling rate"
+    log.info(
+      {
+        userId,
+        oldWindow,
+        newWindow: queue.samplingWindow,
+        queueSize: queue.cameraQueue.length,
+        newInterval,
+      },
+      "✅ Sampling rate updated - intervals will adjust on next cycle"
     );
   }
 }
@@ -318,39 +288,69 @@ export async function updateSamplingRate(userId) {
 // ➕ Add Camera to Queue
 // -------------------------------------------------------------------
 export function addCameraToQueue(camera) {
-  const exists = cameraQueue.find((c) => c.id === camera.id);
+  if (!camera.userId) {
+    log.error({ id: camera.id, name: camera.name }, "❌ Camera has no userId - cannot queue");
+    return;
+  }
+
+  // Never fall back to fire detection for a type nothing is registered for
+  const unknownTypes = resolveAiTypes(camera).filter((aiType) => !isKnownAiType(aiType));
+  if (unknownTypes.length > 0) {
+    log.error(
+      { id: camera.id, name: camera.name, unknownTypes, supported: AI_TYPES },
+      "❌ Unknown aiType - camera not queued"
+    );
+    return;
+  }
+
+  const isNewQueue = !userQueues.has(camera.userId);
+  const queue = getOrCreateUserQueue(camera.userId);
+
+  const exists = queue.cameraQueue.find((c) => c.id === camera.id);
   if (exists) {
     log.warn({ id: camera.id, name: camera.name }, "Camera already in queue");
     return;
   }
 
-  cameraQueue.push(camera);
+  queue.cameraQueue.push(camera);
 
   // Initialize camera state
   cameraStates.set(camera.id, {
     isFire: false,
     lastChecked: null,
-    consecutiveStatic: 0,
+    lastAttemptAt: null,
+    armed: true,
+    types: {},
   });
 
   const newInterval = calculateCameraInterval(
-    samplingWindow,
-    cameraQueue.length
+    queue.samplingWindow,
+    queue.cameraQueue.length
   );
 
   log.info(
     {
+      userId: camera.userId,
       id: camera.id,
       name: camera.name,
-      queueSize: cameraQueue.length,
-      samplingWindow,
+      queueSize: queue.cameraQueue.length,
+      samplingWindow: queue.samplingWindow,
       newInterval,
     },
     "📹 Camera added to detection queue - intervals recalculated"
   );
 
-  if (!isRunning) {
-    startQueueLoop();
+  // A queue created on the fly (e.g. from the cameras API) picks up the
+  // user's sampling rate in the background; it applies from the next cycle.
+  if (isNewQueue) {
+    loadSamplingWindow(queue);
+  }
+
+  // Rolling pre-event buffer for clips
+  startClipRecorder(camera);
+
+  if (!queue.isRunning) {
+    startQueueLoop(queue);
   }
 }
 
@@ -358,15 +358,16 @@ export function addCameraToQueue(camera) {
 // ➖ Remove Camera from Queue
 // -------------------------------------------------------------------
 export function removeCameraFromQueue(id) {
-  const index = cameraQueue.findIndex((c) => c.id === id);
+  const queue = findQueueForCamera(id);
 
-  if (index === -1) {
+  if (!queue) {
     log.warn({ id }, "Camera not found in queue");
     return;
   }
 
-  const camera = cameraQueue[index];
-  cameraQueue.splice(index, 1);
+  const index = queue.cameraQueue.findIndex((c) => c.id === id);
+  const camera = queue.cameraQueue[index];
+  queue.cameraQueue.splice(index, 1);
 
   // Stop stream if active
   if (isStreamActive(id)) {
@@ -374,292 +375,516 @@ export function removeCameraFromQueue(id) {
   }
 
   cameraStates.delete(id);
+  forgetIncidents(id);
+  forgetConfirmation(id);
+  forgetMotion(id);
+  forgetHealth(id);
+  forgetPtz(id);
+  stopClipRecorder(id);
 
   const newInterval =
-    cameraQueue.length > 0
-      ? calculateCameraInterval(samplingWindow, cameraQueue.length)
+    queue.cameraQueue.length > 0
+      ? calculateCameraInterval(queue.samplingWindow, queue.cameraQueue.length)
       : 0;
 
   log.info(
     {
+      userId: queue.userId,
       id,
       name: camera.name,
-      queueSize: cameraQueue.length,
-      samplingWindow,
+      queueSize: queue.cameraQueue.length,
+      samplingWindow: queue.samplingWindow,
       newInterval,
     },
     "🗑️ Camera removed from detection queue - intervals recalculated"
   );
 
-  if (currentIndex >= cameraQueue.length) {
-    currentIndex = 0;
+  if (queue.currentIndex >= queue.cameraQueue.length) {
+    queue.currentIndex = 0;
   }
 
-  if (cameraQueue.length === 0 && isRunning) {
-    stopQueueLoop();
+  if (queue.cameraQueue.length === 0 && queue.isRunning) {
+    stopQueueLoop(queue);
   }
 }
 
 // -------------------------------------------------------------------
-// ▶️ Start Detection Queue Loop
+// 🎬 Event Clip
 // -------------------------------------------------------------------
-async function startQueueLoop() {
-  if (isRunning) {
-    log.warn("Detection queue already running");
-    return;
+/**
+ * Stitch the pre/post-event clip in the background and link it to the
+ * event and alert once ready (the post-event window is still recording).
+ */
+function linkEventClip(camera, eventTime, event, alert) {
+  captureClip(camera, eventTime).then(async (clipUrl) => {
+    if (!clipUrl) return;
+
+    if (event?.eventId) {
+      try {
+        await dynamodb.updateDetectionEvent(camera.userId, event.eventId, { clipUrl });
+      } catch (error) {
+        log.error(
+          { cameraId: camera.id, eventId: event.eventId, error: error.message },
+          "❌ Failed to link clip to event"
+        );
+      }
+    }
+
+    if (alert?.alertId) {
+      await attachAlertClip(camera.userId, alert.alertId, clipUrl);
+    }
+  });
+}
+
+// -------------------------------------------------------------------
+// ✅ Incident Cleared (from decideDetectorTurn)
+// -------------------------------------------------------------------
+async function handleClearedIncident(camera, incident) {
+
+  // Another AI type on the camera may still be detecting
+  const allClear = getActiveIncidents(camera.id).length === 0;
+  if (broadcastFireDetection && allClear) {
+    broadcastFireDetection(camera.userId, camera.id, camera.name, false);
   }
 
-  isRunning = true;
+  await clearIncidentAlert(camera, incident);
 
-  const initialInterval = calculateCameraInterval(
-    samplingWindow,
-    cameraQueue.length
+  if (allClear) {
+    returnHome(camera); // never throws; not awaited so the turn isn't held up
+  }
+}
+
+/**
+ * An incident would have cleared while PTZ has the camera moved: take it
+ * home (unless another AI type is still detecting there), and the incident
+ * clears after clearAfterCycles clear cycles at home instead.
+ */
+async function handleHeldIncident(camera, aiType) {
+  const othersDetecting = getActiveIncidents(camera.id).some(
+    (incident) => incident.aiType !== aiType && incident.clearCycles === 0
   );
+  if (!othersDetecting) {
+    await returnHome(camera); // never throws
+  }
+}
 
-  const initialFrameInterval = calculateFrameInterval(initialInterval);
+// -------------------------------------------------------------------
+// 🎯 PTZ Alert Frame
+// -------------------------------------------------------------------
+/**
+ * A frame from the view PTZ just moved to, with the detector's boxes on it.
+ * Keeps the confirmed frame when the new view can't be read or no longer
+ * shows the detection.
+ */
+async function grabAlertFrame(camera, detector, settings, confirmedFrame) {
+  const { aiType } = detector;
+  const framesByType = { [aiType]: [] };
 
-  log.info(
-    {
-      queueSize: cameraQueue.length,
-      samplingWindow,
-      intervalPerCamera: initialInterval,
-      framesPerCheck: FRAMES_PER_CHECK,
-      frameInterval: initialFrameInterval,
-      iouThreshold: BOX_IOU_THRESHOLD,
-    },
-    "▶️ Starting dynamic sampling detection queue"
-  );
+  try {
+    const frameBuffer = await grabFrame(getCameraSourceUrl(camera).url);
+    await detectFrame(frameBuffer, detectionView(camera), [detector], { [aiType]: settings }, framesByType, {
+      frameNumber: 1,
+      framesPerCheck: 1,
+    });
+  } catch (error) {
+    log.warn({ cameraId: camera.id, aiType, error: error.message }, "⚠️ PTZ alert frame grab failed");
+  }
 
-  async function loop() {
-    if (!isRunning || cameraQueue.length === 0) {
-      return;
-    }
+  return framesByType[aiType][0] ?? confirmedFrame;
+}
 
-    const camera = cameraQueue[currentIndex];
+// -------------------------------------------------------------------
+// 🔍 Run One Detection Cycle for a Camera
+// -------------------------------------------------------------------
+async function runCameraDetection(queue, camera) {
+  const state = cameraStates.get(camera.id);
 
-    if (!camera) {
-      log.warn({ currentIndex }, "No camera at current index");
-      currentIndex = 0;
-      const fallbackInterval = calculateCameraInterval(
-        samplingWindow,
-        cameraQueue.length
-      );
-      loopInterval = setTimeout(loop, fallbackInterval);
-      return;
+  try {
+    const currentCameraInterval = calculateCameraInterval(
+      queue.samplingWindow,
+      queue.cameraQueue.length
+    );
+    // Settings are resolved every turn so API changes apply without a restart
+    const framesPerCheck = resolveFramesPerCheck(camera);
+    const currentFrameInterval = calculateFrameInterval(currentCameraInterval, framesPerCheck);
+    const detectors = resolveAiTypes(camera).map(getDetector);
+    const aiTypes = detectors.map((detector) => detector.aiType);
+    const settingsByType = Object.fromEntries(
+      aiTypes.map((aiType) => [aiType, resolveDetectionSettings(camera, aiType)])
+    );
+
+    log.info(
+      {
+        id: camera.id,
+        name: camera.name,
+        detection: aiTypes,
+        position: `${queue.currentIndex + 1}/${queue.cameraQueue.length}`,
+        cameraInterval: currentCameraInterval,
+        frameInterval: currentFrameInterval,
+      },
+      `🔍 Starting ${aiTypes.join(" + ")} detection...`
+    );
+
+    // ✅ EXTRACT MULTIPLE FRAMES (once, shared by every enabled detector)
+    const { framesByType, ran } = await extractMultipleFramesLocal(
+      camera,
+      detectors,
+      settingsByType,
+      framesPerCheck,
+      currentFrameInterval
+    );
+
+    state.lastChecked = new Date().toISOString();
+
+    // Detectors skipped by the motion gate keep their state as it was
+    for (const detector of ran) {
+      state.types[detector.aiType] ??= { detected: false };
+      await handleDetectorFrames(camera, state, detector, framesByType[detector.aiType], {
+        settings: settingsByType[detector.aiType],
+        framesPerCheck,
+      });
     }
 
-    const state = cameraStates.get(camera.id);
+    state.isFire = aiTypes.some((aiType) => state.types[aiType]?.detected);
+  } catch (error) {
+    log.error(
+      {
+        id: camera.id,
+        name: camera.name,
+        error: error.message,
+      },
+      "❌ Detection error"
+    );
+  } finally {
+    // Failed turns count too, so a suspected camera that can't be read
+    // isn't retried back to back
+    state.lastAttemptAt = Date.now();
+  }
+}
 
-    try {
-      const currentCameraInterval = calculateCameraInterval(
-        samplingWindow,
-        cameraQueue.length
-      );
-      const currentFrameInterval = calculateFrameInterval(currentCameraInterval);
-      const detectionType = (camera.aiType || camera.detection || "LOCAL").toUpperCase();
+/**
+ * Act on one detector's turn: decideDetectorTurn() validates its frames and
+ * moves its confirmation state and incident; this records the event and
+ * drives the alert. Each AI type on a camera keeps its own state, incident
+ * and alert.
+ */
+async function handleDetectorFrames(camera, state, detector, frames, { settings, framesPerCheck }) {
+  const detectionType = detector.aiType;
+  const typeState = state.types[detectionType];
 
+  if (frames.length > 0) {
+    log.warn(
+      {
+        id: camera.id,
+        name: camera.name,
+        framesWithDetection: frames.length,
+      },
+      `🚨 ${detectionType} detected in ${frames.length}/${framesPerCheck} frames - analyzing IoU...`
+    );
+  }
+
+  // -------------------------------------------------------------------
+  // 🧠 Validation (Static / Flat Image vs Real), confirmation, incident
+  // -------------------------------------------------------------------
+  // Each detector lists its own stages (IoU motion, flicker, depth). Shared
+  // with scripts/evaluate-pipeline.js so it measures what runs here.
+  const { verdict, reason, iouAnalysis, liveness, action, incident, cleared, held } =
+    await decideDetectorTurn(camera, detector, frames, settings, Date.now(), {
+      holdOpen: isAutoMoved(camera.id),
+    });
+  const lastFrame = frames[frames.length - 1];
+
+  if (verdict !== "confirmed") {
+    typeState.detected = false;
+
+    if (verdict === "none") {
       log.info(
         {
           id: camera.id,
           name: camera.name,
-          detection: detectionType,
-          position: `${currentIndex + 1}/${cameraQueue.length}`,
-          cameraInterval: currentCameraInterval,
-          frameInterval: currentFrameInterval,
         },
-        `🔍 Starting ${detectionType} detection...`
+        `✅ ${detectionType}: No detection in any frame`
+      );
+    } else if (verdict === "unconfirmed") {
+      // Real this cycle, but fewer than confirmCycles of the last confirmWindow were
+      log.warn(
+        { id: camera.id, name: camera.name, detectionType },
+        `🟡 ${detectionType} suspected - awaiting confirmation`
       );
 
-      // ✅ EXTRACT MULTIPLE FRAMES (Handles both Fire and Weapon via extractMultipleFramesLocal)
-      let frames = [];
-      if (detectionType === "CLOUD") {
-        // Cloud logic (unchanged)
-        // ... (omitted for brevity if not used, but keeping structure)
-      } else {
-        // LOCAL or WEAPON
-        frames = await extractMultipleFramesLocal(camera, currentFrameInterval);
-      }
+      await recordDetectionEvent(camera, {
+        aiType: detectionType,
+        verdict: "suppressed",
+        reason: "unconfirmed",
+        frame: lastFrame,
+        iouAnalysis,
+        liveness,
+      });
+    } else {
+      // Static or flat detection
+      log.info({ aiType: detectionType, reason }, "🚫 Alert suppressed - failed validation");
+
+      await recordDetectionEvent(camera, {
+        aiType: detectionType,
+        verdict: "suppressed",
+        reason,
+        frame: lastFrame,
+        iouAnalysis,
+        liveness,
+      });
+    }
 
-      state.lastChecked = new Date().toISOString();
+    if (cleared) {
+      await handleClearedIncident(camera, cleared);
+    } else if (held) {
+      await handleHeldIncident(camera, detectionType);
+    }
+    return;
+  }
 
-      if (frames.length === 0) {
-        // No detection
-        log.info(
-          {
-            id: camera.id,
-            name: camera.name,
-          },
-          `✅ ${detectionType}: No detection in any frame`
-        );
+  log.error(
+    {
+      id: camera.id,
+      name: camera.name,
+      detectionType
+    },
+    `🚨 REAL ${detectionType} DETECTED - Broadcasting alert`
+  );
 
-        state.isFire = false;
-        state.consecutiveStatic = 0;
-      } else {
-        // Detection found!
-        log.warn(
-          {
-            id: camera.id,
-            name: camera.name,
-            framesWithDetection: frames.length,
-          },
-          `🚨 ${detectionType} detected in ${frames.length}/${FRAMES_PER_CHECK} frames - analyzing IoU...`
-        );
+  typeState.detected = true;
+  state.isFire = true; // Used for UI status (red border)
 
-        // -------------------------------------------------------------------
-        // 🧠 IoU Analysis (Static vs Real Fire)
-        // -------------------------------------------------------------------
-        // For WEAPONS, we bypass the static check as real weapons don't move like fire?
-        // Actually, let's keep it simple:
-        // If WEAPON -> Immediate Alert (No IoU check needed for now, or loose check)
-        // If FIRE -> Strict IoU check
-
-        let isRealDetection = false;
-        let iouAnalysis = null;
-
-        if (detectionType === "WEAPON") {
-          // 🔫 WEAPON: Check Depth (Real 3D vs Fake 2D)
-          const lastFrame = frames[frames.length - 1];
-          if (lastFrame && lastFrame.boxes.length > 0) {
-            const bbox = lastFrame.boxes[0]; // [x1, y1, x2, y2, label, conf]
-            const is3D = await livenessValidator.isWeapon3D(lastFrame.frameBuffer, bbox);
-
-            if (is3D) {
-              isRealDetection = true;
-              log.info("🔫 WEAPON: Liveness Check PASSED (3D Object)");
-            } else {
-              log.warn("⚠️ WEAPON: Liveness Check FAILED (2D/Flat Image) - Ignoring");
-            }
-          }
-        } else if (detectionType === "THEFT") {
-          // 🕵️ THEFT: Check Motion (IoU) AND Depth (Real Person vs Poster)
-          iouAnalysis = analyzeBoxes(frames);
-
-          if (!iouAnalysis.isStatic) {
-            // It's moving, now check if it's a flat video playback/poster
-            const lastFrame = frames[frames.length - 1];
-            const bbox = lastFrame.boxes[0];
-
-            // Reuse the 3D depth check (works for any object, not just weapons)
-            const is3D = await livenessValidator.isWeapon3D(lastFrame.frameBuffer, bbox);
-
-            if (is3D) {
-              isRealDetection = true;
-              log.info("🕵️ THEFT: Liveness Check PASSED (Moving + 3D)");
-            } else {
-              log.warn("⚠️ THEFT: Liveness Check FAILED (Moving but 2D/Flat - Video?) - Ignoring");
-            }
-          } else {
-            log.warn(
-              { ...iouAnalysis },
-              `⚠️ STATIC THEFT DETECTED (IoU ${iouAnalysis.avgIoU} > ${BOX_IOU_THRESHOLD}) - Likely poster`
-            );
-          }
-        } else {
-          // 🔥 FIRE: Perform IoU check AND Pixel Motion check
-          iouAnalysis = analyzeBoxes(frames);
-
-          if (!iouAnalysis.isStatic) {
-            // IoU says boxes are moving/shifting (good), now check pixel motion (flicker)
-            const lastFrame = frames[frames.length - 1];
-            const bbox = lastFrame.boxes[0];
-            const frameBuffers = frames.map(f => f.frameBuffer);
-
-            const isFlickering = await livenessValidator.isFireMoving(frameBuffers, bbox);
-
-            if (isFlickering) {
-              isRealDetection = true;
-              log.info("🔥 FIRE: Liveness Check PASSED (Flickering Motion)");
-            } else {
-              log.warn("⚠️ FIRE: Liveness Check FAILED (Static Pixels) - Ignoring");
-            }
-          } else {
-            log.warn(
-              { ...iouAnalysis },
-              `⚠️ STATIC FIRE DETECTED (IoU ${iouAnalysis.avgIoU} > ${BOX_IOU_THRESHOLD}) - Likely poster/TV`
-            );
-          }
-        }
-
-        if (isRealDetection) {
-          log.error(
-            {
-              id: camera.id,
-              name: camera.name,
-              detectionType
-            },
-            `🚨 REAL ${detectionType} DETECTED - Broadcasting alert`
-          );
-
-          state.isFire = true; // Used for UI status (red border)
-          state.consecutiveStatic = 0;
-
-          // Broadcast to WebSocket
-          if (broadcastFireDetection) {
-            broadcastFireDetection(camera.userId, camera.id, camera.name, true);
-          }
-
-          // Send SNS Alert with Frame
-          const lastFrame = frames[frames.length - 1];
-          if (lastFrame && lastFrame.frameBuffer) {
-            try {
-              const imageUrl = await uploadFireFrame(
-                camera.id,
-                lastFrame.frameBuffer
-              );
-
-              await sendFireAlert(
-                camera.userId,
-                camera.id,
-                camera.name,
-                {
-                  isFire: true,
-                  detectionType, // Add type to alert
-                  confidence: lastFrame.confidence,
-                  fireCount: lastFrame.fireCount,
-                  smokeCount: lastFrame.smokeCount,
-                  iouAnalysis,
-                },
-                imageUrl
-              );
-
-              log.info("✅ SNS alert with image sent successfully");
-            } catch (error) {
-              log.error(
-                {
-                  userId: camera.userId,
-                  cameraId: camera.id,
-                  error: error.message,
-                },
-                "❌ SNS alert with image failed"
-              );
-            }
-          }
-        } else {
-          // Static detection (Fire only)
-          state.consecutiveStatic++;
-          state.isFire = false;
-          log.info("🚫 Alert suppressed - static detection");
-        }
-      }
+  // Broadcast to WebSocket
+  if (broadcastFireDetection) {
+    broadcastFireDetection(camera.userId, camera.id, camera.name, true);
+  }
+
+  // Consecutive positives are one incident (see decideDetectorTurn): only
+  // the first cycle, a reopen and each re-notify interval upload a frame
+  // and notify
+
+  // PTZ preset / zoom toward the box for a better alert frame (never
+  // throws; waits at most PTZ_SETTLE_MS), which then comes from the new view
+  let alertFrame = lastFrame;
+  if (action === "opened" || action === "reopened") {
+    if (await moveForDetection(camera, detectionType, lastFrame.boxes)) {
+      alertFrame = await grabAlertFrame(camera, detector, settings, lastFrame);
+    }
+  }
+
+  const detectionResult = {
+    isFire: true,
+    detectionType, // Add type to alert
+    confidence: alertFrame.confidence,
+    ...alertFrame.details,
+    boxes: alertFrame.boxes,
+    iouAnalysis,
+  };
+
+  if (action === "ongoing") {
+    await recordDetectionEvent(camera, {
+      aiType: detectionType,
+      verdict: "confirmed",
+      frame: lastFrame,
+      iouAnalysis,
+      liveness,
+    });
+    await recordAlertOccurrence(camera, detectionType);
+
+    log.info(
+      {
+        id: camera.id,
+        aiType: detectionType,
+        incidentId: incident.incidentId,
+        positiveCycles: incident.positiveCycles,
+      },
+      "🔁 Merged into ongoing incident - notification skipped"
+    );
+    return;
+  }
+
+  // Upload the alert frame
+  let imageUrl = null;
+  if (alertFrame && alertFrame.frameBuffer) {
+    try {
+      imageUrl = await uploadFireFrame(
+        camera.id,
+        alertFrame.frameBuffer
+      );
     } catch (error) {
       log.error(
         {
-          id: camera.id,
-          name: camera.name,
+          userId: camera.userId,
+          cameraId: camera.id,
           error: error.message,
         },
-        "❌ Detection error"
+        "❌ Alert frame upload failed"
       );
     }
+  }
+
+  const event = await recordDetectionEvent(camera, {
+    aiType: detectionType,
+    verdict: "confirmed",
+    frame: alertFrame,
+    iouAnalysis,
+    liveness,
+    imageUrl,
+  });
 
-    currentIndex = (currentIndex + 1) % cameraQueue.length;
+  // Open (or update) the alert - sends the tier 1 notification, again
+  // on a reopen, or a "still active" reminder once the re-notify
+  // interval has passed
+  const alert = await raiseAlert(camera, {
+    aiType: detectionType,
+    detectionResult,
+    imageUrl,
+    eventId: event?.eventId || null,
+    incidentId: incident.incidentId,
+    reminder: action === "renotify",
+    reopened: action === "reopened",
+  });
 
-    const nextInterval = calculateCameraInterval(
-      samplingWindow,
-      cameraQueue.length
+  linkEventClip(camera, Date.parse(lastFrame.timestamp), event, alert);
+}
+
+// -------------------------------------------------------------------
+// 📅 Schedule Arming
+// -------------------------------------------------------------------
+function updateArmedState(camera) {
+  const { armed, reason } = evaluateSchedule(camera.schedule);
+  const state = cameraStates.get(camera.id);
+
+  if (state && state.armed !== armed) {
+    state.armed = armed;
+    log.info(
+      { userId: camera.userId, id: camera.id, name: camera.name, reason },
+      armed ? "🟢 Camera armed by schedule" : "⚪ Camera disarmed by schedule"
     );
+  }
+
+  return armed;
+}
+
+/**
+ * Advance queue.currentIndex to the next armed camera (starting at the
+ * current one). Returns null when no camera in the queue is armed.
+ */
+function nextArmedCamera(queue) {
+  const size = queue.cameraQueue.length;
+
+  for (let step = 0; step < size; step++) {
+    const index = (queue.currentIndex + step) % size;
+    const camera = queue.cameraQueue[index];
 
-    loopInterval = setTimeout(loop, nextInterval);
+    if (updateArmedState(camera)) {
+      queue.currentIndex = index;
+      return camera;
+    }
+  }
+
+  return null;
+}
+
+// -------------------------------------------------------------------
+// 🟡 Suspected Re-checks
+// -------------------------------------------------------------------
+// When each armed, suspected camera in the queue is next due a re-check
+function suspectedRecheckTimes(queue) {
+  const times = [];
+  for (const camera of queue.cameraQueue) {
+    const state = cameraStates.get(camera.id);
+    if (!state?.armed || state.lastAttemptAt === null) continue;
+
+    const dueAt = suspectedRecheckAt(camera.id, state.lastAttemptAt);
+    if (dueAt !== null) times.push({ camera, dueAt });
+  }
+  return times;
+}
+
+/**
+ * A suspected camera due a re-check, to run ahead of the round-robin turn
+ */
+function dueSuspectedCamera(queue, now = Date.now()) {
+  const due = suspectedRecheckTimes(queue).find(({ dueAt }) => dueAt <= now);
+  return due && updateArmedState(due.camera) ? due.camera : null;
+}
+
+/**
+ * The regular per-camera interval, shortened when a suspected camera is
+ * due sooner
+ */
+function nextLoopDelay(queue, now = Date.now()) {
+  const interval = calculateCameraInterval(queue.samplingWindow, queue.cameraQueue.length);
+  const dueTimes = suspectedRecheckTimes(queue).map(({ dueAt }) => dueAt - now);
+  return Math.max(0, Math.min(interval, ...dueTimes));
+}
+
+// -------------------------------------------------------------------
+// ▶️ Start Detection Queue Loop
+// -------------------------------------------------------------------
+async function startQueueLoop(queue) {
+  if (queue.isRunning) {
+    log.warn({ userId: queue.userId }, "Detection queue already running");
+    return;
+  }
+
+  queue.isRunning = true;
+
+  const initialInterval = calculateCameraInterval(
+    queue.samplingWindow,
+    queue.cameraQueue.length
+  );
+
+  const initialFrameInterval = calculateFrameInterval(initialInterval, cfg.detectors.framesPerCheck);
+
+  log.info(
+    {
+      userId: queue.userId,
+      queueSize: queue.cameraQueue.length,
+      samplingWindow: queue.samplingWindow,
+      intervalPerCamera: initialInterval,
+      framesPerCheck: cfg.detectors.framesPerCheck,
+      frameInterval: initialFrameInterval,
+      iouThreshold: cfg.detectors.iouThreshold,
+    },
+    "▶️ Starting dynamic sampling detection queue"
+  );
+
+  async function loop() {
+    if (!queue.isRunning || queue.cameraQueue.length === 0) {
+      return;
+    }
+
+    if (!queue.cameraQueue[queue.currentIndex]) {
+      log.warn({ userId: queue.userId, currentIndex: queue.currentIndex }, "No camera at current index");
+      queue.currentIndex = 0;
+    }
+
+    // A suspected camera is re-checked out of turn; otherwise cameras
+    // outside their schedule are skipped without using a time slot
+    const recheck = dueSuspectedCamera(queue);
+    const camera = recheck || nextArmedCamera(queue);
+
+    if (!camera) {
+      log.debug({ userId: queue.userId }, "⏳ No cameras armed by schedule - waiting");
+      queue.loopInterval = setTimeout(loop, SCHEDULE_CHECK_INTERVAL);
+      return;
+    }
+
+    await runCameraDetection(queue, camera);
+
+    // The queue may have been stopped or emptied while detection was running
+    if (!queue.isRunning || queue.cameraQueue.length === 0) {
+      return;
+    }
+
+    // A re-check doesn't use up the round-robin camera's turn
+    if (!recheck) {
+      queue.currentIndex = (queue.currentIndex + 1) % queue.cameraQueue.length;
+    }
+
+    queue.loopInterval = setTimeout(loop, nextLoopDelay(queue));
   }
 
   loop();
@@ -668,45 +893,76 @@ async function startQueueLoop() {
 // -------------------------------------------------------------------
 // ⏸️ Stop Detection Queue Loop
 // -------------------------------------------------------------------
-function stopQueueLoop() {
-  if (!isRunning) {
+function stopQueueLoop(queue) {
+  if (!queue.isRunning) {
     return;
   }
 
-  isRunning = false;
+  queue.isRunning = false;
 
-  if (loopInterval) {
-    clearTimeout(loopInterval);
-    loopInterval = null;
+  if (queue.loopInterval) {
+    clearTimeout(queue.loopInterval);
+    queue.loopInterval = null;
   }
 
-  log.info("⏸️ Detection queue stopped");
+  log.info({ userId: queue.userId }, "⏸️ Detection queue stopped");
 }
 
 // -------------------------------------------------------------------
 // 📊 Get Queue Status
 // -------------------------------------------------------------------
-export function getQueueStatus() {
+/**
+ * Snapshot of detection state. Pass a userId to scope it to that user's
+ * queue; without one it covers every user's cameras.
+ */
+export function getQueueStatus(userId = null) {
+  const queues = userId
+    ? [userQueues.get(userId)].filter(Boolean)
+    : [...userQueues.values()];
+
+  const cameras = [];
   const fireDetections = {};
   const lastChecked = {};
+  const armed = {};
+  const incidents = {};
+  const confirmation = {};
+  const motionGate = {};
+  const health = {};
   const streamingCameras = new Set();
 
-  for (const [id, state] of cameraStates.entries()) {
-    fireDetections[id] = state.isFire;
-    lastChecked[id] = state.lastChecked;
+  for (const queue of queues) {
+    for (const camera of queue.cameraQueue) {
+      cameras.push(camera);
+
+      const state = cameraStates.get(camera.id);
+      if (!state) continue;
 
-    if (state.isFire) {
-      streamingCameras.add(id);
+      fireDetections[camera.id] = state.isFire;
+      lastChecked[camera.id] = state.lastChecked;
+      armed[camera.id] = state.armed;
+      incidents[camera.id] = getActiveIncidents(camera.id);
+      confirmation[camera.id] = describeConfirmation(camera.id);
+      motionGate[camera.id] = describeMotionGate(camera.id);
+      health[camera.id] = describeHealth(camera.id);
+
+      if (state.isFire) {
+        streamingCameras.add(camera.id);
+      }
     }
   }
 
   return {
-    isRunning,
-    cameras: cameraQueue,
-    currentIndex,
-    queueSize: cameraQueue.length,
+    isRunning: queues.some((q) => q.isRunning),
+    cameras,
+    currentIndex: queues.length === 1 ? queues[0].currentIndex : null,
+    queueSize: cameras.length,
     fireDetections,
     lastChecked,
+    armed,
+    incidents,
+    confirmation,
+    motionGate,
+    health,
     streamingCameras,
   };
 }
@@ -714,75 +970,88 @@ export function getQueueStatus() {
 // -------------------------------------------------------------------
 // 🚀 Start Queue with Initial Cameras
 // -------------------------------------------------------------------
+/**
+ * Queue cameras for detection. Cameras are grouped by userId and each
+ * group runs in its own queue alongside any queues already running.
+ */
 export async function startDetectionQueue(cameras) {
-  if (cameras.length > 0 && cameras[0].userId) {
-    currentUserId = cameras[0].userId;
-
-    try {
-      samplingWindow = await getUserSamplingRate(currentUserId, DEFAULT_SAMPLING_WINDOW);
-      log.info(
-        { userId: currentUserId, samplingWindow },
-        "✅ User sampling rate loaded from DynamoDB"
-      );
-    } catch (error) {
-      log.error(
-        { userId: currentUserId, error: error.message },
-        `❌ Failed to fetch sampling rate, using default ${DEFAULT_SAMPLING_WINDOW}ms`
-      );
-      samplingWindow = DEFAULT_SAMPLING_WINDOW;
+  const byUser = new Map();
+  for (const camera of cameras) {
+    if (!camera.userId) {
+      log.error({ id: camera.id, name: camera.name }, "❌ Camera has no userId - skipping");
+      continue;
     }
+    if (!byUser.has(camera.userId)) byUser.set(camera.userId, []);
+    byUser.get(camera.userId).push(camera);
   }
 
-  const interval = calculateCameraInterval(samplingWindow, cameras.length);
+  for (const [userId, userCameras] of byUser.entries()) {
+    const queue = getOrCreateUserQueue(userId);
+    await loadSamplingWindow(queue);
 
-  log.info(
-    {
-      count: cameras.length,
-      samplingWindow,
-      intervalPerCamera: interval,
-      framesPerCheck: FRAMES_PER_CHECK,
-      iouThreshold: BOX_IOU_THRESHOLD,
-      method: "dynamic_sampling_iou",
-    },
-    "🚀 Initializing dynamic sampling detection queue"
-  );
+    const interval = calculateCameraInterval(
+      queue.samplingWindow,
+      queue.cameraQueue.length + userCameras.length
+    );
 
-  for (const camera of cameras) {
-    addCameraToQueue(camera);
-  }
+    log.info(
+      {
+        userId,
+        count: userCameras.length,
+        samplingWindow: queue.samplingWindow,
+        intervalPerCamera: interval,
+        framesPerCheck: cfg.detectors.framesPerCheck,
+        iouThreshold: cfg.detectors.iouThreshold,
+        method: "dynamic_sampling_iou",
+      },
+      "🚀 Initializing dynamic sampling detection queue"
+    );
 
-  if (cameras.length > 0 && !isRunning) {
-    startQueueLoop();
+    for (const camera of userCameras) {
+      addCameraToQueue(camera);
+    }
   }
 }
 
 // -------------------------------------------------------------------
 // 🛑 Stop Queue and Clean Up
 // -------------------------------------------------------------------
-export async function stopDetectionQueue() {
-  log.info("🛑 Stopping detection queue");
+/**
+ * Stop one user's queue, or every queue when no userId is given
+ * (used on shutdown).
+ */
+export async function stopDetectionQueue(userId = null) {
+  const queues = userId
+    ? [userQueues.get(userId)].filter(Boolean)
+    : [...userQueues.values()];
 
-  stopQueueLoop();
+  for (const queue of queues) {
+    log.info({ userId: queue.userId }, "🛑 Stopping detection queue");
 
-  for (const camera of cameraQueue) {
-    const state = cameraStates.get(camera.id);
-    if (state && state.isFire) {
-      await stopCameraStream(camera);
+    stopQueueLoop(queue);
+
+    for (const camera of queue.cameraQueue) {
+      const state = cameraStates.get(camera.id);
+      if (state && state.isFire) {
+        await stopCameraStream(camera);
+      }
+      cameraStates.delete(camera.id);
+      forgetConfirmation(camera.id);
+      forgetMotion(camera.id);
+      forgetHealth(camera.id);
+      forgetPtz(camera.id);
+      stopClipRecorder(camera.id);
     }
-  }
 
-  cameraQueue = [];
-  cameraStates.clear();
-  currentIndex = 0;
-  currentUserId = null;
-  samplingWindow = DEFAULT_SAMPLING_WINDOW;
+    userQueues.delete(queue.userId);
+  }
 }
 
 // -------------------------------------------------------------------
 // 🔄 Update Camera In Queue
 // -------------------------------------------------------------------
 export function updateCameraInQueue(id, updates) {
-  const cam = cameraQueue.find((c) => c.id === id);
+  const cam = findQueueForCamera(id)?.cameraQueue.find((c) => c.id === id);
   if (!cam) {
     log.warn(
       { id },
@@ -794,7 +1063,7 @@ export function updateCameraInQueue(id, updates) {
   Object.assign(cam, updates);
 
   log.info(
-    { id, updates, newDetection: cam.detection, aiType: cam.aiType },
+    { id, updates, newDetection: cam.detection, aiTypes: resolveAiTypes(cam) },
     "🔄 Camera updated in detectionQueue memory"
   );
 }
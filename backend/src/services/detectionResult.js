@@ -0,0 +1,95 @@
+// -------------------------------------------------------------------
+// 📦 Detection Result
+// -------------------------------------------------------------------
+// What every detector returns and everything downstream reads (zones, IoU,
+// liveness, events, alerts). Boxes are never in model-input space: `bbox`
+// is in the original frame's pixels, `normalized` is the same box as a
+// share of the frame, for drawing over a frame of any size.
+
+/**
+ * @typedef {Object} DetectionBox
+ * @property {string} label - class name, e.g. "Fire", "Knife", "Person"
+ * @property {number} score - 0-1
+ * @property {number[]} bbox - [x1, y1, x2, y2] in original frame pixels
+ * @property {number[]} normalized - [x1, y1, x2, y2], 0-1 of the frame width / height
+ */
+
+/**
+ * @typedef {Object} DetectionResult
+ * @property {boolean} detected
+ * @property {number} confidence - best box score, 0 without boxes
+ * @property {DetectionBox[]} boxes - highest score first
+ * @property {{ width: number, height: number }|null} frameSize - original frame
+ * @property {Buffer|null} frameBuffer - the JPEG the boxes refer to
+ * @property {Object} details - detector-specific counts
+ * @property {string} [error]
+ */
+
+/**
+ * A box from original-frame pixel coordinates, clamped to the frame.
+ * @param {number[]} bbox - [x1, y1, x2, y2] in original frame pixels
+ * @param {{ width: number, height: number }} frameSize
+ * @returns {DetectionBox}
+ */
+export function createBox(label, score, bbox, frameSize) {
+  const { width, height } = frameSize;
+  const clampX = (x) => Math.max(0, Math.min(width, x));
+  const clampY = (y) => Math.max(0, Math.min(height, y));
+  const [x1, y1, x2, y2] = [clampX(bbox[0]), clampY(bbox[1]), clampX(bbox[2]), clampY(bbox[3])];
+
+  return {
+    label,
+    score,
+    bbox: [x1, y1, x2, y2],
+    normalized: [x1 / width, y1 / height, x2 / width, y2 / height],
+  };
+}
+
+/**
+ * Map [x1, y1, x2, y2] from a letterboxed ("contain") model input back to
+ * original frame pixels.
+ * @param {{ scale: number, padX: number, padY: number }} letterbox
+ */
+export function unletterbox([x1, y1, x2, y2], { scale, padX, padY }) {
+  return [
+    (x1 - padX) / scale,
+    (y1 - padY) / scale,
+    (x2 - padX) / scale,
+    (y2 - padY) / scale,
+  ];
+}
+
+export function boxArea({ bbox: [x1, y1, x2, y2] }) {
+  return Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+}
+
+/**
+ * Intersection over union of two boxes (pixel space).
+ */
+export function boxIoU(a, b) {
+  const [ax1, ay1, ax2, ay2] = a.bbox;
+  const [bx1, by1, bx2, by2] = b.bbox;
+
+  const inter = Math.max(0, Math.min(ax2, bx2) - Math.max(ax1, bx1)) *
+    Math.max(0, Math.min(ay2, by2) - Math.max(ay1, by1));
+  const union = boxArea(a) + boxArea(b) - inter;
+
+  return union > 0 ? inter / union : 0;
+}
+
+/**
+ * The DetectionResult for a detector's (already filtered) boxes.
+ * @param {DetectionBox[]} boxes
+ * @param {Object} source - the local detector's result ({ frameSize, frameBuffer })
+ */
+export function createResult(boxes, source, { detected = boxes.length > 0, details = {} } = {}) {
+  const sorted = [...boxes].sort((a, b) => b.score - a.score);
+  return {
+    detected,
+    confidence: sorted.length > 0 ? sorted[0].score : 0,
+    boxes: sorted,
+    frameSize: source.frameSize || null,
+    frameBuffer: source.frameBuffer,
+    details,
+  };
+}
@@ -0,0 +1,198 @@
+import { cfg } from "../config.js";
+import { AI_TYPES, getDetector, isKnownAiType } from "./detectors/index.js";
+
+// -------------------------------------------------------------------
+// 🎚️ Per-Camera Detection Settings
+// -------------------------------------------------------------------
+// Stored on the camera record as `detectionSettings`:
+//
+// {
+//   framesPerCheck: 4,                              // the whole camera
+//   iouThreshold: 0.7,                              // every AI type on the camera
+//   types: { FIRE: { confidenceThreshold: 0.9 } },  // one AI type
+// }
+//
+// Anything left unset falls back to the global default (config.js, or the
+// detector's own confidence / motion default). The queue resolves settings every
+// cycle, so a change applies from the camera's next turn.
+
+export const SETTINGS = {
+  confidenceThreshold: {
+    min: 0.05,
+    max: 0.99,
+    perType: true,
+    description: "Minimum model score for a box to count",
+  },
+  iouThreshold: {
+    min: 0.1,
+    max: 1,
+    perType: true,
+    description: "Average box overlap between frames above which a detection is static (poster / TV)",
+  },
+  flickerMinMotion: {
+    min: 0,
+    max: 0.5,
+    perType: true,
+    description: "Share of box pixels that must flicker between frames (fire liveness)",
+  },
+  depthMinStdDev: {
+    min: 0,
+    max: 1,
+    perType: true,
+    description: "Depth variation inside a box for it to count as a real 3D object",
+  },
+  confirmCycles: {
+    min: 1,
+    max: 10,
+    integer: true,
+    perType: true,
+    description: "Real cycles needed within the confirmation window before alerting",
+  },
+  confirmWindow: {
+    min: 1,
+    max: 20,
+    integer: true,
+    perType: true,
+    description: "Recent cycles the confirmation counts over (at least confirmCycles)",
+  },
+  motionThreshold: {
+    min: 0,
+    max: 1,
+    perType: true,
+    description: "Share of the picture that must change for an idle detector to run (0 = always run)",
+  },
+  forcedCheckSeconds: {
+    min: 10,
+    max: 86400,
+    integer: true,
+    perType: true,
+    description: "Run an idle detector at least this often, even without motion",
+  },
+  framesPerCheck: {
+    min: 3,
+    max: 10,
+    integer: true,
+    perType: false,
+    description: "Frames grabbed per camera turn (shared by every AI type)",
+  },
+};
+
+const SETTING_NAMES = Object.keys(SETTINGS);
+const TYPE_SETTING_NAMES = SETTING_NAMES.filter((name) => SETTINGS[name].perType);
+
+/**
+ * Global defaults for one AI type (or camera-wide settings only when aiType is null)
+ */
+export function defaultSettings(aiType = null) {
+  const defaults = {
+    iouThreshold: cfg.detectors.iouThreshold,
+    flickerMinMotion: cfg.detectors.flickerMinMotion,
+    depthMinStdDev: cfg.detectors.depthMinStdDev,
+    confirmCycles: cfg.detectors.confirmCycles,
+    confirmWindow: cfg.detectors.confirmWindow,
+    motionThreshold: cfg.detectors.motionThreshold,
+    forcedCheckSeconds: cfg.detectors.forcedCheckSeconds,
+    framesPerCheck: cfg.detectors.framesPerCheck,
+  };
+  if (aiType) {
+    const detector = getDetector(aiType);
+    defaults.confidenceThreshold = detector.defaultConfidence;
+    defaults.motionThreshold = detector.defaultMotionThreshold ?? defaults.motionThreshold;
+  }
+  return defaults;
+}
+
+function validateValues(values, allowed, where) {
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new Error(`${where} must be an object`);
+  }
+
+  const out = {};
+  for (const [name, value] of Object.entries(values)) {
+    if (!allowed.includes(name)) {
+      throw new Error(`Unknown setting "${name}" in ${where}`);
+    }
+    if (value === null) continue; // null = back to the default
+
+    const { min, max, integer } = SETTINGS[name];
+    if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${name} must be a number between ${min} and ${max}`);
+    }
+    if (integer && !Number.isInteger(value)) {
+      throw new Error(`${name} must be a whole number`);
+    }
+    out[name] = value;
+  }
+
+  if (out.confirmCycles > out.confirmWindow) {
+    throw new Error(`confirmCycles cannot exceed confirmWindow in ${where}`);
+  }
+  return out;
+}
+
+/**
+ * Validate a camera's detectionSettings from the API. Null values are
+ * dropped so the setting falls back to its default.
+ * @throws {Error} with a user-facing message
+ */
+export function validateDetectionSettings(settings) {
+  if (settings === null) return null;
+  if (typeof settings !== "object" || Array.isArray(settings)) {
+    throw new Error("detectionSettings must be an object");
+  }
+
+  const { types, ...cameraWide } = settings;
+  const result = validateValues(cameraWide, SETTING_NAMES, "detectionSettings");
+
+  if (types !== undefined && types !== null) {
+    if (typeof types !== "object" || Array.isArray(types)) {
+      throw new Error("detectionSettings.types must be an object");
+    }
+
+    result.types = {};
+    for (const [aiType, values] of Object.entries(types)) {
+      if (!isKnownAiType(aiType)) {
+        throw new Error(`Invalid aiType ${aiType}. Must be one of: ${AI_TYPES.join(", ")}`);
+      }
+      const typeValues = validateValues(values, TYPE_SETTING_NAMES, `types.${aiType}`);
+      if (Object.keys(typeValues).length > 0) {
+        result.types[aiType] = typeValues;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Effective settings for one AI type on a camera:
+ * global default <- camera-wide value <- per-type value
+ */
+export function resolveDetectionSettings(camera, aiType) {
+  const stored = camera.detectionSettings || {};
+  const { types, ...cameraWide } = stored;
+  const settings = { ...defaultSettings(aiType), ...cameraWide, ...(types?.[aiType] || {}) };
+  // Values from different levels may not fit together - N of M needs M >= N
+  settings.confirmWindow = Math.max(settings.confirmWindow, settings.confirmCycles);
+  return settings;
+}
+
+/**
+ * Frames grabbed per turn for a camera (not per-type - frames are shared)
+ */
+export function resolveFramesPerCheck(camera) {
+  return camera.detectionSettings?.framesPerCheck ?? cfg.detectors.framesPerCheck;
+}
+
+/**
+ * For the settings UI: what can be tuned and the defaults per AI type
+ */
+export function describeDetectionSettings() {
+  return {
+    settings: SETTING_NAMES.map((name) => ({ name, ...SETTINGS[name] })),
+    defaults: {
+      camera: defaultSettings(),
+      types: Object.fromEntries(AI_TYPES.map((aiType) => [aiType, defaultSettings(aiType)])),
+    },
+  };
+}
@@ -0,0 +1,28 @@
+import { cfg } from "../../config.js";
+import { DEFAULT_CONFIDENCE } from "../localTheftDetector.js";
+import { detectPeople } from "../inferencePool.js";
+import { filterBoxesByZones } from "../zoneService.js";
+import { createResult } from "../detectionResult.js";
+
+// 👥 Crowd density: alert when at least CROWD_DENSITY_THRESHOLD people are in view
+export const aiType = "CROWD_DENSITY";
+export const label = "Crowd Detect";
+export const emoji = "👥";
+export const alertTitle = "Crowd Density Alert";
+
+// A crowd is many people, not one fake one - no liveness stage
+export const validation = [];
+
+export const defaultConfidence = DEFAULT_CONFIDENCE;
+
+export async function detect(frame, camera, settings) {
+  const result = await detectPeople(frame, camera.name, { confidenceThreshold: settings.confidenceThreshold });
+  const { boxes } = filterBoxesByZones(result.boxes, camera.zones);
+  return createResult(boxes, result, {
+    detected: boxes.length >= cfg.detectors.crowdDensityThreshold,
+    details: {
+      personCount: boxes.length,
+      threshold: cfg.detectors.crowdDensityThreshold,
+    },
+  });
+}
@@ -0,0 +1,31 @@
+import { DEFAULT_CONFIDENCE } from "../localDetector.js";
+import { detectFire } from "../inferencePool.js";
+import { filterBoxesByZones } from "../zoneService.js";
+import { createResult } from "../detectionResult.js";
+
+// 🔥 Fire / smoke (RT-DETR, models/best.onnx)
+export const aiType = "FIRE";
+export const label = "Fire Detect";
+export const emoji = "🔥";
+export const alertTitle = "Fire Alert";
+
+// Moving boxes, then flickering pixels inside the box
+export const validation = ["iou", "flicker"];
+
+export const defaultConfidence = DEFAULT_CONFIDENCE;
+
+// Smoke builds up slowly, so an idle fire detector wakes on less motion
+export const defaultMotionThreshold = 0.003;
+
+export async function detect(frame, camera, settings) {
+  const result = await detectFire(frame, camera.name, { confidenceThreshold: settings.confidenceThreshold });
+  const { boxes } = filterBoxesByZones(result.boxes, camera.zones);
+
+  const fireCount = boxes.filter((b) => b.label === "Fire").length;
+  const smokeCount = boxes.filter((b) => b.label === "Smoke").length;
+
+  return createResult(boxes, result, {
+    detected: fireCount > 0 || smokeCount > 0,
+    details: { fireCount, smokeCount },
+  });
+}
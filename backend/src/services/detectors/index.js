@@ -0,0 +1,108 @@
+import * as fire from "./fire.js";
+import * as weapon from "./weapon.js";
+import * as theft from "./theft.js";
+import * as intrusion from "./intrusion.js";
+import * as crowdDensity from "./crowdDensity.js";
+import { STAGE_NAMES } from "./validation.js";
+
+// -------------------------------------------------------------------
+// 🧩 Detector Registry
+// -------------------------------------------------------------------
+// One module per aiType, each exporting:
+//   aiType, label, emoji, alertTitle
+//   validation - stage names from validation.js, run in order
+//   defaultConfidence - minimum box score unless the camera overrides it
+//   defaultMotionThreshold (optional) - motion gate default, else cfg.detectors
+//   detect(frame, camera, settings) -> DetectionResult (detectionResult.js)
+//     { detected, confidence, boxes, frameSize, frameBuffer, details }
+//   (frame is a JPEG the queue grabbed once and hands to every detector;
+//    settings come from detectionSettings.js; boxes outside the camera's
+//    zones are dropped before `detected` is decided)
+//
+// A new detector is a new module added to this list - the queue, alerts
+// and camera API pick it up from here.
+const DETECTORS = [fire, weapon, theft, intrusion, crowdDensity];
+
+const registry = new Map();
+for (const detector of DETECTORS) {
+  const unknown = detector.validation.filter((stage) => !STAGE_NAMES.includes(stage));
+  if (unknown.length > 0) {
+    throw new Error(`Detector ${detector.aiType} uses unknown validation stage(s): ${unknown.join(", ")}`);
+  }
+  registry.set(detector.aiType, detector);
+}
+
+export const AI_TYPES = [...registry.keys()];
+export const DEFAULT_AI_TYPE = "FIRE";
+
+export function isKnownAiType(aiType) {
+  return registry.has(aiType);
+}
+
+/**
+ * @throws {Error} for an aiType nothing is registered for
+ */
+export function getDetector(aiType) {
+  const detector = registry.get(aiType);
+  if (!detector) {
+    throw new Error(`Unknown aiType "${aiType}". Must be one of: ${AI_TYPES.join(", ")}`);
+  }
+  return detector;
+}
+
+/**
+ * The AI types enabled on a camera, upper-cased and de-duplicated.
+ * `aiTypes` (list) wins over the older single `aiType`; cameras saved
+ * before either existed are fire cameras.
+ */
+export function resolveAiTypes(camera) {
+  const types = camera.aiTypes?.length ? camera.aiTypes : [camera.aiType || DEFAULT_AI_TYPE];
+  return [...new Set(types.map((type) => String(type).toUpperCase()))];
+}
+
+/**
+ * Validate an aiTypes list from the API.
+ * @returns {string[]} de-duplicated list
+ * @throws {Error} if empty or any type is unknown
+ */
+export function validateAiTypes(aiTypes) {
+  if (!Array.isArray(aiTypes) || aiTypes.length === 0) {
+    throw new Error("aiTypes must be a non-empty array");
+  }
+
+  const unknown = aiTypes.filter((type) => !registry.has(type));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid aiType(s) ${unknown.join(", ")}. Must be one of: ${AI_TYPES.join(", ")}`);
+  }
+
+  return [...new Set(aiTypes)];
+}
+
+// Alert types raised outside the detectors (cameraHealth.js)
+const OTHER_ALERT_WORDING = {
+  CAMERA_HEALTH: { emoji: "📷", title: "Camera Health Alert" },
+};
+
+/**
+ * Emoji and title for alert messages. Alerts of a detector that has since
+ * been removed still get a readable title.
+ */
+export function alertWording(aiType) {
+  const detector = registry.get(aiType);
+  if (detector) {
+    return { emoji: detector.emoji, title: detector.alertTitle };
+  }
+  return OTHER_ALERT_WORDING[aiType] || { emoji: "🚨", title: `${aiType} Alert` };
+}
+
+/**
+ * For the camera settings UI
+ */
+export function listDetectors() {
+  return DETECTORS.map(({ aiType, label, emoji, validation }) => ({
+    aiType,
+    label,
+    emoji,
+    validation,
+  }));
+}
@@ -0,0 +1,22 @@
+import { DEFAULT_CONFIDENCE } from "../localTheftDetector.js";
+import { detectPeople } from "../inferencePool.js";
+import { filterBoxesByZones } from "../zoneService.js";
+import { createResult } from "../detectionResult.js";
+
+// 🚷 Intrusion: any person in view while the camera is armed.
+// Pair with a detection schedule so it only alerts out of hours.
+export const aiType = "INTRUSION";
+export const label = "Intrusion Detect";
+export const emoji = "🚷";
+export const alertTitle = "Intrusion Alert";
+
+// A standing person may not move; only reject posters / screens
+export const validation = ["depth"];
+
+export const defaultConfidence = DEFAULT_CONFIDENCE;
+
+export async function detect(frame, camera, settings) {
+  const result = await detectPeople(frame, camera.name, { confidenceThreshold: settings.confidenceThreshold });
+  const { boxes } = filterBoxesByZones(result.boxes, camera.zones);
+  return createResult(boxes, result, { details: { personCount: boxes.length } });
+}
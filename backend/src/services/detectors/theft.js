@@ -0,0 +1,21 @@
+import { DEFAULT_CONFIDENCE } from "../localTheftDetector.js";
+import { detectTheft } from "../inferencePool.js";
+import { filterBoxesByZones } from "../zoneService.js";
+import { createResult } from "../detectionResult.js";
+
+// 🕵️ Theft actions (models/theft.onnx, class 0)
+export const aiType = "THEFT";
+export const label = "Theft Detection";
+export const emoji = "🕵️";
+export const alertTitle = "Theft Detection Alert";
+
+// Moving, and a real person rather than a poster / video playback
+export const validation = ["iou", "depth"];
+
+export const defaultConfidence = DEFAULT_CONFIDENCE;
+
+export async function detect(frame, camera, settings) {
+  const result = await detectTheft(frame, camera.name, { confidenceThreshold: settings.confidenceThreshold });
+  const { boxes } = filterBoxesByZones(result.boxes, camera.zones);
+  return createResult(boxes, result);
+}
@@ -0,0 +1,150 @@
+import pino from "pino";
+import { isFireMoving, isWeapon3D } from "../inferencePool.js";
+import { boxIoU } from "../detectionResult.js";
+
+const log = pino({ name: "detection-validation" });
+
+// -------------------------------------------------------------------
+// 📊 IoU Analysis (Drone Method)
+// -------------------------------------------------------------------
+/**
+ * Analyze multiple frames using IoU method.
+ * Returns whether detection is static (false positive) or moving (real).
+ * @param {number} iouThreshold - average IoU above which boxes count as static
+ *   (0.8 = 80% overlap, drone method)
+ */
+function analyzeBoxes(frames, iouThreshold) {
+  if (frames.length < 2) {
+    return {
+      isStatic: false,
+      reason: "insufficient_frames",
+      framesAnalyzed: frames.length,
+    };
+  }
+
+  // Get the largest box from each frame
+  const boxes = frames
+    .map((frame) => {
+      if (!frame.boxes || frame.boxes.length === 0) {
+        return null;
+      }
+      return frame.boxes[0]; // Highest confidence box
+    })
+    .filter((box) => box !== null);
+
+  if (boxes.length < 2) {
+    return {
+      isStatic: false,
+      reason: "insufficient_boxes",
+      framesAnalyzed: frames.length,
+    };
+  }
+
+  // Compare consecutive pairs
+  const ious = [];
+  for (let i = 1; i < boxes.length; i++) {
+    const iou = boxIoU(boxes[i - 1], boxes[i]);
+    ious.push(iou);
+  }
+
+  const avgIoU = ious.reduce((sum, iou) => sum + iou, 0) / ious.length;
+  const isStatic = avgIoU > iouThreshold;
+
+  return {
+    isStatic,
+    avgIoU: avgIoU.toFixed(3),
+    ious: ious.map((iou) => iou.toFixed(3)),
+    reason: isStatic ? "static_box" : "moving_box",
+    framesAnalyzed: frames.length,
+    boxesCompared: boxes.length,
+  };
+}
+
+// -------------------------------------------------------------------
+// 🧪 Validation Stages
+// -------------------------------------------------------------------
+// A detector lists the stages its detections must pass, in order.
+// Each stage: (frames, result, settings) => Promise<boolean>, recording what
+// it found on `result` ({ iouAnalysis, liveness }). `settings` are the
+// camera's resolved detection settings for the detector's AI type. The first failing stage sets
+// `result.reason` (the suppressed event's reason).
+export const STAGES = {
+  // Boxes must move between frames - a poster or TV still frame doesn't
+  iou: async (frames, result, settings) => {
+    result.iouAnalysis = analyzeBoxes(frames, settings.iouThreshold);
+
+    if (result.iouAnalysis.isStatic) {
+      log.warn(
+        { ...result.iouAnalysis },
+        `⚠️ STATIC DETECTION (IoU ${result.iouAnalysis.avgIoU} > ${settings.iouThreshold}) - Likely poster/TV`
+      );
+      result.reason = "static_box";
+      return false;
+    }
+    return true;
+  },
+
+  // Pixel motion inside the box (real flames flicker)
+  flicker: async (frames, result, settings) => {
+    const lastFrame = frames[frames.length - 1];
+    const passed = await isFireMoving(
+      frames.map((f) => f.frameBuffer),
+      lastFrame.boxes[0].bbox,
+      settings.flickerMinMotion
+    );
+    result.liveness = { check: "flicker", passed };
+
+    if (!passed) {
+      log.warn("⚠️ Liveness Check FAILED (Static Pixels) - Ignoring");
+      result.reason = "liveness_failed";
+    }
+    return passed;
+  },
+
+  // Depth variation inside the box (real 3D object vs flat image)
+  depth: async (frames, result, settings) => {
+    const lastFrame = frames[frames.length - 1];
+    const passed = await isWeapon3D(
+      lastFrame.frameBuffer,
+      lastFrame.boxes[0].bbox,
+      settings.depthMinStdDev
+    );
+    result.liveness = { check: "depth", passed };
+
+    if (!passed) {
+      log.warn("⚠️ Liveness Check FAILED (2D/Flat Image) - Ignoring");
+      result.reason = "liveness_failed";
+    }
+    return passed;
+  },
+};
+
+export const STAGE_NAMES = Object.keys(STAGES);
+
+/**
+ * Run a detector's validation stages over the frames with a detection.
+ * @param {Object} settings - resolveDetectionSettings() for the camera and detector
+ * @returns {Promise<{ isReal, reason, iouAnalysis, liveness }>}
+ */
+export async function runValidation(detector, frames, settings) {
+  const result = { isReal: false, reason: null, iouAnalysis: null, liveness: null };
+  const lastFrame = frames[frames.length - 1];
+
+  if (!lastFrame || lastFrame.boxes.length === 0) {
+    result.reason = "no_boxes";
+    return result;
+  }
+
+  for (const stage of detector.validation) {
+    if (!(await STAGES[stage](frames, result, settings))) {
+      return result;
+    }
+  }
+
+  result.isReal = true;
+  log.info(
+    { aiType: detector.aiType, stages: detector.validation },
+    `${detector.emoji} ${detector.aiType}: Validation PASSED`
+  );
+  return result;
+}
@@ -0,0 +1,21 @@
+import { DEFAULT_CONFIDENCE } from "../localWeaponDetector.js";
+import { detectWeapon } from "../inferencePool.js";
+import { filterBoxesByZones } from "../zoneService.js";
+import { createResult } from "../detectionResult.js";
+
+// 🔫 Weapons (models/weapons.onnx)
+export const aiType = "WEAPON";
+export const label = "Weapon Detect";
+export const emoji = "🔫";
+export const alertTitle = "Weapon Alert";
+
+// A held weapon may not move between frames; only reject flat images
+export const validation = ["depth"];
+
+export const defaultConfidence = DEFAULT_CONFIDENCE;
+
+export async function detect(frame, camera, settings) {
+  const result = await detectWeapon(frame, camera.name, { confidenceThreshold: settings.confidenceThreshold });
+  const { boxes } = filterBoxesByZones(result.boxes, camera.zones);
+  return createResult(boxes, result);
+}
@@ -0,0 +1,52 @@
+import pino from "pino";
+import { dynamodb } from "../db/dynamodb.js";
+
+const log = pino({ name: "event-history" });
+
+// -------------------------------------------------------------------
+// 📝 Record Detection Event
+// -------------------------------------------------------------------
+/**
+ * Persist the outcome of one detection cycle.
+ *
+ * verdict: "confirmed" (alert raised) or "suppressed" (IoU / liveness rejected it)
+ * liveness: { check: "flicker" | "depth", passed } or null when it never ran
+ *
+ * Never throws: a storage outage must not break the detection loop.
+ */
+export async function recordDetectionEvent(camera, details) {
+  const {
+    aiType,
+    verdict,
+    reason = null,
+    frame = null,
+    iouAnalysis = null,
+    liveness = null,
+    imageUrl = null,
+  } = details;
+
+  const event = {
+    cameraId: camera.id,
+    cameraName: camera.name,
+    aiType,
+    verdict,
+    reason,
+    boxes: frame?.boxes || [],
+    frameSize: frame?.frameSize || null,
+    confidence: frame?.confidence ?? null,
+    iouAnalysis,
+    liveness,
+    imageUrl,
+    timestamp: new Date().toISOString(),
+  };
+
+  try {
+    return await dynamodb.createDetectionEvent(camera.userId, event);
+  } catch (error) {
+    log.error(
+      { cameraId: camera.id, verdict, error: error.message },
+      "❌ Failed to record detection event"
+    );
+    return null;
+  }
+}
@@ -0,0 +1,112 @@
+import crypto from "crypto";
+import { saveMediaBuffer, deleteMedia } from "./mediaStorage.js";
+
+// -------------------------------------------------------------------
+// 🗺️ FLOOR PLANS & CAMERA PLACEMENT
+// -------------------------------------------------------------------
+// A floor plan (or site map) is an image on a location node:
+//
+//   floorPlan: { imageUrl, contentType, uploadedAt }
+//
+// Cameras are pinned on it with `mapPlacement`, positions 0-1 of the image
+// so they survive a re-upload at another resolution:
+//
+// {
+//   locationId: "…",   // node whose plan the camera is on
+//   x: 0.42, y: 0.18,  // pin position (top-left origin)
+//   direction: 135,    // where the camera looks, degrees clockwise from up
+//   fov: 90,           // field-of-view cone width, degrees
+//   range: 0.15,       // cone length, fraction of the image width
+// }
+
+export const FLOOR_PLAN_TYPES = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+};
+
+export const MAX_FLOOR_PLAN_SIZE = "10mb";
+
+const PLACEMENT_NAMES = ["locationId", "x", "y", "direction", "fov", "range"];
+const PLACEMENT_DEFAULTS = { direction: 0, fov: 90, range: 0.15 };
+
+const inRange = (value, min, max) =>
+  typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+
+// -------------------------------------------------------------------
+// ✅ Placement Validation
+// -------------------------------------------------------------------
+/**
+ * Validate a camera's mapPlacement from the API (null = not on a map)
+ * @param {Object[]} nodes - the user's location nodes
+ * @throws {Error} with a user-facing message
+ */
+export function validateMapPlacement(placement, nodes) {
+  if (placement === null) return null;
+  if (typeof placement !== "object" || Array.isArray(placement)) {
+    throw new Error("mapPlacement must be an object");
+  }
+
+  for (const name of Object.keys(placement)) {
+    if (!PLACEMENT_NAMES.includes(name)) {
+      throw new Error(`Unknown setting "${name}" in mapPlacement`);
+    }
+  }
+
+  const { locationId, x, y, direction, fov, range } = { ...PLACEMENT_DEFAULTS, ...placement };
+
+  const node = nodes.find((n) => n.id === locationId);
+  if (!node) {
+    throw new Error("mapPlacement.locationId must be the id of one of your locations");
+  }
+  if (!node.floorPlan) {
+    throw new Error(`"${node.name}" has no floor plan to place cameras on`);
+  }
+  if (!inRange(x, 0, 1) || !inRange(y, 0, 1)) {
+    throw new Error("mapPlacement.x and y must be between 0 and 1");
+  }
+  if (!inRange(direction, 0, 360)) {
+    throw new Error("mapPlacement.direction must be between 0 and 360 degrees");
+  }
+  if (!inRange(fov, 10, 360)) {
+    throw new Error("mapPlacement.fov must be between 10 and 360 degrees");
+  }
+  if (!inRange(range, 0.01, 1)) {
+    throw new Error("mapPlacement.range must be between 0.01 and 1");
+  }
+
+  return { locationId, x, y, direction: direction % 360, fov, range };
+}
+
+// -------------------------------------------------------------------
+// 🖼️ Upload
+// -------------------------------------------------------------------
+/**
+ * Store an uploaded plan image under the owner's id (the media route only
+ * serves a user their own files); a new id per upload so a replaced plan
+ * isn't served from cache
+ * @returns {Promise<Object>} floorPlan for the node
+ */
+export async function saveFloorPlan(userId, locationId, image, contentType) {
+  const extension = FLOOR_PLAN_TYPES[contentType];
+  if (!extension) {
+    throw new Error(`Floor plans must be ${Object.keys(FLOOR_PLAN_TYPES).join(", ")}`);
+  }
+
+  const key = `floor-plans/${userId}/${locationId}/${crypto.randomUUID()}.${extension}`;
+  return {
+    imageUrl: await saveMediaBuffer(key, image, contentType),
+    contentType,
+    uploadedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Delete a plan's image once the node no longer points at it (replaced,
+ * removed, or its node deleted). Never throws.
+ */
+export async function deleteFloorPlanImage(floorPlan) {
+  if (floorPlan?.imageUrl) {
+    await deleteMedia(floorPlan.imageUrl);
+  }
+}
@@ -0,0 +1,259 @@
+import { spawn } from "node:child_process";
+import pino from "pino";
+import { cfg } from "../config.js";
+
+const log = pino({ name: "frame-source" });
+
+// -------------------------------------------------------------------
+// 📋 Configuration Constants
+// -------------------------------------------------------------------
+const FRAME_TIMEOUT = 10000; // Give up waiting for a frame after 10s
+const STALL_TIMEOUT = 15000; // Restart a decoder that stopped producing frames
+const RESTART_BACKOFF = 5000; // Minimum time between decoder restarts
+const MAX_BUFFERED_BYTES = 20 * 1024 * 1024; // Drop garbage if no JPEG ends
+
+const JPEG_SOI = Buffer.from([0xff, 0xd8]);
+const JPEG_EOI = Buffer.from([0xff, 0xd9]);
+
+// -------------------------------------------------------------------
+// 📋 State
+// -------------------------------------------------------------------
+// One decoder per source URL, shared by every detector reading it.
+// srcUrl -> { srcUrl, process, pending, latest, seq, servedSeq, waiters,
+//             lastStartAt, idleTimer, stallTimer }
+const sources = new Map();
+
+function redact(srcUrl) {
+  return srcUrl.replace(/:([^:@/]+)@/, ":****@");
+}
+
+// -------------------------------------------------------------------
+// 🎞️ Persistent Decoder
+// -------------------------------------------------------------------
+function startDecoder(source) {
+  const isRtsp = source.srcUrl.startsWith("rtsp://");
+  const args = ["-hide_banner", "-loglevel", "error"];
+
+  if (isRtsp) {
+    args.push(
+      "-rtsp_transport", "tcp",
+      "-timeout", "5000000",
+      "-analyzeduration", "1000000",
+      "-probesize", "1000000"
+    );
+  } else {
+    // Files / HLS: read at real-time speed instead of racing to the end
+    args.push("-re");
+  }
+
+  args.push(
+    "-i", source.srcUrl,
+    "-an",
+    "-vf", `fps=${cfg.frames.fps}`,
+    "-q:v", "2",
+    "-f", "image2pipe",
+    "-c:v", "mjpeg",
+    "-"
+  );
+
+  const ff = spawn(cfg.ffmpeg, args, { stdio: ["ignore", "pipe", "pipe"] });
+  source.process = ff;
+  source.pending = Buffer.alloc(0);
+  source.lastStartAt = Date.now();
+
+  let stderr = "";
+  ff.stdout.on("data", (chunk) => onData(source, chunk));
+  ff.stderr.on("data", (d) => {
+    stderr = (stderr + d.toString()).slice(-2000);
+  });
+
+  ff.on("error", (error) => {
+    log.error({ src: redact(source.srcUrl), error: error.message }, "❌ Frame decoder failed to start");
+  });
+
+  ff.on("close", (code) => {
+    if (source.process !== ff) return;
+    source.process = null;
+    clearTimeout(source.stallTimer);
+
+    const reason = `ffmpeg exit ${code}: ${stderr.split("\n").slice(-3).join(" ")}`;
+    log.warn({ src: redact(source.srcUrl), code }, "⚠️ Frame decoder exited");
+    rejectWaiters(source, new Error(reason));
+  });
+
+  armStallTimer(source);
+  log.info({ src: redact(source.srcUrl), fps: cfg.frames.fps }, "🎞️ Frame decoder started");
+}
+
+function stopDecoder(source) {
+  clearTimeout(source.stallTimer);
+  if (source.process) {
+    const ff = source.process;
+    source.process = null;
+    ff.kill("SIGTERM");
+  }
+}
+
+function armStallTimer(source) {
+  clearTimeout(source.stallTimer);
+  source.stallTimer = setTimeout(() => {
+    log.warn({ src: redact(source.srcUrl) }, "⚠️ No frames from decoder - restarting on next request");
+    stopDecoder(source);
+    rejectWaiters(source, new Error("Frame decoder stalled"));
+  }, STALL_TIMEOUT);
+}
+
+/**
+ * Split the MJPEG byte stream into JPEGs. Encoded JPEG data never contains
+ * FFD9 (0xFF bytes are stuffed), so SOI..EOI is one frame.
+ */
+function onData(source, chunk) {
+  source.pending = Buffer.concat([source.pending, chunk]);
+
+  while (true) {
+    const start = source.pending.indexOf(JPEG_SOI);
+    if (start === -1) {
+      // Keep a trailing 0xFF - it may be the first half of the next SOI
+      source.pending = source.pending.subarray(-1)[0] === 0xff
+        ? source.pending.subarray(-1)
+        : Buffer.alloc(0);
+      return;
+    }
+
+    const end = source.pending.indexOf(JPEG_EOI, start + 2);
+    if (end === -1) {
+      if (source.pending.length > MAX_BUFFERED_BYTES) {
+        source.pending = Buffer.alloc(0);
+      } else if (start > 0) {
+        source.pending = source.pending.subarray(start);
+      }
+      return;
+    }
+
+    const frame = Buffer.from(source.pending.subarray(start, end + 2));
+    source.pending = source.pending.subarray(end + 2);
+    onFrame(source, frame);
+  }
+}
+
+function onFrame(source, buffer) {
+  source.seq++;
+  source.latest = { buffer, seq: source.seq, timestamp: Date.now() };
+  armStallTimer(source);
+
+  const waiters = source.waiters;
+  source.waiters = [];
+  for (const waiter of waiters) {
+    clearTimeout(waiter.timer);
+    source.servedSeq = source.seq;
+    waiter.resolve(buffer);
+  }
+}
+
+function rejectWaiters(source, error) {
+  const waiters = source.waiters;
+  source.waiters = [];
+  for (const waiter of waiters) {
+    clearTimeout(waiter.timer);
+    waiter.reject(error);
+  }
+}
+
+// -------------------------------------------------------------------
+// 📥 Get Frames
+// -------------------------------------------------------------------
+function getOrCreateSource(srcUrl) {
+  let source = sources.get(srcUrl);
+  if (!source) {
+    source = {
+      srcUrl,
+      process: null,
+      pending: Buffer.alloc(0),
+      latest: null,
+      seq: 0,
+      servedSeq: 0,
+      waiters: [],
+      lastStartAt: 0,
+      idleTimer: null,
+      stallTimer: null,
+    };
+    sources.set(srcUrl, source);
+  }
+  return source;
+}
+
+function scheduleIdleStop(source) {
+  clearTimeout(source.idleTimer);
+  source.idleTimer = setTimeout(() => {
+    log.info({ src: redact(source.srcUrl) }, "💤 Frame decoder idle - stopping");
+    stopDecoder(source);
+    rejectWaiters(source, new Error("Frame source stopped"));
+    sources.delete(source.srcUrl);
+  }, cfg.frames.idleTimeoutMs);
+}
+
+/**
+ * Get a JPEG frame from the camera's shared decoder, starting it if needed.
+ * Drop-in replacement for spawning ffmpeg per frame.
+ *
+ * By default waits for a frame no caller has been given yet, so successive
+ * calls (the multi-frame IoU check) never see the same image twice.
+ *
+ * @param {string} srcUrl - RTSP / HLS URL
+ * @param {Object} options - { fresh = true, timeoutMs }
+ * @returns {Promise<Buffer>} JPEG
+ */
+export function grabFrame(srcUrl, { fresh = true, timeoutMs = FRAME_TIMEOUT } = {}) {
+  const source = getOrCreateSource(srcUrl);
+  scheduleIdleStop(source);
+
+  if (!source.process) {
+    const wait = source.lastStartAt + RESTART_BACKOFF - Date.now();
+    if (wait > 0) {
+      return Promise.reject(
+        new Error(`Frame decoder restarting - retry in ${Math.ceil(wait / 1000)}s`)
+      );
+    }
+    source.latest = null;
+    startDecoder(source);
+  }
+
+  const latest = source.latest;
+  const maxAge = 2000 / cfg.frames.fps;
+  if (
+    latest &&
+    Date.now() - latest.timestamp <= maxAge &&
+    (!fresh || latest.seq > source.servedSeq)
+  ) {
+    source.servedSeq = latest.seq;
+    return Promise.resolve(latest.buffer);
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject, timer: null };
+    waiter.timer = setTimeout(() => {
+      source.waiters = source.waiters.filter((w) => w !== waiter);
+      reject(new Error(`No frame within ${timeoutMs}ms`));
+    }, timeoutMs);
+    source.waiters.push(waiter);
+  });
+}
+
+// -------------------------------------------------------------------
+// 🛑 Stop
+// -------------------------------------------------------------------
+export function stopAllFrameSources() {
+  for (const source of sources.values()) {
+    clearTimeout(source.idleTimer);
+    stopDecoder(source);
+    rejectWaiters(source, new Error("Frame source stopped"));
+  }
+  sources.clear();
+}
+
+/**
+ * Number of running decoders (reported by /healthz)
+ */
+export function getActiveFrameSourceCount() {
+  return [...sources.values()].filter((source) => source.process).length;
+}
@@ -0,0 +1,165 @@
+import pino from "pino";
+import { cfg } from "../config.js";
+
+const log = pino({ name: "incident-tracker" });
+
+// -------------------------------------------------------------------
+// 📋 State
+// -------------------------------------------------------------------
+// One incident per camera and AI type: consecutive positive cycles merge
+// into it until that detector has been clear for `clearAfterCycles` cycles.
+// "cameraId:aiType" -> { incidentId, cameraId, cameraName, userId, aiType, startedAt,
+//                        lastPositiveAt, lastNotifiedAt, positiveCycles, clearCycles, clearedAt }
+const incidents = new Map();
+
+function incidentKey(cameraId, aiType) {
+  return `${cameraId}:${aiType}`;
+}
+
+// -------------------------------------------------------------------
+// 🔥 Positive Cycle
+// -------------------------------------------------------------------
+/**
+ * Record a confirmed detection cycle and decide what to notify.
+ *
+ * action:
+ *   "opened"   - new incident, send the full alert
+ *   "reopened" - detected again within `cooldownMs` of clearing; the
+ *                "cleared" notice already went out, so alert again
+ *   "renotify" - still ongoing and the re-notify interval has passed
+ *   "ongoing"  - merged into the current incident, no notification
+ *
+ * A reopen keeps the incident (and its alert) instead of starting a new
+ * one, so a flickering detection stays a single incident.
+ */
+export function recordPositiveCycle(camera, aiType, now = Date.now()) {
+  const { cooldownMs, renotifyIntervalMs } = cfg.incidents;
+  const key = incidentKey(camera.id, aiType);
+  let incident = incidents.get(key);
+
+  if (incident?.clearedAt && now - incident.clearedAt >= cooldownMs) {
+    incident = null;
+  }
+
+  if (!incident) {
+    incident = {
+      incidentId: `${new Date(now).toISOString()}_${camera.id}_${aiType}`,
+      cameraId: camera.id,
+      cameraName: camera.name,
+      userId: camera.userId,
+      aiType,
+      startedAt: now,
+      lastPositiveAt: now,
+      lastNotifiedAt: now,
+      positiveCycles: 1,
+      clearCycles: 0,
+      clearedAt: null,
+    };
+    incidents.set(key, incident);
+
+    log.warn(
+      { userId: camera.userId, cameraId: camera.id, incidentId: incident.incidentId, aiType },
+      "🚨 Incident opened"
+    );
+    return { action: "opened", incident };
+  }
+
+  incident.positiveCycles++;
+  incident.clearCycles = 0;
+  incident.lastPositiveAt = now;
+
+  if (incident.clearedAt) {
+    log.warn(
+      { cameraId: camera.id, incidentId: incident.incidentId, aiType },
+      "🔁 Detection within cooldown - incident reopened"
+    );
+    incident.clearedAt = null;
+    incident.lastNotifiedAt = now;
+    return { action: "reopened", incident };
+  }
+
+  if (renotifyIntervalMs > 0 && now - incident.lastNotifiedAt >= renotifyIntervalMs) {
+    incident.lastNotifiedAt = now;
+    return { action: "renotify", incident };
+  }
+
+  return { action: "ongoing", incident };
+}
+
+// -------------------------------------------------------------------
+// ✅ Negative Cycle
+// -------------------------------------------------------------------
+/**
+ * Record a cycle without a confirmed detection of `aiType` (nothing found,
+ * or the detection was suppressed). `cleared` is the incident once it has
+ * been clear for `clearAfterCycles` consecutive cycles, else null.
+ *
+ * With `holdOpen` (PTZ has the camera away from home) it doesn't clear
+ * then: `held` is true, the count starts over, and the caller moves the
+ * camera home, so the home view can't reopen it as a new incident.
+ * @returns {{ cleared: Object|null, held: boolean }}
+ */
+export function recordNegativeCycle(camera, aiType, now = Date.now(), { holdOpen = false } = {}) {
+  const key = incidentKey(camera.id, aiType);
+  const incident = incidents.get(key);
+  if (!incident) return { cleared: null, held: false };
+
+  if (incident.clearedAt) {
+    // Cooldown over - forget it
+    if (now - incident.clearedAt >= cfg.incidents.cooldownMs) {
+      incidents.delete(key);
+    }
+    return { cleared: null, held: false };
+  }
+
+  incident.clearCycles++;
+  if (incident.clearCycles < cfg.incidents.clearAfterCycles) {
+    return { cleared: null, held: false };
+  }
+
+  if (holdOpen) {
+    incident.clearCycles = 0;
+    log.info(
+      { userId: incident.userId, cameraId: camera.id, incidentId: incident.incidentId, aiType },
+      "⏸️ Incident clear held until the camera is back home"
+    );
+    return { cleared: null, held: true };
+  }
+
+  incident.clearedAt = now;
+  log.info(
+    {
+      userId: incident.userId,
+      cameraId: camera.id,
+      incidentId: incident.incidentId,
+      aiType,
+      durationMs: incident.lastPositiveAt - incident.startedAt,
+      positiveCycles: incident.positiveCycles,
+    },
+    "✅ Incident cleared"
+  );
+  return { cleared: incident, held: false };
+}
+
+// -------------------------------------------------------------------
+// 🔍 Lookup / Cleanup
+// -------------------------------------------------------------------
+/**
+ * Ongoing (not cleared) incidents on a camera, one per AI type at most
+ */
+export function getActiveIncidents(cameraId) {
+  return [...incidents.values()].filter(
+    (incident) => incident.cameraId === cameraId && !incident.clearedAt
+  );
+}
+
+/**
+ * Drop a camera's incidents - every AI type, or just `aiType`
+ */
+export function forgetIncidents(cameraId, aiType = null) {
+  for (const [key, incident] of incidents) {
+    if (incident.cameraId === cameraId && (!aiType || incident.aiType === aiType)) {
+      incidents.delete(key);
+    }
+  }
+}
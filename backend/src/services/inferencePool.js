@@ -0,0 +1,272 @@
+import { fork } from "node:child_process";
+import path from "path";
+import { fileURLToPath } from "url";
+import pino from "pino";
+import { cfg } from "../config.js";
+
+const log = pino({ name: "inference-pool" });
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKER_SCRIPT = path.join(__dirname, "inferenceWorker.js");
+
+// -------------------------------------------------------------------
+// 📋 Configuration Constants
+// -------------------------------------------------------------------
+const MIN_RESPAWN_DELAY = 1000;
+const MAX_RESPAWN_DELAY = 30000; // Back-off cap for a worker that keeps crashing
+const CHECK_MODEL_TIMEOUT = 120000; // First load of a large model is slow
+
+// -------------------------------------------------------------------
+// 📋 State
+// -------------------------------------------------------------------
+// ONNX inference, sharp preprocessing and the liveness pixel loops run in
+// forked child processes (inferenceWorker.js), so they never block the API
+// and WebSocket event loop. Child processes rather than worker threads: a
+// native ONNX Runtime crash in a thread would still take the server down.
+//
+// Each worker runs one job at a time. Jobs wait in a bounded queue; a job
+// that runs past its timeout gets its worker killed, and crashed workers
+// are replaced. Workers that can't even start fail the queued jobs.
+//
+// worker: { child, ready, job }   job: { id, task, args, timeoutMs, resolve, reject, timer }
+const workers = new Set();
+const queue = [];
+let nextJobId = 1;
+let crashStreak = 0;
+let respawnTimer = null;
+let stopping = false;
+
+// -------------------------------------------------------------------
+// 🧵 Workers
+// -------------------------------------------------------------------
+function spawnWorker() {
+  const child = fork(WORKER_SCRIPT, [], { serialization: "advanced" });
+  const worker = { child, ready: false, job: null };
+  workers.add(worker);
+
+  child.on("message", (message) => {
+    if (message.type === "ready") {
+      worker.ready = true;
+      dispatch();
+      return;
+    }
+
+    const job = worker.job;
+    if (!job || job.id !== message.id) return;
+
+    finishJob(worker);
+    crashStreak = 0;
+    if (message.type === "result") {
+      job.resolve(message.result);
+    } else {
+      job.reject(new Error(message.error));
+    }
+    dispatch();
+  });
+
+  child.on("error", (error) => {
+    log.error({ pid: child.pid, error: error.message }, "❌ Inference worker error");
+  });
+
+  child.on("exit", (code, signal) => {
+    workers.delete(worker);
+    const job = worker.job;
+    if (job) {
+      finishJob(worker);
+      job.reject(job.timedOut
+        ? new Error(`Inference timed out after ${job.timeoutMs}ms`)
+        : new Error(`Inference worker crashed (${signal || `exit ${code}`})`));
+    }
+    if (stopping) return;
+
+    // Died before it was ready (e.g. a bad models/manifest.json) and no other
+    // worker is left to take the queue: fail the queued jobs instead of
+    // leaving them waiting, since their timeout only starts on a worker
+    if (!worker.ready && workers.size === 0) {
+      rejectQueued(new Error(`Inference worker failed to start (${signal || `exit ${code}`})`));
+    }
+
+    if (!job?.timedOut) crashStreak++;
+    log.warn({ pid: child.pid, code, signal, task: job?.task }, "⚠️ Inference worker exited - replacing it");
+    scheduleRespawn();
+  });
+
+  log.info({ pid: child.pid }, "🧵 Inference worker started");
+  return worker;
+}
+
+function scheduleRespawn() {
+  if (respawnTimer) return;
+
+  const delay = Math.min(MAX_RESPAWN_DELAY, MIN_RESPAWN_DELAY * 2 ** Math.max(0, crashStreak - 1));
+  respawnTimer = setTimeout(() => {
+    respawnTimer = null;
+    if (stopping) return;
+    while (workers.size < cfg.inference.workers) spawnWorker();
+  }, delay);
+}
+
+function ensureWorkers() {
+  if (stopping || respawnTimer) return;
+  while (workers.size < cfg.inference.workers) spawnWorker();
+}
+
+function rejectQueued(error) {
+  for (const job of queue.splice(0)) {
+    job.reject(error);
+  }
+}
+
+function finishJob(worker) {
+  clearTimeout(worker.job.timer);
+  worker.job = null;
+}
+
+function dispatch() {
+  for (const worker of workers) {
+    if (queue.length === 0) return;
+    if (!worker.ready || worker.job) continue;
+
+    const job = queue.shift();
+    worker.job = job;
+    job.timer = setTimeout(() => {
+      job.timedOut = true;
+      log.error({ pid: worker.child.pid, task: job.task, timeoutMs: job.timeoutMs }, "⏱️ Inference job timed out - killing worker");
+      worker.child.kill("SIGKILL");
+    }, job.timeoutMs);
+
+    worker.child.send({ type: "job", id: job.id, task: job.task, args: job.args });
+  }
+}
+
+/**
+ * Run a task (see TASKS in inferenceWorker.js) in a worker.
+ * Rejects if the queue is full, the job times out or its worker crashes.
+ */
+function runJob(task, args, { timeoutMs = cfg.inference.timeoutMs } = {}) {
+  if (stopping) {
+    return Promise.reject(new Error("Inference pool is stopped"));
+  }
+  if (queue.length >= cfg.inference.maxQueue) {
+    return Promise.reject(new Error("Inference queue full"));
+  }
+
+  ensureWorkers();
+  return new Promise((resolve, reject) => {
+    queue.push({ id: nextJobId++, task, args, timeoutMs, resolve, reject, timer: null });
+    dispatch();
+  });
+}
+
+// -------------------------------------------------------------------
+// 🔥 Detection
+// -------------------------------------------------------------------
+// Same signatures and results as the local*Detector.js functions
+function detect(task, jpegBuffer, cameraName, options) {
+  return runJob(task, [jpegBuffer, cameraName, options]).then((result) => ({
+    ...result,
+    frameBuffer: result.error ? null : jpegBuffer,
+  }));
+}
+
+export function detectFire(jpegBuffer, cameraName, options = {}) {
+  return detect("detectFire", jpegBuffer, cameraName, options);
+}
+
+export function detectWeapon(jpegBuffer, cameraName, options = {}) {
+  return detect("detectWeapon", jpegBuffer, cameraName, options);
+}
+
+export function detectTheft(jpegBuffer, cameraName, options = {}) {
+  return detect("detectTheft", jpegBuffer, cameraName, options);
+}
+
+export function detectPeople(jpegBuffer, cameraName, options = {}) {
+  return detect("detectPeople", jpegBuffer, cameraName, options);
+}
+
+// -------------------------------------------------------------------
+// 🧪 Liveness (same fail-safe results as livenessValidator.js)
+// -------------------------------------------------------------------
+export async function isWeapon3D(imageBuffer, bbox, minStdDev) {
+  try {
+    return await runJob("isWeapon3D", [imageBuffer, bbox, minStdDev]);
+  } catch (error) {
+    log.error({ error: error.message }, "❌ Depth check failed - assuming real");
+    return true;
+  }
+}
+
+export async function isFireMoving(framesBuffer, bbox, minMotionRatio) {
+  try {
+    return await runJob("isFireMoving", [framesBuffer, bbox, minMotionRatio]);
+  } catch (error) {
+    log.error({ error: error.message }, "❌ Flicker check failed");
+    return false;
+  }
+}
+
+// -------------------------------------------------------------------
+// 🎞️ Motion Gate / Camera Health
+// -------------------------------------------------------------------
+/**
+ * A frame shrunk to width x height 8-bit grayscale pixels (motionGate.js)
+ */
+export function grayThumbnail(jpegBuffer, width, height) {
+  return runJob("grayThumbnail", [jpegBuffer, width, height]);
+}
+
+/**
+ * Contrast, sharpness and a thumbnail of a frame (cameraHealth.js)
+ * @returns {Promise<{ stdDev: number, sharpness: number, thumbnail: Uint8Array }>}
+ */
+export function frameHealthStats(jpegBuffer, thumbWidth, thumbHeight) {
+  return runJob("frameHealthStats", [jpegBuffer, thumbWidth, thumbHeight]);
+}
+
+// -------------------------------------------------------------------
+// 🧠 Models
+// -------------------------------------------------------------------
+/**
+ * Load a model version in a worker to check it, so a corrupt file crashes
+ * that worker instead of the server.
+ * @throws {Error} if it doesn't load
+ */
+export function checkModel(modelId, entry) {
+  return runJob("checkModel", [modelId, entry], { timeoutMs: CHECK_MODEL_TIMEOUT });
+}
+
+/**
+ * Tell every worker to re-read models/manifest.json (after an activation)
+ */
+export function reloadWorkerModels() {
+  for (const worker of workers) {
+    if (worker.child.connected) {
+      worker.child.send({ type: "manifest" });
+    }
+  }
+}
+
+// -------------------------------------------------------------------
+// 🛑 Lifecycle
+// -------------------------------------------------------------------
+export function stopInferencePool() {
+  stopping = true;
+  clearTimeout(respawnTimer);
+  respawnTimer = null;
+
+  rejectQueued(new Error("Inference pool is stopped"));
+  for (const worker of workers) {
+    worker.child.kill();
+  }
+  log.info("🛑 Inference pool stopped");
+}
+
+export function getInferencePoolStats() {
+  const list = [...workers];
+  return {
+    workers: list.length,
+    busy: list.filter((w) => w.job).length,
+    queued: queue.length,
+  };
+}
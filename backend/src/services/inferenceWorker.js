@@ -0,0 +1,92 @@
+import pino from "pino";
+import sharp from "sharp";
+import { detectFire } from "./localDetector.js";
+import { detectWeapon } from "./localWeaponDetector.js";
+import { detectTheft, detectPeople } from "./localTheftDetector.js";
+import livenessValidator from "./livenessValidator.js";
+import { checkModel, reloadManifest } from "./modelSessions.js";
+
+const log = pino({ name: "inference-worker" });
+
+// -------------------------------------------------------------------
+// 🧵 Inference Worker (child process, forked by inferencePool.js)
+// -------------------------------------------------------------------
+// Runs one job at a time. Messages from the pool:
+//   { type: "job", id, task, args } -> { type: "result", id, result } | { type: "error", id, error }
+//   { type: "manifest" }           -> re-read models/manifest.json
+
+// The pool already holds the frame, so it isn't sent back
+function withoutFrame({ frameBuffer, ...result }) {
+  return result;
+}
+
+const TASKS = {
+  detectFire: (...args) => detectFire(...args).then(withoutFrame),
+  detectWeapon: (...args) => detectWeapon(...args).then(withoutFrame),
+  detectTheft: (...args) => detectTheft(...args).then(withoutFrame),
+  detectPeople: (...args) => detectPeople(...args).then(withoutFrame),
+  isWeapon3D: (...args) => livenessValidator.isWeapon3D(...args),
+  isFireMoving: (...args) => livenessValidator.isFireMoving(...args),
+  checkModel: (...args) => checkModel(...args),
+  // Motion gate thumbnail: raw 8-bit grayscale, width x height
+  grayThumbnail: (jpegBuffer, width, height) =>
+    sharp(jpegBuffer).resize(width, height, { fit: "fill" }).grayscale().raw().toBuffer(),
+  frameHealthStats: (...args) => frameHealthStats(...args),
+};
+
+// Camera health (cameraHealth.js): contrast, sharpness (spread of the
+// Laplacian - low when defocused or covered) and a small thumbnail to
+// compare against the camera's usual view
+const LAPLACIAN = { width: 3, height: 3, kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0], offset: 128 };
+
+async function frameHealthStats(jpegBuffer, thumbWidth, thumbHeight) {
+  const gray = sharp(jpegBuffer).resize(320).grayscale();
+  const [stats, edges, thumbnail] = await Promise.all([
+    gray.clone().stats(),
+    gray.clone().convolve(LAPLACIAN).stats(),
+    sharp(jpegBuffer).resize(thumbWidth, thumbHeight, { fit: "fill" }).grayscale().raw().toBuffer(),
+  ]);
+  return {
+    stdDev: stats.channels[0].stdev,
+    sharpness: edges.channels[0].stdev,
+    thumbnail,
+  };
+}
+
+let running = false;
+let manifestChanged = false;
+
+process.on("message", async (message) => {
+  if (message.type === "manifest") {
+    // Deferred while a job runs, so its session isn't released mid-inference
+    if (running) manifestChanged = true;
+    else reloadManifest();
+    return;
+  }
+  if (message.type !== "job") return;
+
+  const { id, task, args } = message;
+  let reply;
+  running = true;
+  try {
+    if (!TASKS[task]) {
+      throw new Error(`Unknown inference task "${task}"`);
+    }
+    reply = { type: "result", id, result: await TASKS[task](...args) };
+  } catch (error) {
+    reply = { type: "error", id, error: error.message };
+  }
+  running = false;
+
+  if (manifestChanged) {
+    manifestChanged = false;
+    reloadManifest();
+  }
+  process.send(reply);
+});
+
+// Parent gone (crashed or killed) - don't linger
+process.on("disconnect", () => process.exit(0));
+
+process.send({ type: "ready" });
+log.info({ pid: process.pid }, "🧵 Inference worker ready");
@@ -1,11 +1,6 @@
 import * as ort from "onnxruntime-node";
 import sharp from "sharp";
-import path from "path";
-import fs from "fs";
-import { fileURLToPath } from "url";
-
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { getModel } from "./modelSessions.js";
 
 function log(msg, data) {
     if (data) console.log(msg, JSON.stringify(data));
@@ -14,69 +9,64 @@ function log(msg, data) {
 
 class LivenessValidator {
     constructor() {
-        // Path to the model you uploaded
-        this.modelPath = path.resolve(__dirname, "../../models/depth_anything_v2_small.onnx");
-        this.session = null;
         // Normalization constants for Depth Anything V2
         this.mean = [0.485, 0.456, 0.406];
         this.std = [0.229, 0.224, 0.225];
     }
 
-    async init() {
-        if (!this.session) {
-            if (!fs.existsSync(this.modelPath)) {
-                console.error(`[LivenessValidator] Model not found at: ${this.modelPath}`);
-                return;
-            }
-            try {
-                this.session = await ort.InferenceSession.create(this.modelPath);
-                console.log('[LivenessValidator] Depth model loaded successfully.');
-            } catch (err) {
-                console.error('[LivenessValidator] Failed to load depth model:', err);
-            }
+    // Active depth model from the registry (models/manifest.json "depth"),
+    // or null if it can't be loaded
+    async getDepthModel() {
+        try {
+            return await getModel("depth");
+        } catch (err) {
+            console.error('[LivenessValidator] Failed to load depth model:', err.message);
+            return null;
         }
     }
 
-    // Preprocess image for ONNX (Resize 518x518 -> Normalize -> HWC to CHW)
-    async preprocess(imageBuffer) {
+    // Preprocess image for ONNX (Resize to size x size (518 for Depth Anything) -> Normalize -> HWC to CHW)
+    async preprocess(imageBuffer, size) {
         const { data, info } = await sharp(imageBuffer)
-            .resize(518, 518, { fit: 'fill' })
+            .resize(size, size, { fit: 'fill' })
             .removeAlpha()
             .raw()
             .toBuffer({ resolveWithObject: true });
 
-        const float32Data = new Float32Array(3 * 518 * 518);
+        const float32Data = new Float32Array(3 * size * size);
 
-        for (let i = 0; i < 518 * 518; i++) {
+        for (let i = 0; i < size * size; i++) {
             for (let c = 0; c < 3; c++) {
                 let val = data[i * 3 + c] / 255.0;
                 val = (val - this.mean[c]) / this.std[c];
-                float32Data[c * 518 * 518 + i] = val;
+                float32Data[c * size * size + i] = val;
             }
         }
-        return new ort.Tensor('float32', float32Data, [1, 3, 518, 518]);
+        return new ort.Tensor('float32', float32Data, [1, 3, size, size]);
     }
 
-    async isWeapon3D(imageBuffer, bbox) {
+    async isWeapon3D(imageBuffer, bbox, minStdDev = 0.001) {
         // Returns TRUE if Real (3D), FALSE if Fake (2D)
-        if (!this.session) await this.init();
-        if (!this.session) return true; // Fail safe: assume real if model broken
+        const model = await this.getDepthModel();
+        if (!model) return true; // Fail safe: assume real if model broken
 
         try {
+            const { session } = model;
+            const size = model.entry.inputShape[2];
+
             // 1. Run Inference
-            const inputTensor = await this.preprocess(imageBuffer);
+            const inputTensor = await this.preprocess(imageBuffer, size);
             const feeds = {};
-            feeds[this.session.inputNames[0]] = inputTensor;
-            const results = await this.session.run(feeds);
-            const output = results[this.session.outputNames[0]].data;
+            feeds[session.inputNames[0]] = inputTensor;
+            const results = await session.run(feeds);
+            const output = results[session.outputNames[0]].data;
 
-            // 2. Map bbox (relative to original img) to 518x518 map
+            // 2. Map bbox (relative to original img) to the size x size depth map
             const metadata = await sharp(imageBuffer).metadata();
-            const scaleX = 518 / metadata.width;
-            const scaleY = 518 / metadata.height;
+            const scaleX = size / metadata.width;
+            const scaleY = size / metadata.height;
 
-            // bbox is [x1, y1, x2, y2] based on detectionQueue usage
-            // Convert to x, y, w, h for calculation if needed, but here we just need bounds
+            // bbox is [x1, y1, x2, y2] in original frame pixels (DetectionBox.bbox)
             const x1 = bbox[0];
             const y1 = bbox[1];
             const x2 = bbox[2];
@@ -91,8 +81,8 @@ class LivenessValidator {
             const values = [];
             for (let y = by; y < by + bh; y++) {
                 for (let x = bx; x < bx + bw; x++) {
-                    if (y >= 0 && y < 518 && x >= 0 && x < 518) {
-                        values.push(output[y * 518 + x]);
+                    if (y >= 0 && y < size && x >= 0 && x < size) {
+                        values.push(output[y * size + x]);
                     }
                 }
             }
@@ -113,19 +103,20 @@ class LivenessValidator {
             // Threshold: Lowered significantly to catch thin objects like knives
             // Previously was stdDev / 15.0 > 0.4 (effective stdDev > 6.0)
             // Now checking raw stdDev. Knives might be around 0.05 - 0.2
-            return stdDev > 0.001;
+            // (default 0.001, tunable per camera as depthMinStdDev)
+            return stdDev > minStdDev;
         } catch (err) {
             console.error("[Liveness] Error processing weapon depth:", err);
             return true; // Fail safe
         }
     }
 
-    async isFireMoving(framesBuffer, bbox) {
+    async isFireMoving(framesBuffer, bbox, minMotionRatio = 0.005) {
         // Expects array of 3 image buffers (JPEGs)
         if (framesBuffer.length < 3) return false; // Need more frames to decide
 
         try {
-            // bbox is [x1, y1, x2, y2]
+            // bbox is [x1, y1, x2, y2] in original frame pixels (DetectionBox.bbox)
             const x1 = Math.max(0, Math.floor(bbox[0]));
             const y1 = Math.max(0, Math.floor(bbox[1]));
             const width = Math.floor(bbox[2] - bbox[0]);
@@ -167,7 +158,8 @@ class LivenessValidator {
             console.log(`[Liveness] Fire Motion Ratio: ${ratio.toFixed(5)}`);
 
             // Threshold: Lowered from 0.02 (2%) to 0.005 (0.5%) to catch small distant fires
-            return ratio > 0.005;
+            // (the default; tunable per camera as flickerMinMotion)
+            return ratio > minMotionRatio;
         } catch (err) {
             console.error("[Liveness] Error processing fire motion:", err);
             return false;
@@ -1,83 +1,27 @@
 import * as ort from "onnxruntime-node";
 import sharp from "sharp";
-import { spawn } from "node:child_process";
-import { cfg } from "../config.js";
 import pino from "pino";
-import path from "path";
-import { fileURLToPath } from "url";
+import { getModel } from "./modelSessions.js";
+import { createBox, unletterbox, boxArea } from "./detectionResult.js";
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const log = pino({ name: "local-detector" });
 
-// -------------------------------------------------------------------
-// 🎯 ONNX Session Management (Singleton)
-// -------------------------------------------------------------------
-let sessionPromise = null;
-
-function getSession() {
-  if (!sessionPromise) {
-    let modelPath;
-    if (process.env.MODELS_DIR_OVERRIDE) {
-      modelPath = path.join(process.env.MODELS_DIR_OVERRIDE, "best.onnx");
-    } else {
-      modelPath = path.resolve(__dirname, "../../models/best.onnx");
-    }
-    log.info({ modelPath }, "Loading Fire ONNX model...");
-
-    sessionPromise = ort.InferenceSession.create(modelPath, {
-      executionProviders: ["cpu"],
-    }).then((session) => {
-      log.info("✅ Fire ONNX session ready");
-      log.info({ inputNames: session.inputNames, outputNames: session.outputNames }, "Model Metadata");
-      return session;
-    }).catch((err) => {
-      log.error({ error: err.message }, "❌ Failed to load Fire ONNX model");
-      sessionPromise = null;
-      throw err;
-    });
-  }
-  return sessionPromise;
-}
-
-// -------------------------------------------------------------------
-// 🖼️ Frame Extraction via ffmpeg
-// -------------------------------------------------------------------
-function grabFrameOnce(srcUrl) {
-  return new Promise((resolve, reject) => {
-    const isRtsp = srcUrl.startsWith("rtsp://");
-    const args = ["-y"];
-
-    if (isRtsp) {
-      args.push(
-        "-rtsp_transport", "tcp",
-        "-timeout", "5000000",
-        "-analyzeduration", "1000000",
-        "-probesize", "1000000"
-      );
-    }
-
-    args.push("-i", srcUrl, "-frames:v", "1", "-q:v", "2", "-f", "image2", "-");
-
-    const ff = spawn(cfg.ffmpeg, args, { stdio: ["ignore", "pipe", "pipe"] });
-    const chunks = [];
-    let err = "";
-
-    ff.stdout.on("data", (d) => chunks.push(d));
-    ff.stderr.on("data", (d) => (err += d.toString()));
-    ff.on("error", reject);
-    ff.on("close", (code) => {
-      if (code === 0 && chunks.length) resolve(Buffer.concat(chunks));
-      else reject(new Error(`ffmpeg exit ${code}: ${err.split("\n").slice(-3).join(" ")}`));
-    });
-  });
-}
+// Default minimum box score; cameras can override it (detectionSettings.js)
+export const DEFAULT_CONFIDENCE = 0.85; // Increased to 0.85 to stop false positives
 
 // -------------------------------------------------------------------
 // 🔄 Image Preprocessing (Canvas → Sharp)
 // -------------------------------------------------------------------
 async function prepareInput(jpegBuffer, modelInputSize = 640) {
   try {
-    const { data, info } = await sharp(jpegBuffer)
+    const metadata = await sharp(jpegBuffer).metadata();
+
+    // "contain" letterbox: scaled to fit, centred on grey padding
+    const scale = Math.min(modelInputSize / metadata.width, modelInputSize / metadata.height);
+    const padX = (modelInputSize - Math.round(metadata.width * scale)) / 2;
+    const padY = (modelInputSize - Math.round(metadata.height * scale)) / 2;
+
+    const { data } = await sharp(jpegBuffer)
       .resize(modelInputSize, modelInputSize, {
         fit: "contain",
         background: { r: 114, g: 114, b: 114 }
@@ -96,7 +40,14 @@ async function prepareInput(jpegBuffer, modelInputSize = 640) {
       arr[b++] = data[i + 2] / 255.0;
     }
 
-    return arr;
+    return {
+      tensor: arr,
+      originalWidth: metadata.width,
+      originalHeight: metadata.height,
+      scale,
+      padX,
+      padY,
+    };
   } catch (e) {
     log.error({ error: e.message }, "Failed to preprocess image");
     throw e;
@@ -106,16 +57,10 @@ async function prepareInput(jpegBuffer, modelInputSize = 640) {
 // -------------------------------------------------------------------
 // 🧠 ONNX Inference
 // -------------------------------------------------------------------
-async function runInference(inputTensor) {
+async function runInference(session, inputTensor, inputShape) {
   try {
-    const session = await getSession();
-
     // RT-DETR usually expects [1, 3, 640, 640]
-    const tensor = new ort.Tensor(
-      "float32",
-      inputTensor,
-      [1, 3, 640, 640]
-    );
+    const tensor = new ort.Tensor("float32", inputTensor, inputShape);
 
     // Run inference
     const inputName = session.inputNames[0];
@@ -133,7 +78,11 @@ async function runInference(inputTensor) {
 // -------------------------------------------------------------------
 // 📊 Process RT-DETR Output
 // -------------------------------------------------------------------
-function processOutput(outputs, imgW = 640, imgH = 640) {
+// Boxes come back in the letterboxed model input; they are mapped to the
+// original frame (see detectionResult.js)
+function processOutput(outputs, model, letterbox, frameSize, probThreshold = DEFAULT_CONFIDENCE) {
+  const imgW = model.inputShape[3];
+  const imgH = model.inputShape[2];
   let boxes = [];
   let fireCount = 0;
   let smokeCount = 0;
@@ -155,9 +104,9 @@ function processOutput(outputs, imgW = 640, imgH = 640) {
     log.warn({ keys }, "Unknown output format, trying to parse...");
   }
 
-  const numQueries = 300; // Standard RT-DETR query count
-  const numClasses = 3; // Fire, Smoke, Other
-  const probThreshold = 0.85; // Confidence threshold (Increased to 0.85 to stop false positives)
+  const numQueries = model.numQueries; // 300 for standard RT-DETR
+  const classNames = model.classes; // Fire, Smoke, Other
+  const numClasses = classNames.length;
 
   // Helper to get box coordinates
   const getBox = (i) => {
@@ -224,7 +173,7 @@ function processOutput(outputs, imgW = 640, imgH = 640) {
   allScores.sort((a, b) => b.score - a.score);
   const top5 = allScores.slice(0, 5).map(s => ({
     score: s.score.toFixed(4),
-    label: ["Fire", "Smoke", "Other"][s.class] || "Unknown"
+    label: classNames[s.class] || "Unknown"
   }));
   log.info({ top5 }, "🔥 LOCAL: Top 5 Raw Scores");
 
@@ -235,30 +184,28 @@ function processOutput(outputs, imgW = 640, imgH = 640) {
 
     const [cx, cy, w, h] = getBox(i);
 
-    // Convert cx, cy, w, h (normalized 0-1) to x1, y1, x2, y2 (pixel coords)
+    // Convert cx, cy, w, h (normalized 0-1) to x1, y1, x2, y2 in model-input pixels
     const x1 = (cx - w / 2) * imgW;
     const y1 = (cy - h / 2) * imgH;
     const x2 = (cx + w / 2) * imgW;
     const y2 = (cy + h / 2) * imgH;
 
-    const label = ["Fire", "Smoke", "Other"][maxClass] || "Unknown";
+    const label = classNames[maxClass] || "Unknown";
+    const box = createBox(label, maxScore, unletterbox([x1, y1, x2, y2], letterbox), frameSize);
+    boxes.push(box);
 
-    // Store in format expected by detectionQueue: [x1, y1, x2, y2, label, confidence]
-    boxes.push([x1, y1, x2, y2, label, maxScore]);
-
-    const area = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
     if (label === "Fire") {
       fireCount++;
-      totalFireArea += area;
+      totalFireArea += boxArea(box);
     }
     if (label === "Smoke") {
       smokeCount++;
-      totalFireArea += area;
+      totalFireArea += boxArea(box);
     }
   }
 
   // Sort by confidence
-  boxes.sort((a, b) => b[5] - a[5]);
+  boxes.sort((a, b) => b.score - a.score);
 
   const detected = fireCount > 0 || smokeCount > 0;
 
@@ -274,20 +221,28 @@ function processOutput(outputs, imgW = 640, imgH = 640) {
 // -------------------------------------------------------------------
 // 🔥 Main Detection Function
 // -------------------------------------------------------------------
-export async function detectFire(cameraUrl, cameraName) {
+/**
+ * @param {Object} [options]
+ * @param {number} [options.confidenceThreshold] - minimum class score for a box
+ */
+export async function detectFire(jpegBuffer, cameraName, { confidenceThreshold = DEFAULT_CONFIDENCE } = {}) {
   try {
-    const jpegBuffer = await grabFrameOnce(cameraUrl);
-    const inputTensor = await prepareInput(jpegBuffer, 640);
-    const outputs = await runInference(inputTensor);
+    // Active fire model from the registry (hot-swappable)
+    const { session, entry: model } = await getModel("fire");
+    const inputSize = model.inputShape[2];
+
+    const { tensor, originalWidth, originalHeight, scale, padX, padY } = await prepareInput(jpegBuffer, inputSize);
+    const outputs = await runInference(session, tensor, model.inputShape);
 
     // Log output shape for debugging
     const debugShapes = {};
     for (const key in outputs) {
       debugShapes[key] = outputs[key].dims;
     }
-    log.info({ camera: cameraName, outputShapes: debugShapes }, "🔥 LOCAL: RT-DETR Inference Output");
+    log.info({ camera: cameraName, model: model.version, outputShapes: debugShapes }, "🔥 LOCAL: RT-DETR Inference Output");
 
-    const result = processOutput(outputs, 640, 640);
+    const frameSize = { width: originalWidth, height: originalHeight };
+    const result = processOutput(outputs, model, { scale, padX, padY }, frameSize, confidenceThreshold);
 
     log.info({
       camera: cameraName,
@@ -299,11 +254,12 @@ export async function detectFire(cameraUrl, cameraName) {
 
     return {
       isFire: result.detected,
-      confidence: result.boxes.length > 0 ? result.boxes[0][5] : 0,
+      confidence: result.boxes.length > 0 ? result.boxes[0].score : 0,
       boxes: result.boxes,
       fireCount: result.fireCount,
       smokeCount: result.smokeCount,
       frameBuffer: jpegBuffer,
+      frameSize,
     };
   } catch (error) {
     log.error({
@@ -1,75 +1,13 @@
 import * as ort from "onnxruntime-node";
 import sharp from "sharp";
-import { spawn } from "node:child_process";
-import { cfg } from "../config.js";
 import pino from "pino";
-import path from "path";
-import { fileURLToPath } from "url";
+import { getModel } from "./modelSessions.js";
+import { createBox, unletterbox, boxIoU } from "./detectionResult.js";
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const log = pino({ name: "local-theft-detector" });
 
-// -------------------------------------------------------------------
-// 🎯 ONNX Session Management (Singleton)
-// -------------------------------------------------------------------
-let sessionPromise = null;
-
-function getSession() {
-    if (!sessionPromise) {
-        let modelPath;
-        if (process.env.MODELS_DIR_OVERRIDE) {
-            modelPath = path.join(process.env.MODELS_DIR_OVERRIDE, "theft.onnx");
-        } else {
-            modelPath = path.resolve(__dirname, "../../models/theft.onnx");
-        }
-        log.info({ modelPath }, "Loading Theft ONNX model...");
-
-        sessionPromise = ort.InferenceSession.create(modelPath, {
-            executionProviders: ["cpu"],
-        }).then((session) => {
-            log.info("✅ Theft ONNX session ready");
-            log.info({ inputNames: session.inputNames, outputNames: session.outputNames }, "Model Metadata");
-            return session;
-        }).catch((err) => {
-            log.error({ error: err.message }, "❌ Failed to load Theft ONNX model");
-            sessionPromise = null;
-            throw err;
-        });
-    }
-    return sessionPromise;
-}
-
-// -------------------------------------------------------------------
-// 🖼️ Frame Extraction via ffmpeg
-// -------------------------------------------------------------------
-function grabFrameOnce(srcUrl) {
-    return new Promise((resolve, reject) => {
-        const isRtsp = srcUrl.startsWith("rtsp://");
-        const args = ["-y"];
-
-        if (isRtsp) {
-            args.push(
-                "-rtsp_transport", "tcp",
-                "-analyzeduration", "1000000",
-                "-probesize", "1000000"
-            );
-        }
-
-        args.push("-i", srcUrl, "-frames:v", "1", "-q:v", "2", "-f", "image2", "-");
-
-        const ff = spawn(cfg.ffmpeg, args, { stdio: ["ignore", "pipe", "pipe"] });
-        const chunks = [];
-        let err = "";
-
-        ff.stdout.on("data", (d) => chunks.push(d));
-        ff.stderr.on("data", (d) => (err += d.toString()));
-        ff.on("error", reject);
-        ff.on("close", (code) => {
-            if (code === 0 && chunks.length) resolve(Buffer.concat(chunks));
-            else reject(new Error(`ffmpeg exit ${code}: ${err.split("\n").slice(-3).join(" ")}`));
-        });
-    });
-}
+// Default minimum box score; cameras can override it (detectionSettings.js)
+export const DEFAULT_CONFIDENCE = 0.5;
 
 // -------------------------------------------------------------------
 // 🔄 Image Preprocessing (FIXED: returns original dimensions + letterbox info)
@@ -122,15 +60,9 @@ async function prepareInput(jpegBuffer, modelInputSize = 640) {
 // -------------------------------------------------------------------
 // 🧠 ONNX Inference
 // -------------------------------------------------------------------
-async function runInference(inputTensor) {
+async function runInference(session, inputTensor, inputShape) {
     try {
-        const session = await getSession();
-
-        const tensor = new ort.Tensor(
-            "float32",
-            inputTensor,
-            [1, 3, 640, 640]
-        );
+        const tensor = new ort.Tensor("float32", inputTensor, inputShape);
 
         const inputName = session.inputNames[0];
         const feeds = {};
@@ -147,26 +79,6 @@ async function runInference(inputTensor) {
 // -------------------------------------------------------------------
 // 📊 NMS Helper Functions
 // -------------------------------------------------------------------
-function computeIoU(boxA, boxB) {
-    const [ax1, ay1, ax2, ay2] = boxA;
-    const [bx1, by1, bx2, by2] = boxB;
-
-    const ix1 = Math.max(ax1, bx1);
-    const iy1 = Math.max(ay1, by1);
-    const ix2 = Math.min(ax2, bx2);
-    const iy2 = Math.min(ay2, by2);
-
-    const iw = Math.max(0, ix2 - ix1);
-    const ih = Math.max(0, iy2 - iy1);
-    const intersection = iw * ih;
-
-    const areaA = (ax2 - ax1) * (ay2 - ay1);
-    const areaB = (bx2 - bx1) * (by2 - by1);
-    const union = areaA + areaB - intersection;
-
-    return union > 0 ? intersection / union : 0;
-}
-
 function applyNMS(boxes, iouThreshold = 0.5) {
     if (boxes.length === 0) return [];
 
@@ -181,7 +93,7 @@ function applyNMS(boxes, iouThreshold = 0.5) {
 
         for (let j = i + 1; j < boxes.length; j++) {
             if (used.has(j)) continue;
-            if (computeIoU(boxes[i], boxes[j]) > iouThreshold) {
+            if (boxIoU(boxes[i], boxes[j]) > iouThreshold) {
                 used.add(j);
             }
         }
@@ -192,7 +104,10 @@ function applyNMS(boxes, iouThreshold = 0.5) {
 // -------------------------------------------------------------------
 // 📊 Process YOLOv8 Output (FIXED: Column-Major Layout + letterbox compensation)
 // -------------------------------------------------------------------
-function processOutput(outputs, originalWidth, originalHeight, scale, padX, padY) {
+// mode "theft":  boxes for class 0 (theft-action) only
+// mode "person": every class is a person, so any score counts as a person
+function processOutput(outputs, model, letterbox, frameSize, mode = "theft", probThreshold = DEFAULT_CONFIDENCE) {
+    const person = mode === "person";
     let boxes = [];
     const keys = Object.keys(outputs);
 
@@ -204,33 +119,43 @@ function processOutput(outputs, originalWidth, originalHeight, scale, padX, padY
         return { boxes: [], detected: false };
     }
 
-    // YOLOv8 output shape: [1, 6, 8400] → flattened = 50400
+    // YOLOv8 output shape: [1, 4 + classes, anchors], e.g. [1, 6, 8400] → flattened = 50400
     // 6 = [cx, cy, w, h, class0_score, class1_score]
     // Layout is COLUMN-MAJOR (all cx first, then all cy, etc.)
 
-    const numChannels = 6;  // 4 box coords + 2 classes
-    const numDetections = combined.length / numChannels;  // Should be 8400
+    const numClasses = model.classes.length;  // theft-action, normal
+    const numChannels = 4 + numClasses;
+    const numDetections = combined.length / numChannels;
+
+    // One anchor per cell of the stride 8, 16 and 32 grids (8400 at 640)
+    const inputSize = model.inputShape[2];
+    const expectedDetections = (inputSize / 8) ** 2 + (inputSize / 16) ** 2 + (inputSize / 32) ** 2;
 
     log.info({
         dataLength: combined.length,
         calculatedDetections: numDetections,
-        expectedDetections: 8400
+        expectedDetections
     }, "🕵️ THEFT: Output shape analysis");
 
-    if (numDetections !== 8400) {
+    if (numDetections !== expectedDetections) {
         log.warn({ numDetections }, "Unexpected number of detections - model may have different output");
     }
 
-    const probThreshold = 0.5;
 
     // Column-major accessors
-    // Data layout: [all_cx, all_cy, all_w, all_h, all_class0, all_class1]
+    // Data layout: [all_cx, all_cy, all_w, all_h, all_class0, all_class1, ...]
     const getCx = (i) => combined[i];
     const getCy = (i) => combined[numDetections + i];
     const getW = (i) => combined[2 * numDetections + i];
     const getH = (i) => combined[3 * numDetections + i];
-    const getClass0Score = (i) => combined[4 * numDetections + i];  // theft-action
-    const getClass1Score = (i) => combined[5 * numDetections + i];  // normal
+    const getClassScore = (c, i) => combined[(4 + c) * numDetections + i];
+    const getClass0Score = (i) => getClassScore(0, i);  // theft-action
+    const getClass1Score = (i) => (numClasses > 1 ? getClassScore(1, i) : 0);  // normal
+    const getBestScore = (i) => {
+        let best = 0;
+        for (let c = 0; c < numClasses; c++) best = Math.max(best, getClassScore(c, i));
+        return best;
+    };
 
     // DEBUG: Log top 5 theft-action scores
     const allScores = [];
@@ -254,48 +179,40 @@ function processOutput(outputs, originalWidth, originalHeight, scale, padX, padY
         normalScore: s.normalScore.toFixed(4),
         position: `(${s.cx.toFixed(0)}, ${s.cy.toFixed(0)})`
     }));
-    log.info({ top5, letterbox: { scale, padX, padY } }, "🕵️ THEFT: Top 5 Theft-Action Scores (class 0)");
+    log.info({ top5, letterbox }, "🕵️ THEFT: Top 5 Theft-Action Scores (class 0)");
 
     for (let i = 0; i < numDetections; i++) {
-        const theftScore = getClass0Score(i);  // Class 0 = theft-action
+        // Class 0 = theft-action; theft mode ignores normal (class 1)
+        const score = person ? getBestScore(i) : getClass0Score(i);
 
-        // Only detect theft-action (class 0), ignore normal (class 1)
-        if (theftScore < probThreshold) continue;
+        if (score < probThreshold) continue;
 
         const cx = getCx(i);
         const cy = getCy(i);
         const w = getW(i);
         const h = getH(i);
 
-        // Convert center format to corner format (still in 640x640 space)
+        // Convert center format to corner format (still in model-input space)
         const x1_640 = cx - w / 2;
         const y1_640 = cy - h / 2;
         const x2_640 = cx + w / 2;
         const y2_640 = cy + h / 2;
 
         // Remove letterbox padding, then scale to original image coordinates
-        const x1 = (x1_640 - padX) / scale;
-        const y1 = (y1_640 - padY) / scale;
-        const x2 = (x2_640 - padX) / scale;
-        const y2 = (y2_640 - padY) / scale;
-
-        // Clamp to image bounds
-        const x1_clamped = Math.max(0, Math.min(originalWidth, x1));
-        const y1_clamped = Math.max(0, Math.min(originalHeight, y1));
-        const x2_clamped = Math.max(0, Math.min(originalWidth, x2));
-        const y2_clamped = Math.max(0, Math.min(originalHeight, y2));
-
-        boxes.push([x1_clamped, y1_clamped, x2_clamped, y2_clamped, "Theft", theftScore]);
+        const bbox = unletterbox([x1_640, y1_640, x2_640, y2_640], letterbox);
+        boxes.push(createBox(person ? "Person" : "Theft", score, bbox, frameSize));
     }
 
     // Sort by confidence
-    boxes.sort((a, b) => b[5] - a[5]);
+    boxes.sort((a, b) => b.score - a.score);
 
     // Apply NMS (YOLOv8 produces many overlapping detections)
+    const beforeNMS = boxes.length;
     boxes = applyNMS(boxes, 0.5);
 
     log.info({
-        beforeNMS: allScores.filter(s => s.theftScore >= probThreshold).length,
+        mode,
+        beforeNMS,
         afterNMS: boxes.length,
         threshold: probThreshold
     }, "🕵️ THEFT: Detection summary");
@@ -307,38 +224,51 @@ function processOutput(outputs, originalWidth, originalHeight, scale, padX, padY
 }
 
 // -------------------------------------------------------------------
-// 🕵️ Main Theft Detection Function
+// 🕵️ Main Theft / Person Detection Functions
 // -------------------------------------------------------------------
-export async function detectTheft(cameraUrl, cameraName) {
-    try {
-        const jpegBuffer = await grabFrameOnce(cameraUrl);
-        const { tensor, originalWidth, originalHeight, scale, padX, padY } = await prepareInput(jpegBuffer, 640);
-        const outputs = await runInference(tensor);
+async function runDetection(jpegBuffer, cameraName, mode, confidenceThreshold) {
+    // Active theft/person model from the registry (hot-swappable)
+    const { session, entry: model } = await getModel("theft");
 
-        const debugShapes = {};
-        for (const key in outputs) {
-            debugShapes[key] = outputs[key].dims;
-        }
-        log.info({
-            camera: cameraName,
-            outputShapes: debugShapes,
-            originalSize: `${originalWidth}x${originalHeight}`,
-            letterbox: { scale: scale.toFixed(4), padX: padX.toFixed(1), padY: padY.toFixed(1) }
-        }, "🕵️ THEFT: Inference Output");
+    const { tensor, originalWidth, originalHeight, scale, padX, padY } = await prepareInput(jpegBuffer, model.inputShape[2]);
+    const outputs = await runInference(session, tensor, model.inputShape);
+
+    const debugShapes = {};
+    for (const key in outputs) {
+        debugShapes[key] = outputs[key].dims;
+    }
+    log.info({
+        camera: cameraName,
+        mode,
+        model: model.version,
+        outputShapes: debugShapes,
+        originalSize: `${originalWidth}x${originalHeight}`,
+        letterbox: { scale: scale.toFixed(4), padX: padX.toFixed(1), padY: padY.toFixed(1) }
+    }, "🕵️ THEFT: Inference Output");
 
-        const result = processOutput(outputs, originalWidth, originalHeight, scale, padX, padY);
+    const frameSize = { width: originalWidth, height: originalHeight };
+    const result = processOutput(outputs, model, { scale, padX, padY }, frameSize, mode, confidenceThreshold);
 
-        log.info({
-            camera: cameraName,
-            detected: result.detected,
-            boxCount: result.boxes.length,
-        }, "🕵️ THEFT: Detection complete");
+    log.info({
+        camera: cameraName,
+        mode,
+        detected: result.detected,
+        boxCount: result.boxes.length,
+    }, "🕵️ THEFT: Detection complete");
+
+    return { ...result, frameSize };
+}
+
+export async function detectTheft(jpegBuffer, cameraName, { confidenceThreshold = DEFAULT_CONFIDENCE } = {}) {
+    try {
+        const result = await runDetection(jpegBuffer, cameraName, "theft", confidenceThreshold);
 
         return {
             isTheft: result.detected,
-            confidence: result.boxes.length > 0 ? result.boxes[0][5] : 0,
+            confidence: result.boxes.length > 0 ? result.boxes[0].score : 0,
             boxes: result.boxes,
             frameBuffer: jpegBuffer,
+            frameSize: result.frameSize,
         };
     } catch (error) {
         log.error({
@@ -355,3 +285,36 @@ export async function detectTheft(cameraUrl, cameraName) {
         };
     }
 }
+
+/**
+ * Every person in the frame, from the same model (it labels people as
+ * "theft-action" or "normal"). Used by intrusion and crowd density.
+ */
+export async function detectPeople(jpegBuffer, cameraName, { confidenceThreshold = DEFAULT_CONFIDENCE } = {}) {
+    try {
+        const result = await runDetection(jpegBuffer, cameraName, "person", confidenceThreshold);
+
+        return {
+            isPerson: result.detected,
+            personCount: result.boxes.length,
+            confidence: result.boxes.length > 0 ? result.boxes[0].score : 0,
+            boxes: result.boxes,
+            frameBuffer: jpegBuffer,
+            frameSize: result.frameSize,
+        };
+    } catch (error) {
+        log.error({
+            camera: cameraName,
+            error: error.message,
+        }, "🧍 PERSON: Detection failed");
+
+        return {
+            isPerson: false,
+            personCount: 0,
+            confidence: 0,
+            boxes: [],
+            error: error.message,
+            frameBuffer: null,
+        };
+    }
+}
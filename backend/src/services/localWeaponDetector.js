@@ -1,75 +1,13 @@
 import * as ort from "onnxruntime-node";
 import sharp from "sharp";
-import { spawn } from "node:child_process";
-import { cfg } from "../config.js";
 import pino from "pino";
-import path from "path";
-import { fileURLToPath } from "url";
+import { getModel } from "./modelSessions.js";
+import { createBox, unletterbox } from "./detectionResult.js";
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const log = pino({ name: "local-weapon-detector" });
 
-// -------------------------------------------------------------------
-// 🎯 ONNX Session Management (Singleton)
-// -------------------------------------------------------------------
-let sessionPromise = null;
-
-function getSession() {
-    if (!sessionPromise) {
-        let modelPath;
-        if (process.env.MODELS_DIR_OVERRIDE) {
-            modelPath = path.join(process.env.MODELS_DIR_OVERRIDE, "weapons.onnx");
-        } else {
-            modelPath = path.resolve(__dirname, "../../models/weapons.onnx");
-        }
-        log.info({ modelPath }, "Loading Weapons ONNX model...");
-
-        sessionPromise = ort.InferenceSession.create(modelPath, {
-            executionProviders: ["cpu"],
-        }).then((session) => {
-            log.info("✅ Weapons ONNX session ready");
-            log.info({ inputNames: session.inputNames, outputNames: session.outputNames }, "Model Metadata");
-            return session;
-        }).catch((err) => {
-            log.error({ error: err.message }, "❌ Failed to load Weapons ONNX model");
-            sessionPromise = null;
-            throw err;
-        });
-    }
-    return sessionPromise;
-}
-
-// -------------------------------------------------------------------
-// 🖼️ Frame Extraction via ffmpeg
-// -------------------------------------------------------------------
-function grabFrameOnce(srcUrl) {
-    return new Promise((resolve, reject) => {
-        const isRtsp = srcUrl.startsWith("rtsp://");
-        const args = ["-y"];
-
-        if (isRtsp) {
-            args.push(
-                "-rtsp_transport", "tcp",
-                "-analyzeduration", "1000000",
-                "-probesize", "1000000"
-            );
-        }
-
-        args.push("-i", srcUrl, "-frames:v", "1", "-q:v", "2", "-f", "image2", "-");
-
-        const ff = spawn(cfg.ffmpeg, args, { stdio: ["ignore", "pipe", "pipe"] });
-        const chunks = [];
-        let err = "";
-
-        ff.stdout.on("data", (d) => chunks.push(d));
-        ff.stderr.on("data", (d) => (err += d.toString()));
-        ff.on("error", reject);
-        ff.on("close", (code) => {
-            if (code === 0 && chunks.length) resolve(Buffer.concat(chunks));
-            else reject(new Error(`ffmpeg exit ${code}: ${err.split("\n").slice(-3).join(" ")}`));
-        });
-    });
-}
+// Default minimum box score; cameras can override it (detectionSettings.js)
+export const DEFAULT_CONFIDENCE = 0.5; // Lowered from 0.65 for testing
 
 // -------------------------------------------------------------------
 // 🔄 Image Preprocessing (FIXED: returns original dimensions + letterbox info)
@@ -122,15 +60,9 @@ async function prepareInput(jpegBuffer, modelInputSize = 640) {
 // -------------------------------------------------------------------
 // 🧠 ONNX Inference
 // -------------------------------------------------------------------
-async function runInference(inputTensor) {
+async function runInference(session, inputTensor, inputShape) {
     try {
-        const session = await getSession();
-
-        const tensor = new ort.Tensor(
-            "float32",
-            inputTensor,
-            [1, 3, 640, 640]
-        );
+        const tensor = new ort.Tensor("float32", inputTensor, inputShape);
 
         const inputName = session.inputNames[0];
         const feeds = {};
@@ -147,7 +79,7 @@ async function runInference(inputTensor) {
 // -------------------------------------------------------------------
 // 📊 Process RT-DETR Output (FIXED: correct format + letterbox compensation)
 // -------------------------------------------------------------------
-function processOutput(outputs, originalWidth, originalHeight, scale, padX, padY) {
+function processOutput(outputs, model, letterbox, frameSize, probThreshold = DEFAULT_CONFIDENCE) {
     let boxes = [];
     const keys = Object.keys(outputs);
 
@@ -160,9 +92,9 @@ function processOutput(outputs, originalWidth, originalHeight, scale, padX, padY
         return { boxes: [], detected: false };
     }
 
-    const numQueries = 300;
+    const numQueries = model.numQueries;
+    const classNames = model.classes; // Knife, Pistol
     const stride = 6;  // RT-DETR format: [x1, y1, x2, y2, conf, class_id]
-    const probThreshold = 0.5;  // Lowered from 0.65 for testing
 
     // Verify data length
     const expectedLength = numQueries * stride;
@@ -198,18 +130,18 @@ function processOutput(outputs, originalWidth, originalHeight, scale, padX, padY
 
     const top5 = allScores.slice(0, 5).map(s => ({
         score: s.score.toFixed(4),
-        label: ["Knife", "Pistol"][s.class] ?? `Unknown(${s.class})`,
+        label: classNames[s.class] ?? `Unknown(${s.class})`,
         classIndex: s.class,
         rawBox: s.rawBox
     }));
-    log.info({ top5, letterbox: { scale, padX, padY } }, "🔫 WEAPON: Top 5 Raw Scores (RT-DETR format: x1,y1,x2,y2,conf,cls)");
+    log.info({ top5, letterbox }, "🔫 WEAPON: Top 5 Raw Scores (RT-DETR format: x1,y1,x2,y2,conf,cls)");
 
     for (let i = 0; i < numQueries; i++) {
         const offset = i * stride;
         if (offset + 5 >= combined.length) break;
 
         // RT-DETR format: [x1, y1, x2, y2, confidence, class_id]
-        // Coordinates are ABSOLUTE in 640x640 space (includes letterbox padding)
+        // Coordinates are ABSOLUTE in model-input space (includes letterbox padding)
         const x1_640 = combined[offset + 0];
         const y1_640 = combined[offset + 1];
         const x2_640 = combined[offset + 2];
@@ -218,25 +150,14 @@ function processOutput(outputs, originalWidth, originalHeight, scale, padX, padY
         const classId = Math.round(combined[offset + 5]);
 
         if (confidence < probThreshold) continue;
-        if (classId < 0 || classId > 1) continue;
+        if (classId < 0 || classId >= classNames.length) continue;
 
         // Remove letterbox padding, then scale to original image coordinates
-        const x1 = (x1_640 - padX) / scale;
-        const y1 = (y1_640 - padY) / scale;
-        const x2 = (x2_640 - padX) / scale;
-        const y2 = (y2_640 - padY) / scale;
-
-        // Clamp to image bounds
-        const x1_clamped = Math.max(0, Math.min(originalWidth, x1));
-        const y1_clamped = Math.max(0, Math.min(originalHeight, y1));
-        const x2_clamped = Math.max(0, Math.min(originalWidth, x2));
-        const y2_clamped = Math.max(0, Math.min(originalHeight, y2));
-
-        const label = ["Knife", "Pistol"][classId];
-        boxes.push([x1_clamped, y1_clamped, x2_clamped, y2_clamped, label, confidence]);
+        const bbox = unletterbox([x1_640, y1_640, x2_640, y2_640], letterbox);
+        boxes.push(createBox(classNames[classId], confidence, bbox, frameSize));
     }
 
-    boxes.sort((a, b) => b[5] - a[5]);
+    boxes.sort((a, b) => b.score - a.score);
 
     log.info({
         totalDetections: boxes.length,
@@ -253,11 +174,13 @@ function processOutput(outputs, originalWidth, originalHeight, scale, padX, padY
 // -------------------------------------------------------------------
 // 🔫 Main Weapon Detection Function
 // -------------------------------------------------------------------
-export async function detectWeapon(cameraUrl, cameraName) {
+export async function detectWeapon(jpegBuffer, cameraName, { confidenceThreshold = DEFAULT_CONFIDENCE } = {}) {
     try {
-        const jpegBuffer = await grabFrameOnce(cameraUrl);
-        const { tensor, originalWidth, originalHeight, scale, padX, padY } = await prepareInput(jpegBuffer, 640);
-        const outputs = await runInference(tensor);
+        // Active weapon model from the registry (hot-swappable)
+        const { session, entry: model } = await getModel("weapon");
+
+        const { tensor, originalWidth, originalHeight, scale, padX, padY } = await prepareInput(jpegBuffer, model.inputShape[2]);
+        const outputs = await runInference(session, tensor, model.inputShape);
 
         // Log output shape for debugging
         const debugShapes = {};
@@ -266,12 +189,14 @@ export async function detectWeapon(cameraUrl, cameraName) {
         }
         log.info({
             camera: cameraName,
+            model: model.version,
             outputShapes: debugShapes,
             originalSize: `${originalWidth}x${originalHeight}`,
             letterbox: { scale: scale.toFixed(4), padX: padX.toFixed(1), padY: padY.toFixed(1) }
         }, "🔫 WEAPON: RT-DETR Inference Output");
 
-        const result = processOutput(outputs, originalWidth, originalHeight, scale, padX, padY);
+        const frameSize = { width: originalWidth, height: originalHeight };
+        const result = processOutput(outputs, model, { scale, padX, padY }, frameSize, confidenceThreshold);
 
         log.info({
             camera: cameraName,
@@ -281,9 +206,10 @@ export async function detectWeapon(cameraUrl, cameraName) {
 
         return {
             isWeapon: result.detected,
-            confidence: result.boxes.length > 0 ? result.boxes[0][5] : 0,
+            confidence: result.boxes.length > 0 ? result.boxes[0].score : 0,
             boxes: result.boxes,
             frameBuffer: jpegBuffer,
+            frameSize,
         };
     } catch (error) {
         log.error({
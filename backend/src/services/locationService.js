@@ -0,0 +1,230 @@
+import crypto from "crypto";
+import pino from "pino";
+import { dynamodb } from "../db/dynamodb.js";
+
+const log = pino({ name: "locations" });
+
+// -------------------------------------------------------------------
+// 🏢 LOCATION HIERARCHY
+// -------------------------------------------------------------------
+// Each user has a flat list of location nodes, stored like their
+// notification channels. A node's parent is any shallower node, so a zone
+// can sit straight under a site when a building has no floors:
+//
+// [
+//   { id: "…", name: "North Plant", type: "site", parentId: null },
+//   { id: "…", name: "Warehouse B", type: "building", parentId: "<site id>" },
+//   { id: "…", name: "Loading Dock", type: "zone", parentId: "<building id>" },
+// ]
+//
+// Cameras point at one node with `locationId`; the free-text `location`
+// stays as a description. Filtering by a node includes everything under it.
+
+export const LOCATION_TYPES = ["site", "building", "floor", "zone"];
+
+const MAX_NAME_LENGTH = 100;
+
+const depth = (type) => LOCATION_TYPES.indexOf(type);
+
+// -------------------------------------------------------------------
+// ✅ Validation
+// -------------------------------------------------------------------
+/**
+ * Validate a location node from the API against the user's other nodes
+ * @param {Object} input - { name, type, parentId }
+ * @param {Object[]} nodes - the user's current nodes
+ * @param {Object} [existing] - the node being updated
+ * @returns {Object} { id, name, type, parentId }
+ * @throws {Error} with a user-facing message
+ */
+export function validateLocation(input, nodes, existing = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("Location must be an object");
+  }
+
+  const name = input.name !== undefined ? input.name : existing?.name;
+  if (typeof name !== "string" || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    throw new Error(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+  }
+
+  const type = input.type !== undefined ? input.type : existing?.type;
+  if (!LOCATION_TYPES.includes(type)) {
+    throw new Error(`type must be one of: ${LOCATION_TYPES.join(", ")}`);
+  }
+
+  const parentId = input.parentId !== undefined ? input.parentId || null : existing?.parentId ?? null;
+  if (type === "site") {
+    if (parentId) throw new Error("A site can't have a parent location");
+  } else {
+    const parent = nodes.find((node) => node.id === parentId);
+    if (!parent) {
+      throw new Error(`A ${type} needs a parentId of an existing location`);
+    }
+    if (depth(parent.type) >= depth(type)) {
+      throw new Error(`A ${type} can't be placed under a ${parent.type}`);
+    }
+  }
+
+  if (existing) {
+    // Nothing under the node may end up above (or level with) it
+    const below = descendantIds(nodes, existing.id);
+    below.delete(existing.id);
+    if (parentId && (parentId === existing.id || below.has(parentId))) {
+      throw new Error("A location can't be moved under itself");
+    }
+    for (const child of nodes.filter((node) => node.parentId === existing.id)) {
+      if (depth(child.type) <= depth(type)) {
+        throw new Error(`"${child.name}" (${child.type}) can't stay under a ${type}`);
+      }
+    }
+  }
+
+  // Anything else on the node (its floor plan) is kept
+  return {
+    ...existing,
+    id: existing?.id || crypto.randomUUID(),
+    name: name.trim(),
+    type,
+    parentId,
+  };
+}
+
+// -------------------------------------------------------------------
+// 🧭 Paths & Filtering
+// -------------------------------------------------------------------
+/**
+ * Nodes from the site down to `locationId` ([] when unknown)
+ */
+export function locationPath(nodes, locationId) {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const path = [];
+  let node = byId.get(locationId);
+
+  // The seen-check guards against a cycle in hand-edited data
+  while (node && !path.includes(node)) {
+    path.unshift(node);
+    node = byId.get(node.parentId);
+  }
+  return path;
+}
+
+export function formatLocationPath(path) {
+  return path.map((node) => node.name).join(" › ");
+}
+
+/**
+ * `locationId` and the ids of every node under it
+ */
+export function descendantIds(nodes, locationId) {
+  const ids = new Set([locationId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const node of nodes) {
+      if (node.parentId && ids.has(node.parentId) && !ids.has(node.id)) {
+        ids.add(node.id);
+        grew = true;
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Cameras assigned to `locationId` or anything under it
+ */
+export function camerasAtLocation(nodes, cameras, locationId) {
+  const ids = descendantIds(nodes, locationId);
+  return cameras.filter((camera) => camera.locationId && ids.has(camera.locationId));
+}
+
+/**
+ * The user's nodes and cameras, the cameras narrowed to `locationId` and
+ * everything under it when one is given
+ * @throws {Error} "Location not found"
+ */
+export async function loadCamerasAtLocation(userId, locationId = null) {
+  const [nodes, cameras] = await Promise.all([
+    dynamodb.getLocations(userId),
+    dynamodb.getCamerasByUserId(userId),
+  ]);
+
+  if (!locationId) return { nodes, cameras };
+  if (!nodes.some((node) => node.id === locationId)) {
+    throw new Error("Location not found");
+  }
+  return { nodes, cameras: camerasAtLocation(nodes, cameras, locationId) };
+}
+
+/**
+ * Validate a camera's `locationId` from the API (null = unassigned)
+ * @throws {Error} with a user-facing message
+ */
+export function validateCameraLocationId(locationId, nodes) {
+  if (locationId === null || locationId === "") return null;
+  if (typeof locationId !== "string" || !nodes.some((node) => node.id === locationId)) {
+    throw new Error("locationId must be the id of one of your locations");
+  }
+  return locationId;
+}
+
+/**
+ * Full path of a camera's location for alerts ("North Plant › Warehouse B").
+ * Falls back to the free-text location; never throws.
+ */
+export async function describeCameraLocation(camera) {
+  if (!camera.locationId) return camera.location || null;
+
+  try {
+    const nodes = await dynamodb.getLocations(camera.userId);
+    const path = locationPath(nodes, camera.locationId);
+    return path.length > 0 ? formatLocationPath(path) : camera.location || null;
+  } catch (error) {
+    log.warn({ cameraId: camera.id, error: error.message }, "⚠️ Could not resolve camera location");
+    return camera.location || null;
+  }
+}
+
+// -------------------------------------------------------------------
+// 🌳 Tree & Fire Roll-up
+// -------------------------------------------------------------------
+/**
+ * Nest the nodes with their cameras. Counts and `isFire` include everything
+ * below a node, so a fire on a zone camera shows on its floor, building and
+ * site too.
+ * @param {Object} fireDetections - cameraId -> boolean (queue status)
+ * @returns {{ tree: Object[], unassigned: number[] }}
+ */
+export function buildLocationTree(nodes, cameras, fireDetections = {}) {
+  const known = new Set(nodes.map((node) => node.id));
+  const build = (node) => {
+    const children = nodes
+      .filter((child) => child.parentId === node.id)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(build);
+    const cameraIds = cameras.filter((camera) => camera.locationId === node.id).map((camera) => camera.id);
+    const fireCameraIds = [
+      ...cameraIds.filter((id) => fireDetections[id]),
+      ...children.flatMap((child) => child.fireCameraIds),
+    ];
+
+    return {
+      ...node,
+      cameraIds,
+      cameraCount: cameraIds.length + children.reduce((sum, child) => sum + child.cameraCount, 0),
+      fireCameraIds,
+      isFire: fireCameraIds.length > 0,
+      children,
+    };
+  };
+
+  return {
+    tree: nodes
+      .filter((node) => !node.parentId || !known.has(node.parentId))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(build),
+    unassigned: cameras
+      .filter((camera) => !camera.locationId || !known.has(camera.locationId))
+      .map((camera) => camera.id),
+  };
+}
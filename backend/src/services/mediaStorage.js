@@ -0,0 +1,131 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import pino from "pino";
+import { cfg } from "../config.js";
+
+const log = pino({ name: "media-storage" });
+
+// -------------------------------------------------------------------
+// 🗄️ Media Storage (clips, floor plans)
+// -------------------------------------------------------------------
+// MEDIA_STORAGE=s3    -> S3_CLIP_BUCKET (falls back to S3_BUCKET), public S3 URL
+// MEDIA_STORAGE=local -> MEDIA_LOCAL_DIR, served by the backend under
+//                        /api/media to the user named in the key
+
+export const MEDIA_URL_PREFIX = "/api/media";
+
+let s3Client = null;
+
+function getS3Client() {
+  if (!s3Client) {
+    s3Client = new S3Client({
+      region: process.env.AWS_REGION || "us-east-1",
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      },
+    });
+  }
+  return s3Client;
+}
+
+// source: { filePath } or { buffer }
+async function saveToS3(key, source, contentType) {
+  const body = source.buffer || (await fs.readFile(source.filePath));
+
+  await getS3Client().send(
+    new PutObjectCommand({
+      Bucket: cfg.media.s3Bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+    })
+  );
+
+  return `https://${cfg.media.s3Bucket}.s3.amazonaws.com/${key}`;
+}
+
+// URL from saveMedia() -> its key, null for anything else
+function mediaKey(url) {
+  const prefix =
+    cfg.media.storage === "local"
+      ? `${MEDIA_URL_PREFIX}/`
+      : `https://${cfg.media.s3Bucket}.s3.amazonaws.com/`;
+  if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+
+  const key = path.posix.normalize(url.slice(prefix.length));
+  return key.startsWith("../") || path.posix.isAbsolute(key) ? null : key;
+}
+
+async function saveToLocal(key, source) {
+  const target = path.join(cfg.media.localDir, key);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  if (source.buffer) {
+    await fs.writeFile(target, source.buffer);
+  } else {
+    await fs.copyFile(source.filePath, target);
+  }
+
+  return `${MEDIA_URL_PREFIX}/${key}`;
+}
+
+/**
+ * Store a media file and return the URL to link in alerts/events
+ * @param {string} key - Relative key "<kind>/<userId>/...", e.g.
+ *   "clips/<userId>/12/2025-10-24/clip_....mp4"
+ * @param {string} filePath - Local file to store
+ * @param {string} contentType - MIME type
+ */
+export async function saveMediaFile(key, filePath, contentType) {
+  return saveMedia(key, { filePath }, contentType);
+}
+
+/**
+ * Same as saveMediaFile for content already in memory (e.g. an upload)
+ */
+export async function saveMediaBuffer(key, buffer, contentType) {
+  return saveMedia(key, { buffer }, contentType);
+}
+
+/**
+ * Delete a media file by the URL saveMediaFile / saveMediaBuffer returned
+ * (e.g. a replaced floor plan). Never throws - a leftover file must not
+ * fail the request that replaced it.
+ */
+export async function deleteMedia(url) {
+  const key = mediaKey(url);
+  if (!key) {
+    log.warn({ url, storage: cfg.media.storage }, "⚠️ Not a stored media URL - nothing deleted");
+    return;
+  }
+
+  try {
+    if (cfg.media.storage === "local") {
+      await fs.rm(path.join(cfg.media.localDir, key), { force: true });
+    } else {
+      await getS3Client().send(new DeleteObjectCommand({ Bucket: cfg.media.s3Bucket, Key: key }));
+    }
+    log.info({ key, storage: cfg.media.storage }, "🗑️ Media deleted");
+  } catch (error) {
+    log.error({ key, storage: cfg.media.storage, error: error.message }, "❌ Failed to delete media");
+  }
+}
+
+async function saveMedia(key, source, contentType) {
+  try {
+    const url =
+      cfg.media.storage === "local"
+        ? await saveToLocal(key, source)
+        : await saveToS3(key, source, contentType);
+
+    log.info({ key, storage: cfg.media.storage, url }, "✅ Media stored");
+    return url;
+  } catch (error) {
+    log.error(
+      { key, storage: cfg.media.storage, error: error.message },
+      "❌ Failed to store media"
+    );
+    throw error;
+  }
+}
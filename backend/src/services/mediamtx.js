@@ -74,14 +74,14 @@ function getExecutablePath() {
   return null;
 }
 
-export async function startMediaMTX(userId = null) {
+export async function startMediaMTX() {
   // STEP 1: Generate MediaMTX config
   try {
     log.info("Generating MediaMTX configuration from database...");
 
     // ✅ Generate config in accessible location
     const configPath = getConfigPath();
-    const result = await generateMediaMTXConfig(configPath, userId);
+    const result = await generateMediaMTXConfig(configPath);
 
     log.info(
       {
@@ -147,6 +147,22 @@ export async function startMediaMTX(userId = null) {
   return mtxProcess;
 }
 
+/**
+ * Apply a camera change to the running MediaMTX. It watches its config file
+ * and reloads it in place, restarting only the paths that changed, so other
+ * users' streams, clip recordings and frame decoders keep running. Starts
+ * MediaMTX when it isn't running.
+ */
+export async function refreshMediaMTXConfig() {
+  if (!(await isMediaMTXRunning())) {
+    return startMediaMTX();
+  }
+
+  const result = await generateMediaMTXConfig(getConfigPath());
+  log.info({ camerasCount: result.camerasCount }, "MediaMTX config rewritten - hot reload picks up the change");
+  return mtxProcess;
+}
+
 export async function stopMediaMTX() {
   if (mtxProcess) {
     log.info("🛑 Stopping MediaMTX process...");
@@ -8,31 +8,18 @@ import { dynamodb } from "../db/dynamodb.js";
 const log = pino({ name: "mediamtx-config-generator" });
 
 /**
- * Generates mediamtx.yml configuration file dynamically from DynamoDB cameras
+ * Generates mediamtx.yml configuration file dynamically from every user's cameras
  * @param {string} outputPath - Optional path where to write the config file
- * @param {string} userId - Optional user ID to filter cameras
  * @returns {Promise<{serverIP: string, camerasCount: number}>} Generation result
  */
-export async function generateMediaMTXConfig(outputPath, userId = null) {
+export async function generateMediaMTXConfig(outputPath) {
   log.info("Starting MediaMTX config generation...");
 
   try {
-    if (!userId) {
-      log.warn("⚠️ No USER_ID provided - generating config with EMPTY paths");
-      log.warn("⚠️ Config will be regenerated when user logs in via WebSocket");
-    } else {
-      log.info(`Generating config for user: ${userId}`);
-    }
-
-    // ✅ If no user ID, return empty paths
-    let cameras = [];
-    if (userId) {
-      // ✅ CRITICAL FIX: Use getCamerasByUserId instead of getActiveCameras
-      cameras = await dynamodb.getCamerasByUserId(userId);
-      log.info(`Found ${cameras.length} cameras for user ${userId}`);
-    } else {
-      log.info("No user ID - skipping camera query (empty paths)");
-    }
+    // 1. Load cameras for ALL users - MediaMTX is shared, so regenerating it
+    // for one user must keep every other user's streams available
+    const cameras = await dynamodb.getAllCameras();
+    log.info(`Found ${cameras.length} cameras across all users`);
 
     // 2. Detect server IP address
     const serverIP = detectServerIP();
@@ -116,7 +103,7 @@ function buildCameraPaths(cameras) {
   const paths = {};
 
   for (const cam of cameras) {
-    const pathName = sanitizePathName(cam.streamName || cam.name);
+    const pathName = cameraPathName(cam);
     const pathConfig = buildCameraPathConfig(cam);
 
     paths[pathName] = pathConfig;
@@ -167,6 +154,17 @@ function buildRTSPUrl(cam) {
   return `rtsp://${auth}${cam.ip}:${port}${streamPath}`;
 }
 
+/**
+ * MediaMTX path of a camera, namespaced by owner and camera id so two
+ * users' cameras can never share (or shadow) a stream. Used for playback
+ * (`streamName`), detection and clip recording alike.
+ * @param {{ userId: string, id: number }} cam - Camera record
+ * @returns {string} Path name, e.g. "u<userId>_c12"
+ */
+export function cameraPathName(cam) {
+  return `u${sanitizePathName(String(cam.userId))}_c${cam.id}`;
+}
+
 /**
  * Sanitizes camera name to be a valid MediaMTX path name
  * @param {string} name - Camera name
@@ -0,0 +1,208 @@
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// -------------------------------------------------------------------
+// 📦 Model Manifest
+// -------------------------------------------------------------------
+// models/manifest.json describes every ONNX model the backend runs:
+//
+// {
+//   "models": {
+//     "fire": {
+//       "active": "1.1.0",
+//       "previous": "1.0.0",          // what rollback returns to
+//       "versions": [
+//         { "version": "1.0.0", "file": "best.onnx", "sha256": "...",
+//           "inputShape": [1, 3, 640, 640], "classes": ["Fire", "Smoke", "Other"],
+//           "outputFormat": "rtdetr-scores", "numQueries": 300, "addedAt": "..." },
+//         ...
+//       ]
+//     },
+//     ...
+//   }
+// }
+//
+// Without a manifest the backend runs BUILTIN_MODELS, the files it always
+// shipped with. Shared by the model registry and scripts/*-models.js, which
+// sync the manifest and every file it lists with S3.
+
+export const MODELS_DIR = process.env.MODELS_DIR_OVERRIDE
+  ? path.resolve(process.env.MODELS_DIR_OVERRIDE)
+  : path.resolve(__dirname, "../../models");
+
+export const MANIFEST_FILE = "manifest.json";
+
+// Output layouts the detectors can parse
+//   rtdetr-scores: normalized cx,cy,w,h + one score per class ("boxes"/"scores" or combined)
+//   rtdetr-xyxy:   [x1, y1, x2, y2, confidence, classId] in input pixels
+//   yolov8:        [1, 4 + classes, anchors], column-major
+//   depth:         one depth value per input pixel
+export const OUTPUT_FORMATS = ["rtdetr-scores", "rtdetr-xyxy", "yolov8", "depth"];
+
+// Model slots and the output format each slot's code parses
+export const MODEL_SLOTS = {
+  fire: { outputFormat: "rtdetr-scores", description: "Fire / smoke (FIRE)" },
+  weapon: { outputFormat: "rtdetr-xyxy", description: "Weapons (WEAPON)" },
+  theft: { outputFormat: "yolov8", description: "Theft actions and people (THEFT, INTRUSION, CROWD_DENSITY)" },
+  depth: { outputFormat: "depth", description: "Depth liveness check" },
+};
+
+export const BUILTIN_MODELS = {
+  fire: {
+    version: "1.0.0",
+    file: "best.onnx",
+    inputShape: [1, 3, 640, 640],
+    classes: ["Fire", "Smoke", "Other"],
+    outputFormat: "rtdetr-scores",
+    numQueries: 300,
+  },
+  weapon: {
+    version: "1.0.0",
+    file: "weapons.onnx",
+    inputShape: [1, 3, 640, 640],
+    classes: ["Knife", "Pistol"],
+    outputFormat: "rtdetr-xyxy",
+    numQueries: 300,
+  },
+  theft: {
+    version: "1.0.0",
+    file: "theft.onnx",
+    inputShape: [1, 3, 640, 640],
+    classes: ["theft-action", "normal"],
+    outputFormat: "yolov8",
+  },
+  depth: {
+    version: "1.0.0",
+    file: "depth_anything_v2_small.onnx",
+    inputShape: [1, 3, 518, 518],
+    classes: [],
+    outputFormat: "depth",
+  },
+};
+
+const VERSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,31}$/;
+
+function builtinManifest() {
+  return {
+    models: Object.fromEntries(
+      Object.entries(BUILTIN_MODELS).map(([modelId, entry]) => [
+        modelId,
+        {
+          active: entry.version,
+          previous: null,
+          versions: [{ ...entry, sha256: null, addedAt: null }],
+        },
+      ])
+    ),
+  };
+}
+
+/**
+ * Read models/manifest.json, falling back to the built-in models.
+ * Slots missing from an older manifest get their built-in entry.
+ */
+export function readManifest(dir = MODELS_DIR) {
+  const builtin = builtinManifest();
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return builtin;
+
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  manifest.models = { ...builtin.models, ...(manifest.models || {}) };
+  return manifest;
+}
+
+/**
+ * Write the manifest atomically (temp file + rename)
+ */
+export function writeManifest(manifest, dir = MODELS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, MANIFEST_FILE);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+export function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/**
+ * The manifest entry of a model version (the active one by default)
+ * @throws {Error} "Model not found" / "Model version not found"
+ */
+export function getVersionEntry(manifest, modelId, version = null) {
+  const model = manifest.models[modelId];
+  if (!model) {
+    throw new Error("Model not found");
+  }
+  const wanted = version || model.active;
+  const entry = model.versions.find((v) => v.version === wanted);
+  if (!entry) {
+    throw new Error("Model version not found");
+  }
+  return entry;
+}
+
+/**
+ * Validate the metadata of a new model version for a slot.
+ * @returns {Object} normalized entry (without file / sha256)
+ * @throws {Error} with a user-facing message
+ */
+export function validateVersionEntry(modelId, entry) {
+  const slot = MODEL_SLOTS[modelId];
+  if (!slot) {
+    throw new Error("Model not found");
+  }
+
+  const { version, inputShape, classes, outputFormat, numQueries } = entry;
+
+  if (typeof version !== "string" || !VERSION_PATTERN.test(version)) {
+    throw new Error("version must be 1-32 letters, digits, dots, dashes or underscores");
+  }
+
+  if (
+    !Array.isArray(inputShape) ||
+    inputShape.length !== 4 ||
+    !inputShape.every((n) => Number.isInteger(n) && n > 0) ||
+    inputShape[0] !== 1 ||
+    inputShape[1] !== 3
+  ) {
+    throw new Error("inputShape must be [1, 3, height, width]");
+  }
+  if (inputShape[2] !== inputShape[3]) {
+    throw new Error("Only square model inputs are supported (height must equal width)");
+  }
+
+  if (!Array.isArray(classes) || !classes.every((c) => typeof c === "string" && c.length > 0)) {
+    throw new Error("classes must be a list of class names");
+  }
+  if (outputFormat !== "depth" && classes.length === 0) {
+    throw new Error("classes must not be empty for a detection model");
+  }
+
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`outputFormat must be one of: ${OUTPUT_FORMATS.join(", ")}`);
+  }
+  if (outputFormat !== slot.outputFormat) {
+    throw new Error(`The ${modelId} model must use outputFormat "${slot.outputFormat}"`);
+  }
+
+  const normalized = { version, inputShape, classes, outputFormat };
+  if (outputFormat.startsWith("rtdetr")) {
+    if (!Number.isInteger(numQueries) || numQueries < 1) {
+      throw new Error("numQueries must be a positive integer for RT-DETR models");
+    }
+    normalized.numQueries = numQueries;
+  }
+  return normalized;
+}
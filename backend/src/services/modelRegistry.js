@@ -0,0 +1,195 @@
+import fs from "fs";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { createHash, randomUUID } from "crypto";
+import pino from "pino";
+import {
+  MODELS_DIR,
+  MODEL_SLOTS,
+  readManifest,
+  writeManifest,
+  getVersionEntry,
+  validateVersionEntry,
+} from "./modelManifest.js";
+import { checkModel, reloadWorkerModels } from "./inferencePool.js";
+
+const log = pino({ name: "model-registry" });
+
+// -------------------------------------------------------------------
+// 🧠 Model Registry (versions + hot reload)
+// -------------------------------------------------------------------
+// Manages models/manifest.json for the API. Sessions live in the inference
+// workers (modelSessions.js), which load the active version on first use.
+// Uploads and activations are test-loaded in a worker first - and
+// checksum-verified - so a broken model never replaces a working one or
+// crashes the server; then every worker is told to re-read the manifest.
+let manifest = readManifest();
+
+// Manifest changes run one at a time
+let pendingChange = Promise.resolve();
+function serialized(fn) {
+  const run = pendingChange.then(fn, fn);
+  pendingChange = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Every model slot with its versions, for the API
+ */
+export function listModels() {
+  return Object.entries(MODEL_SLOTS).map(([modelId, slot]) => describeModel(modelId, slot));
+}
+
+export function getModelInfo(modelId) {
+  const slot = MODEL_SLOTS[modelId];
+  if (!slot) {
+    throw new Error("Model not found");
+  }
+  return describeModel(modelId, slot);
+}
+
+function describeModel(modelId, slot) {
+  const model = manifest.models[modelId];
+  return {
+    modelId,
+    description: slot.description,
+    outputFormat: slot.outputFormat,
+    active: model.active,
+    previous: model.previous,
+    versions: model.versions,
+  };
+}
+
+/**
+ * Manifest entry for an upload. Fields not given are copied from the
+ * active version (a retrained model usually keeps its shape and classes).
+ * @throws {Error} with a user-facing message
+ */
+export function newVersionEntry(modelId, fields) {
+  const active = getVersionEntry(manifest, modelId);
+  const defined = Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+  return validateVersionEntry(modelId, {
+    inputShape: active.inputShape,
+    classes: active.classes,
+    outputFormat: active.outputFormat,
+    numQueries: active.numQueries,
+    ...defined,
+  });
+}
+
+/**
+ * Write an uploaded model to a temp file in the models folder, hashing it
+ * on the way, so a large model never has to fit in memory
+ * @param {import("stream").Readable} stream - e.g. the request
+ * @returns {Promise<{ tmpPath, sha256, size }>} for addModelVersion()
+ * @throws {Error} "Model file too large" past `maxBytes`, "Model file is empty"
+ */
+export async function receiveModelFile(stream, maxBytes) {
+  fs.mkdirSync(MODELS_DIR, { recursive: true });
+  const tmpPath = path.join(MODELS_DIR, `upload-${randomUUID()}.tmp`);
+  const hash = createHash("sha256");
+  let size = 0;
+
+  const measure = new Transform({
+    transform(chunk, _encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) return callback(new Error("Model file too large"));
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(stream, measure, fs.createWriteStream(tmpPath));
+    if (size === 0) throw new Error("Model file is empty");
+  } catch (error) {
+    fs.rmSync(tmpPath, { force: true });
+    throw error;
+  }
+
+  return { tmpPath, sha256: hash.digest("hex"), size };
+}
+
+/**
+ * Store a new model version (not activated). The file is checked to load
+ * as an ONNX session before it is added to the manifest.
+ * @param {Object} entry - from newVersionEntry()
+ * @param {Object} upload - from receiveModelFile(); its temp file is moved
+ *   into place or removed
+ * @param {string|null} expectedSha256 - rejects the upload if it differs
+ */
+export function addModelVersion(modelId, entry, upload, expectedSha256 = null) {
+  return serialized(async () => {
+    const { tmpPath, sha256 } = upload;
+    const model = manifest.models[modelId];
+    if (model.versions.some((v) => v.version === entry.version)) {
+      fs.rmSync(tmpPath, { force: true });
+      throw new Error("Model version already exists");
+    }
+
+    if (expectedSha256 && expectedSha256.toLowerCase() !== sha256) {
+      fs.rmSync(tmpPath, { force: true });
+      throw new Error("Checksum mismatch - upload corrupted");
+    }
+
+    const file = `${modelId}-${entry.version}.onnx`;
+    const filePath = path.join(MODELS_DIR, file);
+    fs.renameSync(tmpPath, filePath);
+
+    const stored = { ...entry, file, sha256, addedAt: new Date().toISOString() };
+    try {
+      await checkModel(modelId, stored);
+    } catch (err) {
+      fs.rmSync(filePath, { force: true });
+      throw new Error(`Not a valid ONNX model: ${err.message}`);
+    }
+
+    model.versions.push(stored);
+    writeManifest(manifest);
+
+    log.info({ modelId, version: entry.version, file, sha256 }, "📦 Model version added");
+    return getModelInfo(modelId);
+  });
+}
+
+/**
+ * Switch a slot to another version. Takes effect on the next inference.
+ */
+export function activateModel(modelId, version) {
+  return serialized(async () => {
+    const entry = getVersionEntry(manifest, modelId, version);
+    const model = manifest.models[modelId];
+    if (model.active === version) {
+      return getModelInfo(modelId);
+    }
+
+    // Fails (and keeps the current version) if the new one won't load
+    await checkModel(modelId, entry);
+
+    const old = model.active;
+    model.previous = old;
+    model.active = version;
+    writeManifest(manifest);
+    reloadWorkerModels();
+
+    log.info({ modelId, from: old, to: version }, "🔄 Model activated");
+    return getModelInfo(modelId);
+  });
+}
+
+/**
+ * Go back to the version that was active before the last activation
+ */
+export function rollbackModel(modelId) {
+  const model = manifest.models[modelId];
+  if (!model) {
+    return Promise.reject(new Error("Model not found"));
+  }
+  if (!model.previous) {
+    return Promise.reject(new Error("No previous version to roll back to"));
+  }
+  return activateModel(modelId, model.previous);
+}
@@ -0,0 +1,121 @@
+import * as ort from "onnxruntime-node";
+import path from "path";
+import pino from "pino";
+import { MODELS_DIR, readManifest, sha256File, getVersionEntry } from "./modelManifest.js";
+
+const log = pino({ name: "model-sessions" });
+
+// -------------------------------------------------------------------
+// 🧠 ONNX Sessions (inference workers only)
+// -------------------------------------------------------------------
+// Each inference worker (inferenceWorker.js) keeps its own sessions, loaded
+// on first use and checksum-verified. A worker runs one job at a time, so a
+// session that is no longer active can be released straight away.
+let manifest = readManifest();
+
+// MODEL_VERSIONS="fire=2.1.0,weapon=1.0.0" runs those versions instead of the
+// active ones, e.g. to evaluate a model before activating it
+const pinnedVersions = Object.fromEntries(
+  (process.env.MODEL_VERSIONS || "")
+    .split(",")
+    .map((pair) => pair.split("=").map((part) => part.trim()))
+    .filter(([modelId, version]) => modelId && version)
+);
+
+function activeVersion(modelId) {
+  return pinnedVersions[modelId] || manifest.models[modelId]?.active;
+}
+
+// `${modelId}@${version}` -> Promise<InferenceSession>
+const sessions = new Map();
+
+function sessionKey(modelId, version) {
+  return `${modelId}@${version}`;
+}
+
+function loadSession(modelId, entry) {
+  const key = sessionKey(modelId, entry.version);
+
+  if (!sessions.has(key)) {
+    const modelPath = path.join(MODELS_DIR, entry.file);
+    log.info({ modelId, version: entry.version, modelPath }, "Loading ONNX model...");
+
+    const promise = (async () => {
+      if (entry.sha256) {
+        const actual = await sha256File(modelPath);
+        if (actual !== entry.sha256) {
+          throw new Error(`Checksum mismatch for ${entry.file}`);
+        }
+      }
+
+      const session = await ort.InferenceSession.create(modelPath, {
+        executionProviders: ["cpu"],
+      });
+      log.info(
+        {
+          modelId,
+          version: entry.version,
+          inputNames: session.inputNames,
+          outputNames: session.outputNames,
+        },
+        "✅ ONNX session ready"
+      );
+      return session;
+    })().catch((err) => {
+      log.error({ modelId, version: entry.version, error: err.message }, "❌ Failed to load ONNX model");
+      sessions.delete(key);
+      throw err;
+    });
+
+    sessions.set(key, promise);
+  }
+
+  return sessions.get(key);
+}
+
+function release(key) {
+  const promise = sessions.get(key);
+  if (!promise) return;
+
+  sessions.delete(key);
+  promise.then((session) => session.release?.()).catch(() => {});
+}
+
+/**
+ * The active version of a model slot.
+ * @returns {Promise<{ session: ort.InferenceSession, entry: Object }>}
+ */
+export async function getModel(modelId) {
+  const entry = getVersionEntry(manifest, modelId, pinnedVersions[modelId]);
+  const session = await loadSession(modelId, entry);
+  return { session, entry };
+}
+
+/**
+ * Load a version (e.g. a fresh upload) to check that it works, then release
+ * it unless it is the active one.
+ * @throws {Error} if the file is missing, corrupt or not a valid model
+ */
+export async function checkModel(modelId, entry) {
+  await loadSession(modelId, entry);
+  if (activeVersion(modelId) !== entry.version) {
+    release(sessionKey(modelId, entry.version));
+  }
+  return { modelId, version: entry.version };
+}
+
+/**
+ * Re-read the manifest after an activation or rollback, releasing sessions
+ * of versions that are no longer active.
+ */
+export function reloadManifest() {
+  manifest = readManifest();
+
+  for (const key of [...sessions.keys()]) {
+    const [modelId, version] = key.split("@");
+    if (activeVersion(modelId) !== version) {
+      release(key);
+      log.info({ modelId, version }, "🗑️ Released previous model session");
+    }
+  }
+}
@@ -0,0 +1,138 @@
+import pino from "pino";
+import { cfg } from "../config.js";
+import { grayThumbnail } from "./inferencePool.js";
+import { getConfirmationState } from "./confirmationTracker.js";
+
+const log = pino({ name: "motion-gate" });
+
+// -------------------------------------------------------------------
+// 📋 State
+// -------------------------------------------------------------------
+// A cheap check before the full detectors: each turn's first frame is
+// shrunk to a small grayscale thumbnail and compared to the camera's
+// background (a running average of earlier thumbnails). An idle detector
+// only runs when enough of the picture changed, or when its periodic
+// forced check is due. Detectors that are suspected / confirmed / cooling
+// down always run.
+//
+// cameraId -> Float32Array background (cfg.motion.width x height)
+const backgrounds = new Map();
+// "cameraId:aiType" -> { run, skipped, lastRunAt, lastMotion, lastDecision }
+const gates = new Map();
+
+function gateKey(cameraId, aiType) {
+  return `${cameraId}:${aiType}`;
+}
+
+function getGate(cameraId, aiType) {
+  const key = gateKey(cameraId, aiType);
+  if (!gates.has(key)) {
+    gates.set(key, { cameraId, aiType, run: 0, skipped: 0, lastRunAt: null, lastMotion: null, lastDecision: null });
+  }
+  return gates.get(key);
+}
+
+// -------------------------------------------------------------------
+// 🎞️ Motion
+// -------------------------------------------------------------------
+/**
+ * Share (0-1) of the frame that differs from the camera's background, then
+ * fold the frame into the background. Null for a camera's first frame or
+ * when the thumbnail fails - the gate then lets every detector run.
+ */
+export async function measureMotion(cameraId, frameBuffer) {
+  const { width, height, pixelDelta, backgroundAlpha } = cfg.motion;
+
+  let pixels;
+  try {
+    pixels = await grayThumbnail(frameBuffer, width, height);
+  } catch (error) {
+    log.warn({ cameraId, error: error.message }, "⚠️ Motion thumbnail failed - running detectors");
+    return null;
+  }
+
+  const background = backgrounds.get(cameraId);
+  if (!background || background.length !== pixels.length) {
+    backgrounds.set(cameraId, Float32Array.from(pixels));
+    return null;
+  }
+
+  let changed = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    if (Math.abs(pixels[i] - background[i]) > pixelDelta) changed++;
+    background[i] += (pixels[i] - background[i]) * backgroundAlpha;
+  }
+  return changed / pixels.length;
+}
+
+// -------------------------------------------------------------------
+// 🚦 Gate
+// -------------------------------------------------------------------
+/**
+ * Whether a detector runs this turn, counted for status.
+ * @param {number|null} motion - measureMotion()
+ * @param {Object} settings - resolveDetectionSettings() ({ motionThreshold, forcedCheckSeconds })
+ * @returns {{ run: boolean, reason: "unmeasured"|"gate_off"|"active"|"motion"|"forced"|"no_motion" }}
+ */
+export function shouldRunDetector(camera, aiType, motion, settings, now = Date.now()) {
+  const gate = getGate(camera.id, aiType);
+  const { motionThreshold, forcedCheckSeconds } = settings;
+
+  let reason;
+  if (motion === null) reason = "unmeasured";
+  else if (motionThreshold === 0) reason = "gate_off";
+  else if (getConfirmationState(camera.id, aiType) !== "idle") reason = "active";
+  else if (motion >= motionThreshold) reason = "motion";
+  else if (gate.lastRunAt === null || now - gate.lastRunAt >= forcedCheckSeconds * 1000) reason = "forced";
+  else reason = "no_motion";
+
+  const run = reason !== "no_motion";
+  if (run) {
+    gate.run++;
+    gate.lastRunAt = now;
+  } else {
+    gate.skipped++;
+  }
+  gate.lastMotion = motion;
+  gate.lastDecision = reason;
+
+  return { run, reason };
+}
+
+// -------------------------------------------------------------------
+// 🔍 Status / Cleanup
+// -------------------------------------------------------------------
+/**
+ * For /detection-status: per AI type, turns run vs skipped and the last decision
+ */
+export function describeMotionGate(cameraId) {
+  const out = {};
+  for (const gate of gates.values()) {
+    if (gate.cameraId !== cameraId) continue;
+    out[gate.aiType] = {
+      run: gate.run,
+      skipped: gate.skipped,
+      lastRunAt: gate.lastRunAt === null ? null : new Date(gate.lastRunAt).toISOString(),
+      lastMotion: gate.lastMotion,
+      lastDecision: gate.lastDecision,
+    };
+  }
+  return out;
+}
+
+/**
+ * Start the background over from the next frame (the camera moved on purpose)
+ */
+export function resetMotionBackground(cameraId) {
+  backgrounds.delete(cameraId);
+}
+
+/**
+ * Drop a camera's background and counts
+ */
+export function forgetMotion(cameraId) {
+  backgrounds.delete(cameraId);
+  for (const [key, gate] of gates) {
+    if (gate.cameraId === cameraId) gates.delete(key);
+  }
+}
@@ -0,0 +1,48 @@
+import { postJson } from "./httpPost.js";
+import { validateDestinationHost } from "./destination.js";
+
+// -------------------------------------------------------------------
+// 💬 Slack / Teams-style Incoming Webhook
+// -------------------------------------------------------------------
+
+export const type = "chat";
+export const secretFields = [];
+
+const FORMATS = ["slack", "teams"];
+
+export function validate(config) {
+  if (!config?.url || !/^https?:\/\//.test(config.url)) {
+    throw new Error("chat.url must be an http(s) URL");
+  }
+  validateDestinationHost(new URL(config.url).hostname, "chat.url");
+  const format = config.format || "slack";
+  if (!FORMATS.includes(format)) {
+    throw new Error(`chat.format must be one of: ${FORMATS.join(", ")}`);
+  }
+  return { url: config.url, format };
+}
+
+export function destination(config) {
+  return new URL(config.url).hostname;
+}
+
+function buildPayload(format, message) {
+  const text = `*${message.title}*\n${message.text}`;
+
+  if (format === "teams") {
+    return {
+      "@type": "MessageCard",
+      "@context": "https://schema.org/extensions",
+      summary: message.title,
+      themeColor: message.severity === "cleared" ? "2EB67D" : "E01E5A",
+      title: message.title,
+      text: message.text.replace(/\n/g, "<br>"),
+    };
+  }
+
+  return { text };
+}
+
+export async function send(config, message) {
+  return postJson(config.url, buildPayload(config.format, message));
+}
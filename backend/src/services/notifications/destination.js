@@ -0,0 +1,142 @@
+import dns from "node:dns";
+import net from "node:net";
+import http from "node:http";
+import https from "node:https";
+import { cfg } from "../../config.js";
+import { permanentError } from "./retry.js";
+
+// -------------------------------------------------------------------
+// 🛡️ Destination Policy
+// -------------------------------------------------------------------
+// Channel URLs and hosts come from users, and the backend connects to them.
+// Loopback, private, link-local and other non-public addresses are refused
+// so a channel can't be pointed at the backend's own network; hosts in
+// NOTIFY_ALLOWED_HOSTS (e.g. an internal mail relay) and
+// NOTIFY_ALLOW_PRIVATE_NETWORKS=true lift that.
+
+const BLOCKED = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, "ipv6"));
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is the IPv4 address underneath
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED.check(mapped[1], "ipv4");
+  return BLOCKED.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+function isAllowedHost(host) {
+  return (
+    cfg.notifications.allowPrivateNetworks ||
+    cfg.notifications.allowedHosts.includes(host.toLowerCase())
+  );
+}
+
+const bareHost = (host) => host.replace(/^\[(.*)\]$/, "$1");
+
+/**
+ * Check a destination host when a channel is saved. Only what's known
+ * without DNS: IP literals and localhost names; names are resolved and
+ * checked again on every send.
+ * @throws {Error} with a user-facing message
+ */
+export function validateDestinationHost(host, field) {
+  const name = bareHost(String(host));
+  if (isAllowedHost(name)) return;
+
+  const local = /^localhost$|\.localhost$/i.test(name);
+  if (local || (net.isIP(name) && isBlockedAddress(name))) {
+    throw new Error(`${field} must be a public address (private and local networks are not allowed)`);
+  }
+}
+
+/**
+ * Resolve a host and refuse it when any of its addresses is non-public
+ * @returns {Promise<string>} the checked address to connect to (an allowed
+ *   host comes back as it is)
+ * @throws {Error} not retryable
+ */
+export async function resolvePublicAddress(host) {
+  const name = bareHost(String(host));
+  if (isAllowedHost(name)) return name;
+
+  const addresses = await dns.promises.lookup(name, { all: true });
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw permanentError(`${name} resolves to a non-public address (${blocked.address})`);
+  }
+  return addresses[0].address;
+}
+
+export async function assertPublicDestination(host) {
+  await resolvePublicAddress(host);
+}
+
+// Name TLS checks the certificate against when connecting to the address
+// resolvePublicAddress() returned (none for an IP literal)
+export function tlsServername(host) {
+  const name = bareHost(String(host));
+  return net.isIP(name) ? undefined : name;
+}
+
+/**
+ * net `lookup` answering with the address resolvePublicAddress() returned,
+ * for clients that take a lookup rather than an address (WebSockets).
+ * An allowed host name (not checked) is looked up as usual.
+ */
+export function pinnedLookup(address) {
+  if (!net.isIP(address)) return dns.lookup;
+
+  const family = net.isIPv6(address) ? 6 : 4;
+  return (hostname, options, callback) => {
+    if (options.all) return callback(null, [{ address, family }]);
+    callback(null, address, family);
+  };
+}
+
+// Same check inside the HTTP connection, so a name can't resolve to a
+// public address for the check and a private one for the request. SMTP and
+// MQTT connect to the address resolvePublicAddress() checked instead.
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = isAllowedHost(hostname)
+      ? null
+      : addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(
+        permanentError(`${hostname} resolves to a non-public address (${blocked.address})`)
+      );
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * node-fetch `agent` option for requests to user-supplied URLs
+ */
+export const guardedAgent = (url) => (url.protocol === "http:" ? httpAgent : httpsAgent);
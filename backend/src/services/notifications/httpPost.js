@@ -0,0 +1,29 @@
+import fetch from "node-fetch";
+import { permanentError } from "./retry.js";
+import { guardedAgent } from "./destination.js";
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * POST a JSON body. 5xx / 429 / network errors are retryable, other
+ * non-2xx responses are not.
+ */
+export async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    agent: guardedAgent,
+  });
+
+  if (!response.ok) {
+    const message = `HTTP ${response.status} from ${new URL(url).host}`;
+    if (response.status >= 500 || response.status === 429) {
+      throw new Error(message);
+    }
+    throw permanentError(message);
+  }
+
+  return { status: response.status };
+}
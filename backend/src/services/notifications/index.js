@@ -0,0 +1,195 @@
+import { randomUUID } from "node:crypto";
+import pino from "pino";
+import { dynamodb } from "../../db/dynamodb.js";
+import { withRetry } from "./retry.js";
+import { assertPublicDestination } from "./destination.js";
+import * as webhook from "./webhook.js";
+import * as chatWebhook from "./chatWebhook.js";
+import * as smtp from "./smtp.js";
+import * as mqtt from "./mqtt.js";
+import { alertWording } from "../detectors/index.js";
+
+const log = pino({ name: "notifications" });
+
+// -------------------------------------------------------------------
+// 🔌 Channel Registry
+// -------------------------------------------------------------------
+// Each channel module exports { type, secretFields, validate(config),
+// destination(config) (the host it connects to), send(config, message) }
+const CHANNELS = Object.fromEntries(
+  [webhook, chatWebhook, smtp, mqtt].map((channel) => [channel.type, channel])
+);
+
+export const CHANNEL_TYPES = Object.keys(CHANNELS);
+
+// Alert tiers a channel can subscribe to (1 = new alert, 2 = escalation)
+const VALID_TIERS = [1, 2];
+
+const SECRET_MASK = "********";
+
+// -------------------------------------------------------------------
+// ✅ Channel Validation
+// -------------------------------------------------------------------
+/**
+ * Validate a user channel definition.
+ * Stored shape: { id, type, name, enabled, tiers, config }
+ * @param {Object} input - Channel from the API
+ * @param {Object} existing - Stored channel when updating (keeps masked secrets)
+ */
+export function validateChannel(input, existing = null) {
+  const type = input?.type || existing?.type;
+  const channel = CHANNELS[type];
+
+  if (!channel) {
+    throw new Error(`type must be one of: ${CHANNEL_TYPES.join(", ")}`);
+  }
+
+  // Secrets come back masked from GET; keep the stored value in that case
+  const config = { ...(input.config || {}) };
+  for (const field of channel.secretFields) {
+    if (config[field] === SECRET_MASK) {
+      config[field] = existing?.config?.[field];
+    }
+  }
+
+  const tiers = input.tiers ?? existing?.tiers ?? VALID_TIERS;
+  if (!Array.isArray(tiers) || tiers.length === 0 || !tiers.every((t) => VALID_TIERS.includes(t))) {
+    throw new Error(`tiers must be a non-empty array of: ${VALID_TIERS.join(", ")}`);
+  }
+
+  return {
+    id: existing?.id || randomUUID(),
+    type,
+    name: String(input.name ?? existing?.name ?? type),
+    enabled: input.enabled ?? existing?.enabled ?? true,
+    tiers,
+    config: channel.validate(config),
+  };
+}
+
+/**
+ * Copy of a channel safe to return from the API
+ */
+export function maskChannel(channel) {
+  const secretFields = CHANNELS[channel.type]?.secretFields || [];
+  const config = { ...channel.config };
+  for (const field of secretFields) {
+    if (config[field]) config[field] = SECRET_MASK;
+  }
+  return { ...channel, config };
+}
+
+// -------------------------------------------------------------------
+// 📤 Delivery
+// -------------------------------------------------------------------
+/**
+ * Send one message to one channel (with retry/backoff). Throws on failure.
+ */
+export async function sendToChannel(channel, message, retryOptions = {}) {
+  const plugin = CHANNELS[channel.type];
+  if (!plugin) {
+    throw new Error(`Unknown channel type: ${channel.type}`);
+  }
+
+  // Checked on every send: a name may resolve elsewhere than when it was saved
+  const result = await withRetry(async () => {
+    await assertPublicDestination(plugin.destination(channel.config));
+    return plugin.send(channel.config, message);
+  }, {
+    label: `${channel.type}:${channel.name}`,
+    ...retryOptions,
+  });
+
+  log.info({ channelId: channel.id, type: channel.type }, "✅ Notification delivered");
+  return result;
+}
+
+/**
+ * Deliver a message to every enabled channel of a user subscribed to `tier`.
+ * Never throws - returns a per-channel result list.
+ */
+export async function notifyUser(userId, message, tier = 1) {
+  let channels;
+  try {
+    channels = await dynamodb.getNotificationChannels(userId);
+  } catch (error) {
+    log.error({ userId, error: error.message }, "❌ Failed to load notification channels");
+    return [];
+  }
+
+  const targets = channels.filter((c) => c.enabled && c.tiers.includes(tier));
+  if (targets.length === 0) return [];
+
+  const results = await Promise.allSettled(
+    targets.map((channel) => sendToChannel(channel, message))
+  );
+
+  return results.map((result, i) => ({
+    channelId: targets[i].id,
+    ok: result.status === "fulfilled",
+    error: result.status === "rejected" ? result.reason.message : undefined,
+  }));
+}
+
+// -------------------------------------------------------------------
+// 📝 Message Builders
+// -------------------------------------------------------------------
+const EVENT_TITLES = {
+  opened: "",
+  escalated: "🚨 ESCALATED: ",
+  reopened: "🔁 REOPENED: ",
+  ongoing: "🔁 STILL ACTIVE: ",
+  cleared: "✅ CLEARED: ",
+};
+
+/**
+ * Channel-neutral alert message
+ * @param {string} event - "opened" | "reopened" | "escalated" | "ongoing" | "cleared"
+ */
+export function buildAlertMessage(alert, event) {
+  const { emoji, title } = alertWording(alert.aiType);
+  const escalated = event === "escalated";
+
+  const lines = [
+    `Camera: ${alert.cameraName} (${alert.cameraId})`,
+    ...(alert.location ? [`Location: ${alert.location}`] : []),
+    `Confidence: ${alert.confidence?.toFixed?.(2) ?? "N/A"}`,
+    `Opened: ${alert.createdAt}`,
+  ];
+  if (alert.issue) lines.push(`Issue: ${alert.issue}`);
+  if (escalated) lines.push("Nobody has acknowledged this alert yet.");
+  if (event === "reopened") lines.push("Detected again after it had cleared.");
+  if (event === "ongoing") lines.push(`Still detected after ${alert.occurrences || 1} cycles.`);
+  if (event === "cleared") lines.push(`No detection since ${alert.lastSeenAt}.`);
+  if (alert.imageUrl) lines.push(`Image: ${alert.imageUrl}`);
+
+  return {
+    event,
+    severity: escalated ? "escalation" : event === "cleared" ? "cleared" : "alert",
+    title: `${EVENT_TITLES[event] ?? ""}${emoji} ${title} - ${alert.cameraName}`,
+    text: lines.join("\n"),
+    alert: {
+      alertId: alert.alertId,
+      cameraId: alert.cameraId,
+      cameraName: alert.cameraName,
+      location: alert.location ?? null,
+      aiType: alert.aiType,
+      status: alert.status,
+      tier: alert.tier,
+      confidence: alert.confidence ?? null,
+      imageUrl: alert.imageUrl ?? null,
+      createdAt: alert.createdAt,
+    },
+    timestamp: new Date().toISOString(),
+  };
+}
+
+export function buildTestMessage(channel) {
+  return {
+    event: "test",
+    severity: "test",
+    title: "✅ FireWatch test notification",
+    text: `This is a test message for the "${channel.name}" ${channel.type} channel.`,
+    timestamp: new Date().toISOString(),
+  };
+}
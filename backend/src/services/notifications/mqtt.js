@@ -0,0 +1,72 @@
+import mqtt from "mqtt";
+import {
+  validateDestinationHost,
+  resolvePublicAddress,
+  tlsServername,
+  pinnedLookup,
+} from "./destination.js";
+
+// -------------------------------------------------------------------
+// 📡 MQTT Publish
+// -------------------------------------------------------------------
+
+export const type = "mqtt";
+export const secretFields = ["password"];
+
+export function validate(config) {
+  if (!config?.url || !/^(mqtts?|wss?|tcp):\/\//.test(config.url)) {
+    throw new Error("mqtt.url must be an mqtt://, mqtts://, ws:// or wss:// URL");
+  }
+  validateDestinationHost(new URL(config.url).hostname, "mqtt.url");
+  if (!config.topic) {
+    throw new Error("mqtt.topic is required");
+  }
+  const qos = Number(config.qos ?? 1);
+  if (![0, 1, 2].includes(qos)) {
+    throw new Error("mqtt.qos must be 0, 1 or 2");
+  }
+
+  return {
+    url: config.url,
+    topic: config.topic,
+    qos,
+    retain: Boolean(config.retain),
+    username: config.username || null,
+    password: config.password || null,
+  };
+}
+
+export function destination(config) {
+  return new URL(config.url).hostname;
+}
+
+export async function send(config, message) {
+  // Connect to the checked address, not a second lookup of the name (TLS
+  // still verifies the certificate against the name). WebSockets keep the
+  // name in the URL for the Host header and are pinned through the lookup.
+  const { protocol, hostname } = new URL(config.url);
+  const address = await resolvePublicAddress(hostname);
+  const target = protocol.startsWith("ws")
+    ? { wsOptions: { lookup: pinnedLookup(address) } }
+    : { host: address, servername: tlsServername(hostname) };
+
+  // Short-lived connection per alert: alerts are rare and this avoids
+  // holding a socket per user channel.
+  const client = await mqtt.connectAsync(config.url, {
+    ...target,
+    username: config.username || undefined,
+    password: config.password || undefined,
+    connectTimeout: 10000,
+    reconnectPeriod: 0,
+  });
+
+  try {
+    await client.publishAsync(config.topic, JSON.stringify(message), {
+      qos: config.qos,
+      retain: config.retain,
+    });
+    return { topic: config.topic };
+  } finally {
+    await client.endAsync();
+  }
+}
@@ -0,0 +1,54 @@
+import pino from "pino";
+
+const log = pino({ name: "notification-retry" });
+
+const DEFAULTS = {
+  retries: 3, // attempts after the first one
+  baseDelayMs: 1000,
+  maxDelayMs: 15000,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Mark an error as not worth retrying (bad config, 4xx response...)
+ */
+export function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Run `fn` with exponential backoff and jitter.
+ * Errors with `retryable === false` fail immediately.
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options - { retries, baseDelayMs, maxDelayMs, label }
+ */
+export async function withRetry(fn, options = {}) {
+  const { retries, baseDelayMs, maxDelayMs } = { ...DEFAULTS, ...options };
+  const label = options.label || "notification";
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (error.retryable === false || attempt >= retries) {
+        log.error(
+          { label, attempts: attempt + 1, error: error.message },
+          "❌ Notification delivery failed"
+        );
+        throw error;
+      }
+
+      const backoff = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+      const delay = Math.round(backoff / 2 + Math.random() * (backoff / 2));
+
+      log.warn(
+        { label, attempt: attempt + 1, delay, error: error.message },
+        "⚠️ Notification delivery failed - retrying"
+      );
+      await sleep(delay);
+    }
+  }
+}
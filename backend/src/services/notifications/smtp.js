@@ -0,0 +1,76 @@
+import nodemailer from "nodemailer";
+import { permanentError } from "./retry.js";
+import { validateDestinationHost, resolvePublicAddress, tlsServername } from "./destination.js";
+
+// -------------------------------------------------------------------
+// 📧 SMTP Email
+// -------------------------------------------------------------------
+
+export const type = "smtp";
+export const secretFields = ["password"];
+
+export function validate(config) {
+  if (!config?.host) {
+    throw new Error("smtp.host is required");
+  }
+  validateDestinationHost(config.host, "smtp.host");
+  const to = Array.isArray(config.to) ? config.to : [config.to].filter(Boolean);
+  if (to.length === 0) {
+    throw new Error("smtp.to needs at least one address");
+  }
+  if (!config.from) {
+    throw new Error("smtp.from is required");
+  }
+
+  const port = Number(config.port || 587);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error("smtp.port must be a valid port");
+  }
+
+  return {
+    host: config.host,
+    port,
+    secure: config.secure ?? port === 465,
+    username: config.username || null,
+    password: config.password || null,
+    from: config.from,
+    to,
+  };
+}
+
+export function destination(config) {
+  return config.host;
+}
+
+export async function send(config, message) {
+  // The checked address, not a second lookup of the name; TLS still
+  // verifies the certificate against the name
+  const transport = nodemailer.createTransport({
+    host: await resolvePublicAddress(config.host),
+    servername: tlsServername(config.host),
+    port: config.port,
+    secure: config.secure,
+    auth: config.username
+      ? { user: config.username, pass: config.password }
+      : undefined,
+    connectionTimeout: 10000,
+  });
+
+  try {
+    const info = await transport.sendMail({
+      from: config.from,
+      to: config.to.join(", "),
+      subject: message.title,
+      text: message.text,
+    });
+    return { messageId: info.messageId };
+  } catch (error) {
+    // 5xx SMTP replies (bad recipient, auth rejected) won't fix themselves
+    if (error.responseCode >= 500 || error.code === "EAUTH") {
+      throw permanentError(error.message);
+    }
+    throw error;
+  } finally {
+    transport.close();
+  }
+}
@@ -0,0 +1,47 @@
+import crypto from "node:crypto";
+import { postJson } from "./httpPost.js";
+import { validateDestinationHost } from "./destination.js";
+
+// -------------------------------------------------------------------
+// 🔗 Generic Webhook (JSON POST, HMAC-SHA256 signed)
+// -------------------------------------------------------------------
+// Receivers verify with:
+//   hmac = HMAC_SHA256(secret, `${X-FireWatch-Timestamp}.${rawBody}`)
+//   X-FireWatch-Signature === `sha256=${hex(hmac)}`
+
+export const type = "webhook";
+export const secretFields = ["secret"];
+
+export function validate(config) {
+  if (!config?.url || !/^https?:\/\//.test(config.url)) {
+    throw new Error("webhook.url must be an http(s) URL");
+  }
+  validateDestinationHost(new URL(config.url).hostname, "webhook.url");
+  if (config.secret !== undefined && typeof config.secret !== "string") {
+    throw new Error("webhook.secret must be a string");
+  }
+  return { url: config.url, secret: config.secret || null };
+}
+
+export function destination(config) {
+  return new URL(config.url).hostname;
+}
+
+export function sign(secret, timestamp, body) {
+  return (
+    "sha256=" +
+    crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+  );
+}
+
+export async function send(config, message) {
+  const body = JSON.stringify(message);
+  const timestamp = String(Date.now());
+  const headers = { "X-FireWatch-Timestamp": timestamp };
+
+  if (config.secret) {
+    headers["X-FireWatch-Signature"] = sign(config.secret, timestamp, body);
+  }
+
+  return postJson(config.url, body, headers);
+}
@@ -0,0 +1,548 @@
+import dgram from "dgram";
+import crypto from "crypto";
+import fetch from "node-fetch";
+import pino from "pino";
+import { cfg } from "../config.js";
+
+const log = pino({ name: "onvif" });
+
+// -------------------------------------------------------------------
+// 📡 ONVIF Discovery / Auto-Configuration
+// -------------------------------------------------------------------
+// Finds cameras on the LAN with a WS-Discovery probe (UDP multicast), then
+// asks each one over SOAP for its media profiles and their RTSP URIs, so a
+// camera can be added without typing the vendor-specific stream path.
+//
+// No SOAP / XML library: the handful of ONVIF calls we make have small,
+// fixed responses, read here by tag name with the namespace prefix ignored.
+// Try it without hardware: node scripts/onvif-simulator.js
+
+const NS = {
+  soap: "http://www.w3.org/2003/05/soap-envelope",
+  wsa: "http://schemas.xmlsoap.org/ws/2004/08/addressing",
+  wsd: "http://schemas.xmlsoap.org/ws/2005/04/discovery",
+  dn: "http://www.onvif.org/ver10/network/wsdl",
+  tds: "http://www.onvif.org/ver10/device/wsdl",
+  trt: "http://www.onvif.org/ver10/media/wsdl",
+  tptz: "http://www.onvif.org/ver20/ptz/wsdl",
+  tt: "http://www.onvif.org/ver10/schema",
+  wsse: "http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd",
+  wsu: "http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd",
+};
+
+const PASSWORD_DIGEST =
+  "http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest";
+const BASE64_BINARY =
+  "http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-soap-message-security-1.0#Base64Binary";
+
+// -------------------------------------------------------------------
+// 🧩 XML Helpers
+// -------------------------------------------------------------------
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Every <prefix:tag ...>inner</prefix:tag> in xml, with its attributes
+export function xmlElements(xml, tag) {
+  const re = new RegExp(`<(?:[\\w-]+:)?${tag}(\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>)`, "g");
+  const out = [];
+  for (const match of xml.matchAll(re)) {
+    const attrs = {};
+    for (const [, name, value] of (match[1] || "").matchAll(/([\w:-]+)="([^"]*)"/g)) {
+      attrs[name.replace(/^[\w-]+:/, "")] = unescapeXml(value);
+    }
+    out.push({ attrs, inner: match[2] || "" });
+  }
+  return out;
+}
+
+// Text of the first <tag>, or null
+export function xmlText(xml, tag) {
+  const [element] = xmlElements(xml, tag);
+  return element ? unescapeXml(element.inner.trim()) : null;
+}
+
+function envelope(body, header = "") {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<s:Envelope xmlns:s="${NS.soap}" xmlns:tds="${NS.tds}" xmlns:trt="${NS.trt}" xmlns:tptz="${NS.tptz}" xmlns:tt="${NS.tt}">
+<s:Header>${header}</s:Header>
+<s:Body>${body}</s:Body>
+</s:Envelope>`;
+}
+
+// -------------------------------------------------------------------
+// 🔐 SOAP Requests (WS-Security UsernameToken)
+// -------------------------------------------------------------------
+/**
+ * WS-Security header with a password digest:
+ * Base64(SHA1(nonce + created + password)). `now` is the device's clock,
+ * since cameras reject tokens created too far from their own time.
+ */
+export function securityHeader(username, password, now = Date.now()) {
+  const nonce = crypto.randomBytes(16);
+  const created = new Date(now).toISOString().replace(/\.\d{3}Z$/, "Z");
+  const digest = crypto
+    .createHash("sha1")
+    .update(Buffer.concat([nonce, Buffer.from(created + password, "utf8")]))
+    .digest("base64");
+
+  return `<wsse:Security s:mustUnderstand="1" xmlns:wsse="${NS.wsse}" xmlns:wsu="${NS.wsu}">
+<wsse:UsernameToken>
+<wsse:Username>${escapeXml(username)}</wsse:Username>
+<wsse:Password Type="${PASSWORD_DIGEST}">${digest}</wsse:Password>
+<wsse:Nonce EncodingType="${BASE64_BINARY}">${nonce.toString("base64")}</wsse:Nonce>
+<wsu:Created>${created}</wsu:Created>
+</wsse:UsernameToken>
+</wsse:Security>`;
+}
+
+/**
+ * POST one SOAP call to an ONVIF service and return the response XML.
+ * @param {Object} [credentials] - { username, password, clockOffsetMs }; omitted for unauthenticated calls
+ * @throws {Error} with the device's fault reason when it has one
+ */
+export async function onvifRequest(url, action, body, credentials = null) {
+  const header = credentials?.username
+    ? securityHeader(credentials.username, credentials.password || "", Date.now() + (credentials.clockOffsetMs || 0))
+    : "";
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/soap+xml; charset=utf-8" },
+      body: envelope(body, header),
+      signal: AbortSignal.timeout(cfg.onvif.requestTimeoutMs),
+    });
+  } catch (error) {
+    throw new Error(`ONVIF ${action} to ${url} failed: ${error.message}`);
+  }
+
+  const xml = await response.text();
+  if (response.ok) return xml;
+
+  const reason = xmlText(xml, "Text") || xmlText(xml, "faultstring");
+  if (response.status === 401 || /not ?authori[sz]ed|sender not authori/i.test(reason || "")) {
+    throw new Error(`ONVIF ${action} rejected the credentials`);
+  }
+  throw new Error(`ONVIF ${action} failed: ${reason || `HTTP ${response.status}`}`);
+}
+
+// Device clock minus ours, so digests are created in the device's time
+export async function deviceClockOffset(xaddr) {
+  try {
+    const xml = await onvifRequest(xaddr, "GetSystemDateAndTime", "<tds:GetSystemDateAndTime/>");
+    const [utc] = xmlElements(xml, "UTCDateTime");
+    if (!utc) return 0;
+
+    const part = (tag) => Number(xmlText(utc.inner, tag));
+    const deviceTime = Date.UTC(part("Year"), part("Month") - 1, part("Day"), part("Hour"), part("Minute"), part("Second"));
+    return Number.isFinite(deviceTime) ? deviceTime - Date.now() : 0;
+  } catch (error) {
+    log.debug({ xaddr, error: error.message }, "Device clock unavailable - using ours");
+    return 0;
+  }
+}
+
+// -------------------------------------------------------------------
+// 🔎 WS-Discovery
+// -------------------------------------------------------------------
+function probeMessage(messageId) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<s:Envelope xmlns:s="${NS.soap}" xmlns:a="${NS.wsa}" xmlns:d="${NS.wsd}" xmlns:dn="${NS.dn}">
+<s:Header>
+<a:Action s:mustUnderstand="1">${NS.wsd}/Probe</a:Action>
+<a:MessageID>${messageId}</a:MessageID>
+<a:ReplyTo><a:Address>${NS.wsa}/role/anonymous</a:Address></a:ReplyTo>
+<a:To s:mustUnderstand="1">urn:schemas-xmlsoap-org:ws:2005:04:discovery</a:To>
+</s:Header>
+<s:Body><d:Probe><d:Types>dn:NetworkVideoTransmitter</d:Types></d:Probe></s:Body>
+</s:Envelope>`;
+}
+
+// "onvif://www.onvif.org/name/Yard%20East" -> { name: "Yard East" }
+function parseScopes(scopes) {
+  const out = {};
+  for (const scope of (scopes || "").split(/\s+/)) {
+    const match = scope.match(/^onvif:\/\/www\.onvif\.org\/(name|hardware|location)\/(.+)$/);
+    if (match && !out[match[1]]) {
+      // A bad escape keeps the text as sent
+      try {
+        out[match[1]] = decodeURIComponent(match[2]);
+      } catch {
+        out[match[1]] = match[2];
+      }
+    }
+  }
+  return out;
+}
+
+// Hostname of a URL, null when it isn't one
+function urlHost(value) {
+  try {
+    return new URL(value).hostname.replace(/^\[(.*)\]$/, "$1");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * ProbeMatches in one discovery reply -> devices
+ */
+export function parseProbeMatches(xml, fromAddress = null) {
+  return xmlElements(xml, "ProbeMatch").map(({ inner }) => {
+    // Anything on the LAN can answer: addresses that aren't URLs are skipped
+    const xaddrs = (xmlText(inner, "XAddrs") || "").split(/\s+/).filter((url) => urlHost(url));
+    // A device may list several addresses; prefer the one that answered
+    const xaddr = xaddrs.find((url) => fromAddress && urlHost(url) === fromAddress) || xaddrs[0] || null;
+    const { name = null, hardware = null, location = null } = parseScopes(xmlText(inner, "Scopes"));
+
+    return {
+      endpoint: xmlText(inner, "Address"),
+      xaddr,
+      ip: xaddr ? urlHost(xaddr) : fromAddress,
+      name,
+      hardware,
+      location,
+    };
+  });
+}
+
+/**
+ * Send a WS-Discovery probe and collect the ONVIF cameras that answer
+ * within the timeout, one entry per device. The devices found are
+ * remembered for `userId` (see isDiscoveredXaddr).
+ * @returns {Promise<Array<{ endpoint, xaddr, ip, name, hardware, location }>>}
+ */
+export function discoverDevices(userId, { timeoutMs = cfg.onvif.discoveryTimeoutMs } = {}) {
+  const { discoveryAddress, discoveryPort } = cfg.onvif;
+  const messageId = `uuid:${crypto.randomUUID()}`;
+  const devices = new Map();
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+    let settled = false;
+    let timer = null;
+
+    // The socket closes once, on whichever comes first: the timeout or an error
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.close();
+
+      if (error) {
+        reject(new Error(`ONVIF discovery failed: ${error.message}`));
+        return;
+      }
+      log.info({ found: devices.size, discoveryAddress }, "📡 ONVIF discovery finished");
+      resolve([...devices.values()]);
+    };
+
+    socket.on("message", (message, rinfo) => {
+      let matches;
+      try {
+        const xml = message.toString("utf8");
+        // Replies to someone else's probe are ignored
+        const relatesTo = xmlText(xml, "RelatesTo");
+        if (relatesTo && relatesTo !== messageId) return;
+        matches = parseProbeMatches(xml, rinfo.address);
+      } catch (error) {
+        log.debug({ from: rinfo.address, error: error.message }, "Malformed discovery reply ignored");
+        return;
+      }
+
+      for (const device of matches) {
+        const key = device.endpoint || device.xaddr;
+        // Only devices at the address that answered: a reply can't send
+        // the backend (and the camera credentials) somewhere else
+        if (!key || !device.xaddr || device.ip !== rinfo.address) continue;
+        if (!devices.has(key)) {
+          devices.set(key, device);
+          rememberDiscovered(userId, device.xaddr);
+        }
+      }
+    });
+
+    socket.on("error", (error) => finish(error));
+
+    socket.bind(0, () => {
+      if (settled) return;
+      const probe = Buffer.from(probeMessage(messageId));
+      socket.send(probe, discoveryPort, discoveryAddress, (error) => {
+        if (error) finish(error);
+      });
+
+      timer = setTimeout(() => finish(), timeoutMs);
+    });
+  });
+}
+
+// -------------------------------------------------------------------
+// 🛡️ Address Checks
+// -------------------------------------------------------------------
+// The backend sends SOAP requests, with the camera's credentials, to these
+// addresses, so they aren't taken from the client as is: POST
+// /discover/profiles only queries devices the same user's recent discovery
+// found, a device's media / PTZ services must be on the device's own host,
+// and a camera's stored ONVIF addresses must be on its own ip.
+const DISCOVERED_TTL_MS = 10 * 60 * 1000;
+const ONVIF_ADDRESS_FIELDS = ["xaddr", "mediaXaddr", "ptzXaddr"];
+const ONVIF_TEXT_FIELDS = ["endpoint", "profileToken", "subProfileToken", "manufacturer", "model"];
+
+// userId -> xaddr -> when that user's discovery last found it
+const discovered = new Map();
+
+function rememberDiscovered(userId, xaddr, now = Date.now()) {
+  if (!discovered.has(userId)) discovered.set(userId, new Map());
+  discovered.get(userId).set(xaddr, now);
+
+  for (const [user, found] of discovered) {
+    for (const [known, seenAt] of found) {
+      if (now - seenAt >= DISCOVERED_TTL_MS) found.delete(known);
+    }
+    if (found.size === 0) discovered.delete(user);
+  }
+}
+
+export function isDiscoveredXaddr(userId, xaddr, now = Date.now()) {
+  const seenAt = discovered.get(userId)?.get(xaddr);
+  return seenAt !== undefined && now - seenAt < DISCOVERED_TTL_MS;
+}
+
+/**
+ * A service address a device reports (GetCapabilities) must be on the
+ * device's own host, or the device could send the credentials elsewhere.
+ * @throws {Error}
+ */
+export function assertServiceOnDevice(serviceXaddr, xaddr, service) {
+  const host = urlHost(serviceXaddr);
+  if (!host || host !== urlHost(xaddr)) {
+    throw new Error(`Device reported a ${service} service on another host (${serviceXaddr})`);
+  }
+}
+
+/**
+ * Validate a camera's `onvif` object (toCameraBody(), sent back by the
+ * client): service addresses must be http(s) URLs on the camera's `ip`.
+ * @returns {Object|null} the known fields only
+ * @throws {Error} with a user-facing message
+ */
+export function validateOnvifSettings(onvif, ip) {
+  if (onvif === null || onvif === undefined) return null;
+  if (typeof onvif !== "object" || Array.isArray(onvif)) {
+    throw new Error("onvif must be an object");
+  }
+
+  const clean = {};
+  for (const field of ONVIF_ADDRESS_FIELDS) {
+    const value = onvif[field] ?? null;
+    clean[field] = value;
+    if (value === null) continue;
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new Error(`onvif.${field} must be a URL`);
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new Error(`onvif.${field} must be an http or https URL`);
+    }
+    if (!ip || url.hostname.replace(/^\[(.*)\]$/, "$1") !== String(ip)) {
+      throw new Error(`onvif.${field} must be on the camera's ip (${ip || "not set"})`);
+    }
+  }
+  if (!clean.xaddr) {
+    throw new Error("onvif.xaddr is required");
+  }
+
+  for (const field of ONVIF_TEXT_FIELDS) {
+    const value = onvif[field] ?? null;
+    if (value !== null && typeof value !== "string") {
+      throw new Error(`onvif.${field} must be a string`);
+    }
+    clean[field] = value;
+  }
+  return clean;
+}
+
+// -------------------------------------------------------------------
+// 🎞️ Media Profiles
+// -------------------------------------------------------------------
+function parseProfiles(xml) {
+  return xmlElements(xml, "Profiles").map(({ attrs, inner }) => {
+    const [encoder] = xmlElements(inner, "VideoEncoderConfiguration");
+    const resolution = encoder && xmlElements(encoder.inner, "Resolution")[0];
+    const width = resolution ? Number(xmlText(resolution.inner, "Width")) : null;
+    const height = resolution ? Number(xmlText(resolution.inner, "Height")) : null;
+
+    return {
+      token: attrs.token,
+      name: xmlText(inner, "Name"),
+      encoding: encoder ? xmlText(encoder.inner, "Encoding") : null,
+      resolution: width && height ? { width, height } : null,
+      hasVideo: Boolean(encoder),
+    };
+  });
+}
+
+// "rtsp://192.168.1.20:554/Streaming/Channels/101?transportmode=unicast"
+//   -> { ip, port: 554, streamPath: "/Streaming/Channels/101?transportmode=unicast" }
+export function splitStreamUri(uri) {
+  const url = new URL(uri);
+  return {
+    ip: url.hostname,
+    port: Number(url.port || 554),
+    streamPath: `${url.pathname}${url.search}`,
+  };
+}
+
+/**
+ * Ask one device (with credentials) for its video profiles and RTSP URIs.
+ * Profiles are ordered largest resolution first: [0] is the main stream,
+ * [1] (when there is one) the sub stream.
+ */
+export async function getDeviceProfiles(xaddr, { username = null, password = null } = {}) {
+  const credentials = { username, password, clockOffsetMs: await deviceClockOffset(xaddr) };
+
+  const capabilities = await onvifRequest(
+    xaddr,
+    "GetCapabilities",
+    "<tds:GetCapabilities><tds:Category>All</tds:Category></tds:GetCapabilities>",
+    credentials
+  );
+  const serviceXaddr = (tag) => {
+    const [service] = xmlElements(capabilities, tag);
+    return service ? xmlText(service.inner, "XAddr") : null;
+  };
+  const mediaXaddr = serviceXaddr("Media");
+  if (!mediaXaddr) {
+    throw new Error("Device has no ONVIF media service");
+  }
+  assertServiceOnDevice(mediaXaddr, xaddr, "media");
+  const ptzXaddr = serviceXaddr("PTZ");
+  if (ptzXaddr) assertServiceOnDevice(ptzXaddr, xaddr, "PTZ");
+
+  let info = {};
+  try {
+    const xml = await onvifRequest(xaddr, "GetDeviceInformation", "<tds:GetDeviceInformation/>", credentials);
+    info = {
+      manufacturer: xmlText(xml, "Manufacturer"),
+      model: xmlText(xml, "Model"),
+      serialNumber: xmlText(xml, "SerialNumber"),
+      firmwareVersion: xmlText(xml, "FirmwareVersion"),
+    };
+  } catch (error) {
+    // Optional - some devices restrict it
+    log.debug({ xaddr, error: error.message }, "GetDeviceInformation failed");
+  }
+
+  const profilesXml = await onvifRequest(mediaXaddr, "GetProfiles", "<trt:GetProfiles/>", credentials);
+  const profiles = parseProfiles(profilesXml).filter((profile) => profile.token && profile.hasVideo);
+
+  for (const profile of profiles) {
+    const xml = await onvifRequest(
+      mediaXaddr,
+      "GetStreamUri",
+      `<trt:GetStreamUri>
+<trt:StreamSetup><tt:Stream>RTP-Unicast</tt:Stream><tt:Transport><tt:Protocol>RTSP</tt:Protocol></tt:Transport></trt:StreamSetup>
+<trt:ProfileToken>${escapeXml(profile.token)}</trt:ProfileToken>
+</trt:GetStreamUri>`,
+      credentials
+    );
+    profile.streamUri = xmlText(xml, "Uri");
+    delete profile.hasVideo;
+  }
+
+  const area = (profile) => (profile.resolution ? profile.resolution.width * profile.resolution.height : 0);
+  profiles.sort((a, b) => area(b) - area(a));
+
+  return {
+    ...info,
+    xaddr,
+    mediaXaddr,
+    ptzXaddr,
+    profiles: profiles.filter((profile) => profile.streamUri),
+  };
+}
+
+// -------------------------------------------------------------------
+// 🧾 Camera Body for POST /api/cameras
+// -------------------------------------------------------------------
+/**
+ * Turn a discovered device (and its profiles, when credentials were given)
+ * into the body POST /api/cameras takes. Without profiles the stream path
+ * is left for the user to fill in.
+ */
+export function toCameraBody(device, details = null, { username = null, password = null } = {}) {
+  const [main, sub] = details?.profiles || [];
+  const mainStream = main ? splitStreamUri(main.streamUri) : null;
+  const model = [details?.manufacturer, details?.model].filter(Boolean).join(" ");
+
+  return {
+    name: device.name || model || device.ip,
+    location: device.location || null,
+    ip: mainStream?.ip || device.ip,
+    port: mainStream?.port || null,
+    username,
+    password,
+    streamPath: mainStream?.streamPath || null,
+    subStreamPath: sub ? splitStreamUri(sub.streamUri).streamPath : null,
+    resolution: main?.resolution || null,
+    subResolution: sub?.resolution || null,
+    onvif: {
+      xaddr: device.xaddr,
+      endpoint: device.endpoint || null,
+      mediaXaddr: details?.mediaXaddr || null,
+      ptzXaddr: details?.ptzXaddr || null,
+      profileToken: main?.token || null,
+      subProfileToken: sub?.token || null,
+      manufacturer: details?.manufacturer || null,
+      model: details?.model || null,
+    },
+  };
+}
+
+/**
+ * Discover cameras and, when credentials are given, query each for its
+ * streams. One device failing (wrong password, no media service) doesn't
+ * fail the scan - its entry carries `error` instead of stream details.
+ */
+export async function scanCameras(userId, { username = null, password = null, timeoutMs } = {}) {
+  const devices = await discoverDevices(userId, { timeoutMs });
+
+  return Promise.all(
+    devices.map(async (device) => {
+      if (!username) {
+        return { device, configured: false, camera: toCameraBody(device) };
+      }
+      try {
+        const details = await getDeviceProfiles(device.xaddr, { username, password });
+        return {
+          device,
+          configured: details.profiles.length > 0,
+          profiles: details.profiles,
+          camera: toCameraBody(device, details, { username, password }),
+        };
+      } catch (error) {
+        log.warn({ xaddr: device.xaddr, error: error.message }, "⚠️ ONVIF device query failed");
+        return { device, configured: false, error: error.message, camera: toCameraBody(device) };
+      }
+    })
+  );
+}
@@ -0,0 +1,303 @@
+import pino from "pino";
+import { cfg } from "../config.js";
+import {
+  onvifRequest,
+  deviceClockOffset,
+  assertServiceOnDevice,
+  escapeXml,
+  xmlElements,
+  xmlText,
+} from "./onvif.js";
+import { expectViewChange } from "./cameraHealth.js";
+import { resetMotionBackground } from "./motionGate.js";
+
+const log = pino({ name: "ptz" });
+
+// -------------------------------------------------------------------
+// 🎯 PTZ (ONVIF)
+// -------------------------------------------------------------------
+// Pan / tilt / zoom and presets for cameras added through ONVIF discovery
+// (they carry `onvif.xaddr` and `onvif.profileToken`). Stored on the camera
+// as `ptzSettings`:
+//
+// {
+//   onDetection: "preset",    // "none" | "preset" | "zoom" (toward the box)
+//   presetToken: "2",         // where "preset" moves to
+//   homePresetToken: "1",     // back here once the incident clears ("zoom" needs it)
+// }
+//
+// Every move tells the camera-health check and the motion gate that the
+// view changes on purpose. Zones are drawn on the home view, so they are
+// not applied while a detection has the camera moved (isAutoMoved).
+
+export const PTZ_DETECTION_ACTIONS = ["none", "preset", "zoom"];
+export const PTZ_MOVE_MODES = ["continuous", "relative"];
+
+const PTZ_SETTING_NAMES = ["onDetection", "presetToken", "homePresetToken"];
+
+// device service xaddr -> { ptzXaddr, clockOffsetMs }
+const targets = new Map();
+// Cameras moved by a detection, to return home when it clears
+const autoMoved = new Set();
+
+// -------------------------------------------------------------------
+// ✅ Settings Validation
+// -------------------------------------------------------------------
+/**
+ * Validate a camera's ptzSettings from the API (null = no automatic moves)
+ * @throws {Error} with a user-facing message
+ */
+export function validatePtzSettings(settings) {
+  if (settings === null) return null;
+  if (typeof settings !== "object" || Array.isArray(settings)) {
+    throw new Error("ptzSettings must be an object");
+  }
+
+  for (const name of Object.keys(settings)) {
+    if (!PTZ_SETTING_NAMES.includes(name)) {
+      throw new Error(`Unknown setting "${name}" in ptzSettings`);
+    }
+  }
+
+  const { onDetection = "none", presetToken = null, homePresetToken = null } = settings;
+  if (!PTZ_DETECTION_ACTIONS.includes(onDetection)) {
+    throw new Error(`ptzSettings.onDetection must be one of: ${PTZ_DETECTION_ACTIONS.join(", ")}`);
+  }
+  for (const [name, token] of Object.entries({ presetToken, homePresetToken })) {
+    if (token !== null && (typeof token !== "string" || token.length === 0 || token.length > 64)) {
+      throw new Error(`ptzSettings.${name} must be a preset token`);
+    }
+  }
+  if (onDetection === "preset" && !presetToken) {
+    throw new Error('ptzSettings.presetToken is required when onDetection is "preset"');
+  }
+  // A relative zoom can't be undone reliably, so the camera needs a preset to go back to
+  if (onDetection === "zoom" && !homePresetToken) {
+    throw new Error('ptzSettings.homePresetToken is required when onDetection is "zoom"');
+  }
+
+  return { onDetection, presetToken, homePresetToken };
+}
+
+/**
+ * Why PTZ can't be used on this camera at all, or null
+ */
+export function ptzConfigError(camera) {
+  if (!camera.onvif?.xaddr || !camera.onvif?.profileToken) {
+    return "Camera was not added through ONVIF discovery - no PTZ profile";
+  }
+  return null;
+}
+
+// -------------------------------------------------------------------
+// 🔌 Device Calls
+// -------------------------------------------------------------------
+async function ptzTarget(camera) {
+  const configError = ptzConfigError(camera);
+  if (configError) throw new Error(configError);
+
+  const { xaddr, ptzXaddr, profileToken } = camera.onvif;
+  let target = targets.get(xaddr);
+
+  if (!target) {
+    const clockOffsetMs = await deviceClockOffset(xaddr);
+    let service = ptzXaddr || null;
+
+    // Cameras added before PTZ support didn't store the PTZ service address
+    if (!service) {
+      const capabilities = await onvifRequest(
+        xaddr,
+        "GetCapabilities",
+        "<tds:GetCapabilities><tds:Category>PTZ</tds:Category></tds:GetCapabilities>",
+        { username: camera.username, password: camera.password, clockOffsetMs }
+      );
+      const [ptz] = xmlElements(capabilities, "PTZ");
+      service = ptz ? xmlText(ptz.inner, "XAddr") : null;
+      if (service) assertServiceOnDevice(service, xaddr, "PTZ");
+    }
+
+    target = { ptzXaddr: service, clockOffsetMs };
+    targets.set(xaddr, target);
+  }
+
+  if (!target.ptzXaddr) {
+    throw new Error("Camera has no ONVIF PTZ service");
+  }
+
+  return {
+    url: target.ptzXaddr,
+    profile: `<tptz:ProfileToken>${escapeXml(profileToken)}</tptz:ProfileToken>`,
+    credentials: { username: camera.username, password: camera.password, clockOffsetMs: target.clockOffsetMs },
+  };
+}
+
+async function ptzCall(camera, action, inner) {
+  const { url, profile, credentials } = await ptzTarget(camera);
+  return onvifRequest(url, action, `<tptz:${action}>${profile}${inner}</tptz:${action}>`, credentials);
+}
+
+function viewChanging(cameraId) {
+  expectViewChange(cameraId);
+  resetMotionBackground(cameraId);
+}
+
+const clampUnit = (value) => Math.max(-1, Math.min(1, Number(value) || 0)).toFixed(3);
+
+function vector({ pan = 0, tilt = 0, zoom = 0 }) {
+  return `<tt:PanTilt x="${clampUnit(pan)}" y="${clampUnit(tilt)}"/><tt:Zoom x="${clampUnit(zoom)}"/>`;
+}
+
+// -------------------------------------------------------------------
+// 🕹️ Moves
+// -------------------------------------------------------------------
+/**
+ * Move at a speed (-1..1 per axis) until stopMove() or `timeoutMs` passes
+ */
+export async function continuousMove(camera, speeds, timeoutMs = cfg.ptz.moveTimeoutMs) {
+  viewChanging(camera.id);
+  await ptzCall(
+    camera,
+    "ContinuousMove",
+    `<tptz:Velocity>${vector(speeds)}</tptz:Velocity><tptz:Timeout>PT${(timeoutMs / 1000).toFixed(1)}S</tptz:Timeout>`
+  );
+}
+
+/**
+ * Move by a step (-1..1 of the camera's range per axis)
+ */
+export async function relativeMove(camera, steps) {
+  viewChanging(camera.id);
+  await ptzCall(camera, "RelativeMove", `<tptz:Translation>${vector(steps)}</tptz:Translation>`);
+}
+
+export async function stopMove(camera) {
+  viewChanging(camera.id);
+  await ptzCall(camera, "Stop", "<tptz:PanTilt>true</tptz:PanTilt><tptz:Zoom>true</tptz:Zoom>");
+}
+
+/**
+ * Centre on a detection box and zoom in when it's small
+ * @param {number[]} normalized - [x1, y1, x2, y2], 0-1 of the frame
+ */
+export async function zoomTowardBox(camera, normalized) {
+  const [x1, y1, x2, y2] = normalized;
+  const { boxPanScale, boxTiltScale, boxZoomStep } = cfg.ptz;
+
+  await relativeMove(camera, {
+    pan: ((x1 + x2) / 2 - 0.5) * 2 * boxPanScale,
+    // Tilt is positive up, image y positive down
+    tilt: (0.5 - (y1 + y2) / 2) * 2 * boxTiltScale,
+    zoom: Math.max(x2 - x1, y2 - y1) < 0.5 ? boxZoomStep : 0,
+  });
+}
+
+// -------------------------------------------------------------------
+// 📍 Presets
+// -------------------------------------------------------------------
+export async function listPresets(camera) {
+  const xml = await ptzCall(camera, "GetPresets", "");
+  return xmlElements(xml, "Preset").map(({ attrs, inner }) => ({
+    token: attrs.token,
+    name: xmlText(inner, "Name") || attrs.token,
+  }));
+}
+
+export async function gotoPreset(camera, token) {
+  viewChanging(camera.id);
+  await ptzCall(camera, "GotoPreset", `<tptz:PresetToken>${escapeXml(token)}</tptz:PresetToken>`);
+}
+
+/**
+ * Save the current position as a preset; returns its token
+ */
+export async function setPreset(camera, name) {
+  const xml = await ptzCall(camera, "SetPreset", `<tptz:PresetName>${escapeXml(name)}</tptz:PresetName>`);
+  return xmlText(xml, "PresetToken");
+}
+
+export async function removePreset(camera, token) {
+  await ptzCall(camera, "RemovePreset", `<tptz:PresetToken>${escapeXml(token)}</tptz:PresetToken>`);
+}
+
+// -------------------------------------------------------------------
+// 🚨 Detection Moves
+// -------------------------------------------------------------------
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * On a new incident, move for a better alert frame as the camera's
+ * ptzSettings say, then wait for the view to settle (the move and the wait
+ * together take at most PTZ_SETTLE_MS). Never throws - a PTZ failure must
+ * not stop the alert.
+ * @param {Object[]} boxes - the confirmed frame's boxes, best first
+ * @returns {Promise<boolean>} whether the camera is now on the new view
+ */
+export async function moveForDetection(camera, aiType, boxes = []) {
+  const { onDetection = "none", presetToken = null } = camera.ptzSettings || {};
+  if (onDetection === "none" || ptzConfigError(camera)) return false;
+  if (onDetection === "zoom" && boxes.length === 0) return false;
+
+  const { settleMs, alertFrameDelayMs } = cfg.ptz;
+  const startedAt = Date.now();
+  let timer;
+
+  try {
+    const move =
+      onDetection === "preset"
+        ? gotoPreset(camera, presetToken)
+        : zoomTowardBox(camera, boxes[0].normalized);
+
+    const answered = await Promise.race([
+      move.then(() => true),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(false), settleMs);
+      }),
+    ]);
+    // Without an answer the camera may still be moving: treat it as moved
+    autoMoved.add(camera.id);
+    if (!answered) {
+      log.warn({ cameraId: camera.id, aiType, settleMs }, "⚠️ PTZ move for detection unanswered - alerting from the old view");
+      return false;
+    }
+
+    await sleep(Math.min(alertFrameDelayMs, Math.max(0, settleMs - (Date.now() - startedAt))));
+
+    log.info({ userId: camera.userId, cameraId: camera.id, aiType, onDetection, presetToken }, "🎯 PTZ moved for detection");
+    return true;
+  } catch (error) {
+    log.warn({ cameraId: camera.id, aiType, error: error.message }, "⚠️ PTZ move for detection failed");
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Whether a detection has the camera away from its home view
+ */
+export function isAutoMoved(cameraId) {
+  return autoMoved.has(cameraId);
+}
+
+/**
+ * Back to the home preset once every incident on a camera we moved has
+ * cleared. Never throws.
+ */
+export async function returnHome(camera) {
+  if (!autoMoved.has(camera.id)) return;
+  autoMoved.delete(camera.id);
+
+  const homePresetToken = camera.ptzSettings?.homePresetToken;
+  if (!homePresetToken) return;
+
+  try {
+    await gotoPreset(camera, homePresetToken);
+    log.info({ userId: camera.userId, cameraId: camera.id, homePresetToken }, "🏠 PTZ returned home");
+  } catch (error) {
+    log.warn({ cameraId: camera.id, error: error.message }, "⚠️ PTZ return home failed");
+  }
+}
+
+export function forgetPtz(cameraId) {
+  autoMoved.delete(cameraId);
+}
@@ -0,0 +1,224 @@
+import { randomUUID } from "node:crypto";
+import pino from "pino";
+
+const log = pino({ name: "schedule-service" });
+
+// -------------------------------------------------------------------
+// 📅 Camera Detection Schedules
+// -------------------------------------------------------------------
+// A schedule is stored on the camera record as `schedule`:
+//
+// {
+//   enabled: true,
+//   timezone: "America/New_York",
+//   windows: [
+//     // Armed Mon-Fri 18:00 -> 08:00 next morning (start > end crosses midnight)
+//     { days: [1, 2, 3, 4, 5], start: "18:00", end: "08:00" },
+//   ],
+//   overrides: [
+//     // Whole local day (holiday)
+//     { id, date: "2025-12-25", armed: true, label: "Christmas" },
+//     // One-off absolute range
+//     { id, start: "2025-11-01T09:00:00Z", end: "2025-11-01T17:00:00Z", armed: false, label: "Maintenance" },
+//   ],
+// }
+//
+// days use 0 = Sunday ... 6 = Saturday. Overrides win over weekly windows;
+// when several match, the first one listed wins.
+// A camera with no schedule (or enabled: false) is always armed while isActive.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Local weekday, minute-of-day and YYYY-MM-DD date for an instant in a timezone
+ */
+function getLocalTime(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+// -------------------------------------------------------------------
+// ✅ Validation
+// -------------------------------------------------------------------
+/**
+ * Validate and normalize an override entry. Throws with a user-facing message.
+ */
+export function validateOverride(override) {
+  if (!override || typeof override !== "object") {
+    throw new Error("override must be an object");
+  }
+
+  if (typeof override.armed !== "boolean") {
+    throw new Error("override.armed must be true or false");
+  }
+
+  const normalized = {
+    id: override.id || randomUUID(),
+    armed: override.armed,
+    label: override.label ? String(override.label) : null,
+  };
+
+  if (override.date !== undefined) {
+    if (!DATE_PATTERN.test(override.date) || isNaN(Date.parse(override.date))) {
+      throw new Error("override.date must be YYYY-MM-DD");
+    }
+    normalized.date = override.date;
+    return normalized;
+  }
+
+  const start = new Date(override.start);
+  const end = new Date(override.end);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new Error("override needs either date or ISO start and end");
+  }
+  if (start >= end) {
+    throw new Error("override.start must be before override.end");
+  }
+
+  normalized.start = start.toISOString();
+  normalized.end = end.toISOString();
+  return normalized;
+}
+
+/**
+ * Validate and normalize a full schedule. Throws with a user-facing message.
+ */
+export function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== "object") {
+    throw new Error("schedule must be an object");
+  }
+
+  const timezone = schedule.timezone || "UTC";
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+
+  const windows = schedule.windows || [];
+  if (!Array.isArray(windows)) {
+    throw new Error("windows must be an array");
+  }
+
+  const normalizedWindows = windows.map((window, i) => {
+    const days = window?.days;
+    if (
+      !Array.isArray(days) ||
+      days.length === 0 ||
+      !days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+    ) {
+      throw new Error(`windows[${i}].days must be a non-empty array of 0-6 (0 = Sunday)`);
+    }
+    if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      throw new Error(`windows[${i}] start and end must be HH:MM`);
+    }
+    if (window.start === window.end) {
+      throw new Error(`windows[${i}] start and end must differ`);
+    }
+    return {
+      days: [...new Set(days)].sort((a, b) => a - b),
+      start: window.start,
+      end: window.end,
+    };
+  });
+
+  const overrides = schedule.overrides || [];
+  if (!Array.isArray(overrides)) {
+    throw new Error("overrides must be an array");
+  }
+
+  return {
+    enabled: schedule.enabled !== false,
+    timezone,
+    windows: normalizedWindows,
+    overrides: overrides.map(validateOverride),
+  };
+}
+
+// -------------------------------------------------------------------
+// ⏰ Arming Evaluation
+// -------------------------------------------------------------------
+function findOverride(schedule, now, local) {
+  return (schedule.overrides || []).find((override) => {
+    if (override.date) {
+      return override.date === local.date;
+    }
+    return now >= new Date(override.start) && now < new Date(override.end);
+  });
+}
+
+function isInWindow(window, local) {
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  if (start < end) {
+    return window.days.includes(local.day) && local.minutes >= start && local.minutes < end;
+  }
+
+  // Overnight window: the part after midnight belongs to the previous day's entry
+  const previousDay = (local.day + 6) % 7;
+  return (
+    (window.days.includes(local.day) && local.minutes >= start) ||
+    (window.days.includes(previousDay) && local.minutes < end)
+  );
+}
+
+/**
+ * Whether the schedule arms the camera at the given instant
+ * @returns {{armed: boolean, reason: string}}
+ */
+export function evaluateSchedule(schedule, now = new Date()) {
+  if (!schedule || schedule.enabled === false) {
+    return { armed: true, reason: "no_schedule" };
+  }
+
+  let local;
+  try {
+    local = getLocalTime(now, schedule.timezone || "UTC");
+  } catch (error) {
+    // A bad stored timezone must never silently disarm a camera
+    log.error({ timezone: schedule.timezone, error: error.message }, "❌ Invalid schedule timezone - camera stays armed");
+    return { armed: true, reason: "invalid_schedule" };
+  }
+
+  const override = findOverride(schedule, now, local);
+  if (override) {
+    return { armed: override.armed, reason: "override" };
+  }
+
+  const armed = (schedule.windows || []).some((window) => isInWindow(window, local));
+  return { armed, reason: armed ? "window" : "outside_window" };
+}
+
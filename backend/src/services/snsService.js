@@ -4,6 +4,7 @@ import {
   ListSubscriptionsByTopicCommand,
 } from "@aws-sdk/client-sns";
 import pino from "pino";
+import { alertWording, DEFAULT_AI_TYPE } from "./detectors/index.js";
 
 const log = pino({ name: "sns-service" });
 
@@ -26,6 +27,15 @@ const SNS_TOPIC_ARN = process.env.SNS_TOPIC_ARN;
 // This sets up SNS filtering so each user only receives alerts
 // for their own userId (from MessageAttributes)
 
+// One line per box, pixels of the original frame: "- Fire 0.87 at [12, 40, 220, 310]"
+function formatBoxes(boxes = []) {
+  if (boxes.length === 0) return "none";
+  return boxes
+    .map(({ label, score, bbox }) =>
+      `- ${label} ${score.toFixed(2)} at [${bbox.map(Math.round).join(", ")}]`)
+    .join("\n  ");
+}
+
 // -------------------------------------------------------------------
 // 🔥 Send Fire Alert to User's Email (with filtering)
 // -------------------------------------------------------------------
@@ -34,24 +44,15 @@ export async function sendFireAlert(
   cameraId,
   cameraName,
   detectionResult,
-  imageUrl = null
+  imageUrl = null,
+  location = null
 ) {
   try {
     // ✅ User is pre-subscribed via standalone script
     // ✅ SNS filtering ensures only the target userId receives the notification
 
-    // Determine Alert Type and Emoji
-    const type = detectionResult.detectionType || "FIRE";
-    let emoji = "🔥";
-    let title = "Fire Alert";
-
-    if (type === "WEAPON") {
-      emoji = "🔫";
-      title = "Weapon Alert";
-    } else if (type === "THEFT") {
-      emoji = "🕵️";
-      title = "Theft Detection Alert";
-    }
+    const type = detectionResult.detectionType || DEFAULT_AI_TYPE;
+    const { emoji, title } = alertWording(type);
 
     const message = `
   ${emoji} ${title} from ${cameraName} (${cameraId})!
@@ -59,13 +60,15 @@ export async function sendFireAlert(
   Detection Details:
   - Type: ${type}
   - Camera: ${cameraName}
+  ${location ? `- Location: ${location}` : ""}
   - Confidence: ${detectionResult.confidence?.toFixed(2) || "N/A"}
   - Timestamp: ${new Date().toISOString()}
+  ${detectionResult.issue ? `- Issue: ${detectionResult.issue}` : ""}
 
   ${imageUrl ? `Image: ${imageUrl}` : ""}
 
   Detection Boxes:
-  ${JSON.stringify(detectionResult.boxes || [], null, 2)}
+  ${formatBoxes(detectionResult.boxes)}
       `.trim();
 
     const command = new PublishCommand({
@@ -108,6 +111,139 @@ export async function sendFireAlert(
   }
 }
 
+// -------------------------------------------------------------------
+// 📣 Send Escalation (second notification tier)
+// -------------------------------------------------------------------
+/**
+ * Re-notify about an alert nobody acknowledged. Goes to the escalation
+ * topic (supervisors, on-call) when configured, else the primary topic.
+ */
+export async function sendEscalationAlert(userId, alert, topicArn = null) {
+  try {
+    const message = `
+  🚨 UNACKNOWLEDGED ${alert.aiType} ALERT from ${alert.cameraName} (${alert.cameraId})
+
+  Nobody has acknowledged this alert since ${alert.createdAt}.
+
+  Alert Details:
+  - Alert ID: ${alert.alertId}
+  - Type: ${alert.aiType}
+  - Camera: ${alert.cameraName}
+  ${alert.location ? `- Location: ${alert.location}` : ""}
+  - Confidence: ${alert.confidence?.toFixed(2) || "N/A"}
+  - Detections since opened: ${alert.occurrences || 1}
+
+  ${alert.imageUrl ? `Image: ${alert.imageUrl}` : ""}
+      `.trim();
+
+    const command = new PublishCommand({
+      TopicArn: topicArn || SNS_TOPIC_ARN,
+      Subject: `🚨 ESCALATED: ${alert.aiType} Alert - ${alert.cameraName}`,
+      Message: message,
+      MessageAttributes: {
+        userId: {
+          DataType: "String",
+          StringValue: userId,
+        },
+        cameraId: {
+          DataType: "String",
+          StringValue: String(alert.cameraId),
+        },
+        tier: {
+          DataType: "String",
+          StringValue: "2",
+        },
+      },
+    });
+
+    const result = await snsClient.send(command);
+    log.info(
+      { userId, alertId: alert.alertId, messageId: result.MessageId },
+      "✅ SNS escalation sent"
+    );
+
+    return result;
+  } catch (error) {
+    log.error(
+      { userId, alertId: alert.alertId, error: error.message },
+      "❌ Failed to send SNS escalation"
+    );
+    throw error;
+  }
+}
+
+// -------------------------------------------------------------------
+// 🔁 Send Incident Update (still ongoing / cleared)
+// -------------------------------------------------------------------
+/**
+ * @param {Object} alert - Alert (or incident summary) for the camera
+ * @param {string} event - "ongoing" (re-notify reminder) | "cleared"
+ */
+export async function sendIncidentNotice(userId, alert, event) {
+  const cleared = event === "cleared";
+
+  try {
+    const message = cleared
+      ? `
+  ✅ ${alert.aiType} incident on ${alert.cameraName} (${alert.cameraId}) has cleared.
+
+  The camera has had no detection since ${alert.lastSeenAt}.
+
+  Incident Details:
+  - Type: ${alert.aiType}
+  - Camera: ${alert.cameraName}
+  ${alert.location ? `- Location: ${alert.location}` : ""}
+  - Started: ${alert.createdAt}
+  - Detections: ${alert.occurrences || 1}
+  ${alert.alertId ? `- Alert ID: ${alert.alertId} (status: ${alert.status})` : ""}
+      `.trim()
+      : `
+  🔁 ${alert.aiType} incident on ${alert.cameraName} (${alert.cameraId}) is STILL ACTIVE.
+
+  Incident Details:
+  - Alert ID: ${alert.alertId}
+  - Type: ${alert.aiType}
+  - Camera: ${alert.cameraName}
+  ${alert.location ? `- Location: ${alert.location}` : ""}
+  - Started: ${alert.createdAt}
+  - Detections since opened: ${alert.occurrences || 1}
+  - Status: ${alert.status}
+
+  ${alert.imageUrl ? `Latest image: ${alert.imageUrl}` : ""}
+      `.trim();
+
+    const command = new PublishCommand({
+      TopicArn: SNS_TOPIC_ARN,
+      Subject: `${cleared ? "✅ CLEARED" : "🔁 STILL ACTIVE"}: ${alert.aiType} - ${alert.cameraName}`,
+      Message: message,
+      MessageAttributes: {
+        userId: {
+          DataType: "String",
+          StringValue: userId,
+        },
+        cameraId: {
+          DataType: "String",
+          StringValue: String(alert.cameraId),
+        },
+      },
+    });
+
+    const result = await snsClient.send(command);
+    log.info(
+      { userId, cameraId: alert.cameraId, event, messageId: result.MessageId },
+      "✅ SNS incident update sent"
+    );
+
+    return result;
+  } catch (error) {
+    log.error(
+      { userId, cameraId: alert.cameraId, event, error: error.message },
+      "❌ Failed to send SNS incident update"
+    );
+    throw error;
+  }
+}
+
 // -------------------------------------------------------------------
 // 📋 List Current Subscriptions (for debugging)
 // -------------------------------------------------------------------
@@ -1,6 +1,7 @@
 import { spawn } from "node:child_process";
 import pino from "pino";
 import { cfg } from "../config.js";
+import { cameraPathName } from "./mediamtxConfigGenerator.js";
 
 const log = pino({ name: "stream-manager" });
 const activeStreams = new Map();
@@ -27,8 +28,7 @@ export async function startCameraStream(camera) {
     const sourceUrl = buildSourceUrl(camera);
 
     // Build MediaMTX destination - use different path to avoid conflict with MediaMTX source
-    const streamName =
-      camera.streamName || camera.name.replace(/\s+/g, "_").toLowerCase();
+    const streamName = cameraPathName(camera);
     const destUrl = `rtsp://localhost:8554/${streamName}-fire`; // Add -fire suffix to avoid conflict
 
     log.info(
@@ -0,0 +1,155 @@
+import { randomUUID } from "node:crypto";
+import { cfg } from "../config.js";
+
+// -------------------------------------------------------------------
+// 🔷 Camera Detection Zones
+// -------------------------------------------------------------------
+// Zones are stored on the camera record as `zones`:
+//
+// [
+//   // Only alert on boxes inside the loading bay
+//   { id, name: "Loading bay", type: "include", points: [[0.1, 0.4], [0.9, 0.4], [0.9, 1], [0.1, 1]] },
+//   // Ignore the sunset window
+//   { id, name: "West window", type: "exclude", points: [[0.7, 0], [1, 0], [1, 0.3], [0.7, 0.3]] },
+// ]
+//
+// Points are normalized (0-1, origin top-left) so zones survive resolution
+// changes. A box is dropped when at least `ZONE_MIN_OVERLAP` of its area is
+// inside an exclude zone, or - when the camera has include zones - when less
+// than that is inside every include zone. No zones = the whole frame counts.
+
+export const ZONE_TYPES = ["include", "exclude"];
+
+const MIN_POINTS = 3;
+const MAX_POINTS = 64;
+const MAX_ZONES = 32;
+
+/**
+ * Validate and normalize a camera's zone list. Throws with a user-facing message.
+ */
+export function validateZones(zones) {
+  if (!Array.isArray(zones)) {
+    throw new Error("zones must be an array");
+  }
+  if (zones.length > MAX_ZONES) {
+    throw new Error(`A camera can have at most ${MAX_ZONES} zones`);
+  }
+
+  return zones.map((zone, i) => {
+    if (!zone || typeof zone !== "object") {
+      throw new Error(`zones[${i}] must be an object`);
+    }
+    if (!ZONE_TYPES.includes(zone.type)) {
+      throw new Error(`zones[${i}].type must be one of: ${ZONE_TYPES.join(", ")}`);
+    }
+
+    const points = zone.points;
+    if (!Array.isArray(points) || points.length < MIN_POINTS || points.length > MAX_POINTS) {
+      throw new Error(`zones[${i}].points must have ${MIN_POINTS}-${MAX_POINTS} points`);
+    }
+    const valid = points.every(
+      (p) =>
+        Array.isArray(p) &&
+        p.length === 2 &&
+        p.every((v) => typeof v === "number" && v >= 0 && v <= 1)
+    );
+    if (!valid) {
+      throw new Error(`zones[${i}].points must be [x, y] pairs between 0 and 1`);
+    }
+    if (polygonArea(points) === 0) {
+      throw new Error(`zones[${i}] has no area`);
+    }
+
+    return {
+      id: zone.id || randomUUID(),
+      name: zone.name ? String(zone.name) : `Zone ${i + 1}`,
+      type: zone.type,
+      points: points.map(([x, y]) => [x, y]),
+    };
+  });
+}
+
+// -------------------------------------------------------------------
+// 📐 Geometry
+// -------------------------------------------------------------------
+function polygonArea(points) {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * Clip a polygon to one side of an axis-aligned line (Sutherland-Hodgman step)
+ */
+function clipEdge(points, inside, intersect) {
+  const out = [];
+  for (let i = 0; i < points.length; i++) {
+    const current = points[i];
+    const previous = points[(i + points.length - 1) % points.length];
+
+    if (inside(current)) {
+      if (!inside(previous)) out.push(intersect(previous, current));
+      out.push(current);
+    } else if (inside(previous)) {
+      out.push(intersect(previous, current));
+    }
+  }
+  return out;
+}
+
+/**
+ * Area of a polygon inside the rectangle [x1, y1, x2, y2]
+ */
+function areaInsideRect(points, [x1, y1, x2, y2]) {
+  const atX = (x) => (a, b) => [x, a[1] + ((b[1] - a[1]) * (x - a[0])) / (b[0] - a[0])];
+  const atY = (y) => (a, b) => [a[0] + ((b[0] - a[0]) * (y - a[1])) / (b[1] - a[1]), y];
+
+  let clipped = points;
+  clipped = clipEdge(clipped, (p) => p[0] >= x1, atX(x1));
+  clipped = clipEdge(clipped, (p) => p[0] <= x2, atX(x2));
+  clipped = clipEdge(clipped, (p) => p[1] >= y1, atY(y1));
+  clipped = clipEdge(clipped, (p) => p[1] <= y2, atY(y2));
+
+  return clipped.length >= 3 ? polygonArea(clipped) : 0;
+}
+
+/**
+ * Fraction (0-1) of a normalized box's area inside a zone
+ */
+export function zoneOverlap(box, zone) {
+  const [x1, y1, x2, y2] = box;
+  const boxArea = (x2 - x1) * (y2 - y1);
+  if (boxArea <= 0) return 0;
+  return Math.min(1, areaInsideRect(zone.points, box) / boxArea);
+}
+
+// -------------------------------------------------------------------
+// 🔍 Filter Detection Boxes
+// -------------------------------------------------------------------
+/**
+ * Drop boxes outside the camera's include zones or inside an exclude zone.
+ * @param {DetectionBox[]} boxes - see detectionResult.js
+ * @returns {{ boxes: DetectionBox[], dropped: number }}
+ */
+export function filterBoxesByZones(boxes, zones) {
+  if (!zones?.length || boxes.length === 0) {
+    return { boxes, dropped: 0 };
+  }
+
+  const minOverlap = cfg.zones.minOverlap;
+  const includes = zones.filter((z) => z.type === "include");
+  const excludes = zones.filter((z) => z.type === "exclude");
+
+  const kept = boxes.filter(({ normalized }) => {
+    if (excludes.some((zone) => zoneOverlap(normalized, zone) >= minOverlap)) {
+      return false;
+    }
+    return includes.length === 0 || includes.some((zone) => zoneOverlap(normalized, zone) >= minOverlap);
+  });
+
+  return { boxes: kept, dropped: boxes.length - kept.length };
+}
@@ -1,11 +1,14 @@
 import React, { useState } from "react";
 import { useCameras } from "../store/cameras.jsx";
+import OnvifScanPanel from "./OnvifScanPanel.jsx";
+import LocationSelect from "./LocationSelect.jsx";
 
 export default function AddCameraDialog({ onClose }) {
   const { addCamera } = useCameras();
   const [form, setForm] = useState({
     name: "",
     location: "",
+    locationId: null,
     ip: "",
     port: "",
     username: "",
@@ -14,6 +17,10 @@ export default function AddCameraDialog({ onClose }) {
     streamType: "WEBRTC",
     streamPath: "/live",
     hlsUrl: "",
+    // Filled in by an ONVIF scan
+    subStreamPath: null,
+    resolution: null,
+    onvif: null,
     // webrtcBase and streamName are now auto-populated by the backend
     // webrtcBase:
     //   import.meta.env.VITE_MEDIAMTX_GATEWAY_BASE || "http://127.0.0.1:8889",
@@ -24,6 +31,20 @@ export default function AddCameraDialog({ onClose }) {
 
   const onChange = (k, v) => setForm((s) => ({ ...s, [k]: v }));
 
+  // A discovered camera replaces the connection fields; typed credentials stay
+  const onDiscovered = (camera) =>
+    setForm((s) => ({
+      ...s,
+      name: s.name || camera.name,
+      location: s.location || camera.location || "",
+      ip: camera.ip,
+      port: camera.port ? String(camera.port) : s.port,
+      streamPath: camera.streamPath || s.streamPath,
+      subStreamPath: camera.subStreamPath,
+      resolution: camera.resolution,
+      onvif: camera.onvif,
+    }));
+
   async function submit(e) {
     e.preventDefault();
     setSubmitting(true);
@@ -33,6 +54,7 @@ export default function AddCameraDialog({ onClose }) {
       await addCamera({
         name: form.name || `cam-${Date.now()}`,
         location: form.location,
+        locationId: form.locationId,
         ip: form.ip,
         port: form.port,
         username: form.username,
@@ -41,6 +63,9 @@ export default function AddCameraDialog({ onClose }) {
         streamType: form.streamType,
         streamPath: form.streamPath,
         hlsUrl: form.hlsUrl,
+        subStreamPath: form.subStreamPath,
+        resolution: form.resolution,
+        onvif: form.onvif,
         // streamName and webrtcBase are now auto-populated by the backend
         // Note: awsEndpoint and cloudFps are NOT in the database schema
         // They are only used in seed mode for local testing
@@ -58,6 +83,11 @@ export default function AddCameraDialog({ onClose }) {
     <div className="add-camera-dialog">
       <h3>Add Camera</h3>
       <form onSubmit={submit} className="form">
+        <OnvifScanPanel
+          username={form.username}
+          password={form.password}
+          onPick={onDiscovered}
+        />
         <div className="row">
           <label>Name</label>
           <input
@@ -66,11 +96,19 @@ export default function AddCameraDialog({ onClose }) {
             required
           />
         </div>
+        <div className="row">
+          <label>Site / Building / Floor / Zone</label>
+          <LocationSelect
+            value={form.locationId}
+            onChange={(id) => onChange("locationId", id)}
+          />
+        </div>
         <div className="row">
           <label>Location</label>
           <input
             value={form.location}
             onChange={(e) => onChange("location", e.target.value)}
+            placeholder="Description, e.g. above the loading bay door"
           />
         </div>
         <div className="row">
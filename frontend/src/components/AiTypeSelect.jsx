@@ -0,0 +1,52 @@
+import React from "react";
+
+/**
+ * Toggle chips for the AI types enabled on a camera (at least one stays on).
+ * `options` comes from GET /api/cameras/ai-types.
+ */
+export default function AiTypeSelect({ value, options, disabled, updating, onChange }) {
+  const isSupported = (aiType) => options.some((o) => o.aiType === aiType);
+  const unsupported = options.length > 0 ? value.filter((t) => !isSupported(t)) : [];
+
+  const toggle = (aiType) => {
+    const next = value.includes(aiType)
+      ? value.filter((t) => t !== aiType)
+      : [...value, aiType];
+
+    // The backend rejects types it has no detector for - drop them on save
+    const supported = next.filter(isSupported);
+    if (supported.length === 0) return;
+    onChange(supported);
+  };
+
+  return (
+    <div
+      className={`aitype-multiselect ${updating ? "updating" : ""}`}
+      role="group"
+      aria-label="AI types"
+    >
+      {options.map((o) => {
+        const selected = value.includes(o.aiType);
+        return (
+          <button
+            key={o.aiType}
+            type="button"
+            className={`aitype-chip ${selected ? "selected" : ""}`}
+            aria-pressed={selected}
+            title={selected && value.length === 1 ? "At least one AI type must stay on" : o.label}
+            disabled={disabled}
+            onClick={() => toggle(o.aiType)}
+          >
+            {o.emoji} {o.label}
+          </button>
+        );
+      })}
+      {unsupported.map((t) => (
+        <span key={t} className="aitype-chip unsupported" title="No detector for this AI type">
+          ⚠️ {t}
+        </span>
+      ))}
+      {options.length === 0 && <span className="aitype-chip selected">{value.join(", ")}</span>}
+    </div>
+  );
+}
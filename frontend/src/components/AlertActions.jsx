@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { FaCheck, FaCheckDouble, FaBan, FaFilm } from "react-icons/fa";
+import { useCameras } from "../store/cameras.jsx";
+import { cameraApi } from "../services/cameraApi.js";
+
+const STATUS_LABELS = {
+  open: "Open",
+  acknowledged: "Acknowledged",
+  resolved: "Resolved",
+  false_positive: "False positive",
+};
+
+// Locally stored clips are "/api/media/..." paths that need the auth
+// header, so they're fetched and opened as an object URL. The new tab plays
+// from it, so it is kept for the page's lifetime.
+async function openClip(clipUrl) {
+  if (!clipUrl.startsWith("/")) {
+    window.open(clipUrl, "_blank", "noopener,noreferrer");
+    return;
+  }
+
+  // Opened before the fetch so it isn't blocked as a popup
+  const tab = window.open("", "_blank");
+  try {
+    const blob = await cameraApi.getMedia(clipUrl);
+    tab.location.href = URL.createObjectURL(blob);
+  } catch (error) {
+    tab?.close();
+    console.error("Failed to load clip:", error);
+    window.alert(`Failed to load clip: ${error.message}`);
+  }
+}
+
+/**
+ * Status badge + acknowledge / resolve / false-positive buttons for one alert.
+ * Shared by MiniStatusPanel and StatusPanel.
+ */
+export default function AlertActions({ alert, compact = false }) {
+  const { changeAlertStatus } = useCameras();
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await changeAlertStatus(alert.alertId, action);
+    } catch (error) {
+      console.error("Failed to update alert:", error);
+      window.alert(`Failed to update alert: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const lastChange = alert.history?.[alert.history.length - 1];
+  const size = compact ? 12 : 14;
+
+  return (
+    <div className={`alert-actions ${compact ? "compact" : ""}`}>
+      <span
+        className={`alert-status-badge ${alert.status} ${alert.tier >= 2 ? "escalated" : ""}`}
+        title={
+          lastChange
+            ? `${lastChange.action} by ${lastChange.by} at ${new Date(lastChange.at).toLocaleString()}`
+            : undefined
+        }
+      >
+        {alert.tier >= 2 && alert.status === "open" ? "Escalated" : STATUS_LABELS[alert.status]}
+      </span>
+      {alert.clipUrl && (
+        <button
+          className="alert-action-btn clip"
+          onClick={() => openClip(alert.clipUrl)}
+          title="Watch event clip"
+        >
+          <FaFilm size={size} />
+          {!compact && <span>Clip</span>}
+        </button>
+      )}
+      {alert.status === "open" && (
+        <button
+          className="alert-action-btn acknowledge"
+          onClick={() => run("acknowledge")}
+          disabled={busy}
+          title="Acknowledge"
+        >
+          <FaCheck size={size} />
+          {!compact && <span>Ack</span>}
+        </button>
+      )}
+      {(alert.status === "open" || alert.status === "acknowledged") && (
+        <>
+          <button
+            className="alert-action-btn resolve"
+            onClick={() => run("resolve")}
+            disabled={busy}
+            title="Resolve"
+          >
+            <FaCheckDouble size={size} />
+            {!compact && <span>Resolve</span>}
+          </button>
+          <button
+            className="alert-action-btn false-positive"
+            onClick={() => run("false-positive")}
+            disabled={busy}
+            title="Mark as false positive"
+          >
+            <FaBan size={size} />
+            {!compact && <span>False +</span>}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,18 +1,15 @@
-import React from "react";
+import React, { useMemo } from "react";
 import { useCameras } from "../store/cameras.jsx";
 import CameraTile from "./CameraTile.jsx";
 import { CSSTransition, TransitionGroup } from "react-transition-group";
+import { ImFire } from "react-icons/im";
+import { groupCamerasByLocation } from "../utils/locationGroups.js";
 
-export default function CameraGrid() {
-  const { cameras } = useCameras();
-
-  // Filter cameras to only show visible ones
-  const visibleCameras = cameras.filter(cam => cam.isVisible);
-
+function CameraTiles({ cameras }) {
   return (
     <div className="grid">
       <TransitionGroup component={null}>
-        {visibleCameras.map((cam) => {
+        {cameras.map((cam) => {
           const nodeRef = React.createRef();
           return (
             <CSSTransition
@@ -31,3 +28,42 @@ export default function CameraGrid() {
     </div>
   );
 }
+
+export default function CameraGrid() {
+  const { cameras, locations, locationGroupBy } = useCameras();
+
+  // Filter cameras to only show visible ones
+  const visibleCameras = useMemo(() => cameras.filter(cam => cam.isVisible), [cameras]);
+
+  // Grouped like the status panel (its select sets locationGroupBy)
+  const cameraGroups = useMemo(
+    () =>
+      locationGroupBy === "none" || locations.length === 0
+        ? null
+        : groupCamerasByLocation(visibleCameras, locations, locationGroupBy),
+    [visibleCameras, locations, locationGroupBy]
+  );
+
+  if (!cameraGroups) {
+    return <CameraTiles cameras={visibleCameras} />;
+  }
+
+  return (
+    <div className="grid-groups">
+      {cameraGroups.map((group) => (
+        <section key={group.key} className="grid-group">
+          <div className={`location-group-header ${group.isFire ? "fire" : ""}`}>
+            {group.isFire && <ImFire size={14} />}
+            <span className="location-group-label">{group.label}</span>
+            <small>
+              {group.isFire
+                ? `${group.fireCount}/${group.cameras.length} on fire`
+                : group.cameras.length}
+            </small>
+          </div>
+          <CameraTiles cameras={group.cameras} />
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import React from "react";
+
+// Shown only when the feed can't be trusted: offline / frozen / obstructed / moved
+export default function CameraHealthBadge({ health }) {
+  if (!health || health.status === "ok" || health.status === "unknown") {
+    return null;
+  }
+
+  return (
+    <div className={`camera-health-badge ${health.status}`} title={health.issue || ""}>
+      {health.status.toUpperCase()}
+    </div>
+  );
+}
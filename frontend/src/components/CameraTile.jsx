@@ -6,6 +6,7 @@
 // import { useCameras } from "../store/cameras.jsx";
 // import StreamingIcon from "./StreamingIcon.jsx";
 // import FireStatusButton from "./FireStatusButton.jsx";
+import CameraHealthBadge from "./CameraHealthBadge.jsx";
 
 // // We'll lazy-load your ESM VideoDetector class from utils directory
 // let VideoDetectorClassPromise;
@@ -1042,6 +1043,7 @@ export default function CameraTile({ cam }) {
           <span className="location">{cam.location}</span>
         </div>
         <div className="tile-status-icons">
+          <CameraHealthBadge health={cam.health} />
           <FireStatusButton
             isFire={displayFireStatus}
             key={`fire-${displayFireStatus}`}
@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from "react";
+import { cameraApi } from "../services/cameraApi.js";
+
+const LABELS = {
+  confidenceThreshold: "Confidence",
+  iouThreshold: "Static IoU",
+  flickerMinMotion: "Flicker motion",
+  depthMinStdDev: "Depth variation",
+  confirmCycles: "Confirm cycles",
+  confirmWindow: "Confirm window",
+  motionThreshold: "Motion threshold",
+  forcedCheckSeconds: "Forced check (s)",
+  framesPerCheck: "Frames per check",
+};
+
+// Inputs hold strings; "" means "use the default"
+function toDraft(stored) {
+  const { types = {}, ...cameraWide } = stored || {};
+  const strings = (values) =>
+    Object.fromEntries(Object.entries(values).map(([k, v]) => [k, String(v)]));
+  return {
+    camera: strings(cameraWide),
+    types: Object.fromEntries(Object.entries(types).map(([t, v]) => [t, strings(v)])),
+  };
+}
+
+function fromDraft(draft) {
+  const numbers = (values) =>
+    Object.fromEntries(
+      Object.entries(values)
+        .filter(([, v]) => v !== "")
+        .map(([k, v]) => [k, Number(v)])
+    );
+  const types = Object.fromEntries(
+    Object.entries(draft.types)
+      .map(([t, v]) => [t, numbers(v)])
+      .filter(([, v]) => Object.keys(v).length > 0)
+  );
+  return { ...numbers(draft.camera), types };
+}
+
+export default function DetectionSettingsEditor({ camera, onClose }) {
+  const [schema, setSchema] = useState(null);
+  const [aiTypes, setAiTypes] = useState([]);
+  const [draft, setDraft] = useState({ camera: {}, types: {} });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  const applyResponse = (data) => {
+    setDraft(toDraft(data.detectionSettings));
+    setAiTypes(Object.keys(data.effective.types));
+  };
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const [schemaData, settingsData] = await Promise.all([
+          cameraApi.getDetectionSettingsSchema(),
+          cameraApi.getDetectionSettings(camera.id),
+        ]);
+        setSchema(schemaData);
+        applyResponse(settingsData);
+      } catch (err) {
+        console.error("Failed to load detection settings:", err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSettings();
+  }, [camera.id]);
+
+  const run = async (action) => {
+    setSaving(true);
+    setSaved(false);
+    setError(null);
+    try {
+      applyResponse(await action());
+      setSaved(true);
+    } catch (err) {
+      console.error("Failed to update detection settings:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setCameraValue = (name, value) => {
+    setSaved(false);
+    setDraft((d) => ({ ...d, camera: { ...d.camera, [name]: value } }));
+  };
+
+  const setTypeValue = (aiType, name, value) => {
+    setSaved(false);
+    setDraft((d) => ({
+      ...d,
+      types: { ...d.types, [aiType]: { ...d.types[aiType], [name]: value } },
+    }));
+  };
+
+  if (loading) {
+    return <div className="detection-settings-editor">Loading detection settings…</div>;
+  }
+
+  if (!schema) {
+    return (
+      <div className="detection-settings-editor">
+        <div className="detection-settings-error">{error}</div>
+      </div>
+    );
+  }
+
+  const renderInput = (setting, value, placeholder, onChange) => (
+    <label key={setting.name} className="detection-setting" title={setting.description}>
+      <span>{LABELS[setting.name] || setting.name}</span>
+      <input
+        type="number"
+        min={setting.min}
+        max={setting.max}
+        step={setting.integer ? 1 : "any"}
+        value={value ?? ""}
+        placeholder={String(placeholder)}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    </label>
+  );
+
+  return (
+    <div className="detection-settings-editor">
+      <div className="detection-settings-header">
+        <h3>Detection settings · {camera.name}</h3>
+        <button onClick={onClose}>Close</button>
+      </div>
+
+      {error && <div className="detection-settings-error">{error}</div>}
+      <small className="detection-settings-hint">
+        Leave a field empty to use the default shown. Changes apply from the camera's next
+        detection turn.
+      </small>
+
+      <h4>All AI types</h4>
+      <div className="detection-settings-row">
+        {schema.settings.map((setting) =>
+          renderInput(
+            setting,
+            draft.camera[setting.name],
+            schema.defaults.camera[setting.name] ?? "per type",
+            (value) => setCameraValue(setting.name, value)
+          )
+        )}
+      </div>
+
+      {aiTypes.map((aiType) => (
+        <React.Fragment key={aiType}>
+          <h4>{aiType}</h4>
+          <div className="detection-settings-row">
+            {schema.settings
+              .filter((setting) => setting.perType)
+              .map((setting) =>
+                renderInput(
+                  setting,
+                  draft.types[aiType]?.[setting.name],
+                  draft.camera[setting.name] || schema.defaults.types[aiType]?.[setting.name],
+                  (value) => setTypeValue(aiType, setting.name, value)
+                )
+              )}
+          </div>
+        </React.Fragment>
+      ))}
+
+      <div className="detection-settings-actions">
+        <button
+          onClick={() => run(() => cameraApi.saveDetectionSettings(camera.id, fromDraft(draft)))}
+          disabled={saving}
+        >
+          {saving ? "Saving…" : "Save"}
+        </button>
+        <button
+          onClick={() => run(() => cameraApi.resetDetectionSettings(camera.id))}
+          disabled={saving}
+        >
+          Reset to defaults
+        </button>
+        {saved && <span className="detection-settings-hint">Saved</span>}
+      </div>
+    </div>
+  );
+}
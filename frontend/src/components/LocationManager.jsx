@@ -0,0 +1,187 @@
+import React, { useMemo, useState } from "react";
+import { FaTrash, FaEdit, FaSave } from "react-icons/fa";
+import { ImFire } from "react-icons/im";
+import { useCameras } from "../store/cameras.jsx";
+import { cameraApi } from "../services/cameraApi.js";
+import {
+  LOCATION_TYPES,
+  flattenLocations,
+  rollUpLocations,
+} from "../utils/locationGroups.js";
+
+// Children go one level down by default; any deeper type is allowed too
+const childType = (type) =>
+  LOCATION_TYPES[Math.min(LOCATION_TYPES.indexOf(type) + 1, LOCATION_TYPES.length - 1)];
+
+export default function LocationManager({ onClose }) {
+  const { locations, cameras, fetchLocations } = useCameras();
+  const [draft, setDraft] = useState({ name: "", type: "site", parentId: null });
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const rows = useMemo(() => flattenLocations(locations), [locations]);
+  const totals = useMemo(() => rollUpLocations(locations, cameras), [locations, cameras]);
+
+  // Parents a new node of the draft's type can go under
+  const parents = rows.filter(
+    (node) => LOCATION_TYPES.indexOf(node.type) < LOCATION_TYPES.indexOf(draft.type)
+  );
+
+  const run = async (action) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+      await fetchLocations();
+    } catch (err) {
+      console.error("Location change failed:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const add = () =>
+    run(async () => {
+      await cameraApi.createLocation({ ...draft, name: draft.name.trim() });
+      setDraft((current) => ({ ...current, name: "" }));
+    });
+
+  const rename = () =>
+    run(async () => {
+      await cameraApi.updateLocation(renaming.id, { name: renaming.name.trim() });
+      setRenaming(null);
+    });
+
+  const addUnder = (node) =>
+    setDraft({ name: "", type: childType(node.type), parentId: node.id });
+
+  return (
+    <div className="location-manager">
+      <div className="location-manager-header">
+        <h3>Locations</h3>
+        <button onClick={onClose}>Close</button>
+      </div>
+
+      {error && <div className="location-manager-error">{error}</div>}
+
+      <ul className="location-tree">
+        {rows.length === 0 && (
+          <li className="location-tree-empty">
+            No locations yet. Start with a site, then add buildings, floors and zones under it.
+          </li>
+        )}
+        {rows.map((node) => {
+          const { cameraCount, fireCount } = totals[node.id] || {};
+          return (
+            <li
+              key={node.id}
+              className={`location-tree-item ${fireCount > 0 ? "fire" : ""}`}
+              style={{ paddingLeft: `${node.depth * 20 + 8}px` }}
+            >
+              <span className={`location-type ${node.type}`}>{node.type}</span>
+              {renaming?.id === node.id ? (
+                <input
+                  type="text"
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  autoFocus
+                />
+              ) : (
+                <span className="location-name">{node.name}</span>
+              )}
+              <small>
+                {cameraCount || 0} camera(s)
+                {fireCount > 0 && (
+                  <>
+                    {" · "}
+                    <ImFire size={12} /> {fireCount} on fire
+                  </>
+                )}
+              </small>
+              <div className="location-actions">
+                {node.type !== "zone" && (
+                  <button onClick={() => addUnder(node)} title="Add a location under this one">
+                    + Add
+                  </button>
+                )}
+                {renaming?.id === node.id ? (
+                  <button
+                    className="action-btn save-btn"
+                    onClick={rename}
+                    disabled={saving || !renaming.name.trim()}
+                    title="Save name"
+                  >
+                    <FaSave size={12} />
+                  </button>
+                ) : (
+                  <button
+                    className="action-btn edit-btn"
+                    onClick={() => setRenaming({ id: node.id, name: node.name })}
+                    title="Rename"
+                  >
+                    <FaEdit size={12} />
+                  </button>
+                )}
+                <button
+                  className="action-btn delete-btn"
+                  onClick={() => run(() => cameraApi.deleteLocation(node.id))}
+                  disabled={saving}
+                  title="Delete (must be empty)"
+                >
+                  <FaTrash size={12} />
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="location-add">
+        <select
+          value={draft.type}
+          onChange={(e) =>
+            setDraft({
+              ...draft,
+              type: e.target.value,
+              parentId: e.target.value === "site" ? null : draft.parentId,
+            })
+          }
+        >
+          {LOCATION_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+        {draft.type !== "site" && (
+          <select
+            value={draft.parentId || ""}
+            onChange={(e) => setDraft({ ...draft, parentId: e.target.value || null })}
+          >
+            <option value="">Under…</option>
+            {parents.map((node) => (
+              <option key={node.id} value={node.id}>
+                {"\u00a0\u00a0".repeat(node.depth)}
+                {node.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <input
+          type="text"
+          placeholder="Name"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        />
+        <button
+          onClick={add}
+          disabled={saving || !draft.name.trim() || (draft.type !== "site" && !draft.parentId)}
+        >
+          Add {draft.type}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React from "react";
+import { useCameras } from "../store/cameras.jsx";
+import { flattenLocations } from "../utils/locationGroups.js";
+
+// Pick a node of the location hierarchy; "" is the empty choice (no
+// location / every location, as `emptyLabel` says)
+export default function LocationSelect({
+  value,
+  onChange,
+  emptyLabel = "Unassigned",
+  className = "",
+  disabled = false,
+}) {
+  const { locations } = useCameras();
+
+  return (
+    <select
+      className={`location-select ${className}`}
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value || null)}
+      disabled={disabled}
+    >
+      <option value="">{emptyLabel}</option>
+      {flattenLocations(locations).map((node) => (
+        <option key={node.id} value={node.id}>
+          {"\u00a0\u00a0".repeat(node.depth)}
+          {node.name} ({node.type})
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -1,10 +1,12 @@
-import React, { useState } from "react";
+import React, { useMemo, useState } from "react";
 import { useCameras } from "../store/cameras.jsx";
 import StreamingIcon from "./StreamingIcon.jsx";
 import FireStatusButton from "./FireStatusButton.jsx";
+import AlertActions from "./AlertActions.jsx";
 import { FaEye, FaEyeSlash, FaStopCircle, FaPlayCircle } from "react-icons/fa";
 import { ImFire } from "react-icons/im";
 import { cameraApi } from "../services/cameraApi.js";
+import { groupCamerasByLocation } from "../utils/locationGroups.js";
 
 export default function MiniStatusPanel({ viewMode = "grid" }) {
   const {
@@ -12,6 +14,10 @@ export default function MiniStatusPanel({ viewMode = "grid" }) {
     toggleCameraVisibility,
     setCameraVisibilities,
     resetAllCameraStatuses,
+    activeAlerts,
+    locations,
+    locationGroupBy: groupBy, // also groups the camera grid
+    setLocationGroupBy: setGroupBy,
   } = useCameras();
   const [filter, setFilter] = useState("all");
   const [isStoppingDetection, setIsStoppingDetection] = useState(false);
@@ -101,6 +107,15 @@ export default function MiniStatusPanel({ viewMode = "grid" }) {
 
   const isDisabled = viewMode === "single";
 
+  // Fire on any camera below a site / building / floor lights up its header
+  const cameraGroups = useMemo(
+    () =>
+      groupBy === "none" || locations.length === 0
+        ? [{ key: "all", cameras }]
+        : groupCamerasByLocation(cameras, locations, groupBy),
+    [cameras, locations, groupBy]
+  );
+
   if (!cameras || cameras.length === 0) {
     return (
       <div className="mini-status-panel">
@@ -164,35 +179,90 @@ export default function MiniStatusPanel({ viewMode = "grid" }) {
             Fire
           </button>
         </div>
+        {locations.length > 0 && (
+          <select
+            className="location-group-select"
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            title="Group cameras by"
+          >
+            <option value="none">No grouping</option>
+            <option value="site">By site</option>
+            <option value="building">By building</option>
+            <option value="floor">By floor</option>
+            <option value="zone">By zone</option>
+          </select>
+        )}
       </div>
-      <div className="mini-status-list">
-        {cameras.map((cam) => (
-          <div key={cam.id} className="mini-status-item">
-            <button
-              className={`visibility-toggle ${
-                cam.isVisible ? "visible" : "hidden"
-              }`}
-              onClick={() => toggleCameraVisibility(cam.id)}
-              title={cam.isVisible ? "Hide camera" : "Show camera"}
+      {activeAlerts.length > 0 && (
+        <div className="mini-alert-list">
+          <h4>Alerts ({activeAlerts.length})</h4>
+          {activeAlerts.map((alert) => (
+            <div
+              key={alert.alertId}
+              className={`mini-alert-item ${alert.status}`}
             >
-              {cam.isVisible ? <FaEye size={28} /> : <FaEyeSlash size={28} />}
-            </button>
-            <span className="camera-name">{cam.name}</span>
-            <div className="status-icons">
-              {cam.isFire ? (
-                <ImFire
-                  size={26}
-                  style={{
-                    color: "#ff0000",
-                    filter: "drop-shadow(0 0 0 1px #ff6600)",
-                  }}
-                />
-              ) : (
-                <FireStatusButton isFire={false} />
-              )}
-              <StreamingIcon isStreaming={cam.isStreaming} size={22} />
+              <div className="mini-alert-info">
+                <span className="camera-name">
+                  {alert.cameraName || `Camera ${alert.cameraId}`}
+                </span>
+                <span className="mini-alert-meta">
+                  {alert.aiType} ·{" "}
+                  {new Date(alert.createdAt).toLocaleTimeString()}
+                  {alert.occurrences > 1 && ` · ×${alert.occurrences}`}
+                </span>
+                {alert.location && (
+                  <span className="mini-alert-meta">{alert.location}</span>
+                )}
+              </div>
+              <AlertActions alert={alert} compact />
             </div>
-          </div>
+          ))}
+        </div>
+      )}
+      <div className="mini-status-list">
+        {cameraGroups.map((group) => (
+          <React.Fragment key={group.key}>
+            {group.label && (
+              <div className={`location-group-header ${group.isFire ? "fire" : ""}`}>
+                {group.isFire && <ImFire size={14} />}
+                <span className="location-group-label">{group.label}</span>
+                <small>
+                  {group.isFire
+                    ? `${group.fireCount}/${group.cameras.length} on fire`
+                    : group.cameras.length}
+                </small>
+              </div>
+            )}
+            {group.cameras.map((cam) => (
+              <div key={cam.id} className="mini-status-item">
+                <button
+                  className={`visibility-toggle ${
+                    cam.isVisible ? "visible" : "hidden"
+                  }`}
+                  onClick={() => toggleCameraVisibility(cam.id)}
+                  title={cam.isVisible ? "Hide camera" : "Show camera"}
+                >
+                  {cam.isVisible ? <FaEye size={28} /> : <FaEyeSlash size={28} />}
+                </button>
+                <span className="camera-name">{cam.name}</span>
+                <div className="status-icons">
+                  {cam.isFire ? (
+                    <ImFire
+                      size={26}
+                      style={{
+                        color: "#ff0000",
+                        filter: "drop-shadow(0 0 0 1px #ff6600)",
+                      }}
+                    />
+                  ) : (
+                    <FireStatusButton isFire={false} />
+                  )}
+                  <StreamingIcon isStreaming={cam.isStreaming} size={22} />
+                </div>
+              </div>
+            ))}
+          </React.Fragment>
         ))}
       </div>
 
@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import { cameraApi } from "../services/cameraApi.js";
+
+// ONVIF scan for AddCameraDialog. Uses the dialog's username / password so a
+// found camera comes back with its stream paths filled in; `onPick` gets a
+// body ready for POST /api/cameras.
+export default function OnvifScanPanel({ username, password, onPick }) {
+  const [results, setResults] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function scan() {
+    setScanning(true);
+    setError(null);
+    try {
+      setResults(
+        await cameraApi.discoverCameras({
+          username: username || undefined,
+          password: password || undefined,
+        })
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setScanning(false);
+    }
+  }
+
+  // Credentials typed after the scan: query just that camera
+  async function pick(result) {
+    if (result.configured || !username) {
+      onPick(result.camera);
+      return;
+    }
+    setError(null);
+    try {
+      const configured = await cameraApi.getOnvifProfiles(result.device.xaddr, username, password);
+      onPick({ ...configured.camera, name: result.camera.name, location: result.camera.location });
+    } catch (err) {
+      setError(`${result.camera.name}: ${err.message}`);
+    }
+  }
+
+  const describe = ({ camera, configured, error: deviceError }) => {
+    if (configured) {
+      const { width, height } = camera.resolution || {};
+      return `${camera.ip}:${camera.port}${camera.streamPath}${width ? ` · ${width}x${height}` : ""}${
+        camera.subStreamPath ? " · sub stream" : ""
+      }`;
+    }
+    return deviceError ? `${camera.ip} · ${deviceError}` : `${camera.ip} · enter credentials to fill in streams`;
+  };
+
+  return (
+    <div className="onvif-scan">
+      <div className="onvif-scan-header">
+        <label>Find cameras on the network (ONVIF)</label>
+        <button type="button" onClick={scan} disabled={scanning}>
+          {scanning ? "Scanning..." : "Scan"}
+        </button>
+      </div>
+
+      {error && <div className="onvif-scan-error">{error}</div>}
+
+      {results && results.length === 0 && (
+        <div className="onvif-scan-empty">No ONVIF cameras answered.</div>
+      )}
+
+      {results && results.length > 0 && (
+        <ul className="onvif-scan-results">
+          {results.map((result) => (
+            <li key={result.device.endpoint || result.device.xaddr}>
+              <div className="onvif-scan-device">
+                <span className="name">{result.camera.name}</span>
+                <small>{describe(result)}</small>
+              </div>
+              <button type="button" onClick={() => pick(result)}>
+                Use
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
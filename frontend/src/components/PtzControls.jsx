@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from "react";
+import {
+  FaArrowUp,
+  FaArrowDown,
+  FaArrowLeft,
+  FaArrowRight,
+  FaSearchPlus,
+  FaSearchMinus,
+  FaTrash,
+} from "react-icons/fa";
+import { cameraApi } from "../services/cameraApi.js";
+
+// Held buttons move at this speed (-1..1); releasing stops the camera
+const SPEED = 0.5;
+
+const DIRECTIONS = [
+  { key: "up", icon: FaArrowUp, title: "Tilt up", move: { tilt: SPEED } },
+  { key: "left", icon: FaArrowLeft, title: "Pan left", move: { pan: -SPEED } },
+  { key: "right", icon: FaArrowRight, title: "Pan right", move: { pan: SPEED } },
+  { key: "down", icon: FaArrowDown, title: "Tilt down", move: { tilt: -SPEED } },
+  { key: "zoom-in", icon: FaSearchPlus, title: "Zoom in", move: { zoom: SPEED } },
+  { key: "zoom-out", icon: FaSearchMinus, title: "Zoom out", move: { zoom: -SPEED } },
+];
+
+const EMPTY_SETTINGS = { onDetection: "none", presetToken: null, homePresetToken: null };
+
+export default function PtzControls({ camera, onClose }) {
+  const [available, setAvailable] = useState(false);
+  const [presets, setPresets] = useState([]);
+  const [settings, setSettings] = useState(EMPTY_SETTINGS);
+  const [presetName, setPresetName] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    try {
+      const data = await cameraApi.getPtz(camera.id);
+      setAvailable(data.available);
+      setPresets(data.presets);
+      setSettings({ ...EMPTY_SETTINGS, ...data.ptzSettings });
+      setError(data.error);
+    } catch (err) {
+      console.error("Failed to load PTZ:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [camera.id]);
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error("PTZ request failed:", err);
+      setError(err.message);
+    }
+  };
+
+  const start = (move) => run(() => cameraApi.movePtz(camera.id, { mode: "continuous", timeoutMs: 5000, ...move }));
+  const stop = () => run(() => cameraApi.stopPtz(camera.id));
+
+  const savePreset = () =>
+    run(async () => {
+      await cameraApi.savePtzPreset(camera.id, presetName.trim());
+      setPresetName("");
+      await load();
+    });
+
+  const deletePreset = (token) =>
+    run(async () => {
+      await cameraApi.deletePtzPreset(camera.id, token);
+      await load();
+    });
+
+  const changeSetting = (name, value) => {
+    setSettings((current) => ({ ...current, [name]: value || null }));
+    setDirty(true);
+  };
+
+  const saveSettings = async () => {
+    setSaving(true);
+    await run(async () => {
+      const data = await cameraApi.savePtzSettings(camera.id, settings);
+      setSettings({ ...EMPTY_SETTINGS, ...data.ptzSettings });
+      setDirty(false);
+    });
+    setSaving(false);
+  };
+
+  if (loading) {
+    return <div className="ptz-controls">Loading PTZ…</div>;
+  }
+
+  return (
+    <div className="ptz-controls">
+      <div className="ptz-header">
+        <h3>PTZ · {camera.name}</h3>
+        <button onClick={onClose}>Close</button>
+      </div>
+
+      {error && <div className="ptz-error">{error}</div>}
+
+      {available && (
+        <>
+          <div className="ptz-pad">
+            {DIRECTIONS.map(({ key, icon: Icon, title, move }) => (
+              <button
+                key={key}
+                className={`ptz-btn ptz-${key}`}
+                title={title}
+                onPointerDown={() => start(move)}
+                onPointerUp={stop}
+                onPointerLeave={(e) => e.buttons > 0 && stop()}
+              >
+                <Icon size={14} />
+              </button>
+            ))}
+          </div>
+
+          <ul className="ptz-presets">
+            {presets.length === 0 && <li className="ptz-presets-empty">No presets saved on the camera.</li>}
+            {presets.map((preset) => (
+              <li key={preset.token}>
+                <span>{preset.name}</span>
+                <button onClick={() => run(() => cameraApi.gotoPtzPreset(camera.id, preset.token))}>
+                  Go
+                </button>
+                <button
+                  className="action-btn delete-btn"
+                  title="Remove preset"
+                  onClick={() => deletePreset(preset.token)}
+                >
+                  <FaTrash size={12} />
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="ptz-preset-save">
+            <input
+              type="text"
+              placeholder="Preset name"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+            />
+            <button onClick={savePreset} disabled={!presetName.trim()}>
+              Save current view
+            </button>
+          </div>
+
+          <div className="ptz-settings">
+            <label>
+              On detection
+              <select
+                value={settings.onDetection}
+                onChange={(e) => changeSetting("onDetection", e.target.value)}
+              >
+                <option value="none">Stay put</option>
+                <option value="preset">Go to preset</option>
+                <option value="zoom">Zoom toward the detection</option>
+              </select>
+            </label>
+            {settings.onDetection === "preset" && (
+              <label>
+                Preset
+                <select
+                  value={settings.presetToken || ""}
+                  onChange={(e) => changeSetting("presetToken", e.target.value)}
+                >
+                  <option value="">Choose…</option>
+                  {presets.map((preset) => (
+                    <option key={preset.token} value={preset.token}>
+                      {preset.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {settings.onDetection !== "none" && (
+              <label>
+                Afterwards return to
+                <select
+                  value={settings.homePresetToken || ""}
+                  onChange={(e) => changeSetting("homePresetToken", e.target.value)}
+                >
+                  <option value="">Stay there</option>
+                  {presets.map((preset) => (
+                    <option key={preset.token} value={preset.token}>
+                      {preset.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+
+          <div className="ptz-actions">
+            <button onClick={saveSettings} disabled={saving || !dirty}>
+              {saving ? "Saving…" : "Save settings"}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
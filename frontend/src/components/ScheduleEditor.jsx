@@ -0,0 +1,320 @@
+import React, { useEffect, useState } from "react";
+import { FaPlus, FaTrash } from "react-icons/fa";
+import { cameraApi } from "../services/cameraApi.js";
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const DEFAULT_WINDOW = { days: [1, 2, 3, 4, 5], start: "18:00", end: "08:00" };
+
+function defaultSchedule() {
+  return {
+    enabled: true,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
+    windows: [DEFAULT_WINDOW],
+    overrides: [],
+  };
+}
+
+function describeOverride(o) {
+  const when = o.date
+    ? o.date
+    : `${new Date(o.start).toLocaleString()} → ${new Date(o.end).toLocaleString()}`;
+  return `${when} · ${o.armed ? "Armed" : "Disarmed"}${o.label ? ` · ${o.label}` : ""}`;
+}
+
+// Why the override form can't be submitted yet (null when it can)
+function overrideProblem(o) {
+  if (o.kind === "date") {
+    return o.date ? null : "Pick the day for the override.";
+  }
+  const start = new Date(o.start);
+  const end = new Date(o.end);
+  if (!o.start || !o.end || isNaN(start) || isNaN(end)) {
+    return "Pick when the override starts and ends.";
+  }
+  return end > start ? null : "The override must end after it starts.";
+}
+
+export default function ScheduleEditor({ camera, onClose }) {
+  const [schedule, setSchedule] = useState(null);
+  const [savedSchedule, setSavedSchedule] = useState(null);
+  const [armed, setArmed] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [override, setOverride] = useState({
+    kind: "date",
+    date: "",
+    start: "",
+    end: "",
+    armed: false,
+    label: "",
+  });
+
+  const applyResponse = (data) => {
+    setSchedule(data.schedule);
+    setSavedSchedule(data.schedule);
+    setArmed(data.armed);
+  };
+
+  useEffect(() => {
+    const fetchSchedule = async () => {
+      try {
+        applyResponse(await cameraApi.getSchedule(camera.id));
+      } catch (err) {
+        console.error("Failed to load schedule:", err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSchedule();
+  }, [camera.id]);
+
+  const run = async (action) => {
+    setSaving(true);
+    setError(null);
+    try {
+      applyResponse(await action());
+    } catch (err) {
+      console.error("Failed to update schedule:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateWindow = (index, changes) => {
+    setSchedule((s) => ({
+      ...s,
+      windows: s.windows.map((w, i) => (i === index ? { ...w, ...changes } : w)),
+    }));
+  };
+
+  const toggleDay = (index, day) => {
+    const days = schedule.windows[index].days;
+    updateWindow(index, {
+      days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day],
+    });
+  };
+
+  const addOverride = () => {
+    const problem = overrideProblem(override);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    const payload = {
+      armed: override.armed,
+      label: override.label || undefined,
+      ...(override.kind === "date"
+        ? { date: override.date }
+        : {
+            start: new Date(override.start).toISOString(),
+            end: new Date(override.end).toISOString(),
+          }),
+    };
+    // Overrides hang off the saved schedule: save a new or edited one first
+    // so the override has something to attach to and the edits aren't lost
+    const unsaved = JSON.stringify(schedule) !== JSON.stringify(savedSchedule);
+    run(async () => {
+      if (unsaved) await cameraApi.saveSchedule(camera.id, schedule);
+      return cameraApi.addScheduleOverride(camera.id, payload);
+    });
+  };
+
+  if (loading) {
+    return <div className="schedule-editor">Loading schedule…</div>;
+  }
+
+  return (
+    <div className="schedule-editor">
+      <div className="schedule-editor-header">
+        <h3>Schedule · {camera.name}</h3>
+        {armed !== null && (
+          <span className={`schedule-state ${armed ? "armed" : "disarmed"}`}>
+            {armed ? "🟢 Armed now" : "⚪ Disarmed now"}
+          </span>
+        )}
+        <button className="schedule-close-btn" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {error && <div className="schedule-error">{error}</div>}
+
+      {!schedule ? (
+        <div className="schedule-empty">
+          <p>No schedule - this camera is armed whenever detection is on.</p>
+          <button onClick={() => setSchedule(defaultSchedule())}>
+            Create Schedule
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="schedule-row">
+            <label>
+              <input
+                type="checkbox"
+                checked={schedule.enabled}
+                onChange={(e) =>
+                  setSchedule((s) => ({ ...s, enabled: e.target.checked }))
+                }
+              />
+              Schedule enabled
+            </label>
+            <label>
+              Timezone
+              <input
+                type="text"
+                value={schedule.timezone}
+                onChange={(e) =>
+                  setSchedule((s) => ({ ...s, timezone: e.target.value }))
+                }
+              />
+            </label>
+          </div>
+
+          <h4>Weekly arming windows</h4>
+          {schedule.windows.map((w, index) => (
+            <div className="schedule-window" key={index}>
+              <div className="schedule-days">
+                {DAYS.map((label, day) => (
+                  <button
+                    key={label}
+                    className={`schedule-day ${w.days.includes(day) ? "active" : ""}`}
+                    onClick={() => toggleDay(index, day)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <input
+                type="time"
+                value={w.start}
+                onChange={(e) => updateWindow(index, { start: e.target.value })}
+              />
+              <span>→</span>
+              <input
+                type="time"
+                value={w.end}
+                onChange={(e) => updateWindow(index, { end: e.target.value })}
+              />
+              <button
+                className="action-btn delete-btn"
+                title="Remove window"
+                onClick={() =>
+                  setSchedule((s) => ({
+                    ...s,
+                    windows: s.windows.filter((_, i) => i !== index),
+                  }))
+                }
+              >
+                <FaTrash size={14} />
+              </button>
+            </div>
+          ))}
+          <small className="schedule-hint">
+            An end time earlier than the start time runs past midnight.
+          </small>
+
+          <div className="schedule-actions">
+            <button
+              onClick={() =>
+                setSchedule((s) => ({
+                  ...s,
+                  windows: [...s.windows, DEFAULT_WINDOW],
+                }))
+              }
+            >
+              <FaPlus size={12} /> Add Window
+            </button>
+            <button
+              disabled={saving}
+              onClick={() => run(() => cameraApi.saveSchedule(camera.id, schedule))}
+            >
+              Save Schedule
+            </button>
+            <button
+              className="schedule-remove-btn"
+              disabled={saving}
+              onClick={() => run(() => cameraApi.deleteSchedule(camera.id))}
+            >
+              Remove Schedule
+            </button>
+          </div>
+
+          <h4>Holidays &amp; one-off overrides</h4>
+          {schedule.overrides.length === 0 && (
+            <p className="schedule-hint">No overrides.</p>
+          )}
+          {schedule.overrides.map((o) => (
+            <div className="schedule-override" key={o.id}>
+              <span>{describeOverride(o)}</span>
+              <button
+                className="action-btn delete-btn"
+                title="Remove override"
+                disabled={saving || !o.id}
+                onClick={() =>
+                  run(() => cameraApi.deleteScheduleOverride(camera.id, o.id))
+                }
+              >
+                <FaTrash size={14} />
+              </button>
+            </div>
+          ))}
+
+          <div className="schedule-override-form">
+            <select
+              value={override.kind}
+              onChange={(e) => setOverride((s) => ({ ...s, kind: e.target.value }))}
+            >
+              <option value="date">Whole day</option>
+              <option value="range">Date range</option>
+            </select>
+            {override.kind === "date" ? (
+              <input
+                type="date"
+                value={override.date}
+                onChange={(e) => setOverride((s) => ({ ...s, date: e.target.value }))}
+              />
+            ) : (
+              <>
+                <input
+                  type="datetime-local"
+                  value={override.start}
+                  onChange={(e) => setOverride((s) => ({ ...s, start: e.target.value }))}
+                />
+                <input
+                  type="datetime-local"
+                  value={override.end}
+                  onChange={(e) => setOverride((s) => ({ ...s, end: e.target.value }))}
+                />
+              </>
+            )}
+            <select
+              value={override.armed ? "armed" : "disarmed"}
+              onChange={(e) =>
+                setOverride((s) => ({ ...s, armed: e.target.value === "armed" }))
+              }
+            >
+              <option value="disarmed">Disarm</option>
+              <option value="armed">Arm</option>
+            </select>
+            <input
+              type="text"
+              placeholder="Label (optional)"
+              value={override.label}
+              onChange={(e) => setOverride((s) => ({ ...s, label: e.target.value }))}
+            />
+            <button disabled={saving} onClick={addOverride}>
+              <FaPlus size={12} /> Add Override
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
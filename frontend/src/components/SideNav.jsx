@@ -35,6 +35,12 @@ export default function SideNav({ onNavigate, onLogout, currentPage }) {
         >
           Status
         </a>
+        <a
+          className={currentPage === "map" ? "active" : ""}
+          onClick={() => onNavigate("map")}
+        >
+          Map
+        </a>
       </nav>
 
       <div className="sidenav-footer">
@@ -1,12 +1,16 @@
-import React, { useEffect } from "react";
+import React, { useEffect, useState } from "react";
 import { useCameras } from "../store/cameras.jsx";
 import CameraTile from "./CameraTile.jsx";
+import ZoneEditor from "./ZoneEditor.jsx";
+import PtzControls from "./PtzControls.jsx";
 
 export default function SingleCameraView({
   selectedCameraIndex = 0,
   onCameraChange,
 }) {
   const { cameras, toggleCameraVisibility } = useCameras();
+  const [showZones, setShowZones] = useState(false);
+  const [showPtz, setShowPtz] = useState(false);
 
   if (!cameras || cameras.length === 0) {
     return (
@@ -53,6 +57,38 @@ export default function SingleCameraView({
     <div className="single-view">
       <div className="single-view-container">
         <CameraTile cam={selectedCamera} />
+        <div className="single-view-tools">
+          <button
+            className={`action-btn zone-btn ${showZones ? "active" : ""}`}
+            onClick={() => setShowZones((v) => !v)}
+            title="Draw include/exclude detection zones"
+          >
+            Zones
+          </button>
+          {selectedCamera.onvif?.profileToken && (
+            <button
+              className={`action-btn ptz-toggle-btn ${showPtz ? "active" : ""}`}
+              onClick={() => setShowPtz((v) => !v)}
+              title="Pan / tilt / zoom and presets"
+            >
+              PTZ
+            </button>
+          )}
+        </div>
+        {showPtz && selectedCamera.onvif?.profileToken && (
+          <PtzControls
+            key={selectedCamera.id}
+            camera={selectedCamera}
+            onClose={() => setShowPtz(false)}
+          />
+        )}
+        {showZones && (
+          <ZoneEditor
+            key={selectedCamera.id}
+            camera={selectedCamera}
+            onClose={() => setShowZones(false)}
+          />
+        )}
         {cameras.length > 1 && (
           <div className="camera-nav">
             <button
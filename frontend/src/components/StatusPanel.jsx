@@ -11,6 +11,7 @@ import React from "react";
 import { useCameras } from "../store/cameras.jsx";
 import StreamingIcon from "./StreamingIcon.jsx";
 import FireStatusButton from "./FireStatusButton.jsx";
+import AlertActions from "./AlertActions.jsx";
 
 const StatusBadge = ({ label, active, isFire = false }) => {
   const getBadgeStyle = () => {
@@ -44,7 +45,7 @@ const StatusBadge = ({ label, active, isFire = false }) => {
 };
 
 export default function StatusPanel() {
-  const { cameras } = useCameras();
+  const { cameras, activeAlerts } = useCameras();
   return (
     <div style={{ 
       width: '100%', 
@@ -78,6 +79,7 @@ export default function StatusPanel() {
       <th style={{ textAlign: 'left', borderBottom: '1px solid #202531', padding: '12px 16px', color: '#96a0ad', fontWeight: 600, whiteSpace: 'nowrap' }}>Streaming</th>
       <th style={{ textAlign: 'left', borderBottom: '1px solid #202531', padding: '12px 16px', color: '#96a0ad', fontWeight: 600, whiteSpace: 'nowrap' }}>Fire</th>
       <th style={{ textAlign: 'left', borderBottom: '1px solid #202531', padding: '12px 16px', color: '#96a0ad', fontWeight: 600, whiteSpace: 'nowrap' }}>Viewing</th>
+      <th style={{ textAlign: 'left', borderBottom: '1px solid #202531', padding: '12px 16px', color: '#96a0ad', fontWeight: 600, whiteSpace: 'nowrap' }}>Alert</th>
     </tr>
   </thead>
   <tbody>
@@ -108,6 +110,12 @@ export default function StatusPanel() {
         <td style={{ textAlign: 'left', borderBottom: '1px solid #202531', padding: '12px 16px', color: '#d5d9e0' }}>
           <StatusBadge active={c._runtime?.isView ?? true} />
         </td>
+        <td style={{ textAlign: 'left', borderBottom: '1px solid #202531', padding: '12px 16px', color: '#d5d9e0' }}>
+          {(() => {
+            const alert = activeAlerts.find(a => a.cameraId === c.id);
+            return alert ? <AlertActions alert={alert} /> : '—';
+          })()}
+        </td>
       </tr>
     ))}
   </tbody>
@@ -0,0 +1,208 @@
+import React, { useEffect, useState } from "react";
+import { FaTrash, FaSyncAlt } from "react-icons/fa";
+import { cameraApi } from "../services/cameraApi.js";
+
+const MIN_POINTS = 3;
+
+// Zone points are normalized 0-1 (top-left origin), matching the backend
+function toPointsAttr(points) {
+  return points.map(([x, y]) => `${x},${y}`).join(" ");
+}
+
+export default function ZoneEditor({ camera, onClose }) {
+  const [zones, setZones] = useState([]);
+  const [frameUrl, setFrameUrl] = useState(null);
+  const [draft, setDraft] = useState([]);
+  const [draftType, setDraftType] = useState("exclude");
+  const [draftName, setDraftName] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadFrame = async () => {
+    try {
+      const blob = await cameraApi.getSnapshot(camera.id);
+      setFrameUrl((previous) => {
+        if (previous) URL.revokeObjectURL(previous);
+        return URL.createObjectURL(blob);
+      });
+    } catch (err) {
+      console.error("Failed to load frame:", err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const data = await cameraApi.getZones(camera.id);
+        setZones(data.zones);
+      } catch (err) {
+        console.error("Failed to load zones:", err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+    loadFrame();
+  }, [camera.id]);
+
+  // Release the last frame's object URL
+  useEffect(() => {
+    return () => {
+      if (frameUrl) URL.revokeObjectURL(frameUrl);
+    };
+  }, [frameUrl]);
+
+  const addPoint = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    const x = clamp((e.clientX - rect.left) / rect.width);
+    const y = clamp((e.clientY - rect.top) / rect.height);
+    setDraft((points) => [...points, [Number(x.toFixed(4)), Number(y.toFixed(4))]]);
+  };
+
+  const finishZone = () => {
+    setZones((list) => [
+      ...list,
+      {
+        name: draftName.trim() || `Zone ${list.length + 1}`,
+        type: draftType,
+        points: draft,
+      },
+    ]);
+    setDraft([]);
+    setDraftName("");
+    setDirty(true);
+  };
+
+  const removeZone = (index) => {
+    setZones((list) => list.filter((_, i) => i !== index));
+    setDirty(true);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const data = await cameraApi.saveZones(camera.id, zones);
+      setZones(data.zones);
+      setDirty(false);
+    } catch (err) {
+      console.error("Failed to save zones:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="zone-editor">Loading zones…</div>;
+  }
+
+  return (
+    <div className="zone-editor">
+      <div className="zone-editor-header">
+        <h3>Zones · {camera.name}</h3>
+        <button onClick={loadFrame} title="Grab a new frame">
+          <FaSyncAlt size={12} /> Refresh frame
+        </button>
+        <button onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {error && <div className="zone-error">{error}</div>}
+
+      <div className="zone-stage">
+        {frameUrl ? (
+          <img src={frameUrl} alt={`${camera.name} live frame`} draggable={false} />
+        ) : (
+          <div className="zone-stage-empty">Waiting for a frame…</div>
+        )}
+        <svg
+          className="zone-overlay"
+          viewBox="0 0 1 1"
+          preserveAspectRatio="none"
+          onClick={addPoint}
+        >
+          {zones.map((zone, index) => (
+            <polygon
+              key={zone.id || index}
+              className={`zone-shape ${zone.type}`}
+              points={toPointsAttr(zone.points)}
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+          {draft.length > 0 && (
+            <polyline
+              className={`zone-shape draft ${draftType}`}
+              points={toPointsAttr(draft)}
+              vectorEffect="non-scaling-stroke"
+            />
+          )}
+        </svg>
+      </div>
+
+      <div className="zone-draft-controls">
+        <select value={draftType} onChange={(e) => setDraftType(e.target.value)}>
+          <option value="exclude">⛔ Exclude (ignore detections here)</option>
+          <option value="include">✅ Include (only alert here)</option>
+        </select>
+        <input
+          type="text"
+          placeholder="Zone name"
+          value={draftName}
+          onChange={(e) => setDraftName(e.target.value)}
+        />
+        <button
+          onClick={finishZone}
+          disabled={draft.length < MIN_POINTS}
+          title={`Click at least ${MIN_POINTS} points on the frame`}
+        >
+          Add zone
+        </button>
+        <button
+          onClick={() => setDraft((points) => points.slice(0, -1))}
+          disabled={draft.length === 0}
+        >
+          Undo point
+        </button>
+        <button onClick={() => setDraft([])} disabled={draft.length === 0}>
+          Clear
+        </button>
+      </div>
+      <small className="zone-hint">
+        Click on the frame to place corners ({draft.length} placed). With no include zones the
+        whole frame counts.
+      </small>
+
+      <ul className="zone-list">
+        {zones.length === 0 && <li className="zone-list-empty">No zones - the whole frame is watched.</li>}
+        {zones.map((zone, index) => (
+          <li key={zone.id || index} className={`zone-list-item ${zone.type}`}>
+            <span>
+              {zone.type === "include" ? "✅" : "⛔"} {zone.name}
+            </span>
+            <button
+              className="action-btn delete-btn"
+              title="Remove zone"
+              onClick={() => removeZone(index)}
+            >
+              <FaTrash size={12} />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="zone-actions">
+        <button onClick={save} disabled={saving || !dirty}>
+          {saving ? "Saving…" : "Save zones"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -5,10 +5,12 @@ import { useCameras } from "../store/cameras.jsx";
 
 /**
  * Custom hook to manage WebSocket connection for fire detection alerts.
- * Automatically shows cameras and starts streams when fire is detected.
+ * Automatically shows cameras and starts streams when fire is detected,
+ * and keeps the alert list in sync with acknowledgements/escalations.
  */
 export function useWebSocket() {
-  const { updateCameraStatus, setCameraVisibilityById } = useCameras();
+  const { updateCameraStatus, setCameraVisibilityById, upsertAlert } =
+    useCameras();
   const isInitialized = useRef(false);
 
   const handleFireDetection = useCallback(
@@ -27,18 +29,38 @@ export function useWebSocket() {
     [updateCameraStatus, setCameraVisibilityById]
   );
 
+  const handleAlert = useCallback(
+    (alert) => {
+      upsertAlert(alert);
+
+      // Closing an alert clears the red tile until the next detection
+      if (alert.status === "resolved" || alert.status === "false_positive") {
+        updateCameraStatus(alert.cameraId, { isFire: false });
+      }
+    },
+    [upsertAlert, updateCameraStatus]
+  );
+
+  // Offline / frozen / obstructed / moved feeds show on the tile
+  const handleCameraHealth = useCallback(
+    (cameraId, health) => {
+      updateCameraStatus(cameraId, { health });
+    },
+    [updateCameraStatus]
+  );
+
   useEffect(() => {
     // Prevent multiple initializations
     if (isInitialized.current) return;
 
     console.log("🔌 Initializing WebSocket connection...");
     isInitialized.current = true;
-    initWebSocket(handleFireDetection);
+    initWebSocket(handleFireDetection, handleAlert, handleCameraHealth);
 
     return () => {
       console.log("🔌 Cleaning up WebSocket connection...");
       closeWebSocket();
       isInitialized.current = false;
     };
-  }, [handleFireDetection]);
+  }, [handleFireDetection, handleAlert, handleCameraHealth]);
 }
@@ -4,6 +4,7 @@ import SingleCameraView from "../components/SingleCameraView.jsx";
 import MiniStatusPanel from "../components/MiniStatusPanel.jsx";
 import AddCameraDialog from "../components/AddCameraDialog.jsx";
 import Status from "./Status.jsx";
+import FloorPlanMap from "./FloorPlanMap.jsx";
 import { useAuth } from "../auth/AuthContext.jsx";
 import { useCameras } from "../store/cameras.jsx";
 import { toggleTheme } from "../utils/theme.js";
@@ -61,6 +62,15 @@ function Dashboard() {
     setSelectedCameraIndex(index);
   };
 
+  // Clicking a pin on the map opens that camera in single view
+  const handleOpenCamera = (cameraId) => {
+    const index = cameras.findIndex((cam) => cam.id === cameraId);
+    if (index === -1) return;
+    setSelectedCameraIndex(index);
+    setViewMode("single");
+    setCurrentPage("video");
+  };
+
   return (
     <div className="shell">
       <main className="main">
@@ -97,6 +107,14 @@ function Dashboard() {
                 >
                   Status
                 </button>
+                <button
+                  className={`nav-btn ${
+                    currentPage === "map" ? "active" : ""
+                  }`}
+                  onClick={() => handleNavigate("map")}
+                >
+                  Map
+                </button>
               </nav>
 
               <div className="toolbar-controls">
@@ -281,6 +299,12 @@ function Dashboard() {
               <Status onNavigate={handleNavigate} currentPage={currentPage} />
             )}
           </>
+        ) : currentPage === "map" ? (
+          <FloorPlanMap
+            onNavigate={handleNavigate}
+            currentPage={currentPage}
+            onOpenCamera={handleOpenCamera}
+          />
         ) : (
           <Status onNavigate={handleNavigate} currentPage={currentPage} />
         )}
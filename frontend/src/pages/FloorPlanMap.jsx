@@ -0,0 +1,481 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { FaVideo, FaTrash, FaUpload } from "react-icons/fa";
+import { useCameras } from "../store/cameras.jsx";
+import { useAuth } from "../auth/AuthContext.jsx";
+import { toggleTheme } from "../utils/theme.js";
+import { cameraApi } from "../services/cameraApi.js";
+import LocationSelect from "../components/LocationSelect.jsx";
+import {
+  descendantIds,
+  formatLocationPath,
+  locationPath,
+} from "../utils/locationGroups.js";
+
+// New pins look up with a 90° cone reaching 15% of the plan's width
+const DEFAULT_PLACEMENT = { direction: 0, fov: 90, range: 0.15 };
+
+// A press that moves less than this (px) is a click - it opens the camera
+const CLICK_SLOP = 4;
+
+const SAVE_DELAY_MS = 400;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * SVG path of a field-of-view cone in plan units (image width = 1).
+ * Angles are degrees clockwise from up.
+ */
+function conePath(x, y, radius, direction, fov) {
+  if (fov >= 360) {
+    return `M ${x - radius} ${y} a ${radius} ${radius} 0 1 0 ${radius * 2} 0 a ${radius} ${radius} 0 1 0 ${-radius * 2} 0`;
+  }
+  const point = (degrees) => {
+    const radians = (degrees * Math.PI) / 180;
+    return `${x + radius * Math.sin(radians)} ${y - radius * Math.cos(radians)}`;
+  };
+  const largeArc = fov > 180 ? 1 : 0;
+  return `M ${x} ${y} L ${point(direction - fov / 2)} A ${radius} ${radius} 0 ${largeArc} 1 ${point(direction + fov / 2)} Z`;
+}
+
+export default function FloorPlanMap({ onNavigate, currentPage = "map", onOpenCamera }) {
+  const { cameras, setCameras, locations, fetchLocations } = useCameras();
+  const { logout } = useAuth();
+  const [theme, setTheme] = useState(
+    document.documentElement.getAttribute("data-theme") || "dark"
+  );
+  const [planId, setPlanId] = useState(null);
+  const [planSrc, setPlanSrc] = useState(null); // object URL for local plans
+  const [aspect, setAspect] = useState(0.75); // image height / width
+  const [drag, setDrag] = useState(null); // { cameraId, x, y, startX, startY, moved }
+  const [selectedId, setSelectedId] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const planRef = useRef(null);
+  const saveTimers = useRef({});
+
+  const onToggleTheme = () => setTheme(toggleTheme());
+
+  // Start on the first location that has a plan
+  useEffect(() => {
+    if (!planId) {
+      const withPlan = locations.find((node) => node.floorPlan);
+      if (withPlan) setPlanId(withPlan.id);
+    }
+  }, [locations, planId]);
+
+  useEffect(() => {
+    const timers = saveTimers.current;
+    return () => Object.values(timers).forEach(clearTimeout);
+  }, []);
+
+  const plan = locations.find((node) => node.id === planId) || null;
+  const planUrl = plan?.floorPlan?.imageUrl ?? null;
+
+  // Locally stored plans are "/api/media/..." paths that need the auth
+  // header, so they're fetched into an object URL; S3 URLs load directly
+  useEffect(() => {
+    if (!planUrl?.startsWith("/")) {
+      setPlanSrc(planUrl);
+      return undefined;
+    }
+
+    let cancelled = false;
+    let objectUrl = null;
+    setPlanSrc(null);
+    cameraApi
+      .getMedia(planUrl)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setPlanSrc(objectUrl);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Failed to load floor plan:", err);
+        setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [planUrl]);
+
+  const placed = cameras.filter((cam) => plan && cam.mapPlacement?.locationId === plan.id);
+
+  // Cameras not on this plan, the ones assigned under this location first
+  const unplaced = useMemo(() => {
+    if (!plan) return [];
+    const here = descendantIds(locations, plan.id);
+    return cameras
+      .filter((cam) => cam.mapPlacement?.locationId !== plan.id)
+      .sort((a, b) => Number(here.has(b.locationId)) - Number(here.has(a.locationId)));
+  }, [cameras, locations, plan]);
+
+  const selected = placed.find((cam) => cam.id === selectedId) || null;
+
+  // -----------------------------------------------------------------
+  // Saving placements (optimistic; the cone sliders save once idle)
+  // -----------------------------------------------------------------
+  const setLocalPlacement = (cameraId, mapPlacement) =>
+    setCameras((prev) =>
+      prev.map((cam) => (cam.id === cameraId ? { ...cam, mapPlacement } : cam))
+    );
+
+  const savePlacement = async (cameraId, mapPlacement) => {
+    const previous = cameras.find((cam) => cam.id === cameraId)?.mapPlacement ?? null;
+    setLocalPlacement(cameraId, mapPlacement);
+    setError(null);
+    try {
+      await cameraApi.saveMapPlacement(cameraId, mapPlacement);
+    } catch (err) {
+      console.error("Failed to save camera placement:", err);
+      setError(err.message);
+      setLocalPlacement(cameraId, previous);
+    }
+  };
+
+  const changeCone = (cam, changes) => {
+    const mapPlacement = { ...cam.mapPlacement, ...changes };
+    setLocalPlacement(cam.id, mapPlacement);
+    clearTimeout(saveTimers.current[cam.id]);
+    saveTimers.current[cam.id] = setTimeout(
+      () => savePlacement(cam.id, mapPlacement),
+      SAVE_DELAY_MS
+    );
+  };
+
+  // -----------------------------------------------------------------
+  // Dragging pins on the plan, and cameras in from the list
+  // -----------------------------------------------------------------
+  const toPlan = (clientX, clientY) => {
+    const rect = planRef.current.getBoundingClientRect();
+    return {
+      x: clamp01((clientX - rect.left) / rect.width),
+      y: clamp01((clientY - rect.top) / rect.height),
+    };
+  };
+
+  const onPinDown = (e, cam) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({
+      cameraId: cam.id,
+      x: cam.mapPlacement.x,
+      y: cam.mapPlacement.y,
+      startX: e.clientX,
+      startY: e.clientY,
+      moved: false,
+    });
+  };
+
+  const onPinMove = (e) => {
+    if (!drag) return;
+    const moved =
+      drag.moved ||
+      Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > CLICK_SLOP;
+    setDrag({ ...drag, ...(moved && toPlan(e.clientX, e.clientY)), moved });
+  };
+
+  const onPinUp = (cam) => {
+    if (!drag) return;
+    if (drag.moved) {
+      setSelectedId(cam.id);
+      savePlacement(cam.id, { ...cam.mapPlacement, x: drag.x, y: drag.y });
+    } else {
+      onOpenCamera?.(cam.id);
+    }
+    setDrag(null);
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    const cameraId = Number(e.dataTransfer.getData("text/plain"));
+    const cam = cameras.find((c) => c.id === cameraId);
+    if (!cam || !plan) return;
+
+    // Keep the cone when moving a camera over from another plan
+    const { direction, fov, range } = { ...DEFAULT_PLACEMENT, ...cam.mapPlacement };
+    setSelectedId(cam.id);
+    savePlacement(cam.id, {
+      locationId: plan.id,
+      ...toPlan(e.clientX, e.clientY),
+      direction,
+      fov,
+      range,
+    });
+  };
+
+  // -----------------------------------------------------------------
+  // Plan image
+  // -----------------------------------------------------------------
+  const uploadPlan = async (file) => {
+    if (!file || !plan) return;
+    setUploading(true);
+    setError(null);
+    try {
+      await cameraApi.uploadFloorPlan(plan.id, file);
+      await fetchLocations();
+    } catch (err) {
+      console.error("Failed to upload floor plan:", err);
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const removePlan = async () => {
+    setError(null);
+    try {
+      await cameraApi.deleteFloorPlan(plan.id);
+      await fetchLocations();
+    } catch (err) {
+      console.error("Failed to remove floor plan:", err);
+      setError(err.message);
+    }
+  };
+
+  const position = (cam) =>
+    drag?.cameraId === cam.id ? drag : cam.mapPlacement;
+
+  return (
+    <div className="shell">
+      <main className="main">
+        <header className="toolbar">
+          <div className="toolbar-brand">
+            <img
+              src="./fire_ai_logo.png"
+              alt="FireWatch Logo"
+              className="toolbar-logo"
+            />
+            <img
+              src="./fire_ai_text.png"
+              alt="FireWatch"
+              className="toolbar-text"
+            />
+          </div>
+
+          <nav className="toolbar-nav">
+            <button
+              className={`nav-btn ${currentPage === "video" ? "active" : ""}`}
+              onClick={() => onNavigate?.("video")}
+            >
+              Streams
+            </button>
+            <button
+              className={`nav-btn ${currentPage === "status" ? "active" : ""}`}
+              onClick={() => onNavigate?.("status")}
+            >
+              Status
+            </button>
+            <button
+              className={`nav-btn ${currentPage === "map" ? "active" : ""}`}
+              onClick={() => onNavigate?.("map")}
+            >
+              Map
+            </button>
+          </nav>
+
+          <div className="toolbar-controls">
+            <button
+              className="theme-toggle"
+              onClick={onToggleTheme}
+              aria-label="Toggle theme"
+            >
+              {theme === "dark" ? "🌙" : "☀️"}
+            </button>
+
+            <button onClick={logout}>Sign out</button>
+          </div>
+        </header>
+
+        <div className="floor-plan-page">
+          <aside className="floor-plan-sidebar">
+            <label>
+              Location
+              <LocationSelect
+                value={planId}
+                onChange={(id) => {
+                  setPlanId(id);
+                  setSelectedId(null);
+                }}
+                emptyLabel="Choose a location…"
+              />
+            </label>
+
+            {locations.length === 0 && (
+              <p className="floor-plan-hint">
+                Add sites, buildings and floors from the Locations button on the Status page first.
+              </p>
+            )}
+
+            {plan && (
+              <div className="floor-plan-upload">
+                <label className="floor-plan-upload-btn">
+                  <FaUpload size={12} />
+                  {uploading ? "Uploading…" : plan.floorPlan ? "Replace plan" : "Upload plan"}
+                  <input
+                    type="file"
+                    accept="image/png,image/jpeg,image/webp"
+                    disabled={uploading}
+                    onChange={(e) => {
+                      uploadPlan(e.target.files[0]);
+                      e.target.value = "";
+                    }}
+                  />
+                </label>
+                {plan.floorPlan && (
+                  <button
+                    className="action-btn delete-btn"
+                    onClick={removePlan}
+                    title="Remove plan (take the cameras off it first)"
+                  >
+                    <FaTrash size={12} />
+                  </button>
+                )}
+              </div>
+            )}
+
+            {error && <div className="floor-plan-error">{error}</div>}
+
+            {selected && (
+              <div className="floor-plan-cone">
+                <h4>{selected.name}</h4>
+                <label>
+                  Facing {Math.round(selected.mapPlacement.direction)}°
+                  <input
+                    type="range"
+                    min="0"
+                    max="359"
+                    value={selected.mapPlacement.direction}
+                    onChange={(e) => changeCone(selected, { direction: Number(e.target.value) })}
+                  />
+                </label>
+                <label>
+                  Field of view {selected.mapPlacement.fov}°
+                  <input
+                    type="range"
+                    min="10"
+                    max="360"
+                    value={selected.mapPlacement.fov}
+                    onChange={(e) => changeCone(selected, { fov: Number(e.target.value) })}
+                  />
+                </label>
+                <label>
+                  Range
+                  <input
+                    type="range"
+                    min="0.02"
+                    max="0.6"
+                    step="0.01"
+                    value={selected.mapPlacement.range}
+                    onChange={(e) => changeCone(selected, { range: Number(e.target.value) })}
+                  />
+                </label>
+                <button onClick={() => savePlacement(selected.id, null)}>
+                  Take off the map
+                </button>
+              </div>
+            )}
+
+            {plan?.floorPlan && (
+              <>
+                <h4>On this plan</h4>
+                <ul className="floor-plan-cameras">
+                  {placed.length === 0 && <li className="floor-plan-hint">None yet.</li>}
+                  {placed.map((cam) => (
+                    <li
+                      key={cam.id}
+                      className={`${cam.isFire ? "fire" : ""} ${cam.id === selectedId ? "selected" : ""}`}
+                      onClick={() => setSelectedId(cam.id)}
+                    >
+                      <FaVideo size={12} /> {cam.name}
+                    </li>
+                  ))}
+                </ul>
+
+                <h4>Drag onto the plan</h4>
+                <ul className="floor-plan-cameras">
+                  {unplaced.map((cam) => (
+                    <li
+                      key={cam.id}
+                      draggable
+                      onDragStart={(e) => e.dataTransfer.setData("text/plain", String(cam.id))}
+                      className={cam.isFire ? "fire" : ""}
+                    >
+                      <FaVideo size={12} /> {cam.name}
+                      {cam.mapPlacement && (
+                        <small>
+                          {formatLocationPath(locationPath(locations, cam.mapPlacement.locationId))}
+                        </small>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </aside>
+
+          <section className="floor-plan-view">
+            {!plan && <p className="floor-plan-hint">Choose a location to see its plan.</p>}
+            {plan && !plan.floorPlan && (
+              <p className="floor-plan-hint">
+                No plan for {plan.name} yet. Upload a floor plan or site map image (PNG, JPEG or WebP).
+              </p>
+            )}
+            {plan?.floorPlan && (
+              <div
+                className="floor-plan"
+                ref={planRef}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={onDrop}
+              >
+                {planSrc && (
+                  <img
+                    src={planSrc}
+                    alt={`${plan.name} floor plan`}
+                    draggable={false}
+                    onLoad={(e) =>
+                      setAspect(e.currentTarget.naturalHeight / e.currentTarget.naturalWidth || 0.75)
+                    }
+                  />
+                )}
+                <svg className="floor-plan-cones" viewBox={`0 0 1 ${aspect}`}>
+                  {placed.map((cam) => {
+                    const { x, y } = position(cam);
+                    const { direction, fov, range } = cam.mapPlacement;
+                    return (
+                      <path
+                        key={cam.id}
+                        className={`floor-plan-cone-shape ${cam.isFire ? "fire" : ""}`}
+                        d={conePath(x, y * aspect, range, direction, fov)}
+                      />
+                    );
+                  })}
+                </svg>
+                {placed.map((cam) => {
+                  const { x, y } = position(cam);
+                  return (
+                    <button
+                      key={cam.id}
+                      className={`floor-plan-pin ${cam.isFire ? "fire" : ""} ${
+                        cam.id === selectedId ? "selected" : ""
+                      }`}
+                      style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+                      title={`${cam.name}${cam.isFire ? " - FIRE" : ""} (click to open, drag to move)`}
+                      onPointerDown={(e) => onPinDown(e, cam)}
+                      onPointerMove={onPinMove}
+                      onPointerUp={() => onPinUp(cam)}
+                    >
+                      <FaVideo size={14} />
+                      <span className="floor-plan-pin-label">{cam.name}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </section>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -3,6 +3,11 @@ import { useCameras } from "../store/cameras.jsx";
 import StreamingIcon from "../components/StreamingIcon.jsx";
 import FireStatusButton from "../components/FireStatusButton.jsx";
 import AddCameraDialog from "../components/AddCameraDialog.jsx";
+import ScheduleEditor from "../components/ScheduleEditor.jsx";
+import DetectionSettingsEditor from "../components/DetectionSettingsEditor.jsx";
+import AiTypeSelect from "../components/AiTypeSelect.jsx";
+import LocationSelect from "../components/LocationSelect.jsx";
+import LocationManager from "../components/LocationManager.jsx";
 import {
   FaEye,
   FaEyeSlash,
@@ -11,11 +16,20 @@ import {
   FaSave,
   FaSearch,
   FaTimes,
+  FaClock,
+  FaSlidersH,
+  FaSitemap,
 } from "react-icons/fa";
 import { ImFire } from "react-icons/im";
 import { useAuth } from "../auth/AuthContext.jsx";
 import { toggleTheme } from "../utils/theme.js";
 import { cameraApi } from "../services/cameraApi.js";
+import {
+  descendantIds,
+  formatLocationPath,
+  groupCamerasByLocation,
+  locationPath,
+} from "../utils/locationGroups.js";
 
 const ViewingStatusIcon = ({ isVisible }) => {
   return (
@@ -29,7 +43,7 @@ const ViewingStatusIcon = ({ isVisible }) => {
 };
 
 export default function Status({ onNavigate, currentPage = "status" }) {
-  const { cameras, deleteCamera, updateCamera, fetchCamerasFromDB } =
+  const { cameras, locations, deleteCamera, updateCamera, fetchCamerasFromDB } =
     useCameras();
   const { logout } = useAuth();
   const [showAdd, setShowAdd] = useState(false);
@@ -37,13 +51,19 @@ export default function Status({ onNavigate, currentPage = "status" }) {
     document.documentElement.getAttribute("data-theme") || "dark"
   );
   const [editingCameraId, setEditingCameraId] = useState(null);
+  const [schedulingCameraId, setSchedulingCameraId] = useState(null);
+  const [tuningCameraId, setTuningCameraId] = useState(null);
   const [editedValues, setEditedValues] = useState({});
   const [deletedCameraIds, setDeletedCameraIds] = useState(new Set());
   const [animatingOutIds, setAnimatingOutIds] = useState(new Set());
   const [searchQuery, setSearchQuery] = useState("");
   const [filter, setFilter] = useState("all");
+  const [locationFilter, setLocationFilter] = useState(null);
+  const [groupBy, setGroupBy] = useState("building"); // "none" or a location type
+  const [showLocations, setShowLocations] = useState(false);
   const [togglingDetection, setTogglingDetection] = useState(new Set());
   const [updatingAiType, setUpdatingAiType] = useState(new Set());
+  const [aiTypeOptions, setAiTypeOptions] = useState([]);
   const [samplingRate, setSamplingRate] = useState(30000); // Default 30 seconds
   const [updatingSamplingRate, setUpdatingSamplingRate] = useState(false);
 
@@ -74,6 +94,7 @@ export default function Status({ onNavigate, currentPage = "status" }) {
       setEditedValues({
         name: camera.name,
         location: camera.location,
+        locationId: camera.locationId || null,
         ip: camera.ip,
         port: camera.port,
       });
@@ -135,10 +156,10 @@ export default function Status({ onNavigate, currentPage = "status" }) {
     }
   };
 
-  const handleAiTypeChange = async (cameraId, newAiType) => {
+  const handleAiTypeChange = async (cameraId, newAiTypes) => {
     setUpdatingAiType((prev) => new Set([...prev, cameraId]));
     try {
-      await updateCamera(cameraId, { aiType: newAiType });
+      await updateCamera(cameraId, { aiTypes: newAiTypes });
       await fetchCamerasFromDB();
     } catch (error) {
       console.error("Failed to update AI type: ", error);
@@ -176,8 +197,27 @@ export default function Status({ onNavigate, currentPage = "status" }) {
     }
     // "all" shows everything (no additional filter needed)
 
+    // A site / building / floor / zone includes everything under it
+    if (locationFilter) {
+      const ids = descendantIds(locations, locationFilter);
+      filtered = filtered.filter((c) => ids.has(c.locationId));
+    }
+
     return filtered;
-  }, [cameras, deletedCameraIds, searchQuery, filter]);
+  }, [cameras, locations, deletedCameraIds, searchQuery, filter, locationFilter]);
+
+  // Groups carry their own fire roll-up, so a fire shows on the header too
+  const cameraGroups = useMemo(
+    () =>
+      groupBy === "none" || locations.length === 0
+        ? [{ key: "all", cameras: visibleCameras }]
+        : groupCamerasByLocation(visibleCameras, locations, groupBy),
+    [visibleCameras, locations, groupBy]
+  );
+
+  // Camera whose schedule / detection settings editor is open
+  const schedulingCamera = cameras.find((c) => c.id === schedulingCameraId);
+  const tuningCamera = cameras.find((c) => c.id === tuningCameraId);
 
   const handleClearSearch = () => {
     setSearchQuery("");
@@ -190,6 +230,7 @@ export default function Status({ onNavigate, currentPage = "status" }) {
   const handleClearFilters = () => {
     setFilter("all");
     setSearchQuery("");
+    setLocationFilter(null);
   };
 
   // Fetch user's sampling rate on mount
@@ -206,6 +247,14 @@ export default function Status({ onNavigate, currentPage = "status" }) {
     fetchSamplingRate();
   }, []);
 
+  // Fetch the AI types the backend has detectors for
+  React.useEffect(() => {
+    cameraApi
+      .getAiTypes()
+      .then(setAiTypeOptions)
+      .catch((error) => console.error("Failed to fetch AI types:", error));
+  }, []);
+
   // Handle sampling rate change
   const handleSamplingRateChange = async (newRate) => {
     setUpdatingSamplingRate(true);
@@ -236,6 +285,209 @@ export default function Status({ onNavigate, currentPage = "status" }) {
     { value: 600000, label: "10m" },
   ];
 
+  // One camera's table row
+  const renderCameraRow = (c) => {
+    const isEditing = editingCameraId === c.id;
+    const isAnimatingOut = animatingOutIds.has(c.id);
+
+    return (
+      <div
+        key={c.id}
+        className={`modern-table-row ${isAnimatingOut ? "deleting" : ""
+          }`}
+      >
+        <div className="table-cell name-col">
+          <span className="cell-label">Name</span>
+          {isEditing ? (
+            <input
+              type="text"
+              className="edit-input"
+              value={editedValues.name}
+              onChange={(e) =>
+                handleFieldChange("name", e.target.value)
+              }
+            />
+          ) : (
+            <span className="cell-value">{c.name}</span>
+          )}
+        </div>
+        <div className="table-cell location-col">
+          <span className="cell-label">Location</span>
+          {isEditing ? (
+            <>
+              <LocationSelect
+                className="edit-input"
+                value={editedValues.locationId}
+                onChange={(id) =>
+                  handleFieldChange("locationId", id)
+                }
+              />
+              <input
+                type="text"
+                className="edit-input"
+                placeholder="Description"
+                value={editedValues.location}
+                onChange={(e) =>
+                  handleFieldChange("location", e.target.value)
+                }
+              />
+            </>
+          ) : (
+            <span className="cell-value">
+              {formatLocationPath(locationPath(locations, c.locationId)) ||
+                c.location}
+              {c.locationId && c.location && (
+                <small className="location-note">{c.location}</small>
+              )}
+            </span>
+          )}
+        </div>
+        <div className="table-cell ip-col">
+          <span className="cell-label">IP</span>
+          {isEditing ? (
+            <input
+              type="text"
+              className="edit-input"
+              value={editedValues.ip}
+              onChange={(e) =>
+                handleFieldChange("ip", e.target.value)
+              }
+            />
+          ) : (
+            <span className="cell-value">
+              {c.ip || "N/A"}
+            </span>
+          )}
+        </div>
+        <div className="table-cell port-col">
+          <span className="cell-label">Port</span>
+          {isEditing ? (
+            <input
+              type="text"
+              className="edit-input"
+              value={editedValues.port}
+              onChange={(e) =>
+                handleFieldChange("port", e.target.value)
+              }
+            />
+          ) : (
+            <span className="cell-value">
+              {c.port || "N/A"}
+            </span>
+          )}
+        </div>
+        <div className="table-cell view-col">
+          <span className="cell-label">View</span>
+          <ViewingStatusIcon isVisible={c.isVisible} />
+        </div>
+        <div className="table-cell stream-col">
+          <span className="cell-label">Stream</span>
+          <StreamingIcon
+            isStreaming={c.isStreaming}
+            size={28}
+          />
+        </div>
+        <div className="table-cell fire-col">
+          <span className="cell-label">Fire</span>
+          {c.isFire ? (
+            <ImFire
+              size={42}
+              style={{
+                color: "#ff0000",
+                filter: "drop-shadow(0 0 0 1px #ff6600)",
+              }}
+            />
+          ) : (
+            <FireStatusButton isFire={false} />
+          )}
+        </div>
+        <div className="table-cell detection-col">
+          <span className="cell-label">Detection</span>
+          <div className="detection-select-wrapper">
+            <select
+              className={`detection-select ${(
+                c.detection || "LOCAL"
+              ).toLowerCase()} ${togglingDetection.has(c.id) ? "updating" : ""
+                }`}
+              value={c.detection || "LOCAL"}
+              onChange={(e) =>
+                handleDetectionChange(c.id, e.target.value)
+              }
+              disabled={togglingDetection.has(c.id)}
+            >
+              <option value="LOCAL">💻 Local</option>
+              <option value="CLOUD">☁️ Cloud</option>
+              <option value="BOTH">🔄 Both</option>
+            </select>
+            {togglingDetection.has(c.id) && (
+              <span className="detection-updating">⏳</span>
+            )}
+          </div>
+        </div>
+        <div className="table-cell aitype-col">
+          <span className="cell-label">AI Types</span>
+          <AiTypeSelect
+            value={c.aiTypes?.length ? c.aiTypes : [c.aiType || "FIRE"]}
+            options={aiTypeOptions}
+            disabled={updatingAiType.has(c.id)}
+            updating={updatingAiType.has(c.id)}
+            onChange={(next) => handleAiTypeChange(c.id, next)}
+          />
+        </div>
+        <div className="table-cell actions-col">
+          <span className="cell-label">Actions</span>
+          <div className="action-buttons">
+            <button
+              className={`action-btn ${isEditing ? "save-btn" : "edit-btn"
+                }`}
+              onClick={() => handleEditClick(c)}
+              title={
+                isEditing ? "Save changes" : "Edit camera"
+              }
+            >
+              {isEditing ? (
+                <FaSave size={16} />
+              ) : (
+                <FaEdit size={16} />
+              )}
+            </button>
+            <button
+              className={`action-btn schedule-btn ${schedulingCameraId === c.id ? "active" : ""
+                }`}
+              onClick={() =>
+                setSchedulingCameraId(
+                  schedulingCameraId === c.id ? null : c.id
+                )
+              }
+              title="Detection schedule"
+            >
+              <FaClock size={16} />
+            </button>
+            <button
+              className={`action-btn tuning-btn ${tuningCameraId === c.id ? "active" : ""
+                }`}
+              onClick={() =>
+                setTuningCameraId(
+                  tuningCameraId === c.id ? null : c.id
+                )
+              }
+              title="Detection settings"
+            >
+              <FaSlidersH size={16} />
+            </button>
+            <button
+              className="action-btn delete-btn"
+              onClick={() => handleDeleteClick(c.id)}
+              title="Delete camera"
+            >
+              <FaTrash size={16} />
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className="shell">
       <main className="main">
@@ -266,6 +518,12 @@ export default function Status({ onNavigate, currentPage = "status" }) {
             >
               Status
             </button>
+            <button
+              className={`nav-btn ${currentPage === "map" ? "active" : ""}`}
+              onClick={() => handleNavigate("map")}
+            >
+              Map
+            </button>
           </nav>
 
           <div className="toolbar-controls">
@@ -334,6 +592,33 @@ export default function Status({ onNavigate, currentPage = "status" }) {
                 </button>
               </div>
 
+              <div className="location-filter-container">
+                <LocationSelect
+                  value={locationFilter}
+                  onChange={setLocationFilter}
+                  emptyLabel="All locations"
+                />
+                <select
+                  className="location-group-select"
+                  value={groupBy}
+                  onChange={(e) => setGroupBy(e.target.value)}
+                  title="Group cameras by"
+                >
+                  <option value="none">No grouping</option>
+                  <option value="site">By site</option>
+                  <option value="building">By building</option>
+                  <option value="floor">By floor</option>
+                  <option value="zone">By zone</option>
+                </select>
+                <button
+                  className={`filter-btn ${showLocations ? "active" : ""}`}
+                  onClick={() => setShowLocations(!showLocations)}
+                  title="Edit sites, buildings, floors and zones"
+                >
+                  <FaSitemap /> Locations
+                </button>
+              </div>
+
               <div className="sampling-rate-container">
                 <label className="sampling-rate-label">Detect Every:</label>
                 <select
@@ -379,6 +664,10 @@ export default function Status({ onNavigate, currentPage = "status" }) {
               </div>
             </div>
 
+            {showLocations && (
+              <LocationManager onClose={() => setShowLocations(false)} />
+            )}
+
             <div className="status-table-wrapper">
               {visibleCameras.length === 0 ? (
                 <div className="no-results">
@@ -389,9 +678,11 @@ export default function Status({ onNavigate, currentPage = "status" }) {
                       ? `No cameras match "${searchQuery}"`
                       : filter !== "all"
                         ? `No cameras match the "${filter}" filter`
-                        : "No cameras available"}
+                        : locationFilter
+                          ? "No cameras at this location"
+                          : "No cameras available"}
                   </p>
-                  {(searchQuery || filter !== "all") && (
+                  {(searchQuery || filter !== "all" || locationFilter) && (
                     <button
                       className="clear-all-btn"
                       onClick={handleClearFilters}
@@ -411,182 +702,40 @@ export default function Status({ onNavigate, currentPage = "status" }) {
                     <div className="header-cell stream-col">Stream</div>
                     <div className="header-cell fire-col">Fire</div>
                     <div className="header-cell detection-col">Detection</div>
-                    <div className="header-cell aitype-col">AI Type</div>
+                    <div className="header-cell aitype-col">AI Types</div>
                     <div className="header-cell actions-col">Actions</div>
                   </div>
                   <div className="modern-table-body">
-                    {visibleCameras.map((c) => {
-                      const isEditing = editingCameraId === c.id;
-                      const isAnimatingOut = animatingOutIds.has(c.id);
-
-                      return (
-                        <div
-                          key={c.id}
-                          className={`modern-table-row ${isAnimatingOut ? "deleting" : ""
-                            }`}
-                        >
-                          <div className="table-cell name-col">
-                            <span className="cell-label">Name</span>
-                            {isEditing ? (
-                              <input
-                                type="text"
-                                className="edit-input"
-                                value={editedValues.name}
-                                onChange={(e) =>
-                                  handleFieldChange("name", e.target.value)
-                                }
-                              />
-                            ) : (
-                              <span className="cell-value">{c.name}</span>
-                            )}
-                          </div>
-                          <div className="table-cell location-col">
-                            <span className="cell-label">Location</span>
-                            {isEditing ? (
-                              <input
-                                type="text"
-                                className="edit-input"
-                                value={editedValues.location}
-                                onChange={(e) =>
-                                  handleFieldChange("location", e.target.value)
-                                }
-                              />
-                            ) : (
-                              <span className="cell-value">{c.location}</span>
-                            )}
-                          </div>
-                          <div className="table-cell ip-col">
-                            <span className="cell-label">IP</span>
-                            {isEditing ? (
-                              <input
-                                type="text"
-                                className="edit-input"
-                                value={editedValues.ip}
-                                onChange={(e) =>
-                                  handleFieldChange("ip", e.target.value)
-                                }
-                              />
-                            ) : (
-                              <span className="cell-value">
-                                {c.ip || "N/A"}
-                              </span>
-                            )}
-                          </div>
-                          <div className="table-cell port-col">
-                            <span className="cell-label">Port</span>
-                            {isEditing ? (
-                              <input
-                                type="text"
-                                className="edit-input"
-                                value={editedValues.port}
-                                onChange={(e) =>
-                                  handleFieldChange("port", e.target.value)
-                                }
-                              />
-                            ) : (
-                              <span className="cell-value">
-                                {c.port || "N/A"}
-                              </span>
-                            )}
+                    {cameraGroups.map((group) => (
+                      <React.Fragment key={group.key}>
+                        {group.label && (
+                          <div
+                            className={`location-group-header ${group.isFire ? "fire" : ""}`}
+                          >
+                            {group.isFire && <ImFire size={18} />}
+                            <span className="location-group-label">{group.label}</span>
+                            <small>
+                              {group.cameras.length} camera(s)
+                              {group.isFire && ` · ${group.fireCount} on fire`}
+                            </small>
                           </div>
-                          <div className="table-cell view-col">
-                            <span className="cell-label">View</span>
-                            <ViewingStatusIcon isVisible={c.isVisible} />
-                          </div>
-                          <div className="table-cell stream-col">
-                            <span className="cell-label">Stream</span>
-                            <StreamingIcon
-                              isStreaming={c.isStreaming}
-                              size={28}
-                            />
-                          </div>
-                          <div className="table-cell fire-col">
-                            <span className="cell-label">Fire</span>
-                            {c.isFire ? (
-                              <ImFire
-                                size={42}
-                                style={{
-                                  color: "#ff0000",
-                                  filter: "drop-shadow(0 0 0 1px #ff6600)",
-                                }}
-                              />
-                            ) : (
-                              <FireStatusButton isFire={false} />
-                            )}
-                          </div>
-                          <div className="table-cell detection-col">
-                            <span className="cell-label">Detection</span>
-                            <div className="detection-select-wrapper">
-                              <select
-                                className={`detection-select ${(
-                                  c.detection || "LOCAL"
-                                ).toLowerCase()} ${togglingDetection.has(c.id) ? "updating" : ""
-                                  }`}
-                                value={c.detection || "LOCAL"}
-                                onChange={(e) =>
-                                  handleDetectionChange(c.id, e.target.value)
-                                }
-                                disabled={togglingDetection.has(c.id)}
-                              >
-                                <option value="LOCAL">💻 Local</option>
-                                <option value="CLOUD">☁️ Cloud</option>
-                                <option value="BOTH">🔄 Both</option>
-                              </select>
-                              {togglingDetection.has(c.id) && (
-                                <span className="detection-updating">⏳</span>
-                              )}
-                            </div>
-                          </div>
-                          <div className="table-cell aitype-col">
-                            <span className="cell-label">AI Type</span>
-                            <div className="aitype-select-wrapper">
-                              <select
-                                className={`aitype-select ${updatingAiType.has(c.id) ? "updating" : ""
-                                  }`}
-                                value={c.aiType || "FIRE"}
-                                onChange={(e) =>
-                                  handleAiTypeChange(c.id, e.target.value)
-                                }
-                                disabled={updatingAiType.has(c.id)}
-                              >
-                                <option value="FIRE">🔥 Fire Detect</option>
-                                <option value="THEFT">🕵️ Theft Detection</option>
-                                <option value="CROWD_DENSITY">👥 Crowd Detect</option>
-                                <option value="ANONYMIZATION">🕶️ Blur Faces</option>
-                                <option value="WEAPON">🔫 Weapon Detect</option>
-                              </select>
-                            </div>
-                          </div>
-                          <div className="table-cell actions-col">
-                            <span className="cell-label">Actions</span>
-                            <div className="action-buttons">
-                              <button
-                                className={`action-btn ${isEditing ? "save-btn" : "edit-btn"
-                                  }`}
-                                onClick={() => handleEditClick(c)}
-                                title={
-                                  isEditing ? "Save changes" : "Edit camera"
-                                }
-                              >
-                                {isEditing ? (
-                                  <FaSave size={16} />
-                                ) : (
-                                  <FaEdit size={16} />
-                                )}
-                              </button>
-                              <button
-                                className="action-btn delete-btn"
-                                onClick={() => handleDeleteClick(c.id)}
-                                title="Delete camera"
-                              >
-                                <FaTrash size={16} />
-                              </button>
-                            </div>
-                          </div>
-                        </div>
-                      );
-                    })}
+                        )}
+                        {group.cameras.map(renderCameraRow)}
+                      </React.Fragment>
+                    ))}
                   </div>
+                  {schedulingCamera && (
+                    <ScheduleEditor
+                      camera={schedulingCamera}
+                      onClose={() => setSchedulingCameraId(null)}
+                    />
+                  )}
+                  {tuningCamera && (
+                    <DetectionSettingsEditor
+                      camera={tuningCamera}
+                      onClose={() => setTuningCameraId(null)}
+                    />
+                  )}
                 </div>
               )}
             </div>
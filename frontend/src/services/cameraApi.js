@@ -79,6 +79,241 @@ class CameraApiService {
       body: JSON.stringify({ cameraIds }),
     });
   }
+
+  // Live status per camera (streaming, fire, health, incidents)
+  async getCameraStatuses() {
+    return this.request("/api/cameras/status/all");
+  }
+
+  // ONVIF scan of the LAN. With credentials each result's `camera` is a
+  // ready body for createCamera()
+  async discoverCameras({ username, password, timeoutMs } = {}) {
+    return this.request("/api/cameras/discover", {
+      method: "POST",
+      body: JSON.stringify({ username, password, timeoutMs }),
+    });
+  }
+
+  async getOnvifProfiles(xaddr, username, password) {
+    return this.request("/api/cameras/discover/profiles", {
+      method: "POST",
+      body: JSON.stringify({ xaddr, username, password }),
+    });
+  }
+
+  async getAiTypes() {
+    return this.request("/api/cameras/ai-types");
+  }
+
+  async getSchedule(id) {
+    return this.request(`/api/cameras/${id}/schedule`);
+  }
+
+  async saveSchedule(id, schedule) {
+    return this.request(`/api/cameras/${id}/schedule`, {
+      method: "PUT",
+      body: JSON.stringify(schedule),
+    });
+  }
+
+  async deleteSchedule(id) {
+    return this.request(`/api/cameras/${id}/schedule`, {
+      method: "DELETE",
+    });
+  }
+
+  async addScheduleOverride(id, override) {
+    return this.request(`/api/cameras/${id}/schedule/overrides`, {
+      method: "POST",
+      body: JSON.stringify(override),
+    });
+  }
+
+  async deleteScheduleOverride(id, overrideId) {
+    return this.request(`/api/cameras/${id}/schedule/overrides/${overrideId}`, {
+      method: "DELETE",
+    });
+  }
+
+  async getZones(id) {
+    return this.request(`/api/cameras/${id}/zones`);
+  }
+
+  async saveZones(id, zones) {
+    return this.request(`/api/cameras/${id}/zones`, {
+      method: "PUT",
+      body: JSON.stringify({ zones }),
+    });
+  }
+
+  // PTZ (ONVIF cameras): presets, automatic-move settings and availability
+  async getPtz(id) {
+    return this.request(`/api/cameras/${id}/ptz`);
+  }
+
+  // move: { mode: "continuous" | "relative", pan, tilt, zoom (-1..1), timeoutMs }
+  async movePtz(id, move) {
+    return this.request(`/api/cameras/${id}/ptz/move`, {
+      method: "POST",
+      body: JSON.stringify(move),
+    });
+  }
+
+  async stopPtz(id) {
+    return this.request(`/api/cameras/${id}/ptz/stop`, { method: "POST" });
+  }
+
+  async savePtzPreset(id, name) {
+    return this.request(`/api/cameras/${id}/ptz/presets`, {
+      method: "POST",
+      body: JSON.stringify({ name }),
+    });
+  }
+
+  async gotoPtzPreset(id, token) {
+    return this.request(`/api/cameras/${id}/ptz/presets/${encodeURIComponent(token)}/goto`, {
+      method: "POST",
+    });
+  }
+
+  async deletePtzPreset(id, token) {
+    return this.request(`/api/cameras/${id}/ptz/presets/${encodeURIComponent(token)}`, {
+      method: "DELETE",
+    });
+  }
+
+  async savePtzSettings(id, ptzSettings) {
+    return this.request(`/api/cameras/${id}/ptz/settings`, {
+      method: "PUT",
+      body: JSON.stringify({ ptzSettings }),
+    });
+  }
+
+  async getDetectionSettingsSchema() {
+    return this.request("/api/cameras/detection-settings");
+  }
+
+  async getDetectionSettings(id) {
+    return this.request(`/api/cameras/${id}/detection-settings`);
+  }
+
+  async saveDetectionSettings(id, settings) {
+    return this.request(`/api/cameras/${id}/detection-settings`, {
+      method: "PUT",
+      body: JSON.stringify(settings),
+    });
+  }
+
+  async resetDetectionSettings(id) {
+    return this.request(`/api/cameras/${id}/detection-settings`, {
+      method: "DELETE",
+    });
+  }
+
+  // <img> / <video> can't send the auth header themselves
+  async requestBlob(endPoint) {
+    const response = await fetch(`${API_BASE}${endPoint}`, {
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+    });
+
+    if (!response.ok) {
+      const error = await response
+        .json()
+        .catch(() => ({ error: "Request failed" }));
+      throw new Error(error.error || `HTTP ${response.status}`);
+    }
+
+    return response.blob();
+  }
+
+  // Latest frame as a Blob (JPEG)
+  async getSnapshot(id) {
+    return this.requestBlob(`/api/cameras/${id}/snapshot`);
+  }
+
+  // Locally stored clip or floor plan ("/api/media/..." path) as a Blob
+  async getMedia(path) {
+    return this.requestBlob(path);
+  }
+
+  async getAlerts(status = "active") {
+    return this.request(`/api/alerts?status=${encodeURIComponent(status)}`);
+  }
+
+  async updateAlertStatus(alertId, action, note) {
+    return this.request(
+      `/api/alerts/${encodeURIComponent(alertId)}/${action}`,
+      {
+        method: "POST",
+        body: JSON.stringify({ note }),
+      }
+    );
+  }
+
+  // Site / building / floor / zone hierarchy, with fire status rolled up
+  async getLocations() {
+    return this.request("/api/locations");
+  }
+
+  async createLocation(location) {
+    return this.request("/api/locations", {
+      method: "POST",
+      body: JSON.stringify(location),
+    });
+  }
+
+  async updateLocation(locationId, changes) {
+    return this.request(`/api/locations/${encodeURIComponent(locationId)}`, {
+      method: "PUT",
+      body: JSON.stringify(changes),
+    });
+  }
+
+  async deleteLocation(locationId) {
+    return this.request(`/api/locations/${encodeURIComponent(locationId)}`, {
+      method: "DELETE",
+    });
+  }
+
+  // Floor plan image (png / jpeg / webp File) for a location. Sent raw, so
+  // not through request(), which always sends JSON.
+  async uploadFloorPlan(locationId, file) {
+    const response = await fetch(
+      `${API_BASE}/api/locations/${encodeURIComponent(locationId)}/floor-plan`,
+      {
+        method: "PUT",
+        headers: {
+          "Content-Type": file.type,
+          ...(this.token && { Authorization: `Bearer ${this.token}` }),
+        },
+        body: file,
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response
+        .json()
+        .catch(() => ({ error: "Request failed" }));
+      throw new Error(error.error || `HTTP ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  async deleteFloorPlan(locationId) {
+    return this.request(
+      `/api/locations/${encodeURIComponent(locationId)}/floor-plan`,
+      { method: "DELETE" }
+    );
+  }
+
+  // Pin on a floor plan: { locationId, x, y, direction, fov, range } or null
+  async saveMapPlacement(id, mapPlacement) {
+    return this.request(`/api/cameras/${id}/map-placement`, {
+      method: "PUT",
+      body: JSON.stringify({ mapPlacement }),
+    });
+  }
 }
 
 export const cameraApi = new CameraApiService();
@@ -149,6 +149,11 @@ export function CamerasProvider({ children }) {
   // Initialize with seed data if in seed mode, empty array if in DB mode
   const [cameras, setCameras] = useState(USE_SEED_DATA ? seed : []);
   const [cameraStatuses, setCameraStatuses] = useState({});
+  const [alerts, setAlerts] = useState({}); // alertId -> alert
+  const [locations, setLocations] = useState([]); // site / building / floor / zone nodes
+  // How the dashboard groups cameras: "none" or a location type. Shared by
+  // the camera grid and the status panel, whose select sets it
+  const [locationGroupBy, setLocationGroupBy] = useState("site");
   const [loading, setLoading] = useState(!USE_SEED_DATA); // Loading state for DB mode
   const [error, setError] = useState(null);
 
@@ -232,6 +237,10 @@ export function CamerasProvider({ children }) {
         initialVisibility[cam.id] = false;
       });
       setCameraVisibility(initialVisibility);
+
+      await fetchCameraHealth();
+      await fetchAlerts();
+      await fetchLocations();
     } catch (err) {
       console.error("[DB Mode] ✗ Failed to fetch cameras:", err);
       setError(err.message);
@@ -240,6 +249,73 @@ export function CamerasProvider({ children }) {
     }
   };
 
+  // Seed camera health; "camera-health" WebSocket messages keep it current
+  const fetchCameraHealth = async () => {
+    try {
+      const statuses = await cameraApi.getCameraStatuses();
+      setCameraStatuses((prev) => {
+        const next = { ...prev };
+        statuses.forEach(({ id, health }) => {
+          next[id] = { ...next[id], health };
+        });
+        return next;
+      });
+    } catch (err) {
+      console.error("[DB Mode] ✗ Failed to fetch camera health:", err);
+    }
+  };
+
+  // Load open + acknowledged alerts (after the backend is up)
+  const fetchAlerts = async () => {
+    try {
+      const list = await cameraApi.getAlerts("active");
+      const byId = {};
+      list.forEach((alert) => {
+        byId[alert.alertId] = alert;
+      });
+      setAlerts(byId);
+    } catch (err) {
+      console.error("[DB Mode] ✗ Failed to fetch alerts:", err);
+    }
+  };
+
+  // Location nodes for grouping; fire roll-up is worked out from the live
+  // camera statuses (utils/locationGroups.js)
+  const fetchLocations = async () => {
+    try {
+      const { nodes } = await cameraApi.getLocations();
+      setLocations(nodes);
+    } catch (err) {
+      console.error("[DB Mode] ✗ Failed to fetch locations:", err);
+    }
+  };
+
+  const upsertAlert = useMemo(
+    () => (alert) => {
+      setAlerts((prev) => ({ ...prev, [alert.alertId]: alert }));
+    },
+    []
+  );
+
+  // action: "acknowledge" | "resolve" | "false-positive"
+  const changeAlertStatus = useMemo(
+    () => async (alertId, action, note) => {
+      const updated = await cameraApi.updateAlertStatus(alertId, action, note);
+      setAlerts((prev) => ({ ...prev, [updated.alertId]: updated }));
+      return updated;
+    },
+    []
+  );
+
+  // Alerts still needing attention, newest first
+  const activeAlerts = useMemo(
+    () =>
+      Object.values(alerts)
+        .filter((a) => a.status === "open" || a.status === "acknowledged")
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1)),
+    [alerts]
+  );
+
   const addCamera = useMemo(
     () => async (cam) => {
       if (USE_SEED_DATA) {
@@ -410,6 +486,7 @@ export function CamerasProvider({ children }) {
         ...cam,
         isFire: cameraStatuses[cam.id]?.isFire || false,
         isStreaming: cameraStatuses[cam.id]?.isStreaming || false,
+        health: cameraStatuses[cam.id]?.health || null,
         isVisible: cameraVisibility[cam.id] !== false, // default to true if not set
       }));
       console.log(`[Camera Store] 📹 camerasWithStatus recomputed:`,
@@ -435,10 +512,22 @@ export function CamerasProvider({ children }) {
       loading,
       error,
       fetchCamerasFromDB,
+      locations,
+      fetchLocations,
+      locationGroupBy,
+      setLocationGroupBy,
+      activeAlerts,
+      upsertAlert,
+      changeAlertStatus,
       mode: USE_SEED_DATA ? "seed" : "db",
     }),
     [
       camerasWithStatus,
+      locations,
+      locationGroupBy,
+      activeAlerts,
+      upsertAlert,
+      changeAlertStatus,
       addCamera,
       updateCameraStatus,
       updateCamera,
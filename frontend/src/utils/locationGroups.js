@@ -0,0 +1,109 @@
+// Location hierarchy helpers for the status panels. Nodes come from
+// GET /api/locations ({ id, name, type, parentId, path }); cameras point at
+// one with `locationId`. Fire status is rolled up here from the live camera
+// statuses rather than the server's snapshot, so it follows the WebSocket.
+
+export const LOCATION_TYPES = ["site", "building", "floor", "zone"];
+
+export const UNASSIGNED = "unassigned";
+
+// Nodes from the site down to `locationId` ([] when unknown)
+export function locationPath(nodes, locationId) {
+  const path = [];
+  let node = nodes.find((n) => n.id === locationId);
+  while (node && !path.includes(node)) {
+    path.unshift(node);
+    const parentId = node.parentId;
+    node = nodes.find((n) => n.id === parentId);
+  }
+  return path;
+}
+
+export function formatLocationPath(path) {
+  return path.map((node) => node.name).join(" › ");
+}
+
+// `locationId` and the ids of every node under it
+export function descendantIds(nodes, locationId) {
+  const ids = new Set([locationId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    nodes.forEach((node) => {
+      if (node.parentId && ids.has(node.parentId) && !ids.has(node.id)) {
+        ids.add(node.id);
+        grew = true;
+      }
+    });
+  }
+  return ids;
+}
+
+// Nodes in tree order (each followed by its children), with their depth
+export function flattenLocations(nodes) {
+  const known = new Set(nodes.map((node) => node.id));
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const out = [];
+  const visit = (node, depth) => {
+    out.push({ ...node, depth });
+    nodes
+      .filter((child) => child.parentId === node.id)
+      .sort(byName)
+      .forEach((child) => visit(child, depth + 1));
+  };
+  nodes
+    .filter((node) => !node.parentId || !known.has(node.parentId))
+    .sort(byName)
+    .forEach((node) => visit(node, 0));
+  return out;
+}
+
+// nodeId -> { cameraCount, fireCount } including everything below the node
+export function rollUpLocations(nodes, cameras) {
+  const totals = {};
+  nodes.forEach((node) => {
+    totals[node.id] = { cameraCount: 0, fireCount: 0 };
+  });
+  cameras.forEach((cam) => {
+    locationPath(nodes, cam.locationId).forEach((node) => {
+      totals[node.id].cameraCount += 1;
+      if (cam.isFire) totals[node.id].fireCount += 1;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Group cameras under their location at `level` ("site" … "zone"). A camera
+ * on a branch that skips that level is grouped under the deepest node above
+ * it. Groups come in path order with unassigned cameras last.
+ * @returns {{ key, label, cameras, fireCount, isFire }[]}
+ */
+export function groupCamerasByLocation(cameras, nodes, level) {
+  const maxDepth = LOCATION_TYPES.indexOf(level);
+  const groups = new Map();
+
+  cameras.forEach((cam) => {
+    const path = locationPath(nodes, cam.locationId).filter(
+      (node) => LOCATION_TYPES.indexOf(node.type) <= maxDepth
+    );
+    const key = path.length > 0 ? path[path.length - 1].id : UNASSIGNED;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        label: path.length > 0 ? formatLocationPath(path) : "Unassigned",
+        cameras: [],
+        fireCount: 0,
+      });
+    }
+    const group = groups.get(key);
+    group.cameras.push(cam);
+    if (cam.isFire) group.fireCount += 1;
+  });
+
+  return [...groups.values()]
+    .map((group) => ({ ...group, isFire: group.fireCount > 0 }))
+    .sort((a, b) =>
+      a.key === UNASSIGNED ? 1 : b.key === UNASSIGNED ? -1 : a.label.localeCompare(b.label)
+    );
+}
@@ -393,6 +393,10 @@ export class VideoDetector {
     const cells = 8400; // model-specific
     const clsCount = 3; // Fire/Smoke/Other
     const probThreshold = 0.2;
+    // The frame is stretched to S x S (see _prepareInput), so model
+    // coordinates / S are already shares of the frame
+    const S = this.modelInputSize;
+    const clamp = (v) => Math.max(0, Math.min(1, v));
 
     for (let i = 0; i < cells; i++) {
       // pick max-prob class
@@ -412,13 +416,22 @@ export class VideoDetector {
       const w = output[2 * cells + i];
       const h = output[3 * cells + i];
 
-      const x1 = ((xc - w / 2) / 640) * imgW;
-      const y1 = ((yc - h / 2) / 640) * imgH;
-      const x2 = ((xc + w / 2) / 640) * imgW;
-      const y2 = ((yc + h / 2) / 640) * imgH;
-
+      const normalized = [
+        clamp((xc - w / 2) / S),
+        clamp((yc - h / 2) / S),
+        clamp((xc + w / 2) / S),
+        clamp((yc + h / 2) / S),
+      ];
+      const [x1, y1, x2, y2] = [
+        normalized[0] * imgW,
+        normalized[1] * imgH,
+        normalized[2] * imgW,
+        normalized[3] * imgH,
+      ];
+
+      // Same box shape as the backend's DetectionResult
       const label = ["Fire", "Smoke", "Other"][classId];
-      boxes.push([x1, y1, x2, y2, label, best]);
+      boxes.push({ label, score: best, bbox: [x1, y1, x2, y2], normalized });
 
       const area = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
       if (label === "Fire") {
@@ -471,9 +484,9 @@ export class VideoDetector {
     // console.log("--------------------------------")
 
     // NMS (simple IoU)
-    boxes.sort((a, b) => b[5] - a[5]);
+    boxes.sort((a, b) => b.score - a.score);
     const keep = [];
-    const iou = (A, B) => {
+    const iou = ({ bbox: A }, { bbox: B }) => {
       const inter = (() => {
         const x1 = Math.max(A[0], B[0]);
         const y1 = Math.max(A[1], B[1]);
@@ -508,7 +521,15 @@ export class VideoDetector {
     ctx.lineWidth = lineWidth;
     ctx.font = `bold ${fontSize}px system-ui`;
 
-    boxes.forEach(([x1, y1, x2, y2, label]) => {
+    // Draw from the normalized box so it lines up with the overlay at any size
+    const { width, height } = this._overlay;
+    boxes.forEach(({ label, normalized }) => {
+      const [x1, y1, x2, y2] = [
+        normalized[0] * width,
+        normalized[1] * height,
+        normalized[2] * width,
+        normalized[3] * height,
+      ];
       ctx.strokeStyle = "#00FF00";
       ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
       ctx.fillStyle = "#00FF00";
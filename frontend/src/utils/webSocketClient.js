@@ -5,17 +5,23 @@ import { getWebSocketUrl } from "../config/electron.js";
 let ws = null;
 let reconnectTimer = null;
 let onFireDetectionCallback = null;
+let onAlertCallback = null;
+let onHealthCallback = null;
 
 /**
  * Initialize WebSocket connection.
  *  - Authenticates with Cognito ID token
- *  - Listens for "fire-detection" messages
- *  - Calls the provided callback to update camera state
+ *  - Listens for "fire-detection", "alert" and "camera-health" messages
+ *  - Calls the provided callbacks to update camera and alert state
  *
  * @param {Function} onFireDetection - Callback function (cameraId, isFire) => void
+ * @param {Function} onAlert - Callback function (alert) => void
+ * @param {Function} onHealth - Callback function (cameraId, health) => void
  */
-export async function initWebSocket(onFireDetection) {
+export async function initWebSocket(onFireDetection, onAlert, onHealth) {
   onFireDetectionCallback = onFireDetection;
+  onAlertCallback = onAlert;
+  onHealthCallback = onHealth;
 
   try {
     const session = await fetchAuthSession();
@@ -46,6 +52,16 @@ export async function initWebSocket(onFireDetection) {
           if (onFireDetectionCallback) {
             onFireDetectionCallback(data.cameraId, data.isFire);
           }
+        } else if (data.type === "alert") {
+          console.log("🚨 Alert update:", data.alert);
+          if (onAlertCallback) {
+            onAlertCallback(data.alert);
+          }
+        } else if (data.type === "camera-health") {
+          console.log("📷 Camera health:", data.cameraId, data.health);
+          if (onHealthCallback) {
+            onHealthCallback(data.cameraId, data.health);
+          }
         }
       } catch (err) {
         console.error("❌ Error parsing WebSocket message:", err);
@@ -55,7 +71,7 @@ export async function initWebSocket(onFireDetection) {
     ws.onclose = (evt) => {
       console.warn("⚠️ WebSocket closed:", evt.code, evt.reason);
       reconnectTimer = setTimeout(
-        () => initWebSocket(onFireDetectionCallback),
+        () => initWebSocket(onFireDetectionCallback, onAlertCallback, onHealthCallback),
         5000
       );
     };
@@ -76,4 +92,6 @@ export function closeWebSocket() {
     ws = null;
   }
   onFireDetectionCallback = null;
+  onAlertCallback = null;
+  onHealthCallback = null;
 }